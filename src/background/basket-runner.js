@@ -0,0 +1,338 @@
+/**
+ * Sequential multi-item basket filling in a single grocery tab.
+ * For each line item: load the platform's search page, collect results, add the
+ * best candidate with a pack-aware quantity, and apply the substitution rule
+ * when it can't be added. priceBasket() runs the same searches on several
+ * platforms without adding anything, for the basket optimiser.
+ */
+
+import { logger } from '../lib/logger.js';
+import {
+    BASKET_ITEM_STATUS,
+    rankCandidates,
+    allowedSubstitutes,
+    computeAddQuantity,
+    summarizeBasket,
+} from '../lib/basket.js';
+import { requestSearchResults, RESULTS_POLL_INTERVAL_MS } from './comparison-orchestrator.js';
+import { sendTabAction, responseErrorMessage, PROTOCOL_ERRORS } from '../lib/content-protocol.js';
+
+export const DEFAULT_PRICING_DEADLINE_MS = 180000;
+
+export const DEFAULT_ITEM_TIMEOUT_MS = 45000;
+export const NAVIGATION_TIMEOUT_MS = 20000;
+export const ADD_TO_CART_TIMEOUT_MS = 20000;
+// Empty answers in a row before a search page counts as having no matches;
+// results of client-rendered pages often arrive after the first answer
+export const EMPTY_ANSWERS_TO_SETTLE = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function defaultOpenTab(url) {
+    return chrome.tabs.create({ url, active: false });
+}
+
+/**
+ * Point the tab at a URL and wait for it to finish loading
+ */
+function defaultNavigate(tabId, url) {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(new Error('navigation_timeout'));
+        }, NAVIGATION_TIMEOUT_MS);
+        const listener = (updatedId, info) => {
+            if (updatedId === tabId && info.status === 'complete') {
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            }
+        };
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.update(tabId, { url }).catch((error) => {
+            clearTimeout(timeout);
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(error);
+        });
+    });
+}
+
+function defaultAddToCart(tabId, productIndex, quantity) {
+    return sendTabAction(tabId, 'ADD_TO_CART', { productIndex, quantity }, { timeoutMs: ADD_TO_CART_TIMEOUT_MS });
+}
+
+/**
+ * Load a search URL in the tab and poll its content script for results
+ * @returns {Promise<Object[]>} Results; empty when the page has no matches
+ */
+async function searchItem(tabId, url, { navigate, requestResults, timeoutMs, pollIntervalMs, isCancelled, skipNavigation = false }) {
+    if (!skipNavigation) await navigate(tabId, url);
+    const deadline = Date.now() + timeoutMs;
+    let lastError = 'no_results';
+    let emptyAnswers = 0;
+    while (Date.now() < deadline && !isCancelled()) {
+        try {
+            const response = await requestResults(tabId, {});
+            if (response?.success && Array.isArray(response.data) && response.data.length > 0) {
+                return response.data;
+            }
+            lastError = response?.success === false ? responseErrorMessage(response) : 'no_results';
+            // Answered with no items: the page has no matches once it stays empty
+            emptyAnswers = response?.success ? emptyAnswers + 1 : 0;
+            if (emptyAnswers >= EMPTY_ANSWERS_TO_SETTLE) return [];
+        } catch (error) {
+            lastError = error.message;
+            emptyAnswers = 0;
+        }
+        await sleep(pollIntervalMs);
+    }
+    if (emptyAnswers > 0) return [];
+    throw new Error(lastError);
+}
+
+function isOutOfStockError(message = '') {
+    return /out of stock|sold out|unavailable|notify me/i.test(message);
+}
+
+/**
+ * Fill a basket item by item.
+ * @param {Object} options
+ * @param {Object[]} options.items - Line items from createBasketItem (mutated with status)
+ * @param {string} options.platform - Platform name
+ * @param {number} options.tabId - Tab to drive
+ * @param {Function} options.getSearchUrl - (platform, query) -> search results URL
+ * @param {string} [options.substitution] - 'similar' | 'same_brand' | 'none'
+ * @param {number} [options.maxCandidates] - Results tried per query
+ * @param {Function} [options.onUpdate] - Called with (item, summary) on every status change
+ * @param {Function} [options.isCancelled] - () -> boolean, checked between items
+ * @param {Function} [options.navigate] - (tabId, url) -> Promise, resolves when loaded
+ * @param {Function} [options.requestResults] - (tabId) -> GET_SEARCH_RESULTS envelope
+ * @param {Function} [options.addToCart] - (tabId, productIndex, quantity) -> ADD_TO_CART envelope
+ * @returns {Promise<Object>} summarizeBasket() result plus { cancelled }
+ */
+export async function runBasket({
+    items,
+    platform,
+    tabId,
+    getSearchUrl,
+    substitution = 'similar',
+    maxCandidates = 3,
+    itemTimeoutMs = DEFAULT_ITEM_TIMEOUT_MS,
+    onUpdate = () => {},
+    isCancelled = () => false,
+    navigate = defaultNavigate,
+    requestResults = requestSearchResults,
+    addToCart = defaultAddToCart,
+    pollIntervalMs = RESULTS_POLL_INTERVAL_MS,
+}) {
+    if (!Array.isArray(items) || items.length === 0) throw new Error('invalid_basket');
+    if (!tabId) throw new Error('invalid_tab');
+
+    const update = (item, changes) => {
+        Object.assign(item, changes);
+        try {
+            onUpdate(item, summarizeBasket(items, { platform }));
+        } catch (error) {
+            logger.warn('Basket update listener failed', { error: error?.message });
+        }
+    };
+
+    const search = (query) => searchItem(tabId, getSearchUrl(platform, query), {
+        navigate, requestResults, timeoutMs: itemTimeoutMs, pollIntervalMs, isCancelled,
+    });
+
+    // Try candidates in order; returns the added candidate or null
+    const tryAdd = async (item, candidates) => {
+        let outOfStock = false;
+        for (const candidate of candidates.slice(0, maxCandidates)) {
+            const quantity = computeAddQuantity(item, candidate);
+            try {
+                const response = await addToCart(tabId, candidate.index, quantity);
+                if (response?.success) {
+                    return { candidate, quantity: response.data?.quantity ?? quantity, capped: Boolean(response.data?.capped), outOfStock };
+                }
+                const message = responseErrorMessage(response, 'no_response');
+                outOfStock = outOfStock || response?.error?.code === PROTOCOL_ERRORS.OUT_OF_STOCK || isOutOfStockError(message);
+                logger.info('Basket candidate not added', { item: item.product, title: candidate.title, error: message });
+            } catch (error) {
+                outOfStock = outOfStock || isOutOfStockError(error.message);
+                logger.warn('Basket add-to-cart failed', { item: item.product, error: error.message });
+            }
+            if (substitution === 'none') break;
+        }
+        return { candidate: null, outOfStock };
+    };
+
+    for (const item of items) {
+        if (isCancelled()) break;
+        // Items settled before a worker restart are not added twice
+        if (![BASKET_ITEM_STATUS.PENDING, BASKET_ITEM_STATUS.SEARCHING].includes(item.status)) continue;
+        update(item, { status: BASKET_ITEM_STATUS.SEARCHING });
+
+        try {
+            const candidates = rankCandidates(await search(item.product), item);
+            const primary = candidates[0] || null;
+            let added = null;
+            let outOfStock = false;
+
+            if (primary) {
+                const first = await tryAdd(item, [primary]);
+                added = first.candidate ? first : null;
+                outOfStock = first.outOfStock;
+                if (!added) {
+                    const next = await tryAdd(item, allowedSubstitutes(candidates, primary, substitution, item));
+                    if (next.candidate) added = { ...next, substitutedFor: primary.title };
+                    outOfStock = outOfStock || next.outOfStock;
+                }
+            }
+
+            // Named alternatives ("milk or curd") when nothing matching could be added
+            if (!added && substitution !== 'none') {
+                for (const alternative of item.substitutes) {
+                    if (isCancelled()) break;
+                    const altItem = { ...item, product: alternative };
+                    const altCandidates = rankCandidates(await search(alternative), altItem);
+                    const result = await tryAdd(altItem, altCandidates);
+                    if (result.candidate) {
+                        added = { ...result, substitutedFor: item.product };
+                        break;
+                    }
+                }
+            }
+
+            if (added) {
+                update(item, {
+                    status: added.substitutedFor ? BASKET_ITEM_STATUS.SUBSTITUTED : BASKET_ITEM_STATUS.ADDED,
+                    chosen: added.candidate,
+                    addedQuantity: added.quantity,
+                    substitutedFor: added.substitutedFor || null,
+                    note: added.capped ? 'quantity limited by store' : null,
+                });
+            } else if (primary && outOfStock) {
+                update(item, {
+                    status: BASKET_ITEM_STATUS.OUT_OF_STOCK,
+                    note: substitution === 'none' ? 'out of stock; substitutions disabled' : 'out of stock; no substitute found',
+                });
+            } else if (primary) {
+                update(item, { status: BASKET_ITEM_STATUS.FAILED, note: 'could not add to cart' });
+            } else {
+                update(item, { status: BASKET_ITEM_STATUS.NOT_FOUND, note: 'no matching product' });
+            }
+        } catch (error) {
+            logger.warn('Basket item failed', { item: item.product, error: error.message });
+            update(item, { status: BASKET_ITEM_STATUS.FAILED, note: error.message });
+        }
+    }
+
+    const summary = summarizeBasket(items, { platform });
+    logger.info('Basket finished', { platform, total: summary.total, added: summary.added, substituted: summary.substituted });
+    return { ...summary, cancelled: isCancelled() };
+}
+
+/**
+ * Collect search results for every line item on several platforms, one tab
+ * per platform, without adding anything to a cart. Platforms run in parallel;
+ * items run in turn within a platform's tab.
+ * @param {Object} options
+ * @param {Object[]} options.items - Line items
+ * @param {string[]} options.platforms - Platform names
+ * @param {Function} options.getSearchUrl - (platform, query) -> search results URL
+ * @param {Function} [options.prepareTab] - async (platform, tabId) -> { serviceable, reason }
+ * @param {Function} [options.onUpdate] - Called with a platform entry whenever its status changes
+ * @param {Function} [options.openTab] - url -> tab, defaults to a background chrome tab
+ * @returns {Promise<Object>} { results: platform -> itemId -> products, platforms: platform -> { status, tabId, searched, error } }
+ */
+export async function priceBasket({
+    items,
+    platforms,
+    getSearchUrl,
+    prepareTab = null,
+    onUpdate = () => {},
+    isCancelled = () => false,
+    openTab = defaultOpenTab,
+    navigate = defaultNavigate,
+    requestResults = requestSearchResults,
+    itemTimeoutMs = DEFAULT_ITEM_TIMEOUT_MS,
+    deadlineMs = DEFAULT_PRICING_DEADLINE_MS,
+    pollIntervalMs = RESULTS_POLL_INTERVAL_MS,
+}) {
+    if (!Array.isArray(items) || items.length === 0) throw new Error('invalid_basket');
+    if (!Array.isArray(platforms) || platforms.length === 0) throw new Error('invalid_platforms');
+
+    const entries = {};
+    const results = {};
+    let expired = false;
+    const stopped = () => expired || isCancelled();
+    const update = (entry, changes) => {
+        Object.assign(entry, changes);
+        try {
+            onUpdate(entry);
+        } catch (error) {
+            logger.warn('Basket pricing update listener failed', { error: error?.message });
+        }
+    };
+
+    const collect = async (platform) => {
+        const entry = entries[platform];
+        try {
+            const tab = await openTab(getSearchUrl(platform, items[0].product));
+            update(entry, { tabId: tab.id, status: 'collecting' });
+
+            if (prepareTab) {
+                const prepared = await prepareTab(platform, tab.id);
+                if (prepared?.serviceable === false) {
+                    update(entry, { status: 'unserviceable', error: prepared.reason || 'not_serviceable' });
+                    return;
+                }
+            }
+
+            for (const [index, item] of items.entries()) {
+                if (stopped()) break;
+                try {
+                    // The tab was opened on the first item's results page
+                    const products = await searchItem(tab.id, getSearchUrl(platform, item.product), {
+                        navigate, requestResults, timeoutMs: itemTimeoutMs, pollIntervalMs, isCancelled: stopped,
+                        skipNavigation: index === 0 && !prepareTab,
+                    });
+                    results[platform][item.id] = products.map((p) => ({ ...p, platform: p.platform || platform }));
+                } catch (error) {
+                    logger.info(`Basket pricing: ${item.product} not collected on ${platform}`, { error: error.message });
+                    results[platform][item.id] = [];
+                }
+                update(entry, { searched: entry.searched + 1 });
+            }
+            update(entry, { status: stopped() && entry.searched < items.length ? 'timeout' : 'completed' });
+        } catch (error) {
+            logger.warn(`Basket pricing failed on ${platform}`, { error: error.message });
+            update(entry, { status: 'error', error: error.message });
+        }
+    };
+
+    for (const platform of platforms) {
+        entries[platform] = { platform, tabId: null, status: 'opening', searched: 0, error: null };
+        results[platform] = {};
+    }
+
+    let deadlineTimer;
+    const deadline = new Promise((resolve) => {
+        deadlineTimer = setTimeout(() => {
+            expired = true;
+            resolve();
+        }, deadlineMs);
+    });
+    await Promise.race([Promise.allSettled(platforms.map(collect)), deadline]);
+    clearTimeout(deadlineTimer);
+
+    const summary = {};
+    for (const entry of Object.values(entries)) {
+        if (entry.status === 'opening' || entry.status === 'collecting') {
+            update(entry, { status: 'timeout', error: 'deadline_exceeded' });
+        }
+        summary[entry.platform] = { status: entry.status, tabId: entry.tabId, searched: entry.searched, error: entry.error };
+    }
+    logger.info('Basket pricing finished', {
+        items: items.length,
+        statuses: Object.fromEntries(Object.entries(summary).map(([name, s]) => [name, s.status])),
+    });
+    return { results, platforms: summary };
+}
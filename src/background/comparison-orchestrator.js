@@ -0,0 +1,211 @@
+/**
+ * Bounded cross-platform comparison.
+ * Opens one search-results tab per platform in parallel, polls GET_SEARCH_RESULTS
+ * with a per-platform timeout under a hard overall deadline, and always finishes
+ * with a single ranked result built from whichever platforms answered.
+ */
+
+import { logger } from '../lib/logger.js';
+import { compareProducts, groupSimilarProducts } from '../lib/product-comparator.js';
+import { sendTabAction, responseErrorMessage } from '../lib/content-protocol.js';
+
+export const DEFAULT_PER_PLATFORM_TIMEOUT_MS = 30000;
+export const DEFAULT_DEADLINE_MS = 60000;
+export const RESULTS_POLL_INTERVAL_MS = 2000;
+export const RESULTS_REQUEST_TIMEOUT_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function defaultOpenTab(url) {
+    return chrome.tabs.create({ url, active: false });
+}
+
+function defaultCloseTab(tabId) {
+    return chrome.tabs.remove(tabId);
+}
+
+/**
+ * Ask a tab's content script for its search results. Rejects if the content
+ * script isn't there yet so the caller can poll again.
+ */
+export function requestSearchResults(tabId, filters) {
+    return sendTabAction(tabId, 'GET_SEARCH_RESULTS', { filters }, { timeoutMs: RESULTS_REQUEST_TIMEOUT_MS });
+}
+
+/**
+ * Compare a query across platforms.
+ * @param {Object} options
+ * @param {string} options.query - Search query
+ * @param {string[]} options.platforms - Platform names
+ * @param {Function} options.getSearchUrl - (platform, query) -> search results URL
+ * @param {Object} [options.filters] - Passed to GET_SEARCH_RESULTS
+ * @param {Object} [options.existingTabs] - platform -> tabId to reuse instead of opening a tab
+ * @param {Function} [options.onUpdate] - Called with a platform entry whenever its status changes
+ * @param {Function} [options.rank] - products -> { winner, candidates, weights }
+ * @param {Function} [options.isCancelled] - () -> boolean, checked between polls
+ * @param {Function} [options.openTab] - url -> tab, defaults to a background chrome tab
+ * @param {Function} [options.closeTab] - tabId -> Promise, for tabs that open after their platform stopped
+ * @param {Function} [options.requestResults] - (tabId, filters) -> GET_SEARCH_RESULTS envelope
+ * @param {Function} [options.prepareTab] - async (platform, tabId) -> { serviceable, reason }, run
+ *   before results are collected; serviceable === false marks the platform 'unserviceable'
+ * @returns {Promise<{query, winner, ranked, groups, platforms, weights, partial, elapsedMs}>}
+ */
+export async function runComparison({
+    query,
+    platforms,
+    getSearchUrl,
+    filters = {},
+    existingTabs = {},
+    onUpdate = () => {},
+    rank = compareProducts,
+    isCancelled = () => false,
+    openTab = defaultOpenTab,
+    closeTab = defaultCloseTab,
+    requestResults = requestSearchResults,
+    prepareTab = null,
+    perPlatformTimeoutMs = DEFAULT_PER_PLATFORM_TIMEOUT_MS,
+    deadlineMs = DEFAULT_DEADLINE_MS,
+    pollIntervalMs = RESULTS_POLL_INTERVAL_MS,
+}) {
+    if (!query) throw new Error('invalid_query');
+    if (!Array.isArray(platforms) || platforms.length === 0) throw new Error('invalid_platforms');
+
+    const startedAt = Date.now();
+    const entries = {};
+    const update = (entry, changes) => {
+        Object.assign(entry, changes);
+        try {
+            onUpdate(entry);
+        } catch (error) {
+            logger.warn('Comparison update listener failed', { error: error?.message });
+        }
+    };
+
+    // A platform that timed out keeps its timeout status; anything collect()
+    // finds after that point is dropped
+    const collect = async (platform) => {
+        const entry = entries[platform];
+        try {
+            if (!entry.tabId) {
+                const tab = await openTab(getSearchUrl(platform, query));
+                if (entry.stopped) {
+                    // Nobody reports this tab any more, so it would be left open
+                    try {
+                        await closeTab(tab.id);
+                    } catch (_e) {
+                        // already closed
+                    }
+                    return;
+                }
+                update(entry, { tabId: tab.id, status: 'collecting' });
+            } else {
+                update(entry, { status: 'collecting' });
+            }
+
+            if (prepareTab) {
+                const prepared = await prepareTab(platform, entry.tabId);
+                if (entry.stopped) return;
+                if (prepared?.serviceable === false) {
+                    update(entry, { status: 'unserviceable', error: prepared.reason || 'not_serviceable' });
+                    return;
+                }
+            }
+
+            // Tabs are opened directly on the results page, so only results are
+            // requested here; SEARCH is never re-triggered on a results page.
+            let lastError = null;
+            while (!entry.stopped && !isCancelled()) {
+                try {
+                    const response = await requestResults(entry.tabId, filters);
+                    if (entry.stopped) return;
+                    if (response?.success && Array.isArray(response.data) && response.data.length > 0) {
+                        const products = response.data.map((item) => ({ ...item, platform: item.platform || platform }));
+                        update(entry, { status: 'completed', products, error: null });
+                        return;
+                    }
+                    lastError = response?.success === false ? responseErrorMessage(response) : 'no_results';
+                } catch (error) {
+                    lastError = error.message;
+                }
+                if (entry.stopped) break;
+                await sleep(pollIntervalMs);
+            }
+            if (!entry.stopped) update(entry, { status: 'cancelled', error: lastError });
+        } catch (error) {
+            if (entry.stopped) return;
+            logger.warn(`Comparison failed on ${platform}`, { error: error.message });
+            update(entry, { status: 'error', error: error.message });
+        }
+    };
+
+    // Each platform races its own timeout; a timed-out platform stops polling
+    const withPlatformTimeout = (platform) => {
+        const entry = entries[platform];
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => {
+                if (entry.status === 'opening' || entry.status === 'collecting') {
+                    entry.stopped = true;
+                    update(entry, { status: 'timeout', error: 'platform_timeout' });
+                }
+                resolve();
+            }, perPlatformTimeoutMs);
+        });
+        return Promise.race([collect(platform), timeout]).finally(() => clearTimeout(timer));
+    };
+
+    for (const platform of platforms) {
+        entries[platform] = {
+            platform,
+            tabId: existingTabs[platform] ?? null,
+            status: 'opening',
+            products: [],
+            error: null,
+            stopped: false,
+        };
+    }
+
+    let deadlineTimer;
+    const deadline = new Promise((resolve) => {
+        deadlineTimer = setTimeout(resolve, deadlineMs);
+    });
+    await Promise.race([Promise.allSettled(platforms.map(withPlatformTimeout)), deadline]);
+    clearTimeout(deadlineTimer);
+
+    for (const entry of Object.values(entries)) {
+        if (entry.status === 'opening' || entry.status === 'collecting') {
+            entry.stopped = true;
+            update(entry, { status: 'timeout', error: 'deadline_exceeded' });
+        }
+    }
+
+    const products = Object.values(entries).flatMap((entry) => entry.products);
+    const { winner = null, candidates = [], weights = null } = products.length ? rank(products) : {};
+    const summary = {};
+    for (const entry of Object.values(entries)) {
+        summary[entry.platform] = {
+            status: entry.status,
+            tabId: entry.tabId,
+            count: entry.products.length,
+            error: entry.error,
+        };
+    }
+
+    const result = {
+        query,
+        winner,
+        ranked: candidates,
+        groups: groupSimilarProducts(candidates),
+        platforms: summary,
+        weights,
+        partial: Object.values(entries).some((entry) => entry.status !== 'completed'),
+        elapsedMs: Date.now() - startedAt,
+    };
+    logger.info('Comparison finished', {
+        query,
+        products: products.length,
+        partial: result.partial,
+        statuses: Object.fromEntries(Object.entries(summary).map(([name, s]) => [name, s.status])),
+    });
+    return result;
+}
@@ -0,0 +1,180 @@
+/**
+ * Checkpointed job store for web bridge commands.
+ * Jobs survive MV3 service-worker restarts and dropped ports by being persisted
+ * to chrome.storage.local; a new port session can reattach and replay missed events.
+ */
+
+import { logger } from '../lib/logger.js';
+
+export const JOB_STORAGE_KEY = 'bridgeJobs';
+export const MAX_JOB_EVENTS = 200;
+export const JOB_TTL_MS = 30 * 60 * 1000; // Resumable window after last activity
+export const JOB_SAVE_DELAY_MS = 1000; // Events within this window share one write
+
+const TERMINAL_STATUSES = new Set(['completed', 'error', 'cancelled']);
+
+export function isTerminalStatus(status) {
+    return TERMINAL_STATUSES.has(status);
+}
+
+export class JobStore {
+    constructor() {
+        this.jobs = new Map(); // jobId -> job
+        this.loaded = false;
+        this.saveTimer = null;
+        this.savedStatus = new Map(); // jobId -> status as of the last write
+    }
+
+    /**
+     * Load checkpointed jobs. Jobs that were running when the worker died are
+     * marked 'interrupted' so resumeJob can pick them up.
+     */
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get([JOB_STORAGE_KEY]);
+            const persisted = stored?.[JOB_STORAGE_KEY] || {};
+            const now = Date.now();
+            for (const job of Object.values(persisted)) {
+                if (!job?.id || now - (job.updatedAt || 0) > JOB_TTL_MS) continue;
+                if (this.jobs.has(job.id)) continue;
+                if (job.status === 'running' || job.status === 'detached') {
+                    job.status = 'interrupted';
+                }
+                this.jobs.set(job.id, job);
+            }
+            this.loaded = true;
+            logger.info(`Loaded ${this.jobs.size} bridge jobs`);
+        } catch (error) {
+            logger.error('Failed to load bridge jobs', error);
+        }
+        return this.jobs;
+    }
+
+    /**
+     * Persist all live jobs, dropping expired ones
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const now = Date.now();
+        const snapshot = {};
+        this.savedStatus.clear();
+        for (const [id, job] of this.jobs) {
+            if (now - (job.updatedAt || 0) > JOB_TTL_MS) {
+                this.jobs.delete(id);
+                continue;
+            }
+            snapshot[id] = job;
+            this.savedStatus.set(id, job.status);
+        }
+        try {
+            await chrome.storage.local.set({ [JOB_STORAGE_KEY]: snapshot });
+        } catch (error) {
+            logger.warn('Failed to checkpoint bridge jobs', { error: error?.message });
+        }
+    }
+
+    create({ id, type, sessionId, intent = null }) {
+        const now = Date.now();
+        const job = {
+            id,
+            type,
+            sessionId,
+            status: 'running',
+            step: null,
+            intent,
+            openedTabs: [],
+            partialResults: [],
+            events: [],
+            nextSeq: 1,
+            startedAt: now,
+            updatedAt: now,
+        };
+        this.jobs.set(id, job);
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Update checkpoint fields (step, intent, openedTabs, partialResults, status...)
+     */
+    async checkpoint(jobId, updates = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+        Object.assign(job, updates, { updatedAt: Date.now() });
+        await this.save();
+        return job;
+    }
+
+    /**
+     * Append an emitted event to the job's replay log and return it with its sequence number
+     */
+    recordEvent(jobId, message) {
+        const job = this.jobs.get(jobId);
+        if (!job) return message;
+        const event = { ...message, seq: job.nextSeq++ };
+        job.events.push(event);
+        if (job.events.length > MAX_JOB_EVENTS) {
+            job.events.splice(0, job.events.length - MAX_JOB_EVENTS);
+        }
+        job.updatedAt = Date.now();
+        return event;
+    }
+
+    /**
+     * Persist a job's replay log after new events. A job whose status moved
+     * since the last write is saved right away; otherwise writes are batched
+     * so a burst of progress events costs one storage write.
+     */
+    async saveEvents(jobId) {
+        const job = this.jobs.get(jobId);
+        if (job && job.status !== this.savedStatus.get(jobId)) {
+            return this.save();
+        }
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), JOB_SAVE_DELAY_MS);
+        }
+    }
+
+    /**
+     * Events with seq greater than lastSeq, in order
+     */
+    eventsSince(jobId, lastSeq = 0) {
+        const job = this.jobs.get(jobId);
+        if (!job) return [];
+        return job.events.filter((e) => e.seq > lastSeq);
+    }
+
+    /**
+     * Move a job to a new bridge session
+     */
+    async reattach(jobId, sessionId) {
+        return this.checkpoint(jobId, { sessionId });
+    }
+
+    /**
+     * Mark all non-terminal jobs of a session as detached (port went away)
+     */
+    async detachSession(sessionId) {
+        const detached = [];
+        for (const job of this.jobs.values()) {
+            if (job.sessionId === sessionId && !isTerminalStatus(job.status)) {
+                job.status = 'detached';
+                job.updatedAt = Date.now();
+                detached.push(job);
+            }
+        }
+        if (detached.length) await this.save();
+        return detached;
+    }
+
+    async remove(jobId) {
+        this.jobs.delete(jobId);
+        await this.save();
+    }
+}
+
+export const jobStore = new JobStore();
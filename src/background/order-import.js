@@ -0,0 +1,197 @@
+/**
+ * Order-history import
+ * Opens a platform's order-history page in a background tab and asks its
+ * content script for GET_ORDER_HISTORY, following "next page" links. When the
+ * platform has no scraper, or its scraper finds nothing, the page text goes to
+ * the LLM (analyzePage, EXTRACT_ORDERS) instead. Orders land in OrderTracker,
+ * de-duplicated by orderId.
+ */
+
+import { logger } from '../lib/logger.js';
+import { orderTracker } from '../lib/order-tracker.js';
+import { analyzePage, ANALYSIS_MODES } from '../lib/page-analyzer.js';
+import { loadProviderSettings, hasAnyProvider } from '../lib/llm-providers.js';
+import { sendTabAction, responseErrorMessage, PROTOCOL_ERRORS } from '../lib/content-protocol.js';
+
+export const DEFAULT_MAX_ORDER_PAGES = 3;
+export const NAVIGATION_TIMEOUT_MS = 30000;
+export const ORDER_REQUEST_ATTEMPTS = 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Open an inactive tab for reading account pages
+ */
+export function openBackgroundTab() {
+    return chrome.tabs.create({ url: 'about:blank', active: false });
+}
+
+/**
+ * Point the tab at a URL and wait for it to finish loading
+ */
+export function navigateTab(tabId, url) {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(new Error('navigation_timeout'));
+        }, NAVIGATION_TIMEOUT_MS);
+        const listener = (updatedId, info) => {
+            if (updatedId === tabId && info.status === 'complete') {
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            }
+        };
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.update(tabId, { url }).catch((error) => {
+            clearTimeout(timeout);
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * sendTabAction, retried while the content script is still loading
+ * @returns {Promise<Object>} The response envelope
+ */
+export async function sendTabActionWithRetry(tabId, action, payload = {}, { attempts = ORDER_REQUEST_ATTEMPTS, retryDelayMs = 2000 } = {}) {
+    let lastError = null;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        try {
+            return await sendTabAction(tabId, action, payload, { timeoutMs: 15000 });
+        } catch (error) {
+            lastError = error;
+            await sleep(retryDelayMs);
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Read the tab's page with the LLM
+ * @param {number} tabId
+ * @param {string} mode - ANALYSIS_MODES value
+ * @param {Object} context - { intent, status, platform }
+ * @returns {Promise<Object>} The analysis
+ * @throws {Error} no_llm_provider
+ */
+export async function extractPageWithLLM(tabId, mode, context) {
+    if (!hasAnyProvider(await loadProviderSettings())) throw new Error('no_llm_provider');
+    const content = await sendTabAction(tabId, 'EXTRACT_PAGE_CONTENT');
+    if (!content.success) throw new Error(responseErrorMessage(content, 'page_content_unavailable'));
+    return analyzePage({ usage: { mode } }, content.data, context, mode);
+}
+
+const defaultRequestOrders = (tabId) => sendTabActionWithRetry(tabId, 'GET_ORDER_HISTORY');
+
+async function defaultExtractWithLLM(tabId, platform) {
+    const result = await extractPageWithLLM(tabId, ANALYSIS_MODES.EXTRACT_ORDERS, {
+        intent: 'Import my order history',
+        status: 'IMPORTING_ORDERS',
+        platform,
+    });
+    return { orders: result.orders || [], nextPage: result.nextPage || null };
+}
+
+export function loginRequired(message) {
+    const err = new Error('login_required');
+    err.code = 'login_required';
+    err.reason = message || 'Sign in to see your orders';
+    return err;
+}
+
+/**
+ * Import a platform's order history
+ * @param {Object} options
+ * @param {string} options.platform - Platform name
+ * @param {string} options.ordersUrl - The platform's order-history page
+ * @param {number} [options.maxPages] - Pages of orders to read
+ * @param {boolean} [options.useLLM] - Fall back to the LLM when the scraper finds nothing
+ * @param {Function} [options.onProgress] - Called with { platform, page, found, source }
+ * @param {Function} [options.isCancelled] - () -> boolean, checked between pages
+ * @param {Function} [options.openTab] - () -> tab
+ * @param {Function} [options.navigate] - (tabId, url) -> Promise, resolves when loaded
+ * @param {Function} [options.requestOrders] - (tabId) -> GET_ORDER_HISTORY envelope
+ * @param {Function} [options.extractWithLLM] - (tabId, platform) -> { orders, nextPage }
+ * @param {Object} [options.tracker] - OrderTracker
+ * @returns {Promise<Object>} { platform, added, updated, found, pages, source, orders }
+ * @throws {Error} login_required (with `reason`) when the page asks the user to sign in
+ */
+export async function importOrderHistory({
+    platform,
+    ordersUrl,
+    maxPages = DEFAULT_MAX_ORDER_PAGES,
+    useLLM = true,
+    onProgress = () => {},
+    isCancelled = () => false,
+    openTab = openBackgroundTab,
+    navigate = navigateTab,
+    requestOrders = defaultRequestOrders,
+    extractWithLLM = defaultExtractWithLLM,
+    tracker = orderTracker,
+    closeTab = (tabId) => chrome.tabs.remove(tabId),
+}) {
+    if (!ordersUrl) throw new Error('no_orders_url');
+
+    const tab = await openTab();
+    const scraped = [];
+    const sources = new Set();
+    let pages = 0;
+    try {
+        let url = ordersUrl;
+        while (url && pages < maxPages && !isCancelled()) {
+            await navigate(tab.id, url);
+            pages++;
+
+            const response = await requestOrders(tab.id);
+            if (response?.error?.code === 'login_required') throw loginRequired(response.error.message);
+            let page = response?.success ? response.data : null;
+            let source = 'dom';
+            if (!page?.orders?.length && useLLM) {
+                // No scraper for this site, or its selectors no longer match
+                if (response?.success === false && response.error?.code !== PROTOCOL_ERRORS.UNSUPPORTED_ACTION) {
+                    logger.warn(`${platform}: order scraper failed, asking the LLM`, { error: responseErrorMessage(response) });
+                }
+                page = await extractWithLLM(tab.id, platform);
+                source = 'llm';
+            }
+            const orders = page?.orders || [];
+            scraped.push(...orders.map((order) => ({ order, source })));
+            if (orders.length) sources.add(source);
+            onProgress({ platform, page: pages, found: orders.length, source });
+
+            // Stop at the first page without orders; later pages would be empty too
+            url = orders.length && page.nextPage && page.nextPage !== url ? page.nextPage : null;
+        }
+    } finally {
+        try {
+            await closeTab(tab.id);
+        } catch (_e) {
+            // already closed
+        }
+    }
+
+    await tracker.load();
+    let added = 0;
+    let updated = 0;
+    const orders = [];
+    for (const source of ['dom', 'llm']) {
+        const batch = scraped.filter((entry) => entry.source === source).map((entry) => entry.order);
+        if (!batch.length) continue;
+        const result = await tracker.importOrders(batch, { platform, baseUrl: ordersUrl, source });
+        added += result.added;
+        updated += result.updated;
+        orders.push(...result.orders);
+    }
+    logger.info('Order history imported', { platform, pages, found: scraped.length, added, updated });
+    return {
+        platform,
+        added,
+        updated,
+        found: scraped.length,
+        pages,
+        source: sources.size === 1 ? [...sources][0] : sources.size ? 'mixed' : null,
+        orders,
+    };
+}
@@ -0,0 +1,300 @@
+/**
+ * Order status polling in the service worker.
+ * One chrome.alarms alarm wakes the worker every POLL_PERIOD_MINUTES and
+ * refreshes the active orders (confirmed/shipped) that are due, through the same
+ * background-tab tracking as the trackOrder command. An order is checked less
+ * often while its status doesn't move, and each platform gets a small hourly
+ * budget of checks. A status transition raises a notification and calls the
+ * update listener.
+ */
+
+import { logger } from '../lib/logger.js';
+import { orderTracker } from '../lib/order-tracker.js';
+import { trackOrderStatus } from './order-tracking.js';
+
+export const ORDER_POLL_STORAGE_KEY = 'orderPolling';
+export const ORDER_POLL_ALARM = 'order-status-poll';
+export const ORDER_NOTIFICATION_PREFIX = 'order-status:';
+export const POLL_PERIOD_MINUTES = 30;
+export const ACTIVE_ORDER_STATUSES = ['confirmed', 'shipped'];
+
+// Minutes between checks before back-off, by how close the order is to arriving
+const BASE_INTERVAL_MINUTES = { out_for_delivery: 30, shipped: 120, confirmed: 360 };
+export const MAX_INTERVAL_MINUTES = 24 * 60;
+
+// Orders placed longer ago than this are left alone
+export const MAX_ORDER_AGE_DAYS = 60;
+
+// Per platform: checks allowed per rolling hour, the wait between two checks in
+// one run, and how long to leave a platform that asks the user to sign in
+export const MAX_CHECKS_PER_PLATFORM_PER_HOUR = 4;
+export const PLATFORM_SPACING_MS = 15000;
+export const LOGIN_PAUSE_MS = 6 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const MILESTONE_LABELS = {
+    pending: 'Order placed',
+    confirmed: 'Order confirmed',
+    shipped: 'Shipped',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    returned: 'Returned',
+};
+
+// Transitions worth a notification
+const NOTIFY_MILESTONES = new Set(['shipped', 'out_for_delivery', 'delivered', 'cancelled', 'returned']);
+
+/**
+ * Where an order is: its status, with "out for delivery" split out of shipped
+ */
+export function orderMilestone(order) {
+    if (order.status === 'shipped' && /out for delivery/i.test(order.statusText || '')) return 'out_for_delivery';
+    return order.status;
+}
+
+/**
+ * Minutes until an order's next check. The base interval doubles for every
+ * unchanged or failed check in a row, up to a day; an order due within a day
+ * is checked at least hourly.
+ * @param {Object} order
+ * @param {Object} [poll] - { unchanged, failures }
+ * @param {number} [now]
+ */
+export function nextPollDelayMinutes(order, { unchanged = 0, failures = 0 } = {}, now = Date.now()) {
+    const base = BASE_INTERVAL_MINUTES[orderMilestone(order)] || BASE_INTERVAL_MINUTES.confirmed;
+    let minutes = Math.min(base * 2 ** (unchanged + failures), MAX_INTERVAL_MINUTES);
+    const due = order.estimatedDelivery ? Date.parse(order.estimatedDelivery) : NaN;
+    if (failures === 0 && due - now < 24 * HOUR_MS) minutes = Math.min(minutes, 60);
+    return minutes;
+}
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+/**
+ * Notification text for an order reaching a milestone
+ * @returns {Object} { title, message }
+ */
+export function describeOrderUpdate(order, milestone) {
+    const label = MILESTONE_LABELS[milestone] || order.statusText || milestone;
+    const item = order.items?.[0]?.title;
+    const more = order.items?.length > 1 ? ` and ${order.items.length - 1} more` : '';
+    const title = `${label}: ${item ? `${item}${more}` : `order ${order.orderId}`}`;
+    let message = order.statusText || label;
+    if (milestone === 'shipped' && order.estimatedDelivery) message = `Arriving ${formatDay(order.estimatedDelivery)}`;
+    if (milestone === 'delivered' && order.deliveredAt) message = `Delivered on ${formatDay(order.deliveredAt)}`;
+    return { title, message: order.platform ? `${message} (${order.platform})` : message };
+}
+
+function defaultNotify(id, title, message) {
+    if (!chrome.notifications?.create) return Promise.resolve();
+    return chrome.notifications.create(id, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title,
+        message,
+        priority: 1,
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class OrderStatusPoller {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.track] - order -> trackOrderStatus() result
+     * @param {Function} [options.notify] - (notificationId, title, message) -> Promise
+     * @param {Function} [options.wait] - ms -> Promise, between checks on one platform
+     * @param {Object} [options.tracker] - OrderTracker
+     */
+    constructor({ track = null, notify = defaultNotify, wait = sleep, tracker = orderTracker } = {}) {
+        this.tracker = tracker;
+        this.track = track || ((order) => trackOrderStatus(order.orderId, {
+            descriptor: this.resolveDescriptor(order.platform),
+            tracker: this.tracker,
+        }));
+        this.notify = notify;
+        this.wait = wait;
+        this.resolveDescriptor = () => null;
+        this.listener = null;
+        this.state = { orders: {}, platforms: {} };
+        this.loaded = false;
+        this.checking = null;
+    }
+
+    /**
+     * Called with (order, update) on every status transition
+     */
+    setListener(fn) {
+        this.listener = fn;
+    }
+
+    /**
+     * platform name -> descriptor, for orders without a tracking link
+     */
+    setDescriptorResolver(fn) {
+        this.resolveDescriptor = fn;
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get([ORDER_POLL_STORAGE_KEY]);
+            const state = stored?.[ORDER_POLL_STORAGE_KEY];
+            if (state) this.state = { orders: state.orders || {}, platforms: state.platforms || {} };
+            this.loaded = true;
+        } catch (error) {
+            logger.warn('Failed to load order polling state', { error: error?.message });
+        }
+        return this.state;
+    }
+
+    async save() {
+        try {
+            await chrome.storage.local.set({ [ORDER_POLL_STORAGE_KEY]: this.state });
+        } catch (error) {
+            logger.warn('Failed to save order polling state', { error: error?.message });
+        }
+    }
+
+    /**
+     * Orders still on their way and recent enough to poll
+     */
+    activeOrders(now = Date.now()) {
+        const oldest = now - MAX_ORDER_AGE_DAYS * 24 * HOUR_MS;
+        return this.tracker.getAllOrders().filter((order) => ACTIVE_ORDER_STATUSES.includes(order.status)
+            && (!order.orderDate || Date.parse(order.orderDate) >= oldest));
+    }
+
+    /**
+     * Keep the alarm only while some order is active
+     */
+    async syncAlarm(now = Date.now()) {
+        if (!chrome.alarms) return;
+        const active = this.activeOrders(now).length > 0;
+        const existing = await chrome.alarms.get(ORDER_POLL_ALARM);
+        if (active && !existing) {
+            await chrome.alarms.create(ORDER_POLL_ALARM, { periodInMinutes: POLL_PERIOD_MINUTES });
+        } else if (!active && existing) {
+            await chrome.alarms.clear(ORDER_POLL_ALARM);
+        }
+    }
+
+    platformState(platform) {
+        this.state.platforms[platform] = this.state.platforms[platform] || { checks: [], pausedUntil: 0 };
+        return this.state.platforms[platform];
+    }
+
+    /**
+     * Whether a platform may be checked now: not paused, and under its hourly budget
+     */
+    platformAvailable(platform, now = Date.now()) {
+        const entry = this.platformState(platform);
+        entry.checks = entry.checks.filter((at) => now - at < HOUR_MS);
+        return entry.pausedUntil <= now && entry.checks.length < MAX_CHECKS_PER_PLATFORM_PER_HOUR;
+    }
+
+    /**
+     * Refresh one order now
+     * @returns {Promise<Object|null>} The update when its status moved
+     */
+    async check(order, now = Date.now()) {
+        const poll = this.state.orders[order.orderId] || { unchanged: 0, failures: 0, milestone: orderMilestone(order) };
+        this.state.orders[order.orderId] = poll;
+        const platform = this.platformState(order.platform);
+        platform.checks.push(now);
+        poll.lastCheckedAt = now;
+
+        let result;
+        try {
+            result = await this.track(order);
+        } catch (error) {
+            poll.failures += 1;
+            poll.lastError = error.code || error.message;
+            poll.nextCheckAt = now + nextPollDelayMinutes(order, poll, now) * 60 * 1000;
+            if (error.code === 'login_required') platform.pausedUntil = now + LOGIN_PAUSE_MS;
+            logger.warn('Order status check failed', { orderId: order.orderId, platform: order.platform, failures: poll.failures, error: poll.lastError });
+            return null;
+        }
+
+        const current = result.order || order;
+        const milestone = orderMilestone(current);
+        const from = poll.milestone;
+        const moved = milestone !== from;
+        poll.failures = 0;
+        poll.lastError = null;
+        poll.unchanged = moved ? 0 : poll.unchanged + 1;
+        poll.milestone = milestone;
+        poll.nextCheckAt = now + nextPollDelayMinutes(current, poll, now) * 60 * 1000;
+        if (!moved) return null;
+
+        const update = {
+            orderId: current.orderId,
+            platform: current.platform,
+            from,
+            to: milestone,
+            status: current.status,
+            statusText: current.statusText,
+            estimatedDelivery: current.estimatedDelivery,
+            deliveredAt: current.deliveredAt,
+            ...describeOrderUpdate(current, milestone),
+            at: now,
+        };
+        logger.info('Order status changed', { orderId: current.orderId, from, to: milestone });
+        if (NOTIFY_MILESTONES.has(milestone)) {
+            try {
+                await this.notify(`${ORDER_NOTIFICATION_PREFIX}${current.orderId}`, update.title, update.message);
+            } catch (error) {
+                logger.warn('Order notification failed', { error: error?.message });
+            }
+        }
+        try {
+            this.listener?.(current, update);
+        } catch (error) {
+            logger.warn('Order update listener failed', { error: error?.message });
+        }
+        return update;
+    }
+
+    /**
+     * Check every active order that is due, one at a time (each opens a tab),
+     * skipping platforms that are paused or out of budget
+     * @returns {Promise<Object[]>} Status updates
+     */
+    async checkDue(now = Date.now()) {
+        if (this.checking) return this.checking;
+        this.checking = (async () => {
+            if (!this.loaded) await this.load();
+            await this.tracker.load();
+            const active = this.activeOrders(now);
+
+            // Orders that arrived, were cancelled or aged out no longer need state
+            const activeIds = new Set(active.map((order) => order.orderId));
+            for (const orderId of Object.keys(this.state.orders)) {
+                if (!activeIds.has(orderId)) delete this.state.orders[orderId];
+            }
+
+            const due = active
+                .filter((order) => (this.state.orders[order.orderId]?.nextCheckAt ?? 0) <= now)
+                .sort((a, b) => (this.state.orders[a.orderId]?.nextCheckAt ?? 0) - (this.state.orders[b.orderId]?.nextCheckAt ?? 0));
+            const updates = [];
+            const checked = new Set();
+            for (const order of due) {
+                if (!this.platformAvailable(order.platform, now)) continue;
+                if (checked.has(order.platform)) await this.wait(PLATFORM_SPACING_MS);
+                checked.add(order.platform);
+                const update = await this.check(order, now);
+                if (update) updates.push(update);
+            }
+            await this.save();
+            await this.syncAlarm(now);
+            return updates;
+        })();
+        try {
+            return await this.checking;
+        } finally {
+            this.checking = null;
+        }
+    }
+}
+
+export const orderPoller = new OrderStatusPoller();
@@ -0,0 +1,104 @@
+/**
+ * Order tracking
+ * Opens an order's tracking page in a background tab and asks the platform's
+ * content script for TRACK_ORDER. When the platform has no tracking scraper, or
+ * it reads nothing, the page goes to the LLM (analyzePage, EXTRACT_TRACKING)
+ * instead. The reading updates the stored order through OrderTracker.trackOrder().
+ */
+
+import { logger } from '../lib/logger.js';
+import { orderTracker } from '../lib/order-tracker.js';
+import { ANALYSIS_MODES } from '../lib/page-analyzer.js';
+import { responseErrorMessage, PROTOCOL_ERRORS } from '../lib/content-protocol.js';
+import { openBackgroundTab, navigateTab, sendTabActionWithRetry, extractPageWithLLM, loginRequired } from './order-import.js';
+
+/**
+ * Page showing an order's shipment: the tracking link saved with the order,
+ * else the descriptor's orderUrl with {orderId} filled in
+ * @returns {string|null}
+ */
+export function resolveTrackingUrl(order, descriptor) {
+    if (order?.trackingUrl) return order.trackingUrl;
+    if (!descriptor?.orderUrl || !order?.orderId) return null;
+    return descriptor.orderUrl.replace('{orderId}', encodeURIComponent(order.orderId));
+}
+
+const hasReading = (reading) => Boolean(reading?.statusText || reading?.events?.length);
+
+const defaultRequestTracking = (tabId, orderId) => sendTabActionWithRetry(tabId, 'TRACK_ORDER', { orderId });
+
+function defaultExtractWithLLM(tabId, platform) {
+    return extractPageWithLLM(tabId, ANALYSIS_MODES.EXTRACT_TRACKING, {
+        intent: 'Track my order',
+        status: 'TRACKING_ORDER',
+        platform,
+    });
+}
+
+/**
+ * Read an order's tracking page
+ * @returns {Promise<Object>} Raw reading (see normalizeTracking()) plus source: 'dom' | 'llm'
+ * @throws {Error} login_required, tracking_not_found, no_llm_provider
+ */
+async function readTrackingPage(order, url, { useLLM, openTab, navigate, requestTracking, extractWithLLM, closeTab, onTab }) {
+    const tab = await openTab();
+    onTab(tab.id);
+    try {
+        await navigate(tab.id, url);
+        const response = await requestTracking(tab.id, order.orderId);
+        if (response?.error?.code === 'login_required') throw loginRequired(response.error.message);
+        if (response?.success && hasReading(response.data)) {
+            return { ...response.data, url: response.data.url || url, source: 'dom' };
+        }
+        if (!useLLM) throw new Error('tracking_not_found');
+        if (response?.success === false && response.error?.code !== PROTOCOL_ERRORS.UNSUPPORTED_ACTION) {
+            logger.warn(`${order.platform}: tracking scraper failed, asking the LLM`, { error: responseErrorMessage(response) });
+        }
+        const reading = await extractWithLLM(tab.id, order.platform);
+        if (!hasReading(reading)) throw new Error('tracking_not_found');
+        return { ...reading, url, source: 'llm' };
+    } finally {
+        try {
+            await closeTab(tab.id);
+        } catch (_e) {
+            // already closed
+        }
+    }
+}
+
+/**
+ * Fetch a stored order's shipment status and save it on the order
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {Object} [options.descriptor] - The platform's descriptor, for its orderUrl
+ * @param {boolean} [options.useLLM] - Fall back to the LLM when the scraper reads nothing
+ * @param {Function} [options.onTab] - Called with the background tab's id
+ * @param {Function} [options.openTab] - () -> tab
+ * @param {Function} [options.navigate] - (tabId, url) -> Promise, resolves when loaded
+ * @param {Function} [options.requestTracking] - (tabId, orderId) -> TRACK_ORDER envelope
+ * @param {Function} [options.extractWithLLM] - (tabId, platform) -> raw reading
+ * @param {Object} [options.tracker] - OrderTracker
+ * @returns {Promise<Object>} { order, previousStatus, changed, tracking, source }
+ * @throws {Error} no_tracking_page when the order has no tracking link and the platform no orderUrl
+ */
+export async function trackOrderStatus(orderId, {
+    descriptor = null,
+    useLLM = true,
+    onTab = () => {},
+    openTab = openBackgroundTab,
+    navigate = navigateTab,
+    requestTracking = defaultRequestTracking,
+    extractWithLLM = defaultExtractWithLLM,
+    closeTab = (tabId) => chrome.tabs.remove(tabId),
+    tracker = orderTracker,
+} = {}) {
+    let source = null;
+    const result = await tracker.trackOrder(orderId, async (order) => {
+        const url = resolveTrackingUrl(order, descriptor);
+        if (!url) throw new Error('no_tracking_page');
+        const reading = await readTrackingPage(order, url, { useLLM, openTab, navigate, requestTracking, extractWithLLM, closeTab, onTab });
+        source = reading.source;
+        return reading;
+    });
+    return { ...result, source };
+}
@@ -0,0 +1,141 @@
+/**
+ * User-installed platform packs.
+ * A pack is a JSON bundle of declarative platform descriptors imported from
+ * settings. The side panel requests the pack's optional host permissions (it
+ * has the click gesture); here the pack is validated, saved, added to the
+ * platform registry and its pages get the declarative content script.
+ */
+
+import { logger } from '../lib/logger.js';
+import { configManager } from '../lib/config.js';
+import { platformRegistry } from '../lib/ecommerce-platforms.js';
+import { parsePlatformPack, validateDescriptor, createPlatformFromDescriptor } from '../lib/platform-descriptors.js';
+import { syncDeclarativeScripts } from './platform-scripts.js';
+
+export function getPlatformPacks() {
+    return configManager.get('platformPacks', []);
+}
+
+function summarizePack(pack) {
+    return {
+        name: pack.name,
+        version: pack.version,
+        description: pack.description,
+        platforms: pack.platforms.map((p) => ({ name: p.name, displayName: p.displayName, domains: p.domains })),
+        origins: pack.origins || [...new Set(pack.platforms.flatMap((p) => p.matches))],
+    };
+}
+
+/**
+ * Installed packs for the settings list
+ */
+export function listPlatformPacks() {
+    return getPlatformPacks().map(summarizePack);
+}
+
+/**
+ * Platform names a pack may not use: every registered platform except the
+ * pack's own (so a pack can be re-imported to update it)
+ */
+function reservedNames(packName) {
+    const own = getPlatformPacks().find((p) => p.name === packName);
+    const ownNames = own ? own.platforms.map((p) => p.name) : [];
+    return platformRegistry.getAll().map((p) => p.name).filter((name) => !ownNames.includes(name));
+}
+
+function registeredDescriptors() {
+    return platformRegistry.getAll().map((platform) => platform.config.descriptor).filter(Boolean);
+}
+
+/**
+ * Check a pack without installing it
+ * @param {Object} raw - Parsed pack JSON
+ * @returns {Object} { success, pack, error, problems } - pack is a summary with the origins to request
+ */
+export function validatePlatformPack(raw) {
+    try {
+        const pack = parsePlatformPack(raw, { reservedNames: reservedNames(raw?.name) });
+        return { success: true, pack: summarizePack(pack) };
+    } catch (error) {
+        return { success: false, error: error.message, problems: error.problems || [] };
+    }
+}
+
+/**
+ * Install (or update) a pack whose host permissions have been granted
+ * @param {Object} raw - Parsed pack JSON
+ * @returns {Promise<Object>} { success, pack, error, problems }
+ */
+export async function installPlatformPack(raw) {
+    await configManager.load();
+    let pack;
+    try {
+        pack = parsePlatformPack(raw, { reservedNames: reservedNames(raw?.name) });
+    } catch (error) {
+        return { success: false, error: error.message, problems: error.problems || [] };
+    }
+    if (chrome.permissions?.contains && !(await chrome.permissions.contains({ origins: pack.origins }))) {
+        return { success: false, error: 'permission_not_granted', problems: [] };
+    }
+
+    const previous = getPlatformPacks().find((p) => p.name === pack.name);
+    previous?.platforms.forEach((p) => platformRegistry.unregister(p.name));
+    const { origins, ...stored } = pack;
+    const packs = getPlatformPacks().filter((p) => p.name !== pack.name);
+    packs.push({ ...stored, installedAt: Date.now() });
+    await configManager.set('platformPacks', packs);
+
+    pack.platforms.forEach((descriptor) => platformRegistry.register(createPlatformFromDescriptor(descriptor)));
+    await syncDeclarativeScripts(registeredDescriptors());
+    logger.info('Platform pack installed', { pack: pack.name, platforms: pack.platforms.map((p) => p.name) });
+    return { success: true, pack: summarizePack(pack) };
+}
+
+/**
+ * Uninstall a pack and drop host permissions no other platform needs
+ * @returns {Promise<Object>} { success, name, error }
+ */
+export async function removePlatformPack(name) {
+    await configManager.load();
+    const pack = getPlatformPacks().find((p) => p.name === name);
+    if (!pack) return { success: false, name, error: 'unknown_platform_pack' };
+
+    pack.platforms.forEach((p) => platformRegistry.unregister(p.name));
+    await configManager.set('platformPacks', getPlatformPacks().filter((p) => p.name !== name));
+    await syncDeclarativeScripts(registeredDescriptors());
+
+    const stillUsed = new Set([
+        ...registeredDescriptors().flatMap((d) => d.matches),
+        ...(chrome.runtime.getManifest?.().host_permissions || []),
+    ]);
+    const unused = [...new Set(pack.platforms.flatMap((p) => p.matches))].filter((origin) => !stillUsed.has(origin));
+    if (unused.length && chrome.permissions?.remove) {
+        await chrome.permissions.remove({ origins: unused }).catch((error) => {
+            logger.warn('Failed to drop platform pack permissions', { error: error.message });
+        });
+    }
+    logger.info('Platform pack removed', { pack: name });
+    return { success: true, name };
+}
+
+/**
+ * Register every installed pack's platforms (on service-worker start).
+ * A descriptor that no longer validates, or clashes with a built-in, is skipped.
+ * @returns {string[]} Registered platform names
+ */
+export function registerPlatformPacks() {
+    const registered = [];
+    for (const pack of getPlatformPacks()) {
+        for (const raw of pack.platforms || []) {
+            try {
+                const descriptor = validateDescriptor(raw);
+                if (platformRegistry.has(descriptor.name)) throw new Error(`platform ${descriptor.name} already registered`);
+                platformRegistry.register(createPlatformFromDescriptor({ ...descriptor, pack: pack.name }));
+                registered.push(descriptor.name);
+            } catch (error) {
+                logger.warn('Skipping platform from pack', { pack: pack.name, platform: raw?.name, error: error.reason || error.message });
+            }
+        }
+    }
+    return registered;
+}
@@ -0,0 +1,69 @@
+/**
+ * Content scripts for descriptor-only platforms.
+ * Platforms with a hand-written content script are listed in the manifest; the
+ * rest share content/declarative.js, registered here for each descriptor's
+ * match patterns so adding a site needs no manifest content_scripts entry.
+ */
+
+import { logger } from '../lib/logger.js';
+
+export const DECLARATIVE_SCRIPT_ID = 'retailagent-declarative-platforms';
+const DECLARATIVE_LOADER = 'src/content/declarative-loader.js';
+
+/**
+ * Match patterns we hold host permission for
+ */
+async function grantedPatterns(patterns) {
+    if (!chrome.permissions?.contains) return patterns;
+    const granted = [];
+    for (const pattern of patterns) {
+        if (await chrome.permissions.contains({ origins: [pattern] })) {
+            granted.push(pattern);
+        }
+    }
+    return granted;
+}
+
+// The startup sync and permission-change syncs can overlap; each waits for the
+// previous one so their get/unregister/register calls never interleave
+let syncQueue = Promise.resolve();
+
+/**
+ * Register the declarative content script for every descriptor without its own
+ * content script (replacing any previous registration)
+ * @param {Object[]} descriptors - Validated platform descriptors
+ * @returns {Promise<string[]>} Match patterns the script is registered for
+ */
+export function syncDeclarativeScripts(descriptors) {
+    const sync = syncQueue.then(() => registerDeclarativeScripts(descriptors));
+    syncQueue = sync.catch(() => { });
+    return sync;
+}
+
+async function registerDeclarativeScripts(descriptors) {
+    if (!chrome.scripting?.registerContentScripts) return [];
+    const wanted = descriptors
+        .filter((d) => !d.contentScript && d.enabled !== false)
+        .flatMap((d) => d.matches);
+    const matches = await grantedPatterns([...new Set(wanted)]);
+    const missing = wanted.filter((pattern) => !matches.includes(pattern));
+    if (missing.length) {
+        logger.warn('No host permission for declarative platform pages', { patterns: missing });
+    }
+
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [DECLARATIVE_SCRIPT_ID] });
+    if (existing.length) {
+        await chrome.scripting.unregisterContentScripts({ ids: [DECLARATIVE_SCRIPT_ID] });
+    }
+    if (matches.length) {
+        await chrome.scripting.registerContentScripts([{
+            id: DECLARATIVE_SCRIPT_ID,
+            matches,
+            js: [DECLARATIVE_LOADER],
+            runAt: 'document_idle',
+            persistAcrossSessions: true,
+        }]);
+    }
+    logger.info('Declarative platform scripts synced', { matches });
+    return matches;
+}
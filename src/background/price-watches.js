@@ -0,0 +1,302 @@
+/**
+ * Price watches in the service worker.
+ * Watches persist in chrome.storage.local; one chrome.alarms alarm wakes the
+ * worker every CHECK_PERIOD_MINUTES and re-checks the watches that are due.
+ * A check fetches the product page and reads its price markup, and falls back to
+ * loading the page in a background tab and asking the platform's content script
+ * (GET_PRODUCT_DETAILS). Every price read also goes to the price history. A hit
+ * raises a notification and calls the alert listener.
+ */
+
+import { logger } from '../lib/logger.js';
+import { parsePrice } from '../lib/product-matcher.js';
+import { sendTabAction } from '../lib/content-protocol.js';
+import { priceHistory } from '../lib/price-history.js';
+import {
+    PRICE_WATCH_STATUS,
+    createPriceWatch,
+    recordPriceSample,
+    evaluatePriceWatch,
+    describePriceAlert,
+    extractPriceFromHtml,
+} from '../lib/price-watch.js';
+
+export const PRICE_WATCH_STORAGE_KEY = 'priceWatches';
+export const PRICE_WATCH_ALARM = 'price-watch-check';
+export const PRICE_WATCH_NOTIFICATION_PREFIX = 'price-watch:';
+export const CHECK_PERIOD_MINUTES = 30;
+export const PAGE_LOAD_TIMEOUT_MS = 30000;
+export const DETAILS_ATTEMPTS = 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function defaultFetchPage(url) {
+    const response = await fetch(url, { credentials: 'omit', headers: { Accept: 'text/html' } });
+    if (!response.ok) throw new Error(`http_${response.status}`);
+    return response.text();
+}
+
+/**
+ * Open a background tab and wait for it to finish loading
+ */
+function openLoadedTab(url) {
+    return new Promise((resolve, reject) => {
+        let tabId = null;
+        const timeout = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(Object.assign(new Error('page_load_timeout'), { tabId }));
+        }, PAGE_LOAD_TIMEOUT_MS);
+        const listener = (updatedId, info) => {
+            if (updatedId === tabId && info.status === 'complete') {
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve(tabId);
+            }
+        };
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.create({ url, active: false }).then((tab) => {
+            tabId = tab.id;
+        }).catch((error) => {
+            clearTimeout(timeout);
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Load the product page in a background tab and read its details from the content script
+ * @returns {Promise<Object>} { price, title }
+ */
+async function defaultReadProductPage(url) {
+    let tabId = null;
+    try {
+        tabId = await openLoadedTab(url);
+        let lastError = 'no_price';
+        // The content script may still be loading after the page is
+        for (let attempt = 0; attempt < DETAILS_ATTEMPTS; attempt++) {
+            try {
+                const response = await sendTabAction(tabId, 'GET_PRODUCT_DETAILS', {}, { timeoutMs: 10000 });
+                const price = parsePrice(response?.data?.price);
+                if (response?.success && price > 0) return { price, title: response.data.title || null };
+                lastError = response?.error?.code || 'no_price';
+            } catch (error) {
+                lastError = error.message;
+            }
+            await sleep(2000);
+        }
+        throw new Error(lastError);
+    } catch (error) {
+        tabId = tabId ?? error.tabId ?? null;
+        throw error;
+    } finally {
+        if (tabId !== null) chrome.tabs.remove(tabId).catch(() => {});
+    }
+}
+
+function defaultNotify(id, title, message) {
+    if (!chrome.notifications?.create) return Promise.resolve();
+    return chrome.notifications.create(id, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title,
+        message,
+        priority: 2,
+    });
+}
+
+export class PriceWatchManager {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetchPage] - url -> HTML
+     * @param {Function} [options.readProductPage] - url -> { price, title }, via a background tab
+     * @param {Function} [options.notify] - (notificationId, title, message) -> Promise
+     */
+    constructor({ fetchPage = defaultFetchPage, readProductPage = defaultReadProductPage, notify = defaultNotify } = {}) {
+        this.watches = new Map(); // id -> watch
+        this.loaded = false;
+        this.fetchPage = fetchPage;
+        this.readProductPage = readProductPage;
+        this.notify = notify;
+        this.listener = null;
+        this.checking = null;
+    }
+
+    /**
+     * Called with (watch, alert) when a watch is hit
+     */
+    setListener(fn) {
+        this.listener = fn;
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get([PRICE_WATCH_STORAGE_KEY]);
+            for (const watch of Object.values(stored?.[PRICE_WATCH_STORAGE_KEY] || {})) {
+                if (watch?.id && !this.watches.has(watch.id)) this.watches.set(watch.id, watch);
+            }
+            this.loaded = true;
+        } catch (error) {
+            logger.warn('Failed to load price watches', { error: error?.message });
+        }
+        return this.watches;
+    }
+
+    async save() {
+        try {
+            await chrome.storage.local.set({ [PRICE_WATCH_STORAGE_KEY]: Object.fromEntries(this.watches) });
+        } catch (error) {
+            logger.warn('Failed to save price watches', { error: error?.message });
+        }
+    }
+
+    async list() {
+        if (!this.loaded) await this.load();
+        return [...this.watches.values()].sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async get(id) {
+        if (!this.loaded) await this.load();
+        return this.watches.get(id) || null;
+    }
+
+    /**
+     * Start watching a product and take its first price
+     * @param {Object} input - See createPriceWatch()
+     * @returns {Promise<Object>} The watch, after its first check
+     * @throws {Error} invalid_price_watch
+     */
+    async add(input) {
+        if (!this.loaded) await this.load();
+        const watch = createPriceWatch(input);
+        this.watches.set(watch.id, watch);
+        await this.save();
+        await this.syncAlarm();
+        logger.info('Price watch added', { id: watch.id, url: watch.url, targetPrice: watch.targetPrice, dropPercent: watch.dropPercent });
+        await this.check(watch);
+        return watch;
+    }
+
+    async remove(id) {
+        if (!this.loaded) await this.load();
+        const removed = this.watches.delete(id);
+        if (removed) {
+            await this.save();
+            await this.syncAlarm();
+        }
+        return removed;
+    }
+
+    /**
+     * Keep the alarm only while some watch is active
+     */
+    async syncAlarm() {
+        if (!chrome.alarms) return;
+        const active = [...this.watches.values()].some((watch) => watch.status === PRICE_WATCH_STATUS.ACTIVE);
+        const existing = await chrome.alarms.get(PRICE_WATCH_ALARM);
+        if (active && !existing) {
+            await chrome.alarms.create(PRICE_WATCH_ALARM, { periodInMinutes: CHECK_PERIOD_MINUTES });
+        } else if (!active && existing) {
+            await chrome.alarms.clear(PRICE_WATCH_ALARM);
+        }
+    }
+
+    /**
+     * Current price of a product page: page markup first, then the content script
+     */
+    async readPrice(watch) {
+        try {
+            const found = extractPriceFromHtml(await this.fetchPage(watch.url));
+            if (found) return found;
+        } catch (error) {
+            logger.debug('Price watch fetch failed, using a tab', { id: watch.id, error: error.message });
+        }
+        return { ...(await this.readProductPage(watch.url)), source: 'tab' };
+    }
+
+    /**
+     * Re-check one watch now
+     * @returns {Promise<Object|null>} The alert when the watch was hit
+     */
+    async check(watch) {
+        const now = Date.now();
+        let found;
+        try {
+            found = await this.readPrice(watch);
+        } catch (error) {
+            watch.failures += 1;
+            watch.lastError = error.message;
+            watch.lastCheckedAt = now;
+            // Back off while a page keeps failing, up to a day
+            watch.nextCheckAt = now + Math.min(watch.intervalMinutes * 2 ** (watch.failures - 1), 24 * 60) * 60 * 1000;
+            logger.warn('Price watch check failed', { id: watch.id, url: watch.url, failures: watch.failures, error: error.message });
+            await this.save();
+            return null;
+        }
+
+        if (!watch.title && found.title) watch.title = found.title;
+        recordPriceSample(watch, found.price, now);
+        priceHistory.record([{ url: watch.url, title: watch.title, platform: watch.platform, price: found.price, at: now }]).catch(() => {});
+        const result = evaluatePriceWatch(watch, found.price);
+        let alert = null;
+        if (result.hit) {
+            alert = {
+                watchId: watch.id,
+                url: watch.url,
+                platform: watch.platform,
+                title: watch.title,
+                price: found.price,
+                targetPrice: watch.targetPrice,
+                dropPercent: result.dropPercent,
+                reason: result.reason,
+                message: describePriceAlert(watch, found.price, result),
+                at: now,
+            };
+            watch.status = PRICE_WATCH_STATUS.TRIGGERED;
+            watch.triggeredAt = now;
+            watch.alert = alert;
+        }
+        await this.save();
+
+        if (alert) {
+            logger.info('Price watch hit', { id: watch.id, price: found.price, reason: result.reason });
+            await this.syncAlarm();
+            try {
+                await this.notify(`${PRICE_WATCH_NOTIFICATION_PREFIX}${watch.id}`, `Price drop: ${watch.title || watch.url}`, alert.message);
+            } catch (error) {
+                logger.warn('Price alert notification failed', { error: error?.message });
+            }
+            try {
+                this.listener?.(watch, alert);
+            } catch (error) {
+                logger.warn('Price alert listener failed', { error: error?.message });
+            }
+        }
+        return alert;
+    }
+
+    /**
+     * Check every active watch that is due, one at a time (each may open a tab)
+     * @returns {Promise<Object[]>} Alerts raised
+     */
+    async checkDue(now = Date.now()) {
+        if (this.checking) return this.checking;
+        this.checking = (async () => {
+            if (!this.loaded) await this.load();
+            const alerts = [];
+            for (const watch of this.watches.values()) {
+                if (watch.status !== PRICE_WATCH_STATUS.ACTIVE || watch.nextCheckAt > now) continue;
+                const alert = await this.check(watch);
+                if (alert) alerts.push(alert);
+            }
+            return alerts;
+        })();
+        try {
+            return await this.checking;
+        } finally {
+            this.checking = null;
+        }
+    }
+}
+
+export const priceWatches = new PriceWatchManager();
@@ -0,0 +1,149 @@
+/**
+ * Per-run automation sessions.
+ * Each shopping query from the side panel gets its own state machine, keyed by
+ * run id, with the tabs it drives mapped back to it so PAGE_LOADED events from
+ * one run never advance another.
+ */
+
+export const MAX_FINISHED_RUNS = 10; // Completed runs kept for the side panel
+
+const FINISHED_STATUSES = new Set(['COMPLETED', 'CANCELLED', 'FAILED']);
+
+let runCounter = 0;
+
+export function isFinishedStatus(status) {
+    return FINISHED_STATUSES.has(status);
+}
+
+/**
+ * Fresh state machine for one run
+ */
+export function createRunState(overrides = {}) {
+    return {
+        runId: `run_${Date.now()}_${++runCounter}`,
+        query: '',
+        status: 'IDLE', // IDLE, SEARCHING, SELECTING, COMPARING, BASKET, PRODUCT_PAGE, CHECKOUT_FLOW, COMPLETED, CANCELLED, FAILED
+        data: {},       // Parsed intent data
+        tabId: null,
+        platform: null,
+        filtersApplied: false,
+        productPageRetries: 0,  // Track retries for product page actions
+        maxProductPageRetries: 3,
+        // Comparison mode fields
+        compareMode: false,      // Whether to compare across platforms
+        platformResults: {},     // Results from each platform {platform: {products, tab}}
+        comparisonResult: null,  // Final comparison result
+        basket: null,            // Basket mode: line items with per-item status (lib/basket.js)
+        basketPlan: null,        // Basket comparison: optimizeBasket() recommendation
+        usage: null,             // LLM token/cost totals for this run (usage-tracker bucket)
+        serviceability: {},      // platform -> { serviceable, pincode, location, reason } from SET_LOCATION
+        plan: null,              // planRun() steps and warnings from the platform's capabilities
+        startedAt: Date.now(),
+        updatedAt: Date.now(),
+        ...overrides,
+    };
+}
+
+export class RunSessionManager {
+    constructor() {
+        this.runs = new Map();   // runId -> run state
+        this.tabRuns = new Map(); // tabId -> runId
+    }
+
+    create(query = '') {
+        const run = createRunState({ query });
+        this.runs.set(run.runId, run);
+        this.pruneFinished();
+        return run;
+    }
+
+    /**
+     * Register an existing run (e.g. restored from a snapshot) and its tabs
+     */
+    add(run) {
+        this.runs.set(run.runId, run);
+        if (run.tabId != null) this.bindTab(run, run.tabId);
+        for (const result of Object.values(run.platformResults || {})) {
+            if (result?.tabId != null) this.bindTab(run, result.tabId);
+        }
+        return run;
+    }
+
+    get(runId) {
+        return this.runs.get(runId) || null;
+    }
+
+    getByTab(tabId) {
+        const runId = this.tabRuns.get(tabId);
+        return runId ? this.get(runId) : null;
+    }
+
+    /**
+     * Route PAGE_LOADED events for a tab to this run. A tab belongs to at most one run.
+     */
+    bindTab(run, tabId) {
+        if (tabId == null) return;
+        this.tabRuns.set(tabId, run.runId);
+    }
+
+    unbindTab(tabId) {
+        const run = this.getByTab(tabId);
+        this.tabRuns.delete(tabId);
+        return run;
+    }
+
+    remove(runId) {
+        this.runs.delete(runId);
+        for (const [tabId, owner] of this.tabRuns) {
+            if (owner === runId) this.tabRuns.delete(tabId);
+        }
+    }
+
+    clear() {
+        this.runs.clear();
+        this.tabRuns.clear();
+    }
+
+    /**
+     * Runs that have not reached a finished status
+     */
+    active() {
+        return [...this.runs.values()].filter((run) => !isFinishedStatus(run.status));
+    }
+
+    list() {
+        return [...this.runs.values()].sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    /**
+     * Drop the oldest finished runs beyond MAX_FINISHED_RUNS
+     */
+    pruneFinished() {
+        const finished = this.list().filter((run) => isFinishedStatus(run.status));
+        for (const run of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))) {
+            this.remove(run.runId);
+        }
+    }
+}
+
+/**
+ * Plain summary of a run for the side panel
+ */
+export function summarizeRun(run) {
+    return {
+        runId: run.runId,
+        query: run.query || run.data?.originalQuery || '',
+        product: run.data?.product || null,
+        status: run.status,
+        platform: run.platform?.name || run.data?.platform || null,
+        tabId: run.tabId,
+        usage: run.usage
+            ? { calls: run.usage.calls, totalTokens: run.usage.totalTokens, costUsd: run.usage.costUsd }
+            : null,
+        stopReason: run.stopReason || null,
+        startedAt: run.startedAt,
+        updatedAt: run.updatedAt,
+    };
+}
+
+export const runSessions = new RunSessionManager();
@@ -1,13 +1,18 @@
-import { generateContent, listModels, setLogAction } from '../lib/gemini.js';
+import { listModels, setLogAction } from '../lib/gemini.js';
+import { generateJSON, loadProviderSettings, hasAnyProvider, listModels as listProviderModels } from '../lib/llm-providers.js';
 import { logger } from '../lib/logger.js';
-import { ErrorHandler, IntentParseError, APIError } from '../lib/error-handler.js';
+import { ErrorHandler, IntentParseError, APIError, StructuredOutputError, BudgetExceededError } from '../lib/error-handler.js';
 import { retryAPICall } from '../lib/retry.js';
 import { platformRegistry, EcommercePlatform } from '../lib/ecommerce-platforms.js';
 import { configManager } from '../lib/config.js';
 import { loginManager } from '../lib/login-manager.js';
 import { rankResults, isUnavailable, matchesFilters } from '../lib/product-matcher.js';
-import { analyzePage, ANALYSIS_MODES, extractAttributesWithLLM } from '../lib/page-analyzer.js';
-import { compareProducts, groupSimilarProducts, formatComparisonResult } from '../lib/product-comparator.js';
+import { analyzePage, ANALYSIS_MODES } from '../lib/page-analyzer.js';
+import { INTENT_SCHEMA } from '../lib/llm-schemas.js';
+import { usageTracker } from '../lib/usage-tracker.js';
+import { addressManager } from '../lib/address-manager.js';
+import { isLocationGated, resolveRunPincode } from '../lib/serviceability.js';
+import { compareProducts, groupSimilarProducts, formatComparisonResult, DEFAULT_COMPARISON_PREFERENCES } from '../lib/product-comparator.js';
 import {
     NonceCache,
     SUPPORTED_PROTOCOL_VERSION,
@@ -15,170 +20,245 @@ import {
     isOriginAllowed,
     redactSensitive,
 } from './bridge-security.js';
-
-
-// Create minimal platform instances for service worker
-// Full implementations are in content scripts
-class SWAmazonPlatform extends EcommercePlatform {
-    constructor() {
-        super('amazon', {
-            enabled: true,
-            domains: ['amazon.in', 'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr'],
-        });
+import { jobStore, isTerminalStatus } from './job-store.js';
+import { runComparison, DEFAULT_PER_PLATFORM_TIMEOUT_MS, DEFAULT_DEADLINE_MS } from './comparison-orchestrator.js';
+import { runBasket, priceBasket, DEFAULT_ITEM_TIMEOUT_MS, DEFAULT_PRICING_DEADLINE_MS } from './basket-runner.js';
+import { optimizeBasket, formatBasketPlan } from '../lib/basket-optimizer.js';
+import { BUILTIN_DESCRIPTORS, buildSearchUrl, createPlatformFromDescriptor, detectPlatformInText, platformAliases } from '../lib/platform-descriptors.js';
+import { syncDeclarativeScripts } from './platform-scripts.js';
+import { registerPlatformPacks, listPlatformPacks, validatePlatformPack, installPlatformPack, removePlatformPack } from './platform-packs.js';
+import { syncShopifyStoreScripts, addShopifyStore, removeShopifyStore, getShopifyStores, resolveShopifyStore } from './shopify-stores.js';
+import { createBasketItem, parseBasketText, summarizeBasket, formatBasketSummary } from '../lib/basket.js';
+import { saveRunSnapshot, loadRunSnapshots, clearRunSnapshot, deserializeState } from './state-store.js';
+import { runSessions, summarizeRun, isFinishedStatus } from './run-sessions.js';
+import { sendTabAction, responseErrorMessage, PROTOCOL_ERRORS } from '../lib/content-protocol.js';
+import { planRun, reconcileCapabilities, normalizeCapabilities } from '../lib/platform-capabilities.js';
+import { parseWatchRequest } from '../lib/price-watch.js';
+import { priceWatches, PRICE_WATCH_ALARM, PRICE_WATCH_NOTIFICATION_PREFIX } from './price-watches.js';
+import { priceHistory } from '../lib/price-history.js';
+import { orderTracker } from '../lib/order-tracker.js';
+import { importOrderHistory } from './order-import.js';
+import { trackOrderStatus, resolveTrackingUrl } from './order-tracking.js';
+import { orderPoller, ORDER_POLL_ALARM, ORDER_NOTIFICATION_PREFIX } from './order-poller.js';
+
+
+// Service-worker registry entries come from the platform descriptors;
+// the DOM-driving implementations live in content scripts
+class SWShopifyPlatform extends EcommercePlatform {
+    // Opted-in custom-domain stores count as Shopify too
+    matches(url) {
+        return super.matches(url) || getShopifyStores().some((domain) => url.includes(domain));
     }
 }
 
-class SWFlipkartPlatform extends EcommercePlatform {
-    constructor() {
-        super('flipkart', {
-            enabled: true,
-            domains: ['flipkart.com'],
-        });
+function createSWPlatform(descriptor) {
+    if (descriptor.name === 'shopify') {
+        return new SWShopifyPlatform('shopify', { enabled: true, domains: descriptor.domains, descriptor });
     }
+    return createPlatformFromDescriptor(descriptor);
 }
 
-class SWEbayPlatform extends EcommercePlatform {
-    constructor() {
-        super('ebay', {
-            enabled: true,
-            domains: ['ebay.com', 'ebay.in'],
-        });
+// Register platforms immediately
+try {
+    for (const descriptor of BUILTIN_DESCRIPTORS) {
+        platformRegistry.register(createSWPlatform(descriptor));
     }
+    
+    logger.info('Platforms registered in service worker', { 
+        count: platformRegistry.getAll().length,
+        platforms: platformRegistry.getAll().map(p => p.name)
+    });
+} catch (error) {
+    logger.error('Failed to register platforms', error);
+    console.error('Platform registration error:', error);
 }
 
-class SWWalmartPlatform extends EcommercePlatform {
-    constructor() {
-        super('walmart', {
-            enabled: true,
-            domains: ['walmart.com'],
-        });
-    }
-}
+// State management: one state machine per run, see run-sessions.js
+export { runSessions };
 
-class SWShopifyPlatform extends EcommercePlatform {
-    constructor() {
-        super('shopify', {
-            enabled: true,
-            domains: ['myshopify.com', 'shopify.com'],
-        });
+/**
+ * Drop a run (or every run when no id is given) and its snapshot
+ */
+export function resetState(runId = null) {
+    if (runId) {
+        runSessions.remove(runId);
+    } else {
+        runSessions.clear();
     }
+    clearRunSnapshot(runId);
+    if (runId) usageTracker.clearRun(runId);
+    broadcastRuns();
 }
 
-class SWAjioPlatform extends EcommercePlatform {
-    constructor() {
-        super('ajio', {
-            enabled: true,
-            domains: ['ajio.com'],
-        });
-    }
+/**
+ * Tell the side panel about the current set of runs
+ */
+function broadcastRuns() {
+    chrome.runtime.sendMessage({ type: 'RUNS_UPDATED', runs: runSessions.list().map(summarizeRun) }).catch(() => { });
 }
 
-class SWJioMartPlatform extends EcommercePlatform {
-    constructor() {
-        super('jiomart', {
-            enabled: true,
-            domains: ['jiomart.com'],
-        });
-    }
+/**
+ * Tell the side panel about today's LLM usage and per-run totals
+ */
+function broadcastUsage() {
+    const runIds = runSessions.list().map((run) => run.runId);
+    chrome.runtime.sendMessage({ type: 'USAGE_UPDATED', usage: usageTracker.summary(runIds) }).catch(() => { });
 }
 
-class SWRelianceDigitalPlatform extends EcommercePlatform {
-    constructor() {
-        super('reliancedigital', {
-            enabled: true,
-            domains: ['reliancedigital.in'],
-        });
+// Attribute each LLM call's usage to its run and refresh the side panel
+usageTracker.setListener((entry, runUsage) => {
+    const run = entry.runId ? runSessions.get(entry.runId) : null;
+    if (run && runUsage) {
+        run.usage = runUsage;
+        persistState(run);
     }
+    broadcastUsage();
+});
+
+/**
+ * Stop a run whose LLM budget is spent instead of calling the model again
+ */
+function stopRunForBudget(run, error) {
+    logger.warn('LLM budget exceeded, stopping run', { runId: run.runId, scope: error.scope, metric: error.metric });
+    logAction(`Stopped: ${error.message}. Raise the AI budget in settings to continue.`, 'warn');
+    run.stopReason = 'llm_budget_exceeded';
+    setStatus(run, 'FAILED');
 }
 
-class SWTiraBeautyPlatform extends EcommercePlatform {
-    constructor() {
-        super('tirabeauty', {
-            enabled: true,
-            domains: ['tirabeauty.com'],
-        });
-    }
+/**
+ * Snapshot a run so a restarted service worker can pick it back up
+ */
+function persistState(run) {
+    if (run.status === 'IDLE') return;
+    run.updatedAt = Date.now();
+    saveRunSnapshot(run);
+    broadcastRuns();
 }
 
-class SWBigBasketPlatform extends EcommercePlatform {
-    constructor() {
-        super('bigbasket', {
-            enabled: true,
-            domains: ['bigbasket.com'],
-        });
-    }
+/**
+ * Transition a run's state machine and snapshot the new state
+ */
+function setStatus(run, status) {
+    run.status = status;
+    persistState(run);
 }
 
-class SWBlinkitPlatform extends EcommercePlatform {
-    constructor() {
-        super('blinkit', {
-            enabled: true,
-            domains: ['blinkit.com'],
-        });
-    }
+function bumpProductPageRetries(run) {
+    run.productPageRetries++;
+    persistState(run);
 }
 
-class SWZeptoPlatform extends EcommercePlatform {
-    constructor() {
-        super('zepto', {
-            enabled: true,
-            domains: ['zepto.com', 'www.zepto.com'],
+// User-installed platform packs join the registry once the config is loaded
+const platformPacksLoaded = configManager.load()
+    .then(() => registerPlatformPacks())
+    .catch(error => {
+        logger.warn('Failed to register platform packs', { error: error.message });
+        return [];
+    });
+
+/**
+ * Rehydrate runs from their snapshots after a service-worker restart.
+ * Runs already started in this worker instance are left alone.
+ */
+async function restoreState() {
+    // Runs on a pack's platform need the pack registered first
+    await platformPacksLoaded;
+    const snapshots = await loadRunSnapshots();
+    const resolvePlatform = (name) => {
+        try {
+            return platformRegistry.get(name);
+        } catch {
+            return null;
+        }
+    };
+    let restored = 0;
+    const comparisons = [];
+    for (const snapshot of snapshots) {
+        if (runSessions.get(snapshot.runId)) continue;
+        const run = runSessions.add(deserializeState(snapshot, resolvePlatform));
+        usageTracker.restoreRun(run.runId, run.usage);
+        restored++;
+        logger.info('Restored automation run', {
+            runId: run.runId,
+            status: run.status,
+            tabId: run.tabId,
+            platform: run.platform?.name,
         });
+        if (run.status === 'COMPARING') comparisons.push(run);
     }
+    if (restored) broadcastRuns();
+    // A comparison run has no tab of its own, so no PAGE_LOADED would ever pick
+    // it back up; its orchestrator died with the worker, start it again
+    for (const run of comparisons) resumeComparison(run);
+    return restored;
 }
 
-// Register platforms immediately
-try {
-    platformRegistry.register(new SWAmazonPlatform());
-    platformRegistry.register(new SWFlipkartPlatform());
-    platformRegistry.register(new SWEbayPlatform());
-    platformRegistry.register(new SWWalmartPlatform());
-    platformRegistry.register(new SWShopifyPlatform());
-    platformRegistry.register(new SWAjioPlatform());
-    platformRegistry.register(new SWJioMartPlatform());
-    platformRegistry.register(new SWRelianceDigitalPlatform());
-    platformRegistry.register(new SWTiraBeautyPlatform());
-    platformRegistry.register(new SWBigBasketPlatform());
-    platformRegistry.register(new SWBlinkitPlatform());
-    platformRegistry.register(new SWZeptoPlatform());
-    
-    logger.info('Platforms registered in service worker', { 
-        count: platformRegistry.getAll().length,
-        platforms: platformRegistry.getAll().map(p => p.name)
-    });
-} catch (error) {
-    logger.error('Failed to register platforms', error);
-    console.error('Platform registration error:', error);
+function resumeComparison(run) {
+    logger.info('Resuming comparison after restart', { runId: run.runId });
+    const resume = run.data?.basket?.length > 1 ? startBasketComparison(run) : startComparisonMode(run);
+    resume.catch(error => logger.error('Failed to resume comparison', error));
 }
 
-// State management
-export let currentState = {
-    status: 'IDLE', // IDLE, PARSING, SEARCHING, SELECTING, COMPARING, CHECKOUT, PROCESSING_PAYMENT, COMPLETED
-    data: {},       // Parsed intent data
-    tabId: null,
-    filtersApplied: false,
-    productPageRetries: 0,  // Track retries for product page actions
-    maxProductPageRetries: 3,
-    // Comparison mode fields
-    compareMode: false,      // Whether to compare across platforms
-    platformResults: {},     // Results from each platform {platform: {products, tab}}
-    comparisonResult: null   // Final comparison result
-};
+export const stateRestored = restoreState().catch(error => {
+    logger.error('Failed to restore automation state', error);
+    return 0;
+});
 
-/**
- * Reset state to IDLE
- */
-export function resetState() {
-    currentState.status = 'IDLE';
-    currentState.data = {};
-    currentState.tabId = null;
-    currentState.filtersApplied = false;
-    currentState.productPageRetries = 0;
-    // Reset comparison mode
-    currentState.compareMode = false;
-    currentState.platformResults = {};
-    currentState.comparisonResult = null;
+// A closed tab can no longer advance its run
+chrome.tabs.onRemoved?.addListener((tabId) => {
+    const run = runSessions.unbindTab(tabId);
+    if (run && run.tabId === tabId && !isFinishedStatus(run.status)) {
+        logger.info('Run tab closed, cancelling run', { runId: run.runId, tabId });
+        setStatus(run, 'CANCELLED');
+    }
+});
+
+// Content scripts for opted-in Shopify stores and descriptor-only platforms;
+// re-synced when a host permission is revoked
+function syncDeclarativePlatformScripts() {
+    return syncDeclarativeScripts(registeredDescriptors())
+        .catch(error => logger.warn('Failed to sync declarative platform scripts', { error: error.message }));
 }
+configManager.load()
+    .then(() => syncShopifyStoreScripts())
+    .catch(error => logger.warn('Failed to sync Shopify store scripts', { error: error.message }));
+platformPacksLoaded.then(syncDeclarativePlatformScripts);
+chrome.permissions?.onRemoved?.addListener(() => {
+    syncShopifyStoreScripts().catch(error => logger.warn('Failed to sync Shopify store scripts', { error: error.message }));
+    syncDeclarativePlatformScripts();
+});
+
+// Price watches: re-check on the alarm, open the product from its notification
+priceWatches.load()
+    .then(() => priceWatches.syncAlarm())
+    .catch(error => logger.warn('Failed to start price watches', { error: error.message }));
+
+// Order status polling: refresh active orders on the alarm, open the order from its notification
+orderPoller.setDescriptorResolver((name) => getPlatformDescriptor(name));
+orderTracker.load()
+    .then(() => orderPoller.syncAlarm())
+    .catch(error => logger.warn('Failed to start order polling', { error: error.message }));
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+    if (alarm.name === PRICE_WATCH_ALARM) {
+        priceWatches.checkDue().catch(error => logger.error('Price watch check failed', error));
+    } else if (alarm.name === ORDER_POLL_ALARM) {
+        orderPoller.checkDue().catch(error => logger.error('Order status poll failed', error));
+    }
+});
+chrome.notifications?.onClicked.addListener(async (notificationId) => {
+    if (notificationId.startsWith(PRICE_WATCH_NOTIFICATION_PREFIX)) {
+        const watch = await priceWatches.get(notificationId.slice(PRICE_WATCH_NOTIFICATION_PREFIX.length));
+        if (watch) chrome.tabs.create({ url: watch.url, active: true });
+    } else if (notificationId.startsWith(ORDER_NOTIFICATION_PREFIX)) {
+        const order = orderTracker.getOrder(notificationId.slice(ORDER_NOTIFICATION_PREFIX.length));
+        const url = order ? resolveTrackingUrl(order, getPlatformDescriptor(order.platform)) : null;
+        if (url) chrome.tabs.create({ url, active: true });
+    } else {
+        return;
+    }
+    chrome.notifications.clear(notificationId);
+});
 
 // Initialize login manager
 loginManager.initialize().catch(error => {
@@ -192,7 +272,11 @@ const allowedOrigins = [
     'http://localhost:5173',
 ];
 const activePorts = new Map(); // sessionId -> port
-const activeJobs = new Map(); // sessionId -> { id, type, status, startedAt }
+const activeBaskets = new Set(); // runIds with a live basket runner
+const DEFAULT_COMPARISON_PLATFORMS = ['amazon', 'flipkart'];
+// Platforms that filter and sort results in place (AJAX/SPA); the others reload the results page
+const AJAX_RESULTS_PLATFORMS = ['flipkart', 'ebay', 'ajio', 'jiomart', 'reliancedigital', 'tirabeauty', 'bigbasket', 'blinkit', 'zepto'];
+const activeJobs = new Map(); // sessionId -> job (same object as held by jobStore)
 const sensitiveCommands = new Set(['buyNow', 'addToCart', 'openProduct', 'trackOrder', 'cancelOrder', 'initiateReturn', 'supportTicket', 'reorder']);
 const STORAGE_KEYS = ['geminiApiKey', 'openaiApiKey', 'anthropicApiKey', 'preferences'];
 const LLM_CACHE_KEY = 'llmModelCache';
@@ -204,9 +288,18 @@ function genSessionId() {
 function genJobId() {
     return (crypto?.randomUUID?.() ?? `job_${Date.now()}_${Math.random().toString(16).slice(2)}`);
 }
+/**
+ * Models served by a self-hosted OpenAI-compatible endpoint, in the CHECK_MODELS shape
+ */
+async function listLocalModels(local) {
+    const ids = await listProviderModels('local', local?.apiKey, { baseUrl: local?.baseUrl });
+    return ids.map((id) => ({ name: id, displayName: id, supportedGenerationMethods: ['chat'] }));
+}
+
 async function chooseProviderAndModel() {
     const today = new Date().toDateString();
     const storedKeys = await chrome.storage.local.get(['geminiApiKey', 'openaiApiKey', 'anthropicApiKey', LLM_CACHE_KEY]);
+    const { local } = await loadProviderSettings();
     const cache = storedKeys[LLM_CACHE_KEY];
     if (cache && cache.date === today && cache.model && cache.provider) {
         return cache;
@@ -224,6 +317,7 @@ async function chooseProviderAndModel() {
             { name: 'claude-3-opus', displayName: 'claude-3-opus', supportedGenerationMethods: ['chat'] },
             { name: 'claude-3-haiku', displayName: 'claude-3-haiku', supportedGenerationMethods: ['chat'] },
         ]) },
+        { name: 'local', key: local?.baseUrl, list: () => listLocalModels(local) },
     ];
 
     for (const p of providers) {
@@ -243,10 +337,15 @@ async function chooseProviderAndModel() {
     return null;
 }
 
-function startJob(sessionId, type) {
+// Restore checkpointed bridge jobs so resumeJob works after a worker restart
+jobStore.load().catch(error => {
+    logger.error('Failed to initialize bridge job store', error);
+});
+
+function startJob(sessionId, type, intent = null) {
     // Cancel any existing job for this session to avoid collisions
     cancelJob(sessionId, 'superseded');
-    const job = { id: genJobId(), type, status: 'running', startedAt: Date.now() };
+    const job = jobStore.create({ id: genJobId(), type, sessionId, intent });
     activeJobs.set(sessionId, job);
     return job;
 }
@@ -254,14 +353,25 @@ function startJob(sessionId, type) {
 function cancelJob(sessionId, reason = 'disconnected') {
     const job = activeJobs.get(sessionId);
     if (job) {
-        job.status = 'cancelled';
-        job.cancelledAt = Date.now();
-        job.reason = reason;
+        if (!isTerminalStatus(job.status)) {
+            job.status = 'cancelled';
+            job.cancelledAt = Date.now();
+            job.reason = reason;
+        }
         activeJobs.delete(sessionId);
+        jobStore.checkpoint(job.id);
     }
     return job;
 }
 
+/**
+ * Whether a job's runner should stop: the job was cancelled or has already
+ * finished. A detached job keeps running so a new port can resumeJob it.
+ */
+function isJobCancelled(job) {
+    return isTerminalStatus(job.status);
+}
+
 function getPort(sessionId) {
     return activePorts.get(sessionId);
 }
@@ -272,13 +382,24 @@ function emitToSession(sessionId, message) {
     port.postMessage(redactSensitive(message));
 }
 
+/**
+ * Emit an event that belongs to a job: it is recorded (redacted) in the job's
+ * replay log and sent to whichever session the job is currently attached to.
+ */
+function emitJobEvent(job, message) {
+    const event = jobStore.recordEvent(job.id, redactSensitive(message));
+    emitToSession(job.sessionId, event);
+    jobStore.saveEvents(job.id);
+    return event;
+}
+
 function emitLog(sessionId, level, message, context = {}) {
     logger[level]?.(message, context);
     emitToSession(sessionId, { type: 'log', level, message, context: redactSensitive(context) });
 }
 
-function emitProgress(sessionId, step, detail) {
-    emitToSession(sessionId, { type: 'progress', step, detail });
+function emitProgress(job, step, detail) {
+    emitJobEvent(job, { type: 'progress', step, detail });
 }
 
 function mapError(err) {
@@ -289,14 +410,69 @@ function mapError(err) {
 
 function emitErrorEvent(sessionId, jobId, err, context = {}) {
     const mapped = mapError(err);
-    emitToSession(sessionId, {
+    const message = {
         type: 'error',
         jobId,
         error: mapped.message,
         code: mapped.code,
         retryable: mapped.retryable,
         context: redactSensitive(context),
-    });
+    };
+    const job = jobStore.get(jobId);
+    if (job) {
+        emitJobEvent(job, message);
+    } else {
+        emitToSession(sessionId, message);
+    }
+}
+
+// A watch hit goes to the side panel and to every connected web app session
+priceWatches.setListener((watch, alert) => {
+    for (const sessionId of activePorts.keys()) {
+        emitToSession(sessionId, { type: 'priceAlert', alert });
+    }
+    chrome.runtime.sendMessage({ type: 'PRICE_ALERT', alert }).catch(() => { });
+    logAction(`📉 ${watch.title || watch.url}: ${alert.message}`, 'info');
+});
+
+// Order status changes reach the side panel and every connected web app session
+orderPoller.setListener((order, update) => {
+    for (const sessionId of activePorts.keys()) {
+        emitToSession(sessionId, { type: 'orderUpdate', update });
+    }
+    chrome.runtime.sendMessage({ type: 'ORDER_UPDATE', update }).catch(() => { });
+    logAction(`📦 ${update.title}: ${update.message}`, 'info');
+});
+
+/**
+ * Start a price watch; the platform comes from the URL when not given
+ */
+function addPriceWatch(input = {}) {
+    const platform = input.platform || (input.url ? platformRegistry.getByUrl(input.url)?.name : null) || null;
+    return priceWatches.add({ ...input, platform });
+}
+
+/**
+ * Keep the prices of sampled products; never delays or fails the caller
+ */
+function recordPrices(products = [], platform = null) {
+    const samples = products.filter(Boolean).map((product) => ({ ...product, platform: product.platform || platform }));
+    priceHistory.record(samples).catch(() => { });
+}
+
+/**
+ * Send a product's price history and deal verdict to the side panel
+ * @returns {Promise<Object|null>} The history, or null when the product was never sampled
+ */
+async function showPriceHistory(product) {
+    try {
+        const history = await priceHistory.summarize(product);
+        if (history) chrome.runtime.sendMessage({ type: 'PRICE_HISTORY', history }).catch(() => { });
+        return history;
+    } catch (error) {
+        logger.warn('Failed to read price history', { error: error?.message });
+        return null;
+    }
 }
 
 // Test hooks
@@ -307,6 +483,7 @@ export function __test_clearPorts() {
     activePorts.clear();
 }
 export const __test_handleWebCommand = handleWebCommand;
+export const __test_restoreState = restoreState;
 
 function enforceUserGesture(command, payload = {}) {
     if (sensitiveCommands.has(command) && !payload.userGesture) {
@@ -316,27 +493,62 @@ function enforceUserGesture(command, payload = {}) {
     }
 }
 
+/**
+ * Descriptor of a registered platform, or null
+ */
+function getPlatformDescriptor(name) {
+    return platformRegistry.has(name) ? platformRegistry.get(name).config.descriptor || null : null;
+}
+
+function registeredDescriptors() {
+    return platformRegistry.getAll().map((platform) => platform.config.descriptor).filter(Boolean);
+}
+
+/**
+ * Declared capabilities of a registered platform (all false when unknown)
+ */
+function getPlatformCapabilities(name) {
+    return platformRegistry.has(name) ? platformRegistry.get(name).getCapabilities() : normalizeCapabilities();
+}
+
+/**
+ * Plan a single-platform run and tell the user what the platform can't do.
+ * Warnings already shown for the run are not repeated.
+ */
+function planPlatformRun(run, capabilities) {
+    const shown = new Set((run.plan?.warnings || []).map((warning) => warning.code));
+    run.plan = planRun(capabilities, run.data);
+    for (const warning of run.plan.warnings) {
+        if (!shown.has(warning.code)) logAction(`⚠️ ${warning.message}`, 'warn');
+    }
+    persistState(run);
+    return run.plan;
+}
+
+/**
+ * Re-plan from what the page's content script reports (GET_CAPABILITIES), once
+ * per run. A page that can't answer leaves the declared plan in place.
+ */
+async function confirmRunCapabilities(run, tabId) {
+    if (run.plan?.confirmed) return run.plan;
+    try {
+        const response = await sendTabAction(tabId, 'GET_CAPABILITIES', {}, { timeoutMs: 5000 });
+        if (response.success) {
+            planPlatformRun(run, reconcileCapabilities(response.data.capabilities, response.data.actions));
+            run.plan.confirmed = true;
+            persistState(run);
+        }
+    } catch (error) {
+        logger.debug('Content script did not report capabilities', { tabId, error: error.message });
+    }
+    return run.plan;
+}
+
 function detectPlatformFromText(lowerText) {
-    // Order matters! Check more specific patterns first
-    if (lowerText.includes('amazon')) return 'amazon';
-    if (lowerText.includes('flipkart')) return 'flipkart';
-    if (lowerText.includes('ebay')) return 'ebay';
-    if (lowerText.includes('walmart')) return 'walmart';
-    // Check 'ajio' BEFORE 'jio' because 'ajio' contains 'jio'
-    if (lowerText.includes('ajio')) return 'ajio';
-    // Check 'jiomart' before 'jio' to be specific
-    if (lowerText.includes('jio mart') || lowerText.includes('jiomart')) return 'jiomart';
-    // Check 'reliance digital' before 'reliance'
-    if (lowerText.includes('reliance digital') || lowerText.includes('reliancedigital')) return 'reliancedigital';
-    // Check 'tira beauty' or 'tirabeauty' before 'tira'
-    if (lowerText.includes('tira beauty') || lowerText.includes('tirabeauty')) return 'tirabeauty';
-    if (lowerText.includes('bigbasket') || lowerText.includes('big basket')) return 'bigbasket';
-    if (lowerText.includes('blinkit')) return 'blinkit';
-    if (lowerText.includes('zepto')) return 'zepto';
-    // Fallback to partial matches (less specific)
-    if (lowerText.includes('jio')) return 'jiomart';
-    if (lowerText.includes('reliance')) return 'reliancedigital';
-    if (lowerText.includes('tira')) return 'tirabeauty';
+    // Descriptor aliases are checked in registry order, e.g. "ajio" before JioMart's "jio"
+    const platform = detectPlatformInText(lowerText, registeredDescriptors());
+    if (platform) return platform;
+    if (getShopifyStores().some((domain) => lowerText.includes(domain))) return 'shopify';
     return null;
 }
 
@@ -362,29 +574,16 @@ async function parseIntentLocal(query) {
 }
 
 function getSearchUrlForPlatform(platform, query) {
-    const q = encodeURIComponent(query);
-    switch (platform) {
-        case 'amazon':
-            return `https://www.amazon.in/s?k=${q}`;
-        case 'flipkart':
-            return `https://www.flipkart.com/search?q=${q}`;
-        case 'ajio':
-            return `https://www.ajio.com/search/?text=${q}`;
-        case 'jiomart':
-            return `https://www.jiomart.com/search?q=${q}`;
-        case 'reliancedigital':
-            return `https://www.reliancedigital.in/search?q=${q}`;
-        case 'tirabeauty':
-            return `https://www.tirabeauty.com/products/?q=${q}`;
-        case 'bigbasket':
-            return `https://www.bigbasket.com/ps/?q=${q}`;
-        case 'blinkit':
-            return `https://www.blinkit.com/s/?q=${q}`;
-        case 'zepto':
-            return `https://www.zepto.com/search?q=${q}`;
-        default:
-            return `https://www.${platform}.com/s?k=${q}`;
+    const descriptor = getPlatformDescriptor(platform);
+    if (!descriptor) {
+        return `https://www.${platform}.com/s?k=${encodeURIComponent(query)}`;
+    }
+    if (platform === 'shopify') {
+        const store = resolveShopifyStore(query);
+        if (!store) throw new Error('no_shopify_store');
+        return buildSearchUrl(descriptor, query, { store });
     }
+    return buildSearchUrl(descriptor, query);
 }
 
 async function openPlatformSearchTab(platform, query) {
@@ -395,10 +594,301 @@ async function openPlatformSearchTab(platform, query) {
     return tab;
 }
 
-function pickWinner(products = []) {
-    if (!Array.isArray(products) || products.length === 0) return null;
-    const sorted = [...products].sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
-    return sorted[0];
+/**
+ * `compare` with a query: search the platforms in parallel and rank what comes back
+ */
+async function runBridgeComparison(job, payload) {
+    const query = payload.query;
+    const platforms = Array.isArray(payload.platforms) && payload.platforms.length
+        ? payload.platforms
+        : configManager.get('comparison.platforms', DEFAULT_COMPARISON_PLATFORMS);
+    await jobStore.checkpoint(job.id, { intent: { query, platforms } });
+    emitProgress(job, 'comparing', { platforms });
+
+    const preferences = await getComparisonPreferences(payload.preferences);
+    const announced = new Set();
+    const result = await runComparison({
+        query,
+        platforms,
+        rank: (products) => compareProducts(products, preferences),
+        filters: payload.filters || {},
+        getSearchUrl: getSearchUrlForPlatform,
+        prepareTab: (platform, tabId) => prepareSearchTab(platform, tabId, { delivery_location: payload.pincode }),
+        perPlatformTimeoutMs: payload.perPlatformTimeoutMs || configManager.get('comparison.perPlatformTimeoutMs', DEFAULT_PER_PLATFORM_TIMEOUT_MS),
+        deadlineMs: payload.deadlineMs || configManager.get('comparison.deadlineMs', DEFAULT_DEADLINE_MS),
+        isCancelled: () => isJobCancelled(job),
+        onUpdate: (entry) => {
+            if (entry.tabId && !announced.has(entry.platform)) {
+                announced.add(entry.platform);
+                job.openedTabs.push({ platform: entry.platform, tabId: entry.tabId });
+                emitJobEvent(job, { type: 'tabOpened', platform: entry.platform, tabId: entry.tabId });
+            }
+            if (entry.status !== 'collecting') {
+                emitProgress(job, `platform:${entry.status}`, { platform: entry.platform, count: entry.products.length, error: entry.error });
+            }
+        },
+    });
+    if (isJobCancelled(job)) return;
+
+    recordPrices(result.ranked);
+    await jobStore.checkpoint(job.id, { partialResults: result.ranked });
+    if (payload.closeLosers !== false && result.winner) {
+        closeTabs(job.openedTabs.filter((t) => t.platform !== result.winner.platform));
+    }
+    job.status = 'completed';
+    emitJobEvent(job, {
+        type: 'comparisonReady',
+        jobId: job.id,
+        result: {
+            candidates: result.ranked,
+            winnerId: result.winner?.id,
+            winner: result.winner,
+            groups: result.groups,
+            platforms: result.platforms,
+            partial: result.partial,
+            weights: result.weights,
+        },
+    });
+    emitJobEvent(job, { type: 'completed', jobId: job.id });
+}
+
+/**
+ * `optimizeBasket`: price a shopping list (items or list text) on grocery
+ * platforms and report the cheapest single-platform fill or split
+ */
+async function runBridgeBasketOptimizer(job, payload) {
+    const rawItems = Array.isArray(payload.items) && payload.items.length
+        ? payload.items
+        : parseBasketText(payload.list || payload.query || '');
+    const items = rawItems.map(createBasketItem).filter((item) => item.product);
+    if (!items.length) throw new Error('invalid_basket');
+    const platforms = Array.isArray(payload.platforms) && payload.platforms.length
+        ? payload.platforms
+        : getBasketComparisonPlatforms();
+    await jobStore.checkpoint(job.id, { intent: { items, platforms, pincode: payload.pincode || null } });
+    emitProgress(job, 'pricingBasket', { platforms, items: items.length });
+
+    const announced = new Set();
+    const { plan, pricing } = await priceAndOptimizeBasket(items, platforms, {
+        intent: { delivery_location: payload.pincode },
+        overrides: payload,
+        isCancelled: () => isJobCancelled(job),
+        onUpdate: (entry) => {
+            if (entry.tabId && !announced.has(entry.platform)) {
+                announced.add(entry.platform);
+                job.openedTabs.push({ platform: entry.platform, tabId: entry.tabId });
+                emitJobEvent(job, { type: 'tabOpened', platform: entry.platform, tabId: entry.tabId });
+            }
+            if (entry.status !== 'collecting') {
+                emitProgress(job, `platform:${entry.status}`, { platform: entry.platform, searched: entry.searched, error: entry.error });
+            }
+        },
+    });
+    if (isJobCancelled(job)) return;
+
+    await jobStore.checkpoint(job.id, { partialResults: plan.best });
+    if (payload.closeTabs !== false) {
+        const keep = new Set(plan.best?.platforms || []);
+        closeTabs(job.openedTabs.filter((t) => !keep.has(t.platform)));
+    }
+    job.status = 'completed';
+    emitJobEvent(job, {
+        type: 'basketOptimized',
+        jobId: job.id,
+        result: { ...plan, items, pricing },
+    });
+    emitJobEvent(job, { type: 'completed', jobId: job.id });
+}
+
+/**
+ * Platforms whose order history can be imported: registered, enabled and
+ * declaring an ordersUrl
+ */
+function getOrderImportPlatforms() {
+    return platformRegistry.getEnabled()
+        .map((platform) => platform.name)
+        .filter((name) => getPlatformDescriptor(name)?.ordersUrl);
+}
+
+/**
+ * Import order history from each platform in turn (each opens a background tab)
+ * @param {Object} options - { platforms, maxPages, useLLM, isCancelled, onProgress, onTab }
+ * @returns {Promise<Object>} platform -> { added, updated, found, pages, source } or { error, reason }
+ */
+async function importOrders({ platforms, maxPages, useLLM = true, isCancelled = () => false, onProgress = () => {}, onTab = () => {} } = {}) {
+    const names = Array.isArray(platforms) && platforms.length ? platforms : getOrderImportPlatforms();
+    const results = {};
+    for (const name of names) {
+        if (isCancelled()) break;
+        const ordersUrl = getPlatformDescriptor(name)?.ordersUrl;
+        if (!ordersUrl) {
+            results[name] = { error: 'no_orders_page', reason: `${name} has no order-history page` };
+            continue;
+        }
+        try {
+            const { orders, ...summary } = await importOrderHistory({
+                platform: name,
+                ordersUrl,
+                maxPages,
+                useLLM,
+                isCancelled,
+                onProgress,
+                openTab: async () => {
+                    const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+                    onTab(name, tab.id);
+                    return tab;
+                },
+            });
+            results[name] = summary;
+        } catch (error) {
+            logger.warn(`Order import failed on ${name}`, { error: error.message });
+            results[name] = { error: error.code || error.message, reason: error.reason || null };
+        }
+    }
+    // Imported orders still on their way get polled
+    await orderPoller.syncAlarm();
+    return results;
+}
+
+async function runBridgeOrderImport(job, payload) {
+    const platforms = Array.isArray(payload.platforms) && payload.platforms.length
+        ? payload.platforms
+        : getOrderImportPlatforms();
+    emitProgress(job, 'importingOrders', { platforms });
+    const results = await importOrders({
+        platforms,
+        maxPages: payload.maxPages,
+        useLLM: payload.useLLM !== false,
+        isCancelled: () => isJobCancelled(job),
+        onTab: (platform, tabId) => job.openedTabs.push({ platform, tabId }),
+        onProgress: ({ platform, page, found, source }) => emitProgress(job, 'platform:ordersPage', { platform, page, found, source }),
+    });
+    if (isJobCancelled(job)) return;
+    job.status = 'completed';
+    emitJobEvent(job, { type: 'completed', jobId: job.id, result: { platforms: results } });
+}
+
+/**
+ * Track one order in a background tab. Orders the tracker doesn't know yet are
+ * added first when the payload names their platform.
+ */
+async function runBridgeOrderTracking(job, payload) {
+    if (!payload.orderId) throw new Error('invalid_order');
+    await orderTracker.load();
+    let order = orderTracker.getOrder(payload.orderId);
+    if (!order) {
+        if (!payload.platform) throw new Error('order_not_found');
+        order = await orderTracker.addOrder({
+            orderId: payload.orderId,
+            platform: payload.platform,
+            trackingUrl: payload.trackingUrl || null,
+            orderDate: null,
+        });
+    }
+    emitProgress(job, 'trackingOrder', { orderId: order.orderId, platform: order.platform });
+
+    const { tracking, changed, previousStatus, source } = await trackOrderStatus(order.orderId, {
+        descriptor: getPlatformDescriptor(order.platform),
+        useLLM: payload.useLLM !== false,
+        onTab: (tabId) => {
+            job.openedTabs.push({ platform: order.platform, tabId });
+            emitJobEvent(job, { type: 'tabOpened', platform: order.platform, tabId });
+        },
+    });
+    await orderPoller.syncAlarm();
+    if (isJobCancelled(job)) return;
+
+    const result = {
+        orderId: order.orderId,
+        platform: order.platform,
+        status: order.status,
+        previousStatus,
+        changed,
+        statusText: order.statusText,
+        estimatedDelivery: order.estimatedDelivery,
+        deliveredAt: order.deliveredAt,
+        events: tracking.events,
+        trackingNumber: order.trackingNumber,
+        carrier: order.carrier,
+        source,
+    };
+    emitJobEvent(job, { type: 'orderStatus', jobId: job.id, order: result });
+    job.status = 'completed';
+    emitJobEvent(job, { type: 'completed', jobId: job.id, result });
+}
+
+const SET_LOCATION_TIMEOUT_MS = 20000;
+const SET_LOCATION_ATTEMPTS = 3;
+
+/**
+ * Set the delivery pincode on a pincode-gated platform's tab before searching.
+ * The pincode comes from the query (delivery_location) or the default address.
+ * Retries while the content script is still loading.
+ * @returns {Promise<Object>} { serviceable: true|false|null, pincode, location, changed, reason }
+ */
+async function ensureDeliveryLocation(platform, tabId, intent = {}) {
+    if (!isLocationGated(platform)) {
+        return { serviceable: null, pincode: null, location: null, changed: false, reason: 'not_location_gated' };
+    }
+    await addressManager.load();
+    const pincode = resolveRunPincode(intent, addressManager.getDefaultAddress());
+    if (!pincode) {
+        return { serviceable: null, pincode: null, location: null, changed: false, reason: 'no_pincode' };
+    }
+
+    let lastError = 'no_response';
+    for (let attempt = 1; attempt <= SET_LOCATION_ATTEMPTS; attempt++) {
+        try {
+            const response = await sendTabAction(tabId, 'SET_LOCATION', { pincode }, { timeoutMs: SET_LOCATION_TIMEOUT_MS });
+            // A failed attempt still carries the page's answer (e.g. picker not found) in data
+            if (response.success || response.data) {
+                const result = response.data || {};
+                return {
+                    serviceable: result.serviceable ?? null,
+                    pincode,
+                    location: result.location || null,
+                    changed: Boolean(result.changed),
+                    reason: result.reason || response.error?.message || null,
+                };
+            }
+            lastError = responseErrorMessage(response);
+        } catch (error) {
+            lastError = error.message;
+        }
+        if (attempt < SET_LOCATION_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    logger.warn(`Could not set delivery location on ${platform}`, { tabId, error: lastError });
+    return { serviceable: null, pincode, location: null, changed: false, reason: lastError };
+}
+
+/**
+ * Set the delivery location on a freshly opened search tab and reload it when
+ * the location changed, so results and prices are for that pincode. Skipped
+ * when the plan (by default the platform's declared one) has no setLocation.
+ */
+async function prepareSearchTab(platform, tabId, intent = {}, plan = null) {
+    const { setLocation } = plan || planRun(getPlatformCapabilities(platform), intent);
+    if (!setLocation) {
+        return { serviceable: null, pincode: null, location: null, changed: false, reason: 'location_unsupported' };
+    }
+    const result = await ensureDeliveryLocation(platform, tabId, intent);
+    if (result.serviceable === false) {
+        logAction(`${platform} does not deliver to ${result.pincode}`, 'warn');
+    } else if (result.reason === 'no_pincode') {
+        logger.info(`No pincode saved; ${platform} will use its current delivery location`);
+    }
+    if (result.changed && result.serviceable !== false) {
+        await chrome.tabs.reload(tabId);
+    }
+    return result;
+}
+
+/**
+ * Weights from the side panel's comparison sliders (retailAgentConfig.comparisonPreferences)
+ */
+async function getComparisonPreferences(overrides = null) {
+    await configManager.load();
+    return { ...configManager.get('comparisonPreferences', DEFAULT_COMPARISON_PREFERENCES), ...(overrides || {}) };
 }
 
 async function closeTabs(tabs = []) {
@@ -413,6 +903,91 @@ async function closeTabs(tabs = []) {
     }
 }
 
+/**
+ * Open search tabs for a bridge job, checkpointing after each tab so an
+ * interrupted job can be resumed without reopening platforms it already covered.
+ */
+async function runSearchPlatforms(job) {
+    const { query, platforms = [], pincode = null, filters = {} } = job.intent || {};
+    const done = new Set(job.openedTabs.map((t) => t.platform));
+    for (const p of platforms) {
+        if (done.has(p)) continue;
+        if (isJobCancelled(job)) return;
+        try {
+            const tab = await openPlatformSearchTab(p, query);
+            job.openedTabs.push({ platform: p, tabId: tab.id });
+            await jobStore.checkpoint(job.id, { step: `opened:${p}` });
+            const { warnings } = planRun(getPlatformCapabilities(p), { filters });
+            emitJobEvent(job, { type: 'tabOpened', platform: p, tabId: tab.id, warnings });
+            if (isLocationGated(p)) {
+                const location = await prepareSearchTab(p, tab.id, { delivery_location: pincode });
+                emitJobEvent(job, { type: 'serviceability', platform: p, tabId: tab.id, ...location });
+            }
+        } catch (e) {
+            emitJobEvent(job, { type: 'error', platform: p, error: e?.message || 'open_failed' });
+        }
+    }
+    if (isJobCancelled(job)) return;
+    job.status = 'completed';
+    emitJobEvent(job, { type: 'completed', jobId: job.id, opened: job.openedTabs });
+}
+
+// Job types that can continue from their checkpoint after a worker restart
+const resumableJobRunners = {
+    searchPlatforms: runSearchPlatforms,
+};
+
+/**
+ * Reattach an existing job to a (new) session, replay events the client missed
+ * and continue the job if the worker was restarted while it was running.
+ */
+async function resumeBridgeJob(jobId, sessionId, lastSeq = 0) {
+    if (!jobId) throw new Error('invalid_job_id');
+    if (!jobStore.loaded) await jobStore.load();
+    const target = jobStore.get(jobId);
+    if (!target) throw new Error('job_not_found');
+    if (target.status === 'cancelled') {
+        return { resumed: false, jobId, reason: 'job_cancelled' };
+    }
+
+    const previousStatus = target.status;
+    await jobStore.reattach(jobId, sessionId);
+    const missed = jobStore.eventsSince(jobId, Number(lastSeq) || 0);
+    for (const event of missed) {
+        emitToSession(sessionId, { ...event, replayed: true });
+    }
+
+    let continued = false;
+    if (previousStatus === 'detached') {
+        // Still running in this worker; events now flow to the new session
+        target.status = 'running';
+        await jobStore.checkpoint(jobId);
+    } else if (previousStatus === 'interrupted') {
+        const runner = resumableJobRunners[target.type];
+        if (runner) {
+            target.status = 'running';
+            await jobStore.checkpoint(jobId, { step: target.step });
+            continued = true;
+            runner(target).catch((err) => {
+                target.status = 'error';
+                emitErrorEvent(sessionId, target.id, err, { command: target.type, resumed: true });
+            });
+        } else {
+            await jobStore.checkpoint(jobId, { status: 'error', reason: 'not_resumable' });
+            emitErrorEvent(sessionId, target.id, { code: 'not_resumable' }, { command: target.type });
+        }
+    }
+
+    return {
+        resumed: true,
+        jobId,
+        status: target.status,
+        replayed: missed.length,
+        continued,
+        lastSeq: target.nextSeq - 1,
+    };
+}
+
 async function handleWebCommand(msg, sessionId) {
     const { command, payload = {} } = msg || {};
     enforceUserGesture(command, payload);
@@ -440,13 +1015,13 @@ async function handleWebCommand(msg, sessionId) {
         }
     }
     const job = startJob(sessionId, command);
-    emitProgress(sessionId, command, { jobId: job.id });
+    emitProgress(job, command, { jobId: job.id });
     try {
         switch (command) {
             case 'parseIntent': {
                 const result = await parseIntentLocal(payload.query);
                 job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id, result });
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result });
                 break;
             }
             case 'searchPlatforms': {
@@ -462,38 +1037,109 @@ async function handleWebCommand(msg, sessionId) {
                 if (!platforms.length) {
                     platforms = ['amazon', 'flipkart', 'ajio', 'jiomart', 'reliancedigital', 'tirabeauty', 'bigbasket', 'blinkit', 'zepto'];
                 }
-                const opened = [];
-                for (const p of platforms) {
-                    try {
-                        const tab = await openPlatformSearchTab(p, query);
-                        opened.push({ platform: p, tabId: tab.id });
-                        emitToSession(sessionId, { type: 'tabOpened', platform: p, tabId: tab.id });
-                    } catch (e) {
-                        emitToSession(sessionId, { type: 'error', platform: p, error: e?.message || 'open_failed' });
-                    }
-                }
-                job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id, opened });
+                const pincode = intent.pincode || payload.pincode || null;
+                const filters = intent.filters || {};
+                await jobStore.checkpoint(job.id, { intent: { query, platforms, pincode, filters } });
+                await runSearchPlatforms(job);
                 break;
             }
             case 'compare': {
+                if (!payload.products && payload.query) {
+                    await runBridgeComparison(job, payload);
+                    break;
+                }
                 const products = payload.products || [];
-                const winner = pickWinner(products);
+                recordPrices(products);
+                const preferences = await getComparisonPreferences(payload.preferences);
+                const { winner, candidates, weights } = compareProducts(products, preferences);
+                await jobStore.checkpoint(job.id, { partialResults: candidates });
                 if (payload?.opened && payload.opened.length) {
                     const losers = payload.opened.filter((t) => t.platform !== winner?.platform);
                     closeTabs(losers);
                 }
                 job.status = 'completed';
-                emitToSession(sessionId, {
+                emitJobEvent(job, {
                     type: 'comparisonReady',
                     jobId: job.id,
-                    result: { candidates: products, winnerId: winner?.id, winner },
+                    result: { candidates, winnerId: winner?.id, winner, weights, groups: groupSimilarProducts(candidates) },
+                });
+                emitJobEvent(job, { type: 'completed', jobId: job.id });
+                break;
+            }
+            case 'optimizeBasket': {
+                await runBridgeBasketOptimizer(job, payload);
+                break;
+            }
+            case 'getCapabilities': {
+                // What each platform supports, and with an intent, the warnings a run would raise
+                const names = payload.platforms?.length
+                    ? payload.platforms
+                    : platformRegistry.getEnabled().map((platform) => platform.name);
+                const result = {};
+                for (const name of names) {
+                    const capabilities = getPlatformCapabilities(name);
+                    result[name] = { known: platformRegistry.has(name), capabilities };
+                    if (payload.intent) result[name].plan = planRun(capabilities, payload.intent);
+                }
+                job.status = 'completed';
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result: { platforms: result } });
+                break;
+            }
+            case 'watchPrice': {
+                // Alerts arrive later as `priceAlert` events on every connected session
+                const watch = await addPriceWatch({
+                    url: payload.url || payload.product?.url,
+                    title: payload.title || payload.product?.title,
+                    platform: payload.platform || payload.product?.platform,
+                    targetPrice: payload.targetPrice,
+                    dropPercent: payload.dropPercent,
+                    intervalMinutes: payload.intervalMinutes,
                 });
-                emitToSession(sessionId, { type: 'completed', jobId: job.id });
+                job.status = 'completed';
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result: { watch } });
+                break;
+            }
+            case 'listPriceWatches': {
+                job.status = 'completed';
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result: { watches: await priceWatches.list() } });
+                break;
+            }
+            case 'getPriceHistory': {
+                const product = payload.product || payload.url;
+                if (!product) throw new Error('invalid_product');
+                job.status = 'completed';
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result: { history: await priceHistory.summarize(product) } });
+                break;
+            }
+            case 'removePriceWatch': {
+                const removed = await priceWatches.remove(payload.watchId);
+                job.status = 'completed';
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result: { removed } });
+                break;
+            }
+            case 'importOrders': {
+                await runBridgeOrderImport(job, payload);
+                break;
+            }
+            case 'listOrders': {
+                await orderTracker.load();
+                const orders = payload.platform ? orderTracker.getOrdersByPlatform(payload.platform) : orderTracker.getAllOrders();
+                job.status = 'completed';
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result: { orders } });
                 break;
             }
             case 'cancelJob': {
-                const cancelled = cancelJob(sessionId, 'user_cancelled');
+                let cancelled = payload.jobId ? jobStore.get(payload.jobId) : null;
+                if (cancelled) {
+                    // Checkpointed job, possibly started by an earlier session
+                    if (!isTerminalStatus(cancelled.status)) {
+                        cancelled.status = 'cancelled';
+                        cancelled.reason = 'user_cancelled';
+                    }
+                    await jobStore.checkpoint(cancelled.id);
+                } else {
+                    cancelled = cancelJob(sessionId, 'user_cancelled');
+                }
                 if (cancelled?.tabId) {
                     try { await chrome.tabs.remove(cancelled.tabId); } catch (_e) {}
                 }
@@ -502,18 +1148,23 @@ async function handleWebCommand(msg, sessionId) {
                 break;
             }
             case 'resumeJob': {
-                emitToSession(sessionId, { type: 'log', level: 'info', message: 'resume requested - stub' });
+                const result = await resumeBridgeJob(payload.jobId, sessionId, payload.lastSeq);
                 job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id, result: { resumed: false, reason: 'not_supported' } });
+                emitJobEvent(job, { type: 'completed', jobId: job.id, result });
+                if (result.resumed) {
+                    // Later cancelJob commands from this session target the resumed job
+                    activeJobs.set(sessionId, jobStore.get(payload.jobId));
+                }
                 break;
             }
             case 'openProduct': {
                 const product = payload.product;
                 if (!product?.url) throw new Error('invalid_product');
                 const tab = await chrome.tabs.create({ url: product.url, active: true });
-                emitToSession(sessionId, { type: 'productOpened', jobId: job.id, productId: product.id, tabId: tab.id });
+                emitJobEvent(job, { type: 'productOpened', jobId: job.id, productId: product.id, tabId: tab.id });
+                showPriceHistory(product);
                 job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id });
+                emitJobEvent(job, { type: 'completed', jobId: job.id });
                 break;
             }
             case 'buyNow':
@@ -521,9 +1172,9 @@ async function handleWebCommand(msg, sessionId) {
                 const product = payload.product;
                 if (!product?.url) throw new Error('invalid_product');
                 const tab = await chrome.tabs.create({ url: product.url, active: true });
-                emitToSession(sessionId, { type: 'productOpened', jobId: job.id, productId: product.id, tabId: tab.id });
+                emitJobEvent(job, { type: 'productOpened', jobId: job.id, productId: product.id, tabId: tab.id });
                 job.status = 'completed';
-                emitToSession(sessionId, {
+                emitJobEvent(job, {
                     type: 'needsUserAction',
                     jobId: job.id,
                     reason: 'checkout_boundary',
@@ -531,13 +1182,11 @@ async function handleWebCommand(msg, sessionId) {
                     tabId: tab.id,
                     product,
                 });
-                emitToSession(sessionId, { type: 'completed', jobId: job.id });
+                emitJobEvent(job, { type: 'completed', jobId: job.id });
                 break;
             }
             case 'trackOrder': {
-                // Placeholder: best-effort; real impl would query platform-specific trackers.
-                job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id, result: { status: 'unknown' } });
+                await runBridgeOrderTracking(job, payload);
                 break;
             }
             case 'cancelOrder':
@@ -546,13 +1195,13 @@ async function handleWebCommand(msg, sessionId) {
             case 'reorder': {
                 // Assistive only: emit needsUserAction and complete.
                 job.status = 'completed';
-                emitToSession(sessionId, {
+                emitJobEvent(job, {
                     type: 'needsUserAction',
                     jobId: job.id,
                     reason: 'manual_step_required',
                     actionHint: command,
                 });
-                emitToSession(sessionId, { type: 'completed', jobId: job.id });
+                emitJobEvent(job, { type: 'completed', jobId: job.id });
                 break;
             }
             case 'setPreferences': {
@@ -565,7 +1214,7 @@ async function handleWebCommand(msg, sessionId) {
                     preferences,
                 });
                 job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id });
+                emitJobEvent(job, { type: 'completed', jobId: job.id });
                 break;
             }
             case 'getPreferences': {
@@ -576,7 +1225,7 @@ async function handleWebCommand(msg, sessionId) {
                 if (redacted.openaiApiKey) redacted.openaiApiKey = '[redacted]';
                 if (redacted.anthropicApiKey) redacted.anthropicApiKey = '[redacted]';
                 job.status = 'completed';
-                emitToSession(sessionId, { type: 'completed', jobId: job.id, data: redacted });
+                emitJobEvent(job, { type: 'completed', jobId: job.id, data: redacted });
                 break;
             }
             default:
@@ -639,10 +1288,9 @@ chrome.runtime.onConnectExternal.addListener((port) => {
 
     port.onDisconnect.addListener(() => {
         activePorts.delete(sessionId);
-        const cancelled = cancelJob(sessionId, 'port_disconnected');
-        if (cancelled) {
-            emitToSession(sessionId, { type: 'bridge/jobCancelled', jobId: cancelled.id, reason: 'port_disconnected' });
-        }
+        activeJobs.delete(sessionId);
+        // Keep jobs alive (and checkpointed) so a new port can resumeJob them
+        jobStore.detachSession(sessionId).catch(() => { });
     });
 
     port.onMessage.addListener((msg) => {
@@ -667,6 +1315,88 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             ErrorHandler.handle(error, { context: 'PROCESS_QUERY' });
         });
         sendResponse({ status: 'processing' });
+    } else if (message.type === 'GET_RUNS') {
+        stateRestored.then(() => {
+            sendResponse({ runs: runSessions.list().map(summarizeRun) });
+        });
+        return true;
+    } else if (message.type === 'GET_USAGE') {
+        Promise.all([stateRestored, usageTracker.load()]).then(() => {
+            sendResponse({ usage: usageTracker.summary(runSessions.list().map((run) => run.runId)) });
+        });
+        return true;
+    } else if (message.type === 'CANCEL_RUN') {
+        const run = runSessions.get(message.runId);
+        if (run && !isFinishedStatus(run.status)) {
+            setStatus(run, 'CANCELLED');
+        }
+        sendResponse({ success: Boolean(run) });
+    } else if (message.type === 'GET_PLATFORM_DESCRIPTOR') {
+        // The declarative content script asks which descriptor drives its page;
+        // after a worker restart its pack may not be registered yet
+        platformPacksLoaded
+            .then(() => {
+                const platform = platformRegistry.getByUrl(message.url || sender.tab?.url || '');
+                sendResponse({ descriptor: platform?.config.descriptor || null });
+            })
+            .catch(() => sendResponse({ descriptor: null }));
+        return true;
+    } else if (message.type === 'GET_PRICE_HISTORY') {
+        priceHistory.summarize(message.product)
+            .then((history) => sendResponse({ history }))
+            .catch(() => sendResponse({ history: null }));
+        return true;
+    } else if (message.type === 'IMPORT_ORDERS') {
+        importOrders({ platforms: message.platforms, maxPages: message.maxPages })
+            .then((results) => sendResponse({ success: true, platforms: results }))
+            .catch((error) => sendResponse({ success: false, error: error.code || error.message }));
+        return true;
+    } else if (message.type === 'GET_ORDERS') {
+        orderTracker.load()
+            .then(() => sendResponse({ orders: message.platform ? orderTracker.getOrdersByPlatform(message.platform) : orderTracker.getAllOrders() }));
+        return true;
+    } else if (message.type === 'GET_PRICE_WATCHES') {
+        priceWatches.list().then((watches) => sendResponse({ watches }));
+        return true;
+    } else if (message.type === 'ADD_PRICE_WATCH') {
+        addPriceWatch(message.watch)
+            .then((watch) => sendResponse({ success: true, watch }))
+            .catch((error) => sendResponse({ success: false, error: error.code || error.message, reason: error.reason || null }));
+        return true;
+    } else if (message.type === 'REMOVE_PRICE_WATCH') {
+        priceWatches.remove(message.watchId).then((removed) => sendResponse({ success: removed }));
+        return true;
+    } else if (message.type === 'GET_PLATFORM_PACKS') {
+        configManager.load().then(() => sendResponse({ packs: listPlatformPacks() }));
+        return true;
+    } else if (message.type === 'VALIDATE_PLATFORM_PACK') {
+        configManager.load().then(() => sendResponse(validatePlatformPack(message.pack)));
+        return true;
+    } else if (message.type === 'INSTALL_PLATFORM_PACK') {
+        // The side panel requests the pack's host permissions first; it needs the click gesture
+        installPlatformPack(message.pack)
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, error: error.message, problems: [] }));
+        return true;
+    } else if (message.type === 'REMOVE_PLATFORM_PACK') {
+        removePlatformPack(message.name)
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    } else if (message.type === 'GET_SHOPIFY_STORES') {
+        configManager.load().then(() => sendResponse({ stores: getShopifyStores() }));
+        return true;
+    } else if (message.type === 'ADD_SHOPIFY_STORE') {
+        // The side panel requests the host permission first; it needs the click gesture
+        addShopifyStore(message.store)
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    } else if (message.type === 'REMOVE_SHOPIFY_STORE') {
+        removeShopifyStore(message.store)
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     } else if (message.type === 'LOGIN_PLATFORMS') {
         handlePlatformLogin(message.platforms, message.phoneNumber).catch(error => {
             ErrorHandler.handle(error, { context: 'PLATFORM_LOGIN' });
@@ -695,6 +1425,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                             { name: 'claude-3-5-sonnet', displayName: 'claude-3.5-sonnet', supportedGenerationMethods: ['chat'] },
                             { name: 'claude-3-opus', displayName: 'claude-3-opus', supportedGenerationMethods: ['chat'] },
                         ];
+                    } else if (chosen.provider === 'local') {
+                        models = await listLocalModels((await loadProviderSettings()).local);
                     }
                     sendResponse({ models, chosen });
                 })
@@ -746,6 +1478,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return false;
         }
 
+        if (provider === 'local') {
+            // The popup sends the endpoint it is editing; fall back to the saved one
+            loadProviderSettings()
+                .then((settings) => listLocalModels({
+                    baseUrl: message.baseUrl || settings.local?.baseUrl,
+                    apiKey: message.apiKey || settings.local?.apiKey,
+                }))
+                .then((models) => sendResponse({ models }))
+                .catch((err) => {
+                    const reason = err?.message === 'invalid_base_url'
+                        ? 'Enter a valid http(s) base URL for the local endpoint'
+                        : `Could not reach local endpoint (${err?.message})`;
+                    sendResponse({ error: reason });
+                });
+            return true;
+        }
+
         sendResponse({ error: `Unknown provider: ${provider}` });
         return false;
     }
@@ -770,184 +1519,74 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 console.error('Failed to list models:', error);
                 sendResponse({ error: error.message });
             }
-        })();
-        return true;
-    }
-});
-
-// Function to send updates to Popup and save to storage
-async function logAction(text, level = 'INFO') {
-    logger[level.toLowerCase()](text);
-    // Send to open popup
-    chrome.runtime.sendMessage({ type: 'UPDATE_STATUS', text: text }).catch(() => { });
-}
-
-// Handle messages from Content Scripts
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'PAGE_LOADED') {
-        // Check state and execute next step
-        logger.info('PAGE_LOADED received', { 
-            url: message.url, 
-            senderTabId: sender?.tab?.id,
-            currentTabId: currentState.tabId,
-            status: currentState.status 
-        });
-        logAction(`Page loaded: ${message.url}`);
-        
-        // COMPARISON MODE DISABLED - always use normal flow
-        // Normal flow for single-platform purchases
-        executeNextStep(sender.tab.id);
-    }
-});
-
-/**
- * Handle page load events during comparison mode
- * Triggers search on each platform and collects results
- */
-async function handleComparisonPageLoad(tabId, url) {
-    try {
-        // Find which platform this tab belongs to
-        let platformName = null;
-        for (const [name, result] of Object.entries(currentState.platformResults)) {
-            if (result.tabId === tabId) {
-                platformName = name;
-                break;
-            }
-        }
-        
-        if (!platformName) {
-            logger.warn('Page loaded for unknown tab in comparison mode', { tabId, url });
-            return;
-        }
-        
-        const platformResult = currentState.platformResults[platformName];
-        
-        // Skip if already processed
-        if (platformResult.status === 'completed' || platformResult.status === 'searching') {
-            logger.debug(`Skipping ${platformName} - already ${platformResult.status}`);
-            return;
-        }
-        
-        // CRITICAL: Only trigger search on homepage, not on search results pages
-        const isSearchResultsPage = url.includes('/s?') || 
-                                     url.includes('/search?') || 
-                                     url.includes('/search/');
-        
-        if (isSearchResultsPage) {
-            logger.warn(`Skipping ${platformName} - already on search results page`, { url });
-            platformResult.status = 'error';
-            platformResult.error = 'Already on search results page';
-            return;
-        }
-        
-        // Only trigger on homepage
-        const isHomepage = (platformName === 'amazon' && (url === 'https://www.amazon.in/' || url.includes('amazon.in') && url.split('/').length <= 4)) ||
-                          (platformName === 'flipkart' && (url === 'https://www.flipkart.com/' || url.includes('flipkart.com') && url.split('/').length <= 4));
-        
-        if (!isHomepage) {
-            logger.warn(`Skipping ${platformName} - not on homepage`, { url });
-            return;
-        }
-        
-        logger.info(`Starting search on ${platformName} for comparison`, { tabId, url });
-        platformResult.status = 'searching';
-        
-        // Get refined query
-        const refinedQuery = refineSearchQuery(currentState.data);
-        
-        // Trigger search on this platform
-        try {
-            const searchResponse = await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('Search timeout'));
-                }, 45000);
-                
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'SEARCH',
-                    query: refinedQuery,
-                    filters: currentState.data.filters || {},
-                    sort: currentState.data.sortStrategy || null
-                }, (response) => {
-                    clearTimeout(timeout);
-                    if (chrome.runtime.lastError) {
-                        reject(new Error(chrome.runtime.lastError.message));
-                    } else {
-                        resolve(response);
-                    }
-                });
-            });
-            
-            if (searchResponse && searchResponse.success) {
-                logger.info(`Search triggered on ${platformName}`, { tabId });
-                
-                // Wait for search to complete and page to load
-                await new Promise(resolve => setTimeout(resolve, 3000));
-                
-                // Get search results
-                const resultsResponse = await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Get results timeout'));
-                    }, 20000);
-                    
-                    chrome.tabs.sendMessage(tabId, {
-                        action: 'GET_SEARCH_RESULTS',
-                        filters: currentState.data.filters || {}
-                    }, (response) => {
-                        clearTimeout(timeout);
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                        } else {
-                            resolve(response);
-                        }
-                    });
-                });
-                
-                if (resultsResponse && resultsResponse.items && resultsResponse.items.length > 0) {
-                    platformResult.products = resultsResponse.items;
-                    platformResult.status = 'completed';
-                    logger.info(`${platformName} search completed`, { 
-                        productCount: resultsResponse.items.length 
-                    });
-                } else {
-                    platformResult.products = [];
-                    platformResult.status = 'completed';
-                    logger.warn(`No products found on ${platformName}`);
-                }
-                
-                // Check if all platforms are done
-                executeNextStep(tabId);
-                
-            } else {
-                throw new Error('Search failed');
-            }
-            
-        } catch (error) {
-            logger.error(`Search failed on ${platformName}`, error);
-            platformResult.status = 'error';
-            platformResult.error = error.message;
-            platformResult.products = [];
-            
-            // Check if all platforms are done (even with errors)
-            executeNextStep(tabId);
-        }
+        })();
+        return true;
+    }
+});
+
+// Function to send updates to Popup and save to storage
+async function logAction(text, level = 'INFO') {
+    logger[level.toLowerCase()](text);
+    // Send to open popup
+    chrome.runtime.sendMessage({ type: 'UPDATE_STATUS', text: text }).catch(() => { });
+}
+
+// Handle messages from Content Scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'PAGE_LOADED') {
+        // Check state and execute next step
+        const run = runSessions.getByTab(sender?.tab?.id);
+        logger.info('PAGE_LOADED received', { 
+            url: message.url, 
+            senderTabId: sender?.tab?.id,
+            runId: run?.runId,
+            status: run?.status 
+        });
+        logAction(`Page loaded: ${message.url}`);
         
-    } catch (error) {
-        logger.error('Error in handleComparisonPageLoad', error);
+        // Wait for any snapshot restore so a worker woken by this message continues the run.
+        stateRestored.then(() => executeNextStep(sender.tab.id));
     }
+});
+
+/**
+ * Answer a watch request typed into the side panel
+ */
+async function startPriceWatchFromQuery(run, request) {
+    logAction('Setting up a price watch...', 'info');
+    const watch = await addPriceWatch(request);
+    const money = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+    const goal = watch.targetPrice ? `drops to ${money(watch.targetPrice)}` : `drops ${watch.dropPercent}%`;
+    const now = watch.lastPrice ? ` It's ${money(watch.lastPrice)} now.` : ` I couldn't read the price yet (${watch.lastError}); I'll keep trying.`;
+    logAction(`👀 Watching ${watch.title || watch.url}. I'll alert you when it ${goal}.${now}`, 'info');
+    run.data = { originalQuery: run.query, priceWatchId: watch.id };
+    setStatus(run, 'COMPLETED');
 }
 
 export async function handleUserQuery(text) {
+    // Each query gets its own run so concurrent queries don't clobber each other
+    const run = runSessions.create(text);
     try {
-    // Clear previous logs on new request
-        await logger.clearLogs();
+    // Clear previous logs on new request, unless another run is still logging
+        if (runSessions.active().length <= 1) {
+            await logger.clearLogs();
+        }
+
+        // "Alert me when <url> drops below ₹X" needs no model
+        const watchRequest = parseWatchRequest(text);
+        if (watchRequest) {
+            await startPriceWatchFromQuery(run, watchRequest);
+            return run;
+        }
 
-    // 1. Get API Key
-    const { geminiApiKey } = await chrome.storage.local.get(['geminiApiKey']);
-    if (!geminiApiKey) {
-            const error = new Error('No API Key found. Please configure your Gemini API key in settings.');
+    // 1. Any configured provider key will do; generate() falls back across them
+    const llmSettings = await loadProviderSettings();
+    if (!hasAnyProvider(llmSettings)) {
+            const error = new Error('No API Key found. Please configure a Gemini, OpenAI or Anthropic API key, or a local model endpoint, in settings.');
             await ErrorHandler.handle(error, { context: 'API_KEY_MISSING' });
             logAction('Error: No API Key found. Please configure in settings.', 'error');
-        return;
+            setStatus(run, 'FAILED');
+        return run;
     }
 
         logAction('Analyzing your request...', 'info');
@@ -958,9 +1597,18 @@ export async function handleUserQuery(text) {
         
         let intent;
         try {
-            // Try LLM with model fallback (no retry wrapper - generateContent handles model fallback)
-            intent = await parseIntent(geminiApiKey, text);
+            // Try LLM with provider/model fallback (no retry wrapper - generate() handles fallback)
+            intent = await parseIntent({
+                keys: llmSettings.keys,
+                local: llmSettings.local,
+                provider: llmSettings.preferred,
+                usage: { runId: run.runId, mode: 'INTENT_PARSE' },
+            }, text);
         } catch (error) {
+            if (error instanceof BudgetExceededError) {
+                stopRunForBudget(run, error);
+                return run;
+            }
             // If LLM fails completely, use simple parser
             logger.warn('LLM parsing failed, using simple parser', { error: error.message });
             logAction('LLM unavailable, using simple parser', 'warn');
@@ -978,9 +1626,9 @@ export async function handleUserQuery(text) {
             throw new IntentParseError('Could not understand the product to buy. Please rephrase your request.', text);
         }
 
-        currentState.data = { ...intent, originalQuery: text };
-        currentState.status = 'SEARCHING';
-        currentState.filtersApplied = false;
+        run.data = { ...intent, originalQuery: text };
+        run.filtersApplied = false;
+        setStatus(run, 'SEARCHING');
 
         // Log filters if present
         if (intent.filters && Object.keys(intent.filters).length > 0) {
@@ -990,9 +1638,10 @@ export async function handleUserQuery(text) {
         }
 
         // 3. Start Automation
-        await startAutomation();
+        await startAutomation(run);
 
     } catch (error) {
+        setStatus(run, 'FAILED');
         // Safely extract error message to avoid DOM reference issues
         let safeErrorMessage = 'Unknown error';
         try {
@@ -1027,6 +1676,7 @@ export async function handleUserQuery(text) {
             // Ignore console errors
         }
     }
+    return run;
 }
 
 /**
@@ -1038,10 +1688,35 @@ export function parseIntentSimple(text) {
     // Extract platform
     let platform = null;
     platform = detectPlatformFromText(lowerText);
+    const compareMode = /\bcompare\b/.test(lowerText);
+
+    // Shopping lists ("milk, 12 eggs, 1kg atta and bread from BigBasket") become a basket.
+    // Outside grocery platforms a comma list of three or more is needed so that
+    // "phone with 8gb ram and 128gb storage" stays a single product; comparing a
+    // list needs grocery wording so "compare iphone, pixel and galaxy" stays a comparison.
+    const basket = parseBasketText(text);
+    const groceryContext = isLocationGated(platform) || /\b(?:basket|grocer(?:y|ies)|shopping list)\b/.test(lowerText);
+    const listLike = groceryContext || (basket.length > 2 && /[,;\n]/.test(text));
+    if (basket.length > 1 && listLike && (!compareMode || groceryContext)) {
+        logger.info('Simple parser extracted basket', { items: basket.length, platform, compareMode });
+        return {
+            product: basket.map((item) => item.product).join(', '),
+            platform,
+            compareMode,
+            // Every grocery platform named ("across blinkit and zepto"), for basket comparisons
+            platforms: ['bigbasket', 'blinkit', 'zepto', 'jiomart'].filter((name) => lowerText.replace(/\s+/g, '').includes(name)),
+            basket,
+            filters: {},
+            sort: null,
+            delivery_location: null,
+            payment_method: null,
+            quantity: 1
+        };
+    }
     
     // Remove platform keywords and common shopping words
     let product = text
-        .replace(/\b(amazon|flipkart|ebay|walmart|from|on|buy|purchase|get|find|search for|show me|i want|i need)\b/gi, '')
+        .replace(/\b(amazon|flipkart|ebay|walmart|from|on|buy|purchase|get|find|search for|show me|i want|i need|compare|prices?|across)\b/gi, '')
         .replace(/\s+/g, ' ')
         .trim();
     
@@ -1112,6 +1787,7 @@ export function parseIntentSimple(text) {
     return {
         product: product || 'product',
         platform: platform,
+        compareMode,
         filters: filters,
         sort: null,
         delivery_location: null,
@@ -1120,7 +1796,7 @@ export function parseIntentSimple(text) {
     };
 }
 
-export async function parseIntent(apiKey, text) {
+export async function parseIntent(llmOptions, text) {
     // Note: setLogAction is now statically imported at the top of the file
     // It should be called before this function is invoked
     
@@ -1131,7 +1807,8 @@ export async function parseIntent(apiKey, text) {
     Fields:
     - product: (string) The search query for the product (remove platform names like "amazon", "flipkart"). Remove words like "compare" from the product name.
     - platform: (string, optional) Preferred ecommerce platform: "amazon", "flipkart", "ebay", "walmart", or null.
-    - compareMode: (boolean) ALWAYS set to false. Multi-platform comparison is currently disabled.
+    - compareMode: (boolean) true only when the user asks to compare prices or options across platforms.
+    - platforms: (array of strings, optional) Platforms to compare when compareMode is true, if the user names them.
     - filters: (object) Key-value pairs for potential filters:
       * price_min: (number) Minimum price in local currency
       * price_max: (number) Maximum price in local currency
@@ -1149,50 +1826,58 @@ export async function parseIntent(apiKey, text) {
     - delivery_location: (string) e.g., "home", "office".
     - payment_method: (string) e.g., "wallet", "card", "upi".
     - quantity: (number, optional) Quantity to purchase.
+    - basket: (array, optional) Only when the user lists several different items to buy (a shopping list). One entry per item: { product, quantity, unit ("g", "kg", "ml", "l", "pc", "pack" or null), brand (or null), substitutes (array of acceptable alternatives the user named) }. Set product to the item names joined with ", ". With compareMode true the whole basket is priced across grocery platforms.
     
     User Request: "${text}"
     `;
 
-    const response = await generateContent(apiKey, text, systemPrompt);
-        
-        if (!response || !response.candidates || !response.candidates[0]) {
-            throw new IntentParseError('Invalid response from AI service', text);
-        }
-
-        const textResp = response.candidates[0].content.parts[0].text;
-        // Strip markdown code blocks if present
-        const cleanJson = textResp.replace(/```json/g, '').replace(/```/g, '').trim();
-        
+        // Schema-validated intent; one repair round-trip happens inside generateJSON
+        let parsed;
+        let provider;
         try {
-            const parsed = JSON.parse(cleanJson);
-            // Ensure product field exists
-            if (!parsed.product) {
-                parsed.product = text;
-            }
-            // Ensure filters object exists
-            if (!parsed.filters) {
-                parsed.filters = {};
-            }
-            // Override or set platform from explicit text cues if LLM omitted or defaulted
-            const platformFromText = detectPlatformFromText(text.toLowerCase());
-            if (platformFromText) {
-                parsed.platform = parsed.platform || platformFromText;
-                if (parsed.platform === 'amazon' && platformFromText !== 'amazon') {
-                    parsed.platform = platformFromText;
-                }
+            ({ data: parsed, provider } = await generateJSON({
+                ...llmOptions,
+                prompt: text,
+                system: systemPrompt,
+                schema: INTENT_SCHEMA,
+                schemaName: 'shopping_intent',
+            }));
+        } catch (schemaError) {
+            if (schemaError instanceof StructuredOutputError) {
+                throw new IntentParseError(`Failed to parse AI response: ${schemaError.message}`, text, {
+                    code: schemaError.code,
+                    errors: schemaError.errors,
+                });
             }
-            // Force platforms array when platform is known
-            if (parsed.platform) {
-                parsed.platforms = [parsed.platform];
+            throw schemaError;
+        }
+
+        // Ensure product field exists
+        if (!parsed.product) {
+            parsed.product = text;
+        }
+        // Ensure filters object exists
+        if (!parsed.filters) {
+            parsed.filters = {};
+        }
+        // Override or set platform from explicit text cues if LLM omitted or defaulted
+        const platformFromText = detectPlatformFromText(text.toLowerCase());
+        if (platformFromText) {
+            parsed.platform = parsed.platform || platformFromText;
+            if (parsed.platform === 'amazon' && platformFromText !== 'amazon') {
+                parsed.platform = platformFromText;
             }
-            logger.info('LLM extracted intent', { product: parsed.product, platform: parsed.platform, filters: parsed.filters });
-            return parsed;
-        } catch (parseError) {
-            throw new IntentParseError(`Failed to parse AI response: ${parseError.message}`, text, {
-                rawResponse: textResp
-            });
         }
+        // Force platforms array when platform is known (comparisons keep their list)
+        if (parsed.platform && !parsed.compareMode) {
+            parsed.platforms = [parsed.platform];
+        }
+        logger.info('LLM extracted intent', { provider, product: parsed.product, platform: parsed.platform, filters: parsed.filters });
+        return parsed;
     } catch (error) {
+        // A spent budget stops the run rather than degrading to the simple parser
+        if (error instanceof BudgetExceededError) throw error;
+
         // If LLM fails, fall back to simple parsing
         if (error.message && (error.message.includes('429') || error.message.includes('403') || error.message.includes('quota') || error.message.includes('All Gemini models failed'))) {
             logger.warn('LLM API unavailable, using simple parser', { error: error.message });
@@ -1211,28 +1896,27 @@ export async function parseIntent(apiKey, text) {
     }
 }
 
-export async function startAutomation() {
+export async function startAutomation(run) {
     try {
-        // COMPARISON MODE TEMPORARILY DISABLED - causes infinite loops
-        // Force disable comparison mode
-        currentState.compareMode = false;
-        currentState.platformResults = {};
-        currentState.comparisonResult = null;
-        currentState.data.compareMode = false;
-        
-        // Skip comparison mode even if requested
-        if (currentState.data.compareMode) {
-            logger.warn('Comparison mode requested but disabled due to bugs');
-            logAction('⚠️ Multi-platform comparison is temporarily disabled. Using single platform mode.', 'warn');
-            // Continue with normal single-platform flow
+        run.platformResults = {};
+        run.comparisonResult = null;
+
+        if (run.data.basket?.length > 1) {
+            await (run.data.compareMode ? startBasketComparison(run) : startBasketMode(run));
+            return;
+        }
+
+        if (run.data.compareMode) {
+            await startComparisonMode(run);
+            return;
         }
         
         // Regular single-platform mode
-        const platformName = currentState.data.platform || 
+        const platformName = run.data.platform || 
                             (await configManager.get('preferredPlatform')) || 
                             'amazon';
         
-        logger.info('Starting automation', { platformName, intent: currentState.data });
+        logger.info('Starting automation', { platformName, intent: run.data });
         
         let platform;
         try {
@@ -1249,23 +1933,33 @@ export async function startAutomation() {
 
         // Get platform URL - use homepage like Amazon/Flipkart do
         let platformUrl;
-        if (platform.name === 'amazon') {
-            platformUrl = 'https://www.amazon.in/';
+        if (platform.name === 'shopify') {
+            // Shopify has no single site: open the store named in the query or the first opted-in one
+            await configManager.load();
+            const store = resolveShopifyStore(run.data.originalQuery || '');
+            if (!store) {
+                throw new Error('No Shopify store added. Add one under Settings → Shopify stores.');
+            }
+            platformUrl = `https://${store}/`;
         } else {
-            platformUrl = `https://www.${platform.config.domains[0]}/`;
+            platformUrl = platform.config.descriptor?.homeUrl || `https://www.${platform.config.domains[0]}/`;
         }
         
+        planPlatformRun(run, platform.getCapabilities());
+
         logger.info('Creating tab', { url: platformUrl, platform: platform.name });
         logAction(`Opening ${platform.name} in a new tab...`, 'info');
         
         const tab = await chrome.tabs.create({ url: platformUrl, active: false });
-        currentState.tabId = tab.id;
-        currentState.platform = platform;
+        run.tabId = tab.id;
+        run.platform = platform;
+        runSessions.bindTab(run, tab.id);
+        persistState(run);
         
         logger.info('Tab created successfully', { tabId: tab.id, url: platformUrl });
     } catch (error) {
         logger.error('Error in startAutomation', error, { 
-            platformName: currentState.data.platform,
+            platformName: run.data.platform,
             registeredPlatforms: Array.from(platformRegistry.getAll().map(p => p.name))
         });
         throw error;
@@ -1273,76 +1967,330 @@ export async function startAutomation() {
 }
 
 /**
- * Start comparison mode - open tabs for multiple platforms
+ * Grocery platform for a basket: the one named in the query when it is a
+ * grocery platform, else the configured default
+ */
+function getBasketPlatform(intent = {}) {
+    if (isLocationGated(intent.platform)) return intent.platform;
+    return configManager.get('basket.platform', 'bigbasket');
+}
+
+/**
+ * Send the basket's per-item status to the side panel's basket card
+ */
+function broadcastBasket(run) {
+    if (!run.basket) return;
+    const summary = summarizeBasket(run.basket.items, { platform: run.basket.platform, runId: run.runId, done: isFinishedStatus(run.status) });
+    chrome.runtime.sendMessage({ type: 'BASKET_UPDATED', runId: run.runId, basket: summary }).catch(() => { });
+    return summary;
+}
+
+/**
+ * Basket mode - search and add each line item in turn in one grocery tab,
+ * substituting out-of-stock items according to basket.substitution
  */
-async function startComparisonMode() {
+async function startBasketMode(run) {
+    const platformName = run.basket?.platform || getBasketPlatform(run.data);
+    if (!run.basket) {
+        run.basket = { platform: platformName, items: run.data.basket.map(createBasketItem) };
+    }
+    const { items } = run.basket;
+    run.platform = platformRegistry.get(platformName);
+    run.data.platform = platformName;
+    setStatus(run, 'BASKET');
+    activeBaskets.add(run.runId);
+    logAction(`🧺 Filling a basket of ${items.length} items on ${platformName}...`, 'info');
+    broadcastBasket(run);
+
     try {
-        const platformsToCompare = ['amazon', 'flipkart'];
-        
-        // Create tabs for each platform
-        for (const platformName of platformsToCompare) {
-            try {
-                const platform = platformRegistry.get(platformName);
-                
-                let platformUrl;
-                if (platform.name === 'amazon') {
-                    platformUrl = 'https://www.amazon.in/';
-                } else if (platform.name === 'flipkart') {
-                    platformUrl = 'https://www.flipkart.com/';
-                } else {
-                    platformUrl = `https://www.${platform.config.domains[0]}/`;
-                }
-                
-                logger.info(`Opening ${platformName} for comparison`, { url: platformUrl });
-                logAction(`Opening ${platformName}...`, 'info');
-                
-                const tab = await chrome.tabs.create({ url: platformUrl, active: false });
-                
-                currentState.platformResults[platformName] = {
-                    platform,
-                    tabId: tab.id,
-                    products: null,
-                    status: 'loading'
-                };
-                
-                logger.info(`Tab created for ${platformName}`, { tabId: tab.id });
-                
-                // Small delay between tab creations
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-            } catch (error) {
-                logger.error(`Failed to open ${platformName}`, error);
-                currentState.platformResults[platformName] = {
-                    platform: null,
-                    tabId: null,
-                    products: null,
-                    status: 'error',
-                    error: error.message
-                };
+        if (!run.tabId) {
+            const firstPending = items.find((item) => item.status === 'pending') || items[0];
+            const tab = await chrome.tabs.create({ url: getSearchUrlForPlatform(platformName, firstPending.product), active: false });
+            run.tabId = tab.id;
+            runSessions.bindTab(run, tab.id);
+            persistState(run);
+        }
+
+        if (isLocationGated(platformName) && !run.serviceability?.[platformName]) {
+            const location = await prepareSearchTab(platformName, run.tabId, run.data);
+            run.serviceability = { ...run.serviceability, [platformName]: location };
+            persistState(run);
+            if (location.serviceable === false) {
+                logAction(`❌ ${platformName} does not deliver to ${location.pincode}. Try another platform or address.`, 'error');
+                run.stopReason = 'not_serviceable';
+                setStatus(run, 'FAILED');
+                broadcastBasket(run);
+                return;
             }
         }
-        
-        // Set status to COMPARING
-        currentState.status = 'COMPARING';
-        
-        logger.info('Comparison mode tabs created', { 
-            platforms: Object.keys(currentState.platformResults) 
+
+        const result = await runBasket({
+            items,
+            platform: platformName,
+            tabId: run.tabId,
+            getSearchUrl: getSearchUrlForPlatform,
+            substitution: configManager.get('basket.substitution', 'similar'),
+            maxCandidates: configManager.get('basket.maxCandidates', 3),
+            itemTimeoutMs: configManager.get('basket.itemTimeoutMs', DEFAULT_ITEM_TIMEOUT_MS),
+            isCancelled: () => isFinishedStatus(run.status),
+            onUpdate: (item) => {
+                if (item.status === 'searching') {
+                    logAction(`Looking for ${item.product}...`, 'info');
+                } else if (item.status === 'substituted') {
+                    logAction(`🔄 ${item.product}: added ${item.chosen.title} instead of ${item.substitutedFor}`, 'warn');
+                } else if (item.status !== 'added') {
+                    logAction(`${item.product}: ${item.note || item.status}`, 'warn');
+                }
+                persistState(run);
+                broadcastBasket(run);
+            },
         });
-        
+        if (result.cancelled || isFinishedStatus(run.status)) return;
+
+        logger.info(formatBasketSummary(result));
+        logAction(`🧺 Basket ready: ${result.added + result.substituted} of ${result.total} items in the cart`, result.unavailable ? 'warn' : 'info');
+        setStatus(run, 'COMPLETED');
+        broadcastBasket(run);
+        await chrome.tabs.update(run.tabId, { active: true }).catch(() => { });
+    } catch (error) {
+        logger.error('Error in startBasketMode', error);
+        logAction('Error filling the basket. Please try again.', 'error');
+        setStatus(run, 'FAILED');
+        broadcastBasket(run);
+    } finally {
+        activeBaskets.delete(run.runId);
+    }
+}
+
+/**
+ * Grocery platforms to price a basket on: the intent's own list when it names
+ * several grocery platforms, else basketOptimizer.platforms
+ */
+function getBasketComparisonPlatforms(intent = {}) {
+    const requested = (intent.platforms || []).filter(isLocationGated);
+    return requested.length > 1
+        ? [...new Set(requested)]
+        : configManager.get('basketOptimizer.platforms', ['bigbasket', 'blinkit', 'zepto', 'jiomart']);
+}
+
+/**
+ * Search every line item on each platform and recommend a single-platform
+ * fill or a split, counting fees from basketOptimizer.fees
+ * @returns {Promise<Object>} { plan, pricing } - optimizeBasket() result and priceBasket() platforms
+ */
+async function priceAndOptimizeBasket(items, platforms, { intent = {}, overrides = {}, onUpdate, isCancelled } = {}) {
+    await configManager.load();
+    const pricing = await priceBasket({
+        items,
+        platforms,
+        getSearchUrl: getSearchUrlForPlatform,
+        prepareTab: (platform, tabId) => prepareSearchTab(platform, tabId, intent),
+        itemTimeoutMs: configManager.get('basket.itemTimeoutMs', DEFAULT_ITEM_TIMEOUT_MS),
+        deadlineMs: configManager.get('basketOptimizer.deadlineMs', DEFAULT_PRICING_DEADLINE_MS),
+        onUpdate,
+        isCancelled,
+    });
+    const plan = optimizeBasket(items, pricing.results, {
+        fees: { ...configManager.get('basketOptimizer.fees', {}), ...(overrides.fees || {}) },
+        minSplitSaving: overrides.minSplitSaving ?? configManager.get('basketOptimizer.minSplitSaving', 0),
+        maxSplitPlatforms: overrides.maxSplitPlatforms ?? configManager.get('basketOptimizer.maxSplitPlatforms', 2),
+        maxCandidates: configManager.get('basket.maxCandidates', 3),
+    });
+    return { plan, pricing: pricing.platforms };
+}
+
+/**
+ * Basket comparison - price the whole list on several grocery platforms and
+ * recommend where to buy it. Tabs of the recommended platforms stay open.
+ */
+async function startBasketComparison(run) {
+    const platforms = getBasketComparisonPlatforms(run.data);
+    const items = run.data.basket.map(createBasketItem);
+    run.compareMode = true;
+    setStatus(run, 'COMPARING');
+    logAction(`🧺 Pricing ${items.length} items on ${platforms.join(', ')}...`, 'info');
+
+    try {
+        const { plan, pricing } = await priceAndOptimizeBasket(items, platforms, {
+            intent: run.data,
+            isCancelled: () => isFinishedStatus(run.status),
+            onUpdate: (entry) => {
+                if (entry.tabId) runSessions.bindTab(run, entry.tabId);
+                run.platformResults[entry.platform] = { tabId: entry.tabId, status: entry.status, error: entry.error };
+                if (entry.status === 'unserviceable') {
+                    logAction(`${entry.platform}: not serviceable at your delivery pincode`, 'warn');
+                } else if (entry.status === 'timeout' || entry.status === 'error') {
+                    logAction(`${entry.platform}: ${entry.status === 'timeout' ? 'timed out' : entry.error}`, 'warn');
+                }
+                persistState(run);
+            },
+        });
+        if (isFinishedStatus(run.status)) return;
+
+        run.basketPlan = plan;
+        showComparison(formatBasketPlan(plan, items));
+        const keep = new Set(plan.best?.platforms || []);
+        await closeTabs(Object.entries(pricing)
+            .filter(([name, info]) => !keep.has(name) && info.tabId)
+            .map(([platform, info]) => ({ platform, tabId: info.tabId })));
+        if (plan.recommendation === 'none') {
+            logAction('❌ None of the basket items were found on any platform.', 'error');
+        }
+        setStatus(run, 'COMPLETED');
+    } catch (error) {
+        logger.error('Error in startBasketComparison', error);
+        logAction('Error pricing the basket. Please try again.', 'error');
+        setStatus(run, 'FAILED');
+    }
+}
+
+/**
+ * Platforms to compare: the intent's own list when it names several, else the configured set
+ */
+function getComparisonPlatforms(intent = {}) {
+    const requested = (intent.platforms || []).filter(Boolean);
+    const platforms = requested.length > 1
+        ? requested
+        : configManager.get('comparison.platforms', DEFAULT_COMPARISON_PLATFORMS);
+    return [...new Set(platforms)].filter((name) => {
+        try {
+            return Boolean(platformRegistry.get(name));
+        } catch {
+            logger.warn(`Skipping unknown platform ${name} in comparison`);
+            return false;
+        }
+    });
+}
+
+/**
+ * Send a formatted comparison to the side panel's comparison card
+ */
+function showComparison(text) {
+    logger.info(text);
+    chrome.runtime.sendMessage({ type: 'COMPARISON_RESULT', text }).catch(() => { });
+}
+
+/**
+ * Start comparison mode - search every platform in parallel via the bounded
+ * orchestrator, then continue the purchase flow with the best-ranked product
+ */
+async function startComparisonMode(run) {
+    const platforms = getComparisonPlatforms(run.data);
+    const existingTabs = {};
+    for (const [name, result] of Object.entries(run.platformResults || {})) {
+        if (result?.tabId) existingTabs[name] = result.tabId;
+    }
+
+    run.compareMode = true;
+    setStatus(run, 'COMPARING');
+    logAction(`Comparing prices on ${platforms.join(', ')}...`, 'info');
+
+    try {
+        const preferences = await getComparisonPreferences();
+        const result = await runComparison({
+            query: refineSearchQuery(run.data),
+            platforms,
+            rank: (products) => compareProducts(products, preferences),
+            filters: run.data.filters || {},
+            existingTabs,
+            getSearchUrl: getSearchUrlForPlatform,
+            prepareTab: async (platform, tabId) => {
+                const result = await prepareSearchTab(platform, tabId, run.data);
+                run.serviceability = { ...run.serviceability, [platform]: result };
+                return result;
+            },
+            perPlatformTimeoutMs: configManager.get('comparison.perPlatformTimeoutMs', DEFAULT_PER_PLATFORM_TIMEOUT_MS),
+            deadlineMs: configManager.get('comparison.deadlineMs', DEFAULT_DEADLINE_MS),
+            isCancelled: () => isFinishedStatus(run.status),
+            onUpdate: (entry) => {
+                if (entry.tabId) runSessions.bindTab(run, entry.tabId);
+                run.platformResults[entry.platform] = {
+                    platform: platformRegistry.get(entry.platform),
+                    tabId: entry.tabId,
+                    status: entry.status,
+                    count: entry.products.length,
+                    error: entry.error,
+                };
+                if (entry.status === 'completed') {
+                    logAction(`${entry.platform}: ${entry.products.length} products found`, 'info');
+                } else if (entry.status === 'unserviceable') {
+                    logAction(`${entry.platform}: not serviceable at your delivery pincode`, 'warn');
+                } else if (entry.status === 'timeout' || entry.status === 'error') {
+                    logAction(`${entry.platform}: ${entry.status === 'timeout' ? 'timed out' : entry.error}`, 'warn');
+                }
+                persistState(run);
+            },
+        });
+        await finishComparison(run, result);
     } catch (error) {
         logger.error('Error in startComparisonMode', error);
-        logAction('Error starting comparison. Please try again.', 'error');
-        throw error;
+        logAction('Error comparing products. Please try again.', 'error');
+        setStatus(run, 'FAILED');
+    }
+}
+
+/**
+ * Show the ranked comparison, keep the winning tab and continue the purchase flow there
+ */
+async function finishComparison(run, result) {
+    if (isFinishedStatus(run.status)) return;
+
+    run.comparisonResult = {
+        winner: result.winner,
+        ranked: result.ranked.slice(0, 10),
+        sameItem: result.groups.find((group) => group.items.includes(result.winner)) || null,
+        platforms: result.platforms,
+        weights: result.weights,
+        partial: result.partial,
+    };
+    showComparison(formatComparisonResult(result));
+    recordPrices(result.ranked);
+
+    const bestProduct = result.winner;
+    if (!bestProduct) {
+        logAction('❌ No products found matching your criteria on any platform.', 'error');
+        setStatus(run, 'COMPLETED');
+        return;
+    }
+    showPriceHistory(bestProduct);
+
+    const bestPlatformName = bestProduct.platform;
+    const losingTabs = Object.entries(run.platformResults)
+        .filter(([name, info]) => name !== bestPlatformName && info.tabId)
+        .map(([platform, info]) => ({ platform, tabId: info.tabId }));
+    await closeTabs(losingTabs);
+
+    if (!bestProduct.link) {
+        logAction(`Best deal is on ${bestPlatformName}, but it has no product link to open.`, 'warn');
+        setStatus(run, 'COMPLETED');
+        return;
     }
+
+    logAction(`🎯 **Proceeding with ${bestPlatformName.toUpperCase()}** (Best Deal!)`, 'info');
+    run.data.platform = bestPlatformName;
+    run.platform = run.platformResults[bestPlatformName].platform;
+    run.tabId = run.platformResults[bestPlatformName].tabId;
+    run.productPageRetries = 0;
+    run.selectedProduct = {
+        title: bestProduct.title,
+        price: bestProduct.price,
+        link: bestProduct.link
+    };
+    setStatus(run, 'PRODUCT_PAGE');
+
+    // The product page's PAGE_LOADED continues the Buy Now flow
+    await chrome.tabs.update(run.tabId, { active: true, url: bestProduct.link });
 }
 
 // Helper function for fallback search (platform-specific DOM manipulation)
 async function executeSearchFallback(tabId) {
-    const platform = currentState.platform;
+    const run = runSessions.getByTab(tabId);
+    if (!run) return;
+    const platform = run.platform;
     const platformName = platform ? platform.name : 'amazon';
     
     // Get refined query
-    const refinedQuery = refineSearchQuery(currentState.data);
+    const refinedQuery = refineSearchQuery(run.data);
     logger.info('Executing fallback search with refined query', { refinedQuery });
 
     // Try platform-specific selectors
@@ -1413,16 +2361,17 @@ async function executeSearchFallback(tabId) {
         });
     }
     
-    currentState.status = 'SELECTING';
+    setStatus(run, 'SELECTING');
     
-    // For AJAX platforms (Flipkart, eBay), continue immediately after search
+    // For AJAX platforms (Flipkart), continue immediately after search
     // For page reload platforms (Amazon), wait for PAGE_LOADED event
-    const usesAjax = ['flipkart', 'ebay'].includes(platformName);
+    const usesAjax = ['flipkart'].includes(platformName);
     
     if (usesAjax) {
         logger.info('Fallback: AJAX platform detected, continuing to SELECTING immediately', { platformName });
         // Mark filters as already applied since search might apply them
-        currentState.filtersApplied = true;
+        run.filtersApplied = true;
+        persistState(run);
         // Wait for DOM to update, then continue
         await new Promise(resolve => setTimeout(resolve, 3000));
         await executeNextStep(tabId);
@@ -1450,7 +2399,9 @@ function refineSearchQuery(data) {
     
     // Remove ALL platform references from query (e.g., "from flipkart", "from amazon", "on reliancedigital")
     // This includes all supported platforms
-    const allPlatforms = 'flipkart|amazon|ebay|walmart|shopify|ajio|jiomart|jio mart|reliancedigital|reliance digital|tirabeauty|tira beauty|tira|bigbasket|big basket|blinkit|zepto';
+    const allPlatforms = platformAliases(registeredDescriptors())
+        .map((alias) => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
     const platformRegex = new RegExp(`\\b(from|on|at|in)\\s+(${allPlatforms})\\b`, 'gi');
     refinedQuery = refinedQuery.replace(platformRegex, '');
     
@@ -1563,32 +2514,25 @@ function refineSearchQuery(data) {
  * Perform LLM-based page analysis and execute recommended action
  */
 async function performLLMPageAnalysis(tabId, mode = ANALYSIS_MODES.GENERAL) {
+    const run = runSessions.getByTab(tabId);
+    if (!run) return false;
     try {
         logAction('Analyzing page content with AI...', 'info');
         
         // 1. Get simplified page content
-        const response = await new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => reject(new Error('Timeout extracting page content')), 15000);
-            chrome.tabs.sendMessage(tabId, { action: 'EXTRACT_PAGE_CONTENT' }, (resp) => {
-                clearTimeout(timeout);
-                if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
-                else resolve(resp);
-            });
-        });
-
-        if (!response || !response.success) {
-            throw new Error(response?.error || 'Failed to extract page content');
+        const response = await sendTabAction(tabId, 'EXTRACT_PAGE_CONTENT');
+        if (!response.success) {
+            throw new Error(responseErrorMessage(response, 'Failed to extract page content'));
         }
 
         // 2. Call LLM to analyze
-        const apiKey = await configManager.get('apiKey');
         const context = {
-            intent: currentState.data.originalQuery || currentState.data.product,
-            status: currentState.status,
-            platform: currentState.platform?.name || 'unknown'
+            intent: run.data.originalQuery || run.data.product,
+            status: run.status,
+            platform: run.platform?.name || 'unknown'
         };
 
-        const recommendation = await analyzePage(apiKey, response.content, context, mode);
+        const recommendation = await analyzePage({ usage: { runId: run.runId, mode } }, response.data, context, mode);
         
         // Handle different action types based on mode
         if (mode === ANALYSIS_MODES.ANALYZE_SEARCH_RESULTS && recommendation.action === 'extract_products') {
@@ -1630,7 +2574,7 @@ async function performLLMPageAnalysis(tabId, mode = ANALYSIS_MODES.GENERAL) {
         // 3. Execute recommendation
         if (recommendation.action === 'select_product') {
             logAction(`AI selected product: ${recommendation.title}`, 'info');
-            currentState.status = 'PRODUCT_PAGE';
+            setStatus(run, 'PRODUCT_PAGE');
             await chrome.tabs.update(tabId, { url: recommendation.url });
         } 
         else if (recommendation.action === 'click') {
@@ -1668,7 +2612,7 @@ async function performLLMPageAnalysis(tabId, mode = ANALYSIS_MODES.GENERAL) {
         }
         else if (recommendation.action === 'completed') {
             logAction('Task completed successfully!', 'info');
-            currentState.status = 'COMPLETED';
+            setStatus(run, 'COMPLETED');
         }
         else if (recommendation.action === 'error') {
             throw new Error(recommendation.message);
@@ -1676,6 +2620,10 @@ async function performLLMPageAnalysis(tabId, mode = ANALYSIS_MODES.GENERAL) {
 
         return true;
     } catch (error) {
+        if (error instanceof BudgetExceededError) {
+            stopRunForBudget(run, error);
+            return false;
+        }
         logger.error('LLM Page Analysis execution failed', error);
         logAction(`AI analysis failed: ${error.message}`, 'error');
         return false;
@@ -1683,77 +2631,100 @@ async function performLLMPageAnalysis(tabId, mode = ANALYSIS_MODES.GENERAL) {
 }
 
 export async function executeNextStep(tabId) {
+    const run = runSessions.getByTab(tabId);
+    if (!run) {
+        logger.debug('No run bound to tab - not executing', { receivedTabId: tabId });
+        return;
+    }
+
     logger.info('executeNextStep called', { 
         receivedTabId: tabId, 
-        currentStateTabId: currentState.tabId, 
-        status: currentState.status,
-        platform: currentState.data?.platform 
+        runId: run.runId,
+        runTabId: run.tabId, 
+        status: run.status,
+        platform: run.data?.platform 
     });
     
-    if (tabId !== currentState.tabId) {
-        logger.warn('Tab ID mismatch - not executing', { receivedTabId: tabId, expectedTabId: currentState.tabId });
+    if (tabId !== run.tabId) {
+        logger.warn('Tab ID mismatch - not executing', { receivedTabId: tabId, expectedTabId: run.tabId });
         return;
     }
 
-    if (currentState.status === 'SEARCHING') {
+    if (run.status === 'SEARCHING') {
+        // Pincode-gated platforms: set the delivery location once before searching
+        const searchPlatform = run.data?.platform || run.platform?.name;
+        if (isLocationGated(searchPlatform) && run.plan?.setLocation !== false && !run.serviceability?.[searchPlatform]) {
+            logAction(`Setting delivery location on ${searchPlatform}...`, 'info');
+            const location = await prepareSearchTab(searchPlatform, tabId, run.data, run.plan);
+            run.serviceability = { ...run.serviceability, [searchPlatform]: location };
+            persistState(run);
+            if (location.serviceable === false) {
+                logAction(`❌ ${searchPlatform} does not deliver to ${location.pincode}. Try another platform or address.`, 'error');
+                run.stopReason = 'not_serviceable';
+                setStatus(run, 'FAILED');
+                return;
+            }
+            if (location.changed) {
+                // The reload's PAGE_LOADED continues with the search
+                return;
+            }
+        }
+
         // Check if we're on search results page or homepage
         try {
             const tab = await chrome.tabs.get(tabId);
             const url = tab.url;
             
+            const plan = await confirmRunCapabilities(run, tabId);
+            
             // If already on search results page, skip search and go to selecting
             if (url.includes('/s?') || url.includes('/s/') || url.includes('/search?') || url.includes('/s?')) {
                 logger.info('Already on search results page, skipping search');
-                currentState.status = 'SELECTING';
+                setStatus(run, 'SELECTING');
                 // Continue to SELECTING logic below
+            } else if (plan?.searchMode === 'url') {
+                // The platform can't drive its search box: open the search results URL instead
+                const platformName = run.data?.platform || run.platform?.name;
+                const query = refineSearchQuery({ ...run.data });
+                const searchUrl = platformName === 'shopify'
+                    ? buildSearchUrl(getPlatformDescriptor('shopify'), query, { store: new URL(url).host })
+                    : getSearchUrlForPlatform(platformName, query);
+                logAction('Opening search results...', 'info');
+                setStatus(run, 'SELECTING');
+                await chrome.tabs.update(tabId, { url: searchUrl });
+                // The results page's PAGE_LOADED continues in SELECTING
+                return;
             } else {
                 // We are on homepage, search for product using platform-specific method
                 logAction("Executing Search...", 'info');
                 
                 // Refine query with context
-                const searchData = { ...currentState.data };
+                const searchData = { ...run.data };
                 searchData.product = refineSearchQuery(searchData);
-                logger.info('Refined search query', { original: currentState.data.product, refined: searchData.product });
+                logger.info('Refined search query', { original: run.data.product, refined: searchData.product });
 
                 // Use platform's search method via content script
                 try {
-                    const searchResponsePromise = () => {
-                        return new Promise((resolve, reject) => {
-                            const timeout = setTimeout(() => {
-                                reject(new Error('Timeout waiting for search response'));
-                            }, 45000); // Increased from 10s to 45s for search + filter application
-                            
-                            chrome.tabs.sendMessage(tabId, { 
-                                action: 'SEARCH', 
-                                query: searchData.product,
-                                filters: searchData.filters || {},
-                                sort: searchData.sort || null
-                            }, (response) => {
-                                clearTimeout(timeout);
-                                if (chrome.runtime.lastError) {
-                                    reject(new Error(chrome.runtime.lastError.message));
-                                } else {
-                                    resolve(response);
-                                }
-                            });
-                        });
-                    };
-                    
-                    const searchResponse = await searchResponsePromise();
+                    const searchResponse = await sendTabAction(tabId, 'SEARCH', {
+                        query: searchData.product,
+                        filters: searchData.filters || {},
+                        sort: searchData.sort || null
+                    }, { timeoutMs: 45000 }); // 45s for search + filter application
                     
-                    if (searchResponse && searchResponse.success) {
+                    if (searchResponse.success) {
                         logger.info('Search executed successfully');
-                        currentState.status = 'SELECTING';
+                        setStatus(run, 'SELECTING');
                         
-                        // For AJAX platforms (Flipkart, eBay), continue immediately
+                        // For AJAX platforms (Flipkart), continue immediately
                         // For page reload platforms (Amazon, JioMart, Ajio, etc.), wait for PAGE_LOADED event
-                        const platformName = currentState.data.platform || currentState.platform?.name || 'unknown';
-                        const usesAjax = ['flipkart', 'ebay'].includes(platformName);
+                        const platformName = run.data.platform || run.platform?.name || 'unknown';
+                        const usesAjax = ['flipkart'].includes(platformName);
                         
                         if (usesAjax) {
                             logger.info('AJAX platform detected, continuing to SELECTING immediately', { platformName });
                             // Mark filters as already applied since search() method applies them
-                            currentState.filtersApplied = true;
+                            run.filtersApplied = true;
+                            persistState(run);
                             // Wait a bit for DOM to update, then continue
                             await new Promise(resolve => setTimeout(resolve, 2000));
                             await executeNextStep(tabId);
@@ -1762,7 +2733,7 @@ export async function executeNextStep(tabId) {
                             logger.info('Page reload platform, waiting for PAGE_LOADED event', { platformName });
                         }
                     } else {
-                        logger.warn('Search response indicates failure, using fallback', { response: searchResponse });
+                        logger.warn('Search response indicates failure, using fallback', { error: searchResponse.error });
                         // Fallback to direct DOM manipulation
                         await executeSearchFallback(tabId);
                     }
@@ -1778,173 +2749,54 @@ export async function executeNextStep(tabId) {
             return;
         }
     }
-    else if (currentState.status === 'COMPARING') {
-        // Handle multi-platform comparison mode
-        logger.info('Handling comparison mode', { 
-            platforms: Object.keys(currentState.platformResults) 
-        });
-        
-        try {
-            // Check if all platforms have completed their search
-            const platformNames = Object.keys(currentState.platformResults);
-            const allCompleted = platformNames.every(name => {
-                const result = currentState.platformResults[name];
-                return result.status === 'completed' || result.status === 'error';
-            });
-            
-            if (!allCompleted) {
-                logger.info('Waiting for all platforms to complete', { 
-                    statuses: platformNames.map(name => ({
-                        platform: name,
-                        status: currentState.platformResults[name].status
-                    }))
-                });
-                return; // Wait for all platforms
-            }
-            
-            // Collect all products from all platforms
-            const allProducts = [];
-            for (const platformName of platformNames) {
-                const result = currentState.platformResults[platformName];
-                if (result.products && result.products.length > 0) {
-                    allProducts.push(...result.products);
-                    logger.info(`Collected ${result.products.length} products from ${platformName}`);
-                }
-            }
-            
-            if (allProducts.length === 0) {
-                logger.warn('No products found across any platform');
-                logAction('❌ No products found matching your criteria on any platform.', 'error');
-                currentState.status = 'COMPLETED';
-                return;
-            }
-            
-            logger.info(`Total products for comparison: ${allProducts.length}`);
-            logAction(`Comparing ${allProducts.length} products...`, 'info');
-            
-            // Get user preferences for comparison
-            const preferences = await configManager.get('comparisonPreferences') || {
-                priceWeight: 0.4,
-                ratingWeight: 0.3,
-                deliveryWeight: 0.2,
-                availabilityWeight: 0.1
-            };
-            
-            // Run comparison
-            const comparisonResult = compareProducts({
-                products: allProducts,
-                preferences
-            });
-            
-            currentState.comparisonResult = comparisonResult;
-            
-            // Format and display results
-            const formattedResult = formatComparisonResult(comparisonResult);
-            logger.info('Comparison complete', { 
-                bestPlatform: comparisonResult.bestProduct.platform,
-                bestPrice: comparisonResult.bestProduct.price
-            });
-            
-            // Send results to popup for display
-            logAction(formattedResult, 'comparison');
-            
-            // Automatically proceed with best product
-            const bestProduct = comparisonResult.bestProduct;
-            const bestPlatformName = bestProduct.platform;
-            
-            logAction(`\n🎯 **Proceeding with ${bestPlatformName.toUpperCase()}** (Best Deal!)`, 'info');
-            
-            // Set up state to continue with the best platform
-            currentState.data.platform = bestPlatformName;
-            currentState.platform = currentState.platformResults[bestPlatformName].platform;
-            currentState.tabId = currentState.platformResults[bestPlatformName].tabId;
-            currentState.selectedProduct = bestProduct;
-            currentState.status = 'PRODUCT_PAGE';
-            
-            // Focus the selected tab
-            await chrome.tabs.update(currentState.tabId, { active: true });
-            
-            // Navigate to the product page
-            logger.info('Navigating to best product', { 
-                platform: bestPlatformName, 
-                productLink: bestProduct.link 
-            });
-            logAction(`Opening product: ${bestProduct.title.substring(0, 60)}...`, 'info');
-            
-            await chrome.tabs.update(currentState.tabId, { url: bestProduct.link });
-            
-            // Wait for page load
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
-            // Close other platform tabs
-            for (const platformName of platformNames) {
-                if (platformName !== bestPlatformName) {
-                    const otherTabId = currentState.platformResults[platformName].tabId;
-                    if (otherTabId) {
-                        try {
-                            await chrome.tabs.remove(otherTabId);
-                            logger.info(`Closed ${platformName} tab`, { tabId: otherTabId });
-                        } catch (e) {
-                            logger.debug(`Failed to close ${platformName} tab`, e);
-                        }
-                    }
-                }
-            }
-            
-            // Continue with Buy Now flow
-            await executeNextStep(currentState.tabId);
-            
-        } catch (error) {
-            logger.error('Error in comparison mode', error);
-            logAction('Error comparing products. Please try again.', 'error');
-            currentState.status = 'COMPLETED';
+    else if (run.status === 'BASKET') {
+        // The basket runner drives its tab directly; only a run restored after a
+        // worker restart is picked back up, skipping items already settled
+        if (activeBaskets.has(run.runId)) {
+            logger.debug('Basket in progress, ignoring page load', { runId: run.runId, tabId });
+            return;
         }
+        logger.info('Resuming basket after restart', { runId: run.runId });
+        await startBasketMode(run);
     }
-    else if (currentState.status === 'SELECTING') {
+    else if (run.status === 'SELECTING') {
         logAction('Analyzing search results...', 'info');
 
         // 1. Check if we need to apply filters first
-        const filters = currentState.data.filters || {};
-        if (Object.keys(filters).length > 0 && !currentState.filtersApplied) {
+        const filters = run.data.filters || {};
+        if (run.plan && !run.plan.applyFilters && !run.filtersApplied) {
+            // Nothing to apply on the page; results are filtered after extraction
+            run.filtersApplied = true;
+            persistState(run);
+        }
+        if (Object.keys(filters).length > 0 && !run.filtersApplied) {
             logger.info('Applying filters in SELECTING state', { filters });
             logAction('Applying filters to search results...', 'info');
             
             try {
                 // Set flag BEFORE applying to avoid infinite loop on page reloads
-                currentState.filtersApplied = true;
+                run.filtersApplied = true;
+                persistState(run);
                 
-                const filterResponse = await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        logger.warn('Filter application response timeout in SELECTING');
-                        resolve({ success: true, timeout: true });
-                    }, 25000);
-                    
-                    chrome.tabs.sendMessage(tabId, {
-                        action: 'APPLY_FILTERS',
-                        filters: filters
-                    }, (response) => {
-                        clearTimeout(timeout);
-                        if (chrome.runtime.lastError) {
-                            logger.warn('Filter message error in SELECTING', { error: chrome.runtime.lastError.message });
-                            resolve({ success: true, error: chrome.runtime.lastError.message });
-                        } else {
-                            resolve(response);
-                        }
-                    });
+                // A slow or lost answer is treated as applied; the page may be reloading with the filters
+                const filterResponse = await sendTabAction(tabId, 'APPLY_FILTERS', { filters }, { timeoutMs: 25000 }).catch((error) => {
+                    logger.warn('Filter message error in SELECTING', { error: error.message });
+                    return { success: true, data: null, error: null, timeout: true };
                 });
+                if (filterResponse.error?.code === PROTOCOL_ERRORS.UNSUPPORTED_ACTION) {
+                    logger.info('Platform has no filter support, continuing with unfiltered results');
+                }
                 
-                if (filterResponse && (filterResponse.success || filterResponse.timeout)) {
+                if (filterResponse.success || filterResponse.timeout) {
                     logger.info('Filters applied, waiting for results...', { filters });
                     logAction('Filters applied, waiting for results...', 'info');
                     
                     // Get platform name correctly - it's stored as a string, not object
-                    const platformName = typeof currentState.data.platform === 'string' 
-                        ? currentState.data.platform 
-                        : (currentState.data.platform?.name || currentState.platform?.name || 'unknown');
+                    const platformName = typeof run.data.platform === 'string' 
+                        ? run.data.platform 
+                        : (run.data.platform?.name || run.platform?.name || 'unknown');
                     
-                    // Platforms that use AJAX/SPA navigation (don't reload page on filter)
-                    // Most modern platforms use AJAX, only Amazon requires full page reload
-                    const usesAjax = ['flipkart', 'ebay', 'ajio', 'jiomart', 'reliancedigital', 'tirabeauty', 'bigbasket', 'blinkit', 'zepto'].includes(platformName);
+                    const usesAjax = AJAX_RESULTS_PLATFORMS.includes(platformName);
                     
                     logger.info('Filter handling - platform detection', { platformName, usesAjax });
                     
@@ -1966,43 +2818,43 @@ export async function executeNextStep(tabId) {
             }
         }
 
-        // 2. Get results from content script
+        // 2. Sort on the page when the platform can; otherwise results are ranked after reading them
+        if (run.plan?.applySort && !run.sortApplied) {
+            run.sortApplied = true;
+            persistState(run);
+            logAction('Sorting search results...', 'info');
+            const sortResponse = await sendTabAction(tabId, 'SORT_RESULTS', { sort: run.data.sortStrategy }, { timeoutMs: 15000 }).catch((error) => {
+                logger.warn('Sort message error in SELECTING', { error: error.message });
+                return null;
+            });
+            if (sortResponse?.success) {
+                const platformName = run.data.platform || run.platform?.name || 'unknown';
+                if (!AJAX_RESULTS_PLATFORMS.includes(platformName)) {
+                    // The sorted page's PAGE_LOADED continues in SELECTING
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            } else if (sortResponse) {
+                logger.warn('Could not sort results on the page', { error: sortResponse.error });
+            }
+        }
+
+        // 3. Get results from content script
         try {
             logger.info('Requesting search results from content script', { tabId });
             
             // Use promise wrapper for chrome.tabs.sendMessage with timeout
-            const getSearchResults = () => {
-                return new Promise((resolve, reject) => {
-                    logger.info('Sending message to content script', { tabId });
-                    
-                    // Set a timeout to avoid hanging forever
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Timeout waiting for content script response'));
-                    }, 20000); // Increased from 10s to 20s
-                    
-                    chrome.tabs.sendMessage(tabId, { 
-                        action: 'GET_SEARCH_RESULTS',
-                        filters: currentState.data.filters || {}
-                    }, (response) => {
-                        clearTimeout(timeout);
-                        
-                        if (chrome.runtime.lastError) {
-                            const errorMsg = chrome.runtime.lastError.message;
-                            logger.error('Chrome runtime error in sendMessage', null, { errorMessage: errorMsg });
-                            reject(new Error(errorMsg));
-                        } else if (response === undefined || response === null) {
-                            logger.warn('No response from content script', {});
-                            reject(new Error('No response from content script'));
-                        } else {
-                            logger.info('Received response from content script', { 
-                                hasItems: 'items' in response,
-                                itemCount: response.items ? response.items.length : 0,
-                                success: response.success
-                            });
-                            resolve(response);
-                        }
-                    });
+            const getSearchResults = async () => {
+                logger.info('Sending message to content script', { tabId });
+                const response = await sendTabAction(tabId, 'GET_SEARCH_RESULTS', { filters: run.data.filters || {} }, { timeoutMs: 20000 });
+                if (response.error?.code === PROTOCOL_ERRORS.NO_RESPONSE) {
+                    throw new Error('No response from content script');
+                }
+                logger.info('Received response from content script', {
+                    itemCount: Array.isArray(response.data) ? response.data.length : 0,
+                    success: response.success
                 });
+                return response;
             };
             
             // Wait a bit for content script to be fully loaded
@@ -2012,11 +2864,7 @@ export async function executeNextStep(tabId) {
             try {
                 logger.info('Attempting to get search results (first try)...');
                 response = await getSearchResults();
-                logger.info('Got response on first try', { 
-                    hasResponse: !!response,
-                    hasItems: response && 'items' in response,
-                    itemCount: response && response.items ? response.items.length : 0
-                });
+                logger.info('Got response on first try', { success: response.success });
             } catch (sendError) {
                 const errorMsg = sendError && sendError.message ? String(sendError.message) : 'Unknown error';
                 logger.warn('First attempt failed, retrying...', { error: errorMsg });
@@ -2028,11 +2876,7 @@ export async function executeNextStep(tabId) {
                 try {
                     logger.info('Attempting to get search results (retry)...');
                     response = await getSearchResults();
-                    logger.info('Got response on retry', { 
-                        hasResponse: !!response,
-                        hasItems: response && 'items' in response,
-                        itemCount: response && response.items ? response.items.length : 0
-                    });
+                    logger.info('Got response on retry', { success: response.success });
                 } catch (retryError) {
                     const retryErrorMsg = retryError && retryError.message ? String(retryError.message) : 'Unknown error';
                     logger.error('Failed after retry', null, { 
@@ -2055,20 +2899,15 @@ export async function executeNextStep(tabId) {
             // Safely process items
             let items = [];
             try {
-                if (response && response.items && Array.isArray(response.items)) {
-                    items = response.items;
-                } else if (response && Array.isArray(response)) {
-                    items = response;
-                } else if (response && response.success && response.items) {
-                    items = response.items;
+                if (response.success && Array.isArray(response.data)) {
+                    items = response.data;
+                } else if (!response.success) {
+                    logger.warn('Content script could not read search results', { error: response.error });
                 }
                 
-                logger.info('Extracted search results from content script', { 
-                    count: items.length,
-                    hasResponse: !!response,
-                    responseKeys: response ? Object.keys(response) : []
-                });
+                logger.info('Extracted search results from content script', { count: items.length });
                 logAction(`Found ${items.length} items on page.`, 'info');
+                recordPrices(items, run.platform?.name);
             } catch (extractError) {
                 logger.error('Error extracting items from response', extractError);
                 logAction('Error processing search results.', 'error');
@@ -2170,10 +3009,10 @@ export async function executeNextStep(tabId) {
 
             if (validatedItems.length > 0) {
                 try {
-                    const filters = currentState.data.filters || {};
+                    const filters = run.data.filters || {};
                     const intent = {
-                        sortStrategy: currentState.data.sortStrategy,
-                        urgency: currentState.data.urgency
+                        sortStrategy: run.data.sortStrategy,
+                        urgency: run.data.urgency
                     };
 
                     logger.info('Starting product matching and ranking', { 
@@ -2285,7 +3124,7 @@ export async function executeNextStep(tabId) {
                             for (const product of llmProducts) {
                                 // Ensure absolute URLs
                                 if (product.link && !product.link.startsWith('http')) {
-                                    const origin = currentState.platform?.name === 'flipkart' 
+                                    const origin = run.platform?.name === 'flipkart' 
                                         ? 'https://www.flipkart.com' 
                                         : 'https://www.amazon.in';
                                     try {
@@ -2329,8 +3168,9 @@ export async function executeNextStep(tabId) {
                                 if (productPrice) logAction(`Price: ${productPrice}`, 'info');
                                 logAction(`Navigating to product page...`, 'info');
                                 
-                                currentState.status = 'PRODUCT_PAGE';
-                                currentState.productPageRetries = 0; // Reset retry counter for new product
+                                run.productPageRetries = 0; // Reset retry counter for new product
+                                setStatus(run, 'PRODUCT_PAGE');
+                                showPriceHistory({ platform: run.platform?.name, ...selectedProduct });
                                 
                                 // Navigate using the same retry logic
                                 // (Navigation logic continues below...)
@@ -2407,15 +3247,16 @@ export async function executeNextStep(tabId) {
                     }
                     logAction(`Navigating to product page...`, 'info');
 
-                currentState.status = 'PRODUCT_PAGE';
-                    currentState.productPageRetries = 0; // Reset retry counter for new product
+                    run.productPageRetries = 0; // Reset retry counter for new product
 
                     // Store selected product info for potential retry
-                    currentState.selectedProduct = {
+                    run.selectedProduct = {
                         title: bestItem.title,
                         price: bestItem.price,
                         link: productLink
                     };
+                    setStatus(run, 'PRODUCT_PAGE');
+                    showPriceHistory({ platform: run.platform?.name, ...run.selectedProduct });
 
                     // Navigate to product page with retry logic
                     logger.info('Navigating to product', { url: productLink, tabId });
@@ -2568,18 +3409,18 @@ export async function executeNextStep(tabId) {
             logAction(`Error reading search results: ${errorMessage}`, 'error');
         }
     }
-    else if (currentState.status === 'PRODUCT_PAGE') {
+    else if (run.status === 'PRODUCT_PAGE') {
         // Check retry limit first
-        if (currentState.productPageRetries >= currentState.maxProductPageRetries) {
+        if (run.productPageRetries >= run.maxProductPageRetries) {
             logger.error('Max product page retries exceeded', { 
-                retries: currentState.productPageRetries,
-                maxRetries: currentState.maxProductPageRetries
+                retries: run.productPageRetries,
+                maxRetries: run.maxProductPageRetries
             });
             logAction('Unable to complete purchase after 3 attempts. Please proceed manually:', 'error');
             logAction('1. The product page is open in the tab', 'info');
             logAction('2. Click "Buy Now" or "Add to Cart" manually', 'info');
             logAction('3. Complete checkout on the website', 'info');
-            currentState.status = 'COMPLETED'; // Prevent further retries
+            setStatus(run, 'COMPLETED'); // Prevent further retries
             return;
         }
         
@@ -2588,7 +3429,7 @@ export async function executeNextStep(tabId) {
             const tab = await chrome.tabs.get(tabId);
             const currentUrl = tab?.url || '';
             
-            logger.info('Verifying product page navigation', { currentUrl, tabId, retryCount: currentState.productPageRetries });
+            logger.info('Verifying product page navigation', { currentUrl, tabId, retryCount: run.productPageRetries });
             
             // Check if we're on checkout/cart page (Buy Now succeeded!)
             const isCheckoutUrl = currentUrl.includes('/gp/buy/') ||
@@ -2601,7 +3442,7 @@ export async function executeNextStep(tabId) {
                 logger.info('Successfully navigated to checkout/cart page!', { currentUrl });
                 logAction('✅ Buy Now successful! Navigated to checkout page.', 'info');
                 logAction('Please complete the checkout manually on the website.', 'info');
-                currentState.status = 'CHECKOUT_FLOW';
+                setStatus(run, 'CHECKOUT_FLOW');
                 return;
             }
             
@@ -2611,15 +3452,15 @@ export async function executeNextStep(tabId) {
                                        currentUrl.includes('/search/');
             
             if (isSearchResultsUrl) {
-                logger.warn('Still on search results page, navigation may have failed', { currentUrl, retryCount: currentState.productPageRetries });
-                logAction(`Navigation verification: still on search results. Retry ${currentState.productPageRetries + 1}/${currentState.maxProductPageRetries}...`, 'warn');
+                logger.warn('Still on search results page, navigation may have failed', { currentUrl, retryCount: run.productPageRetries });
+                logAction(`Navigation verification: still on search results. Retry ${run.productPageRetries + 1}/${run.maxProductPageRetries}...`, 'warn');
                 
-                currentState.productPageRetries++;
+                bumpProductPageRetries(run);
                 
                 // Retry navigation if we have the product link stored
-                if (currentState.selectedProduct?.link) {
-                    const productLink = currentState.selectedProduct.link;
-                    logger.info('Retrying navigation to product page', { productLink, retry: currentState.productPageRetries });
+                if (run.selectedProduct?.link) {
+                    const productLink = run.selectedProduct.link;
+                    logger.info('Retrying navigation to product page', { productLink, retry: run.productPageRetries });
                     
                     try {
                         // Try different navigation method
@@ -2639,11 +3480,11 @@ export async function executeNextStep(tabId) {
                         const retryUrl = retryTab?.url || '';
                         
                         if (retryUrl.includes('/s?') || retryUrl.includes('/search')) {
-                            logger.error('Navigation retry failed, still on search results', { retryUrl, retry: currentState.productPageRetries });
-                            if (currentState.productPageRetries >= currentState.maxProductPageRetries) {
+                            logger.error('Navigation retry failed, still on search results', { retryUrl, retry: run.productPageRetries });
+                            if (run.productPageRetries >= run.maxProductPageRetries) {
                                 logAction('Failed to navigate to product page after maximum retries.', 'error');
                                 logAction('Please navigate to the product manually and click Buy Now.', 'info');
-                                currentState.status = 'COMPLETED';
+                                setStatus(run, 'COMPLETED');
                             }
                             return;
                         }
@@ -2652,16 +3493,16 @@ export async function executeNextStep(tabId) {
                         
                     } catch (retryError) {
                         logger.error('Navigation retry failed', retryError);
-                        logAction(`Failed to retry navigation (attempt ${currentState.productPageRetries}/${currentState.maxProductPageRetries})`, 'error');
-                        if (currentState.productPageRetries >= currentState.maxProductPageRetries) {
-                            currentState.status = 'COMPLETED';
+                        logAction(`Failed to retry navigation (attempt ${run.productPageRetries}/${run.maxProductPageRetries})`, 'error');
+                        if (run.productPageRetries >= run.maxProductPageRetries) {
+                            setStatus(run, 'COMPLETED');
                         }
                         return;
                     }
                 } else {
                     logger.error('No product link stored for retry');
                     logAction('Cannot retry navigation: no product link available', 'error');
-                    currentState.status = 'COMPLETED';
+                    setStatus(run, 'COMPLETED');
                     return;
                 }
             } else {
@@ -2678,31 +3519,13 @@ export async function executeNextStep(tabId) {
         
         // Check for login screen
         try {
-            const platform = currentState.platform;
-            if (platform) {
-                const loginDetectedPromise = () => {
-                    return new Promise((resolve, reject) => {
-                        const timeout = setTimeout(() => {
-                            resolve({ loginScreenDetected: false });
-                        }, 5000);
-                        
-                        chrome.tabs.sendMessage(tabId, { 
-                            action: 'DETECT_LOGIN_SCREEN',
-                            platform: platform.name 
-                        }, (response) => {
-                            clearTimeout(timeout);
-                            if (chrome.runtime.lastError) {
-                                resolve({ loginScreenDetected: false });
-                            } else {
-                                resolve(response || { loginScreenDetected: false });
-                            }
-                        });
-                    });
-                };
+            const platform = run.platform;
+            if (platform && run.plan?.checkLogin !== false) {
+                // Platforms without login handling answer unsupported_action, which counts as no login screen
+                const loginDetected = await sendTabAction(tabId, 'DETECT_LOGIN_SCREEN', { platform: platform.name }, { timeoutMs: 5000 })
+                    .catch(() => null);
                 
-                const loginDetected = await loginDetectedPromise();
-                
-                if (loginDetected && loginDetected.loginScreenDetected) {
+                if (loginDetected?.data?.loginScreenDetected) {
                     logAction('Login screen detected. Logging in...', 'info');
                     try {
                         await loginManager.handleLogin(platform.name, tabId);
@@ -2729,27 +3552,12 @@ export async function executeNextStep(tabId) {
             logger.info('Attempting to click Buy Now', { tabId });
             
             // Use promise wrapper with timeout
-            const clickBuyNowPromise = () => {
-                return new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Timeout waiting for Buy Now click response'));
-                    }, 15000); // 15 second timeout
-                    
-                    chrome.tabs.sendMessage(tabId, { action: 'CLICK_BUY_NOW' }, (response) => {
-                        clearTimeout(timeout);
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                        } else {
-                            resolve(response);
-                        }
-                    });
-                });
-            };
-            
-            const response = await clickBuyNowPromise();
+            // Platforms without quantity support buy one; the plan warned the user to change it in the cart
+            const quantity = run.plan?.setQuantity ? Number(run.data.quantity) : 1;
+            const response = await sendTabAction(tabId, 'CLICK_BUY_NOW', { quantity }, { timeoutMs: 15000 });
             logger.info('Buy Now response', { response });
             
-            if (response && response.success) {
+            if (response.success) {
                 // Wait a moment for navigation
                 await new Promise(resolve => setTimeout(resolve, 2000));
                 
@@ -2764,10 +3572,10 @@ export async function executeNextStep(tabId) {
                                       checkUrl.includes('/spc/');
                     
                     if (isCheckout) {
-                currentState.status = 'CHECKOUT_FLOW';
+                setStatus(run, 'CHECKOUT_FLOW');
                         logAction('✅ Successfully navigated to checkout page!', 'info');
                         logAction('Please complete the checkout manually on the website.', 'info');
-                        currentState.status = 'COMPLETED'; // Stop automation, user takes over
+                        setStatus(run, 'COMPLETED'); // Stop automation, user takes over
                         return;
             } else {
                         logger.info('Buy Now clicked but not on checkout page', { currentUrl: checkUrl });
@@ -2778,7 +3586,7 @@ export async function executeNextStep(tabId) {
                 }
             } else {
                 logAction('Could not click "Buy Now" with rules. Please click Buy Now manually.', 'warn');
-                currentState.productPageRetries++;
+                bumpProductPageRetries(run);
             }
             } catch (e) {
             // Check if error is due to page navigation (expected after Buy Now click)
@@ -2808,22 +3616,22 @@ export async function executeNextStep(tabId) {
                     if (isCheckout) {
                         logAction('✅ Successfully navigated to checkout page!', 'info');
                         logAction('Please complete the checkout manually on the website.', 'info');
-                        currentState.status = 'COMPLETED';
+                        setStatus(run, 'COMPLETED');
                         return;
                 } else {
                         logger.warn('Buy Now clicked but not on checkout page', { currentUrl: checkUrl });
                         logAction('Buy Now may have failed. Please try manually.', 'warn');
-                        currentState.productPageRetries++;
+                        bumpProductPageRetries(run);
                         
                         // Check if exceeded retries
-                        if (currentState.productPageRetries >= currentState.maxProductPageRetries) {
+                        if (run.productPageRetries >= run.maxProductPageRetries) {
                             logAction('Maximum retry attempts reached. Please complete purchase manually.', 'error');
-                            currentState.status = 'COMPLETED';
+                            setStatus(run, 'COMPLETED');
                         }
                     }
                 } catch (urlCheckError) {
                     logger.error('Could not verify checkout navigation', urlCheckError);
-                    currentState.productPageRetries++;
+                    bumpProductPageRetries(run);
                 }
             } else {
             logger.error('Error clicking Buy Now', e, { 
@@ -2831,29 +3639,30 @@ export async function executeNextStep(tabId) {
                 errorStack: e.stack 
             });
                 logAction(`Error clicking Buy Now: ${e.message}`, 'error');
-                currentState.productPageRetries++;
+                bumpProductPageRetries(run);
                 
                 // Check if exceeded retries
-                if (currentState.productPageRetries >= currentState.maxProductPageRetries) {
+                if (run.productPageRetries >= run.maxProductPageRetries) {
                     logAction('Maximum retry attempts reached. Please complete purchase manually.', 'error');
-                    currentState.status = 'COMPLETED';
+                    setStatus(run, 'COMPLETED');
                 }
             }
         }
     }
-    else if (currentState.status === 'CHECKOUT_FLOW') {
+    else if (run.status === 'CHECKOUT_FLOW') {
         // This is complex. We might hit a Login page, Address Selection, or straight to Payment.
         logAction('In Checkout Flow. Navigating purchase steps...');
 
         // Check for Order Confirmation URL
         const currentUrl = (await chrome.tabs.get(tabId)).url;
         if (currentUrl.includes('thank-you') || currentUrl.includes('order-confirmation')) {
-            currentState.status = 'COMPLETED';
+            setStatus(run, 'COMPLETED');
 
-            const response = await chrome.tabs.sendMessage(tabId, { action: 'GET_ORDER_DETAILS' });
+            const response = await sendTabAction(tabId, 'GET_ORDER_DETAILS');
+            const details = response.data || {};
             logAction(`Order Placed Successfully!`);
-            logAction(`Order ID: ${response.orderId}`);
-            logAction(`Delivery Estimate: ${response.deliveryDate}`);
+            logAction(`Order ID: ${details.orderId || 'Pending/Unknown'}`);
+            logAction(`Delivery Estimate: ${details.deliveryDate || 'Unknown'}`);
         }
     }
 }
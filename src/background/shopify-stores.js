@@ -0,0 +1,112 @@
+/**
+ * Opted-in Shopify stores on custom domains.
+ * *.myshopify.com is covered by the manifest; any other store needs the user to
+ * grant its host permission (from the side panel, which has the click gesture),
+ * after which the Shopify content script is registered for it dynamically.
+ */
+
+import { logger } from '../lib/logger.js';
+import { configManager } from '../lib/config.js';
+import { ShopifyStorefront, normalizeStoreDomain, storeMatchPattern } from '../lib/shopify-api.js';
+
+export const SHOPIFY_SCRIPT_ID = 'retailagent-shopify-stores';
+const SHOPIFY_LOADER = 'src/content/shopify-loader.js';
+
+export function getShopifyStores() {
+    return configManager.get('shopify.stores', []);
+}
+
+/**
+ * Stores whose host permission is still granted
+ */
+async function grantedStores(stores) {
+    if (!chrome.permissions?.contains) return stores;
+    const granted = [];
+    for (const domain of stores) {
+        if (await chrome.permissions.contains({ origins: [storeMatchPattern(domain)] })) {
+            granted.push(domain);
+        }
+    }
+    return granted;
+}
+
+// Syncs from startup, store opt-ins and permission changes run one at a time
+let syncQueue = Promise.resolve();
+
+/**
+ * Register the Shopify content script for every opted-in store (replacing any
+ * previous registration). Registered scripts persist across worker restarts,
+ * but are re-synced on startup in case permissions were revoked.
+ * @returns {Promise<string[]>} Domains the script is registered for
+ */
+export function syncShopifyStoreScripts(stores = getShopifyStores()) {
+    const sync = syncQueue.then(() => registerStoreScripts(stores));
+    syncQueue = sync.catch(() => { });
+    return sync;
+}
+
+async function registerStoreScripts(stores) {
+    if (!chrome.scripting?.registerContentScripts) return [];
+    const domains = await grantedStores(stores.filter((d) => !d.endsWith('.myshopify.com')));
+
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [SHOPIFY_SCRIPT_ID] });
+    if (existing.length) {
+        await chrome.scripting.unregisterContentScripts({ ids: [SHOPIFY_SCRIPT_ID] });
+    }
+    if (domains.length) {
+        await chrome.scripting.registerContentScripts([{
+            id: SHOPIFY_SCRIPT_ID,
+            matches: domains.map(storeMatchPattern),
+            js: [SHOPIFY_LOADER],
+            runAt: 'document_idle',
+            persistAcrossSessions: true,
+        }]);
+    }
+    logger.info('Shopify store scripts synced', { domains });
+    return domains;
+}
+
+/**
+ * Opt a store in after checking it serves the Shopify storefront API
+ * @param {string} input - Store URL or domain
+ * @returns {Promise<Object>} { success, domain, stores, error }
+ */
+export async function addShopifyStore(input, { fetchImpl } = {}) {
+    const domain = normalizeStoreDomain(input);
+    if (!domain) return { success: false, domain: null, error: 'invalid_store' };
+
+    await configManager.load();
+    const stores = getShopifyStores();
+    if (!stores.includes(domain)) {
+        const storefront = new ShopifyStorefront(`https://${domain}`, fetchImpl);
+        if (!(await storefront.isShopifyStore())) {
+            return { success: false, domain, error: 'not_a_shopify_store' };
+        }
+        stores.push(domain);
+        await configManager.set('shopify.stores', stores);
+    }
+    await syncShopifyStoreScripts(stores);
+    return { success: true, domain, stores };
+}
+
+export async function removeShopifyStore(input) {
+    const domain = normalizeStoreDomain(input);
+    await configManager.load();
+    const stores = getShopifyStores().filter((d) => d !== domain);
+    await configManager.set('shopify.stores', stores);
+    await syncShopifyStoreScripts(stores);
+    return { success: true, domain, stores };
+}
+
+/**
+ * Store to open for a Shopify run: one named in the query, else the first opted-in store
+ */
+export function resolveShopifyStore(text = '', stores = getShopifyStores()) {
+    const lowered = text.toLowerCase();
+    const named = stores.find((domain) => {
+        // "allbirds" for www.allbirds.com, "example" for shop.example.com
+        const name = domain.split('.').slice(-2)[0];
+        return lowered.includes(domain) || new RegExp(`\\b${name.replace(/[^a-z0-9-]/g, '')}\\b`).test(lowered);
+    });
+    return named || stores[0] || null;
+}
@@ -0,0 +1,113 @@
+/**
+ * Persistence for the per-run automation state machines.
+ * Chrome evicts MV3 service workers mid-run; snapshots let a PAGE_LOADED that
+ * arrives after eviction continue its run instead of being ignored.
+ */
+
+import { logger } from '../lib/logger.js';
+
+export const STATE_STORAGE_KEY = 'automationRuns';
+export const STATE_TTL_MS = 30 * 60 * 1000; // Older snapshots are considered abandoned
+
+// Statuses that mean there is nothing to continue
+const INACTIVE_STATUSES = new Set(['IDLE', 'COMPLETED', 'CANCELLED', 'FAILED']);
+
+/**
+ * Convert the in-memory state into a storage-safe snapshot.
+ * Platform instances are stored by name and re-resolved from the registry on restore.
+ */
+export function serializeState(state) {
+    const { platform, platformResults = {}, ...rest } = state;
+    const results = {};
+    for (const [name, result] of Object.entries(platformResults)) {
+        const { platform: _platform, ...plain } = result || {};
+        results[name] = plain;
+    }
+    return JSON.parse(JSON.stringify({
+        ...rest,
+        platformResults: results,
+        platformName: platform?.name || null,
+        savedAt: Date.now(),
+    }));
+}
+
+/**
+ * Rebuild state fields from a snapshot
+ * @param {Object} snapshot - Output of serializeState
+ * @param {Function} resolvePlatform - name -> platform instance (or null)
+ */
+export function deserializeState(snapshot, resolvePlatform) {
+    const { platformName, savedAt: _savedAt, platformResults = {}, ...rest } = snapshot;
+    const results = {};
+    for (const [name, result] of Object.entries(platformResults)) {
+        results[name] = { ...result, platform: resolvePlatform(name) };
+    }
+    return {
+        ...rest,
+        platformResults: results,
+        platform: platformName ? resolvePlatform(platformName) : null,
+    };
+}
+
+// Snapshots of all runs share one storage key; serialise read-modify-write cycles
+let writeQueue = Promise.resolve();
+
+function updateSnapshots(mutate) {
+    writeQueue = writeQueue.then(async () => {
+        const stored = await chrome.storage.local.get([STATE_STORAGE_KEY]);
+        const snapshots = stored?.[STATE_STORAGE_KEY] || {};
+        mutate(snapshots);
+        await chrome.storage.local.set({ [STATE_STORAGE_KEY]: snapshots });
+    }).catch((error) => {
+        logger.warn('Failed to update automation state snapshots', { error: error?.message });
+    });
+    return writeQueue;
+}
+
+function isRestorable(snapshot, now = Date.now()) {
+    return Boolean(snapshot?.runId) &&
+        !INACTIVE_STATUSES.has(snapshot.status) &&
+        now - (snapshot.savedAt || 0) <= STATE_TTL_MS;
+}
+
+/**
+ * Snapshot one run; finished and expired runs are dropped from storage
+ */
+export async function saveRunSnapshot(run) {
+    return updateSnapshots((snapshots) => {
+        snapshots[run.runId] = serializeState(run);
+        for (const [runId, snapshot] of Object.entries(snapshots)) {
+            if (!isRestorable(snapshot)) delete snapshots[runId];
+        }
+    });
+}
+
+/**
+ * Load snapshots of runs that can still be continued
+ */
+export async function loadRunSnapshots() {
+    try {
+        const stored = await chrome.storage.local.get([STATE_STORAGE_KEY]);
+        const snapshots = Object.values(stored?.[STATE_STORAGE_KEY] || {});
+        const now = Date.now();
+        const restorable = snapshots.filter((snapshot) => isRestorable(snapshot, now));
+        if (restorable.length < snapshots.length) {
+            logger.info('Discarding finished or stale automation runs', { count: snapshots.length - restorable.length });
+        }
+        return restorable;
+    } catch (error) {
+        logger.warn('Failed to load automation state snapshots', { error: error?.message });
+        return [];
+    }
+}
+
+/**
+ * Remove one run's snapshot, or all of them when no run id is given
+ */
+export async function clearRunSnapshot(runId = null) {
+    return updateSnapshots((snapshots) => {
+        for (const key of Object.keys(snapshots)) {
+            if (!runId || key === runId) delete snapshots[key];
+        }
+    });
+}
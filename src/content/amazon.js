@@ -5,9 +5,8 @@
 
 import { AmazonPlatform } from './platforms/amazon-platform.js';
 import { platformRegistry } from '../lib/ecommerce-platforms.js';
-import { logger } from '../lib/logger.js';
 import { navigateToAmazonLogin, enterAmazonPhoneNumber, sendAmazonOTP, checkAmazonLoginProgress } from './shared/login-handlers.js';
-import { getSimplifiedPageContent } from './shared/actions.js';
+import { registerMessageRouter } from './shared/message-router.js';
 
 // Register Amazon platform
 const amazonPlatform = new AmazonPlatform();
@@ -16,206 +15,43 @@ platformRegistry.register(amazonPlatform);
 // Notify background that page loaded
 chrome.runtime.sendMessage({ type: 'PAGE_LOADED', url: window.location.href }).catch(() => {});
 
-// Listen for commands from Background
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Handle async operations properly
-    if (request.action === 'EXTRACT_PAGE_CONTENT') {
-        getSimplifiedPageContent('amazon').then(content => {
-            sendResponse({ content, success: true });
-        }).catch(err => {
-            sendResponse({ success: false, error: err.message });
-        });
-        return true;
-    }
-
-    if (request.action === 'SEARCH') {
-        (async () => {
-            try {
-                logger.info('Amazon: Executing search', { query: request.query, filters: request.filters, sort: request.sort });
-                const success = await amazonPlatform.search(request.query, request.filters || {}, request.sort);
-                sendResponse({ success });
-            } catch (error) {
-                logger.error('Amazon: Search failed', error);
-                sendResponse({ success: false, error: error.message || 'Unknown error' });
-            }
-        })();
-        return true;
-    }
-    
-    if (request.action === 'APPLY_FILTERS') {
-        (async () => {
-            try {
-                logger.info('Amazon: Applying filters', { filters: request.filters });
-                await amazonPlatform.applyFilters(request.filters || {});
-                sendResponse({ success: true });
-            } catch (error) {
-                logger.error('Amazon: Failed to apply filters', error);
-                sendResponse({ success: false, error: error.message || 'Unknown error' });
-            }
-        })();
-        return true;
-    }
-    
-    if (request.action === 'GET_SEARCH_RESULTS') {
-        // Use promise to handle async operation
-        (async () => {
-            try {
-                logger.info('Content script: Getting search results...');
-                const products = await amazonPlatform.getSearchResults();
-                logger.info(`Content script: Found ${products.length} products (sending ALL to service worker for processing)`);
-                
-                // Send ALL products to service worker - filtering will be done there
-                // This ensures products are available for LLM analysis even if rule-based filtering fails
-                
-                // Only filter out clearly invalid products (no title or link)
-                const validProducts = products.filter(item => {
-                    const hasTitle = item.title && item.title.trim().length > 0;
-                    const hasLink = item.link && item.link.trim().length > 0;
-                    return hasTitle && hasLink;
-                });
-                
-                logger.info('Content script: Valid products after basic validation', { 
-                    original: products.length,
-                    valid: validProducts.length
-                });
+// Amazon-only actions; everything else goes through the shared router
+const handlers = {
+    GET_ADDRESS_OPTIONS: async () => ({ options: [] }),
+    GET_ORDER_DETAILS: async () => {
+        const orderIdEl = document.querySelector('bdi') || document.querySelector('.my-orders-order-id');
+        const deliveryEl = document.querySelector('.delivery-box__primary-text');
+        return {
+            orderId: orderIdEl ? orderIdEl.innerText : 'Pending/Unknown',
+            deliveryDate: deliveryEl ? deliveryEl.innerText : 'Unknown',
+        };
+    },
+    CHECK_LOGIN_STATUS: async () => {
+        const accountLink = document.querySelector('#nav-link-accountList, #nav-orders');
+        return { loggedIn: Boolean(accountLink && !accountLink.textContent.includes('Sign in')) };
+    },
+    DETECT_LOGIN_SCREEN: async () => {
+        const url = window.location.href.toLowerCase();
+        const loginScreenDetected = url.includes('/ap/signin') ||
+                                   url.includes('/ap/login') ||
+                                   document.querySelector('#ap_email, input[name="email"]') !== null;
+        return { loginScreenDetected };
+    },
+    NAVIGATE_TO_LOGIN: async () => {
+        const result = await navigateToAmazonLogin();
+        return { alreadyLoggedIn: Boolean(result.alreadyLoggedIn) };
+    },
+    CLICK_LOGIN_BUTTON: async () => ({}),
+    ENTER_PHONE_NUMBER: async (request) => {
+        await enterAmazonPhoneNumber(request.phoneNumber);
+        return {};
+    },
+    SEND_OTP: async () => {
+        const result = await sendAmazonOTP();
+        return { message: result.message };
+    },
+    CHECK_LOGIN_PROGRESS: async () => checkAmazonLoginProgress(),
+};
 
-                // Ensure response is fully serializable by converting to JSON and back
-                try {
-                    const serializableProducts = JSON.parse(JSON.stringify(validProducts));
-                    logger.info('Content script: Sending response', { 
-                        itemCount: serializableProducts.length,
-                        sampleTitles: serializableProducts.slice(0, 3).map(p => p.title?.substring(0, 50))
-                    });
-                    sendResponse({ items: serializableProducts, success: true });
-                } catch (serializeError) {
-                    logger.error('Failed to serialize products', serializeError);
-                    sendResponse({ items: [], success: false, error: 'Serialization failed' });
-                }
-            } catch (error) {
-                logger.error('Content script: Error getting search results', error);
-                sendResponse({ items: [], success: false, error: error.message || 'Unknown error' });
-    }
-        })();
-        
-        // Return true to indicate we will send response asynchronously
-        return true;
-    }
-    
-    // Handle other actions
-    try {
-    if (request.action === 'CLICK_BUY_NOW') {
-            amazonPlatform.buyNow().then(success => {
-                sendResponse({ success });
-            }).catch(error => {
-                sendResponse({ success: false, error: error.message });
-            });
-            return true;
-        } else if (request.action === 'ADD_TO_CART') {
-            amazonPlatform.addToCart().then(success => {
-                sendResponse({ success });
-            }).catch(error => {
-                sendResponse({ success: false, error: error.message });
-            });
-            return true;
-        } else if (request.action === 'GET_PRODUCT_DETAILS') {
-            amazonPlatform.getProductDetails().then(details => {
-                sendResponse({ details, success: true });
-            }).catch(error => {
-                sendResponse({ success: false, error: error.message });
-            });
-            return true;
-        } else if (request.action === 'GET_ADDRESS_OPTIONS') {
-            sendResponse({ options: [], success: true });
-        } else if (request.action === 'GET_ORDER_DETAILS') {
-            const orderIdEl = document.querySelector('bdi') || document.querySelector('.my-orders-order-id');
-            const deliveryEl = document.querySelector('.delivery-box__primary-text');
-
-            sendResponse({
-                orderId: orderIdEl ? orderIdEl.innerText : 'Pending/Unknown',
-                deliveryDate: deliveryEl ? deliveryEl.innerText : 'Unknown',
-                success: true
-            });
-        } else if (request.action === 'CHECK_LOGIN_STATUS') {
-            (async () => {
-                try {
-                    const accountLink = document.querySelector('#nav-link-accountList, #nav-orders');
-                    const loggedIn = accountLink && !accountLink.textContent.includes('Sign in');
-                    sendResponse({ loggedIn });
-                } catch (error) {
-                    sendResponse({ loggedIn: false, error: error.message });
-                }
-            })();
-            return true;
-        } else if (request.action === 'DETECT_LOGIN_SCREEN') {
-            (async () => {
-                try {
-                    const url = window.location.href.toLowerCase();
-                    const loginScreenDetected = url.includes('/ap/signin') || 
-                                               url.includes('/ap/login') ||
-                                               document.querySelector('#ap_email, input[name="email"]') !== null;
-                    sendResponse({ loginScreenDetected });
-                } catch (error) {
-                    sendResponse({ loginScreenDetected: false, error: error.message });
-                }
-            })();
-            return true;
-        } else if (request.action === 'NAVIGATE_TO_LOGIN') {
-            (async () => {
-                try {
-                    const result = await navigateToAmazonLogin();
-                    sendResponse({ success: true, alreadyLoggedIn: result.alreadyLoggedIn });
-                } catch (error) {
-                    sendResponse({ success: false, error: error.message });
-                }
-            })();
-            return true;
-        } else if (request.action === 'CLICK_LOGIN_BUTTON') {
-            (async () => {
-                try {
-                    sendResponse({ success: true });
-                } catch (error) {
-                    sendResponse({ success: false, error: error.message });
-                }
-            })();
-            return true;
-        } else if (request.action === 'ENTER_PHONE_NUMBER') {
-            (async () => {
-                try {
-                    const result = await enterAmazonPhoneNumber(request.phoneNumber);
-            sendResponse({ success: true });
-                } catch (error) {
-                    sendResponse({ success: false, error: error.message });
-                }
-            })();
-            return true;
-        } else if (request.action === 'SEND_OTP') {
-            (async () => {
-                try {
-                    const result = await sendAmazonOTP();
-                    sendResponse({ success: true, message: result.message });
-                } catch (error) {
-                    sendResponse({ success: false, error: error.message });
-                }
-            })();
-            return true;
-        } else if (request.action === 'CHECK_LOGIN_PROGRESS') {
-            (async () => {
-                try {
-                    const result = checkAmazonLoginProgress();
-                    sendResponse(result);
-                } catch (error) {
-                    sendResponse({ loginCompleted: false, error: error.message });
-                }
-            })();
-            return true;
-        } else {
-            sendResponse({ success: false, error: 'Unknown action' });
-        }
-    } catch (error) {
-        logger.error('Amazon content script error', error);
-        sendResponse({ success: false, error: error.message });
-    }
-    
-    // Return false for synchronous handlers
-    return false;
-});
+// Listen for commands from Background
+registerMessageRouter(amazonPlatform, { handlers });
@@ -0,0 +1,27 @@
+/**
+ * BigBasket Content Script
+ * Handles BigBasket-specific page interactions
+ */
+
+import { BigBasketPlatform } from './platforms/bigbasket-platform.js';
+import { platformRegistry } from '../lib/ecommerce-platforms.js';
+import { registerMessageRouter } from './shared/message-router.js';
+
+// Register BigBasket platform
+const bigbasketPlatform = new BigBasketPlatform();
+platformRegistry.register(bigbasketPlatform);
+
+// Notify background that page loaded (wait for DOM to be ready)
+function notifyPageLoaded() {
+    chrome.runtime.sendMessage({ type: 'PAGE_LOADED', url: window.location.href }).catch(() => {});
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', notifyPageLoaded);
+} else {
+    // DOM already loaded
+    notifyPageLoaded();
+}
+
+// Listen for commands from Background
+registerMessageRouter(bigbasketPlatform);
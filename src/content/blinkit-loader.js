@@ -3,7 +3,7 @@
  */
 (async () => {
     try {
-        await import(chrome.runtime.getURL('src/content/platforms/blinkit-platform.js'));
+        await import(chrome.runtime.getURL('src/content/blinkit.js'));
         console.log('RetailAgent: Blinkit content script loaded');
     } catch (error) {
         console.error('RetailAgent: Failed to load Blinkit content script', error);
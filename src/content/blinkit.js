@@ -0,0 +1,27 @@
+/**
+ * Blinkit Content Script
+ * Handles Blinkit-specific page interactions
+ */
+
+import { BlinkitPlatform } from './platforms/blinkit-platform.js';
+import { platformRegistry } from '../lib/ecommerce-platforms.js';
+import { registerMessageRouter } from './shared/message-router.js';
+
+// Register Blinkit platform
+const blinkitPlatform = new BlinkitPlatform();
+platformRegistry.register(blinkitPlatform);
+
+// Notify background that page loaded (wait for DOM to be ready)
+function notifyPageLoaded() {
+    chrome.runtime.sendMessage({ type: 'PAGE_LOADED', url: window.location.href }).catch(() => {});
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', notifyPageLoaded);
+} else {
+    // DOM already loaded
+    notifyPageLoaded();
+}
+
+// Listen for commands from Background
+registerMessageRouter(blinkitPlatform);
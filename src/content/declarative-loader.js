@@ -0,0 +1,14 @@
+/**
+ * Declarative Content Script Loader
+ * Registered dynamically for every descriptor-only platform (see background/platform-scripts.js)
+ */
+(async () => {
+    if (window.__retailAgentDeclarativeLoaded) return;
+    window.__retailAgentDeclarativeLoaded = true;
+    try {
+        await import(chrome.runtime.getURL('src/content/declarative.js'));
+        console.log('RetailAgent: Declarative content script loaded');
+    } catch (error) {
+        console.error('RetailAgent: Failed to load declarative content script', error);
+    }
+})();
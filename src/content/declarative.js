@@ -0,0 +1,26 @@
+/**
+ * Declarative Content Script
+ * Runs on every site described only by a platform descriptor; the service
+ * worker says which descriptor applies to this page.
+ */
+
+import { DeclarativePlatform } from './platforms/declarative-platform.js';
+import { platformRegistry } from '../lib/ecommerce-platforms.js';
+import { logger } from '../lib/logger.js';
+import { registerMessageRouter } from './shared/message-router.js';
+
+const response = await chrome.runtime.sendMessage({ type: 'GET_PLATFORM_DESCRIPTOR', url: window.location.href });
+const descriptor = response?.descriptor;
+
+if (!descriptor) {
+    logger.warn('Declarative content script: no platform descriptor for this page', { url: window.location.href });
+} else {
+    const platform = new DeclarativePlatform(descriptor);
+    platformRegistry.register(platform);
+
+    // Notify background that page loaded
+    chrome.runtime.sendMessage({ type: 'PAGE_LOADED', url: window.location.href }).catch(() => {});
+
+    // Listen for commands from Background
+    registerMessageRouter(platform);
+}
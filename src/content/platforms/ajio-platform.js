@@ -3,6 +3,7 @@
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
 import { logger } from '../../lib/logger.js';
 import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
 
@@ -11,6 +12,7 @@ export class AjioPlatform extends EcommercePlatform {
         super('ajio', {
             enabled: true,
             domains: ['ajio.com'],
+            capabilities: builtinCapabilities('ajio'),
             selectors: {
                 search: {
                     input: 'input[name="searchVal"], input[type="search"], input[placeholder*="Search" i]',
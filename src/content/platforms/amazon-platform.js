@@ -3,17 +3,20 @@
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
 import { performSearch, extractProducts, clickProduct, addToCart, clickBuyNow, sortResults, discoverAvailableFilters } from '../shared/actions.js';
 import { getText, waitForCondition, safeClick, fillInput } from '../shared/selectors.js';
 import { logger } from '../../lib/logger.js';
 import { buildAmazonFilterURL, verifyFiltersInURL, extractRhParameter } from '../../lib/amazon-url-filter-builder.js';
 import { isSponsoredProduct } from '../../lib/sponsored-detector.js';
+import { scrapeOrderHistory, scrapeOrderTracking } from '../shared/order-history.js';
 
 export class AmazonPlatform extends EcommercePlatform {
     constructor() {
         super('amazon', {
             enabled: true,
             domains: ['amazon.in', 'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr'],
+            capabilities: builtinCapabilities('amazon'),
             selectors: {
                 search: {
                     input: '#twotabsearchtextbox',
@@ -54,6 +57,37 @@ export class AmazonPlatform extends EcommercePlatform {
                     payment: '#payment-button, [data-action="select-payment-method"]',
                     placeOrder: '#placeYourOrder, [name="placeYourOrder1"]',
                 },
+                // Your Orders (/gp/css/order-history): one card per order, one box per item
+                orders: {
+                    card: '.order-card, .js-order-card, #ordersContainer > .order',
+                    orderId: '.yohtmlc-order-id span[dir="ltr"], .yohtmlc-order-id bdi',
+                    orderIdPattern: /\b([0-9D]\d{2}-\d{7}-\d{7})\b/,
+                    headerItem: '.order-header__header-list-item, .order-info .a-column',
+                    labels: { date: /^order placed$/i, total: /^total$/i },
+                    status: '.delivery-box__primary-text, .yohtmlc-shipment-status-primaryText',
+                    item: '.yohtmlc-item, .item-box',
+                    itemTitle: '.yohtmlc-product-title a, .yohtmlc-product-title',
+                    itemLink: 'a[href*="/dp/"], a[href*="/gp/product/"]',
+                    itemImage: 'img',
+                    itemQuantity: '.product-image__qty, .item-view-qty',
+                    tracking: 'a[href*="ship-track"], a[href*="progress-tracker"]',
+                    nextPage: '.a-pagination .a-last a',
+                    signIn: '#ap_email, form[name="signIn"]',
+                },
+                // Shipment tracking (/gp/your-account/ship-track, progress-tracker)
+                tracking: {
+                    status: '#primaryStatus, .pt-promise-main-slot .a-text-bold, .milestone-primaryMessage, .yohtmlc-shipment-status-primaryText',
+                    estimatedDelivery: '#secondaryStatus, .pt-promise-details-slot',
+                    eventGroup: '#tracking-events-container .a-spacing-large, .tracking-event-date-group',
+                    eventGroupDate: '.tracking-event-date',
+                    event: '.tracking-event-row, .a-row.tracking-event',
+                    eventText: '.tracking-event-message',
+                    eventDate: '.tracking-event-time',
+                    eventLocation: '.tracking-event-location',
+                    trackingNumber: '.pt-delivery-card-trackingId, #trackingId',
+                    carrier: '.carrierRelatedInfo-mfn-providerTitle, .pt-delivery-card-carrier',
+                    signIn: '#ap_email, form[name="signIn"]',
+                },
             },
         });
     }
@@ -376,6 +410,15 @@ export class AmazonPlatform extends EcommercePlatform {
         }
     }
 
+    async getOrderHistory() {
+        return scrapeOrderHistory(this.selectors.orders);
+    }
+
+    // Reads the tracking page the tab is on; the service worker opens the order's page
+    async trackOrder(_orderId) {
+        return scrapeOrderTracking(this.selectors.tracking);
+    }
+
     async applyFilters(filters) {
         try {
             logger.info('Amazon: Applying filters (URL-based method)', { filters });
@@ -667,7 +710,13 @@ export class AmazonPlatform extends EcommercePlatform {
 
     async sortResults(sortOption) {
         try {
-            await sortResults(sortOption, {
+            // Intent sort strategies -> values of Amazon's sort dropdown
+            const sortMap = {
+                'cheapest': 'price-asc-rank',
+                'best_rated': 'review-rank',
+                'newest': 'date-desc-rank'
+            };
+            await sortResults(sortMap[sortOption] || sortOption, {
                 dropdown: '#s-result-sort-select',
             });
             return true;
@@ -1,9 +1,265 @@
-import { StubPlatform } from "./platform-stub-template.js";
+/**
+ * BigBasket Platform Implementation
+ */
 
-export default class BigBasketPlatform extends StubPlatform {
+import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
+import { logger } from '../../lib/logger.js';
+import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
+import { buildGroceryFields } from '../../lib/grocery-utils.js';
+import { addWithQuantity, findTextMatching } from '../shared/actions.js';
+import { setDeliveryPincode, checkServiceability as checkPageServiceability } from '../shared/location.js';
+
+export class BigBasketPlatform extends EcommercePlatform {
     constructor() {
-        super("bigbasket", ["bigbasket.com"]);
+        super('bigbasket', {
+            enabled: true,
+            domains: ['bigbasket.com'],
+            capabilities: builtinCapabilities('bigbasket'),
+            searchUrl: 'https://www.bigbasket.com/ps/?q=',
+            selectors: {
+                search: {
+                    input: [
+                        'input[placeholder*="Search for Products" i]',
+                        'input[type="search"]',
+                        'input[placeholder*="Search" i]',
+                    ],
+                },
+                results: {
+                    container: [
+                        'li[class*="PaginateItems"]',
+                        'div[class*="SKUDeck___StyledDiv"]',
+                        'li:has(a[href*="/pd/"])',
+                    ],
+                    link: 'a[href*="/pd/"]',
+                    title: 'h3, [class*="ProductName"]',
+                    brand: '[class*="BrandName"], span[class*="brand" i]',
+                    price: '[class*="Pricing___StyledLabel-"]:not([class*="StyledLabel2"]), [class*="discountedPrice"], [class*="SalePrice"]',
+                    mrp: '[class*="StyledLabel2"], [class*="MRP"]',
+                    packSize: '[class*="PackSelector"] span, [class*="PackChanger"] span, [class*="pack-size" i]',
+                    deliveryEta: '[class*="DeliveryBy"], [class*="delivery" i]',
+                    image: 'img',
+                },
+                cart: {
+                    add: ['button[class*="AddToBasket" i]', 'button[class*="CTA"][class*="add" i]'],
+                    increment: ['button[aria-label*="increase" i]', 'button[class*="Increment" i]'],
+                    quantity: ['[class*="CartCTA"] span[class*="count" i]', 'input[class*="quantity" i]', '[class*="QuantityCount"]'],
+                },
+                location: {
+                    current: ['[class*="AddressDropdown"] button span', 'button[class*="LocationSelector"] span'],
+                    trigger: ['[class*="AddressDropdown"] button', 'button[class*="LocationSelector"]'],
+                    input: ['input[placeholder*="Search for area" i]', 'input[placeholder*="pincode" i]'],
+                    suggestion: ['[class*="AddressDropdown"] ul li', '[class*="LocationSearch"] li'],
+                    confirm: ['button[class*="ContinueButton"]'],
+                    unserviceable: ['[class*="NotServiceable"]'],
+                    unserviceablePatterns: [/not\s+available\s+at\s+this\s+location/i],
+                },
+                product: {
+                    title: 'h1, [class*="ProductName"]',
+                    price: 'td[class*="Description___StyledTd"], [class*="Pricing___StyledLabel-"], [class*="SellingPrice"]',
+                    packSize: '[class*="PackSizeSelector"] [aria-checked="true"], [class*="PackSize"] span',
+                    deliveryEta: '[class*="DeliveryBy"], [class*="delivery" i]',
+                },
+            },
+        });
+        // Containers from the last getSearchResults(), indexed like the returned products
+        this.resultContainers = [];
     }
-}
 
+    findSearchInput() {
+        for (const selector of this.selectors.search.input) {
+            for (const input of document.querySelectorAll(selector)) {
+                if (input.offsetParent !== null) return input;
+            }
+        }
+        return null;
+    }
+
+    async search(query, filters = {}, sort = null) {
+        try {
+            logger.info('BigBasket: Performing search', { query });
+
+            const searchInput = this.findSearchInput();
+            if (!searchInput) {
+                // Search page is addressable, so navigate instead of failing
+                logger.info('BigBasket: Search input not found, navigating to search URL');
+                window.location.href = `${this.config.searchUrl}${encodeURIComponent(query)}`;
+                return true;
+            }
+
+            searchInput.focus();
+            // React-controlled input: set through the native setter so onChange fires
+            const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')?.set;
+            if (setter) setter.call(searchInput, query);
+            else searchInput.value = query;
+            searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+            searchInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+            await new Promise(r => setTimeout(r, 300));
+
+            searchInput.dispatchEvent(new KeyboardEvent('keydown', {
+                key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true
+            }));
+            const form = searchInput.closest('form');
+            if (form) {
+                form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            }
+
+            logger.info('BigBasket: Search submitted', { query });
+            return true;
+        } catch (error) {
+            logger.error('BigBasket: Search failed', error);
+            throw error;
+        }
+    }
+
+    async getSearchResults() {
+        try {
+            logger.info('BigBasket: Extracting products');
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            const sel = this.selectors.results;
+            let containers = [];
+            for (const selector of sel.container) {
+                try {
+                    containers = document.querySelectorAll(selector);
+                } catch (e) {
+                    // :has() unsupported
+                    continue;
+                }
+                if (containers.length > 0) {
+                    logger.info(`BigBasket: Found ${containers.length} containers`);
+                    break;
+                }
+            }
+
+            const { valid, stats } = filterProducts(containers, 'bigbasket');
+            logger.info('BigBasket: Filtered products', stats);
+
+            const products = [];
+            this.resultContainers = [];
+
+            valid.forEach((container) => {
+                try {
+                    const linkEl = container.querySelector(sel.link);
+                    const href = linkEl?.href || linkEl?.getAttribute('href');
+                    if (!href) return;
+
+                    const name = container.querySelector(sel.title)?.textContent?.trim() || linkEl.textContent?.trim() || '';
+                    if (!name) return;
+                    const brand = container.querySelector(sel.brand)?.textContent?.trim() || '';
+                    const title = brand && !name.startsWith(brand) ? `${brand} ${name}` : name;
+
+                    const price = container.querySelector(sel.price)?.textContent?.trim()
+                        || findTextMatching(container, /^₹\s?[\d,.]+$/);
+                    const mrp = container.querySelector(sel.mrp)?.textContent?.trim() || '';
+                    const packSize = container.querySelector(sel.packSize)?.textContent?.trim() || '';
+                    const deliveryEta = container.querySelector(sel.deliveryEta)?.textContent?.trim()
+                        || findTextMatching(container, /\d+\s*mins?\b/i);
+                    const image = container.querySelector(sel.image)?.src || '';
+
+                    const product = {
+                        index: products.length,
+                        title,
+                        price,
+                        mrp: mrp || null,
+                        link: href.startsWith('http') ? href : `https://www.bigbasket.com${href}`,
+                        image,
+                        ...buildGroceryFields({ price, packSize, title, deliveryEta }),
+                        platform: 'bigbasket'
+                    };
 
+                    if (!shouldExcludeProduct(product, 'bigbasket')) {
+                        products.push(product);
+                        this.resultContainers.push(container);
+                    }
+                } catch (e) {
+                    // Skip
+                }
+            });
+
+            logger.info(`BigBasket: Extracted ${products.length} valid products`);
+            return products;
+        } catch (error) {
+            logger.error('BigBasket: Failed to get results', error);
+            throw error;
+        }
+    }
+
+    async selectProduct(productIndex = 0) {
+        try {
+            const products = await this.getSearchResults();
+            if (products.length === 0) {
+                throw new Error('No products found');
+            }
+
+            const product = products[Math.min(productIndex, products.length - 1)];
+            logger.info('BigBasket: Opening product', { title: product.title });
+
+            window.location.href = product.link;
+            return product;
+        } catch (error) {
+            logger.error('BigBasket: Failed to select product', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add to basket with a quantity. On a search page pass productIndex to add a
+     * result card directly; otherwise the product page's button is used.
+     * @returns {Promise<Object>} { success, quantity, requested, capped }
+     */
+    async addToCart(quantity = 1, productIndex = null) {
+        try {
+            let scope = document;
+            if (productIndex !== null && productIndex !== undefined) {
+                if (!this.resultContainers.length) await this.getSearchResults();
+                scope = this.resultContainers[productIndex];
+                if (!scope) throw new Error(`Search result ${productIndex} not found`);
+            }
+            logger.info('BigBasket: Adding to basket', { quantity, productIndex });
+            return await addWithQuantity(scope, this.selectors.cart, quantity);
+        } catch (error) {
+            logger.error('BigBasket: Failed to add to basket', error);
+            throw error;
+        }
+    }
+
+    async buyNow(quantity = 1) {
+        // No buy-now on BigBasket: add the item to the basket
+        const result = await this.addToCart(quantity);
+        return result.success;
+    }
+
+    /**
+     * Push a pincode into the site's delivery-location picker before searching
+     * @returns {Promise<Object>} { success, serviceable, pincode, location, changed, reason }
+     */
+    async setDeliveryLocation(pincode) {
+        try {
+            logger.info('BigBasket: Setting delivery location', { pincode });
+            return await setDeliveryPincode(this.selectors.location, pincode);
+        } catch (error) {
+            logger.error('BigBasket: Failed to set delivery location', error);
+            throw error;
+        }
+    }
+
+    async checkServiceability() {
+        return checkPageServiceability(this.selectors.location);
+    }
+
+    async getProductDetails() {
+        const sel = this.selectors.product;
+        const title = document.querySelector(sel.title)?.textContent?.trim() || '';
+        const price = document.querySelector(sel.price)?.textContent?.trim() || '';
+        const packSize = document.querySelector(sel.packSize)?.textContent?.trim() || '';
+        const deliveryEta = document.querySelector(sel.deliveryEta)?.textContent?.trim() || '';
+        return {
+            title,
+            price,
+            ...buildGroceryFields({ price, packSize, title, deliveryEta }),
+            url: window.location.href,
+        };
+    }
+}
@@ -1,9 +1,275 @@
-import { StubPlatform } from "./platform-stub-template.js";
+/**
+ * Blinkit Platform Implementation
+ * Class names are generated, so cards are located by test ids / product ids and
+ * prices, pack sizes and ETAs fall back to matching text on the card.
+ */
 
-export default class BlinkitPlatform extends StubPlatform {
+import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
+import { logger } from '../../lib/logger.js';
+import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
+import { buildGroceryFields, parsePackSize } from '../../lib/grocery-utils.js';
+import { addWithQuantity, findTextMatching } from '../shared/actions.js';
+import { setDeliveryPincode, checkServiceability as checkPageServiceability } from '../shared/location.js';
+
+export class BlinkitPlatform extends EcommercePlatform {
     constructor() {
-        super("blinkit", ["blinkit.com"]);
+        super('blinkit', {
+            enabled: true,
+            domains: ['blinkit.com'],
+            capabilities: builtinCapabilities('blinkit'),
+            searchUrl: 'https://blinkit.com/s/?q=',
+            selectors: {
+                search: {
+                    input: [
+                        'input[placeholder*="Search" i]',
+                        'input[type="search"]',
+                    ],
+                    // Home page shows a fake search box that opens the search page
+                    trigger: 'a[href="/s/"], [class*="SearchBar__AnimationWrapper"]',
+                },
+                results: {
+                    container: [
+                        'div[data-test-id="plp-product"]',
+                        'div[role="button"][id]:has(div[class*="line-clamp"])',
+                        'a[href*="/prn/"]',
+                    ],
+                    link: 'a[href*="/prn/"]',
+                    title: '[class*="Product__UpdatedTitle"], div[class*="line-clamp-2"]',
+                    price: '[class*="Product__UpdatedPriceAndAtcContainer"] div[style*="font-weight: 600"], [class*="ProductPrice"]',
+                    mrp: 'div[style*="line-through"], [class*="StrikePrice"]',
+                    packSize: '[class*="plp-product__quantity"], [class*="Product__UpdatedVariantContainer"] span',
+                    deliveryEta: '[class*="Product__UpdatedETAContainer"], [class*="eta" i]',
+                    image: 'img',
+                },
+                cart: {
+                    add: ['[class*="AddToCart"] div[role="button"]', 'button[class*="add-to-cart" i]'],
+                    increment: ['[class*="AddToCart"] button:last-child', 'button[aria-label*="increase" i]', 'button[aria-label*="add one" i]'],
+                    quantity: ['[class*="AddToCart"] [class*="count" i]', '[class*="AddToCart"] span', 'input[class*="quantity" i]'],
+                    addText: /^add$/i,
+                },
+                location: {
+                    current: ['[class*="LocationBar__Subtitle"]', '[class*="LocationBar__Title"]'],
+                    trigger: ['[class*="LocationBar__Container"]', '[class*="LocationBar"]'],
+                    input: ['input[name="select-locality"]', 'input[placeholder*="delivery location" i]'],
+                    suggestion: ['[class*="LocationSearchList__LocationListContainer"] > div', '[class*="LocationSearchList"] [role="button"]'],
+                    confirm: ['[class*="ConfirmLocation"] button'],
+                    unserviceable: ['[class*="NonServiceable"]', '[class*="non-serviceable"]'],
+                    unserviceablePatterns: [/currently\s+unavailable\s+in\s+your\s+area/i],
+                },
+                product: {
+                    title: 'h1, [class*="ProductInfoCard__ProductName"]',
+                    price: '[class*="ProductVariants__PriceContainer"], [class*="ProductPrice"]',
+                    packSize: '[class*="ProductVariants__VariantCard"][class*="active" i] span, [class*="Variant"][aria-selected="true"]',
+                    deliveryEta: '[class*="ProductInfoCard__ETA"], [class*="eta" i]',
+                },
+            },
+        });
+        // Containers from the last getSearchResults(), indexed like the returned products
+        this.resultContainers = [];
     }
-}
 
+    findSearchInput() {
+        for (const selector of this.selectors.search.input) {
+            for (const input of document.querySelectorAll(selector)) {
+                if (input.offsetParent !== null && !input.readOnly) return input;
+            }
+        }
+        return null;
+    }
+
+    async search(query, filters = {}, sort = null) {
+        try {
+            logger.info('Blinkit: Performing search', { query });
+
+            const searchInput = this.findSearchInput();
+            if (!searchInput) {
+                logger.info('Blinkit: Search input not found, navigating to search URL');
+                window.location.href = `${this.config.searchUrl}${encodeURIComponent(query)}`;
+                return true;
+            }
+
+            searchInput.focus();
+            // React-controlled input: set through the native setter so onChange fires
+            const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')?.set;
+            if (setter) setter.call(searchInput, query);
+            else searchInput.value = query;
+            searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+
+            // Blinkit searches as you type; Enter commits the query to the URL
+            await new Promise(r => setTimeout(r, 500));
+            searchInput.dispatchEvent(new KeyboardEvent('keydown', {
+                key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true
+            }));
+
+            logger.info('Blinkit: Search submitted', { query });
+            return true;
+        } catch (error) {
+            logger.error('Blinkit: Search failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cards are clickable divs rather than anchors; build the product URL from the card id
+     */
+    getProductLink(container, title) {
+        const linkEl = container.matches(this.selectors.results.link)
+            ? container
+            : container.querySelector(this.selectors.results.link);
+        const href = linkEl?.href || linkEl?.getAttribute('href');
+        if (href) return href.startsWith('http') ? href : `https://blinkit.com${href}`;
+
+        const id = container.id || container.getAttribute('data-product-id');
+        if (!id || !/^\d+$/.test(id)) return null;
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `https://blinkit.com/prn/${slug || 'product'}/prid/${id}`;
+    }
+
+    async getSearchResults() {
+        try {
+            logger.info('Blinkit: Extracting products');
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            const sel = this.selectors.results;
+            let containers = [];
+            for (const selector of sel.container) {
+                try {
+                    containers = document.querySelectorAll(selector);
+                } catch (e) {
+                    // :has() unsupported
+                    continue;
+                }
+                if (containers.length > 0) {
+                    logger.info(`Blinkit: Found ${containers.length} containers`);
+                    break;
+                }
+            }
+
+            const { valid, stats } = filterProducts(containers, 'blinkit');
+            logger.info('Blinkit: Filtered products', stats);
+
+            const products = [];
+            this.resultContainers = [];
+
+            valid.forEach((container) => {
+                try {
+                    const title = container.querySelector(sel.title)?.textContent?.trim() || '';
+                    if (!title) return;
+                    const link = this.getProductLink(container, title);
+                    if (!link) return;
+
+                    const price = container.querySelector(sel.price)?.textContent?.trim()
+                        || findTextMatching(container, /^₹\s?[\d,.]+$/);
+                    const mrp = container.querySelector(sel.mrp)?.textContent?.trim() || '';
+                    const packSize = container.querySelector(sel.packSize)?.textContent?.trim()
+                        || findTextMatching(container, { test: (text) => text.length < 30 && !!parsePackSize(text) });
+                    const deliveryEta = container.querySelector(sel.deliveryEta)?.textContent?.trim()
+                        || findTextMatching(container, /^\d+\s*mins?$/i);
+                    const image = container.querySelector(sel.image)?.src || '';
 
+                    const product = {
+                        index: products.length,
+                        title,
+                        price,
+                        mrp: mrp || null,
+                        link,
+                        image,
+                        ...buildGroceryFields({ price, packSize, title, deliveryEta }),
+                        platform: 'blinkit'
+                    };
+
+                    if (!shouldExcludeProduct(product, 'blinkit')) {
+                        products.push(product);
+                        this.resultContainers.push(container);
+                    }
+                } catch (e) {
+                    // Skip
+                }
+            });
+
+            logger.info(`Blinkit: Extracted ${products.length} valid products`);
+            return products;
+        } catch (error) {
+            logger.error('Blinkit: Failed to get results', error);
+            throw error;
+        }
+    }
+
+    async selectProduct(productIndex = 0) {
+        try {
+            const products = await this.getSearchResults();
+            if (products.length === 0) {
+                throw new Error('No products found');
+            }
+
+            const product = products[Math.min(productIndex, products.length - 1)];
+            logger.info('Blinkit: Opening product', { title: product.title });
+
+            window.location.href = product.link;
+            return product;
+        } catch (error) {
+            logger.error('Blinkit: Failed to select product', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add to cart with a quantity. On a search page pass productIndex to add a
+     * result card directly; otherwise the product page's button is used.
+     * @returns {Promise<Object>} { success, quantity, requested, capped }
+     */
+    async addToCart(quantity = 1, productIndex = null) {
+        try {
+            let scope = document;
+            if (productIndex !== null && productIndex !== undefined) {
+                if (!this.resultContainers.length) await this.getSearchResults();
+                scope = this.resultContainers[productIndex];
+                if (!scope) throw new Error(`Search result ${productIndex} not found`);
+            }
+            logger.info('Blinkit: Adding to cart', { quantity, productIndex });
+            return await addWithQuantity(scope, this.selectors.cart, quantity);
+        } catch (error) {
+            logger.error('Blinkit: Failed to add to cart', error);
+            throw error;
+        }
+    }
+
+    async buyNow(quantity = 1) {
+        // No buy-now on Blinkit: add the item to the cart
+        const result = await this.addToCart(quantity);
+        return result.success;
+    }
+
+    /**
+     * Push a pincode into the site's delivery-location picker before searching
+     * @returns {Promise<Object>} { success, serviceable, pincode, location, changed, reason }
+     */
+    async setDeliveryLocation(pincode) {
+        try {
+            logger.info('Blinkit: Setting delivery location', { pincode });
+            return await setDeliveryPincode(this.selectors.location, pincode);
+        } catch (error) {
+            logger.error('Blinkit: Failed to set delivery location', error);
+            throw error;
+        }
+    }
+
+    async checkServiceability() {
+        return checkPageServiceability(this.selectors.location);
+    }
+
+    async getProductDetails() {
+        const sel = this.selectors.product;
+        const title = document.querySelector(sel.title)?.textContent?.trim() || '';
+        const price = document.querySelector(sel.price)?.textContent?.trim() || '';
+        const packSize = document.querySelector(sel.packSize)?.textContent?.trim() || '';
+        const deliveryEta = document.querySelector(sel.deliveryEta)?.textContent?.trim() || '';
+        return {
+            title,
+            price,
+            ...buildGroceryFields({ price, packSize, title, deliveryEta }),
+            url: window.location.href,
+        };
+    }
+}
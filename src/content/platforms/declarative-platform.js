@@ -0,0 +1,91 @@
+/**
+ * Declarative Platform Implementation
+ * Drives any site from its descriptor (src/platforms/<name>.json): search by
+ * URL template, results and product pages by selectors.
+ */
+
+import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { buildSearchUrl } from '../../lib/platform-descriptors.js';
+import { extractProducts, clickProduct, addToCart, clickBuyNow } from '../shared/actions.js';
+import { logger } from '../../lib/logger.js';
+
+// Result fields read when the descriptor has a selector for them
+const RESULT_FIELDS = ['title', 'price', 'link', 'image', 'rating', 'shipping'];
+
+export class DeclarativePlatform extends EcommercePlatform {
+    /**
+     * @param {Object} descriptor - Validated platform descriptor
+     */
+    constructor(descriptor) {
+        super(descriptor.name, {
+            enabled: descriptor.enabled,
+            domains: descriptor.domains,
+            selectors: descriptor.selectors,
+            capabilities: descriptor.capabilities,
+        });
+        this.descriptor = descriptor;
+        this.label = descriptor.displayName;
+    }
+
+    async search(query, filters = {}, sort = null) {
+        logger.info(`${this.label}: Performing search`, { query, filters, sort });
+        window.location.href = buildSearchUrl(this.descriptor, query);
+        return true;
+    }
+
+    async getSearchResults() {
+        const results = this.selectors.results;
+        const fields = {};
+        for (const field of RESULT_FIELDS) {
+            if (results[field]) fields[field] = results[field];
+        }
+        const products = extractProducts(results.container, fields)
+            .map((product) => ({ ...product, platform: this.name }));
+        logger.info(`${this.label}: Found ${products.length} products`);
+        return products;
+    }
+
+    async selectProduct(productIndex = 0) {
+        const products = await this.getSearchResults();
+        if (productIndex >= products.length) {
+            throw new Error(`Product index ${productIndex} out of range`);
+        }
+        await clickProduct(products[productIndex].link);
+        return products[productIndex];
+    }
+
+    async getProductDetails() {
+        const product = this.selectors.product;
+        const text = (selector) => (selector ? document.querySelector(selector)?.textContent?.trim() || null : null);
+        return {
+            title: text(product.title) || document.title,
+            price: text(product.price),
+            url: window.location.href,
+            platform: this.name,
+        };
+    }
+
+    async addToCart() {
+        if (!this.selectors.product.addToCart) {
+            throw new Error(`addToCart() not supported for ${this.name}`);
+        }
+        await addToCart({ button: this.selectors.product.addToCart });
+        return true;
+    }
+
+    /**
+     * Click the site's Buy Now button; sites without one add to cart and
+     * continue from the cart's checkout button
+     */
+    async buyNow() {
+        if (this.selectors.product.buyNow) {
+            await clickBuyNow({ button: this.selectors.product.buyNow });
+            return true;
+        }
+        await this.addToCart();
+        if (this.selectors.cart?.checkout) {
+            await clickBuyNow({ button: this.selectors.cart.checkout });
+        }
+        return true;
+    }
+}
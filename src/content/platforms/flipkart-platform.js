@@ -3,15 +3,18 @@
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
 import { performSearch, extractProducts, clickProduct, addToCart, clickBuyNow, sortResults, discoverAvailableFilters } from '../shared/actions.js';
 import { findElement, safeClick, fillInput, getText } from '../shared/selectors.js';
 import { logger } from '../../lib/logger.js';
+import { scrapeOrderHistory, scrapeOrderTracking } from '../shared/order-history.js';
 
 export class FlipkartPlatform extends EcommercePlatform {
     constructor() {
         super('flipkart', {
             enabled: true,
             domains: ['flipkart.com'],
+            capabilities: builtinCapabilities('flipkart'),
             selectors: {
                 search: {
                     input: 'input[name="q"], input[placeholder*="Search"]',
@@ -64,6 +67,18 @@ export class FlipkartPlatform extends EcommercePlatform {
                     title: '.B_NuCI',
                     price: '._30jeq3._16Jk6d',
                 },
+                // My Orders (/account/orders): one card per item, linking to its order's details
+                orders: {
+                    card: 'a[href*="order_details"]',
+                    orderIdPattern: /\b(OD\d{10,})\b/,
+                    itemTitle: '[class*="title"], img[alt]',
+                    itemImage: 'img',
+                    signIn: 'form[action*="login"], input[type="password"]',
+                },
+                // Order details (/order_details): a timeline of status lines, each followed by its date
+                tracking: {
+                    signIn: 'form[action*="login"], input[type="password"]',
+                },
             },
         });
     }
@@ -410,10 +425,21 @@ export class FlipkartPlatform extends EcommercePlatform {
         return true;
     }
 
+    async getOrderHistory() {
+        return scrapeOrderHistory(this.selectors.orders);
+    }
+
+    // Reads the tracking page the tab is on; the service worker opens the order's page
+    async trackOrder(_orderId) {
+        return scrapeOrderTracking(this.selectors.tracking);
+    }
+
     async sortResults(sortOption) {
         try {
             // Mapping intent sorts to Flipkart native sort options
             const sortMap = {
+                'cheapest': 'price_asc',
+                'best_rated': 'popularity',
                 'price_low': 'price_asc',
                 'price_high': 'price_desc',
                 'relevance': 'relevance',
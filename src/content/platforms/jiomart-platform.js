@@ -3,14 +3,17 @@
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
 import { logger } from '../../lib/logger.js';
 import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
+import { setDeliveryPincode, checkServiceability as checkPageServiceability } from '../shared/location.js';
 
 export class JioMartPlatform extends EcommercePlatform {
     constructor() {
         super('jiomart', {
             enabled: true,
             domains: ['jiomart.com'],
+            capabilities: builtinCapabilities('jiomart'),
             selectors: {
                 search: {
                     input: 'input[type="search"], input[placeholder*="Search" i], input[name*="search"]',
@@ -23,6 +26,15 @@ export class JioMartPlatform extends EcommercePlatform {
                     price: '[class*="price"]',
                     image: 'img',
                 },
+                location: {
+                    current: ['#delivery_city_pincode', '[class*="header-pincode"] span'],
+                    trigger: ['#btn_pin_code_delivery', '[class*="header-pincode"]'],
+                    input: ['#rel_pincode', 'input[placeholder*="pincode" i]'],
+                    suggestion: [],
+                    confirm: ['#btn_pincode_submit', 'button[class*="apply" i]'],
+                    unserviceable: ['#pincode_error', '[class*="pincode-error"]'],
+                    unserviceablePatterns: [/not\s+deliverable/i],
+                },
                 product: {
                     buyNow: [
                         'button[class*="add-to-cart"]',
@@ -208,6 +220,24 @@ export class JioMartPlatform extends EcommercePlatform {
         return this.buyNow();
     }
 
+    /**
+     * Push a pincode into the site's delivery-location picker before searching
+     * @returns {Promise<Object>} { success, serviceable, pincode, location, changed, reason }
+     */
+    async setDeliveryLocation(pincode) {
+        try {
+            logger.info('JioMart: Setting delivery location', { pincode });
+            return await setDeliveryPincode(this.selectors.location, pincode);
+        } catch (error) {
+            logger.error('JioMart: Failed to set delivery location', error);
+            throw error;
+        }
+    }
+
+    async checkServiceability() {
+        return checkPageServiceability(this.selectors.location);
+    }
+
     async getProductDetails() {
         try {
             const title = document.querySelector('h1, [class*="pdp-title"]')?.textContent?.trim() || '';
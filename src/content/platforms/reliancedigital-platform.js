@@ -8,6 +8,7 @@
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
 import { logger } from '../../lib/logger.js';
 import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
 
@@ -16,6 +17,7 @@ export class RelianceDigitalPlatform extends EcommercePlatform {
         super('reliancedigital', {
             enabled: true,
             domains: ['reliancedigital.in'],
+            capabilities: builtinCapabilities('reliancedigital'),
             selectors: {
                 search: {
                     input: 'input[name="searchTerm"], input[type="search"], input[placeholder*="Search" i]',
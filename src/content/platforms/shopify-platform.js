@@ -1,22 +1,22 @@
 /**
  * Shopify Platform Implementation (Generic)
+ * Works on any Shopify storefront through the store's public JSON endpoints
+ * (see lib/shopify-api.js); theme markup is only used as a fallback.
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
-import { performSearch, extractProducts, clickProduct, addToCart, clickBuyNow, sortResults } from '../shared/actions.js';
-import { getText } from '../shared/selectors.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
+import { ShopifyStorefront, pickVariant } from '../../lib/shopify-api.js';
+import { extractProducts, clickBuyNow } from '../shared/actions.js';
 import { logger } from '../../lib/logger.js';
 
 export class ShopifyPlatform extends EcommercePlatform {
     constructor() {
         super('shopify', {
             enabled: true,
-            domains: ['myshopify.com', 'shopify.com'],
+            domains: ['myshopify.com'],
+            capabilities: builtinCapabilities('shopify'),
             selectors: {
-                search: {
-                    input: 'input[name="q"], input[type="search"]',
-                    button: 'button[type="submit"], .search-form__submit',
-                },
                 results: {
                     container: '.grid-view-item, .product-card, .product-item, .grid__item',
                     title: '.grid-view-item__title, .product-card__title, .product-item__title, h3',
@@ -26,56 +26,119 @@ export class ShopifyPlatform extends EcommercePlatform {
                 },
                 product: {
                     buyNow: '[data-testid="Checkout-button"], button[name="checkout"], .shopify-payment-button__button',
-                    addToCart: 'button[name="add"], #AddToCart',
-                    title: '.product-single__title, .product__title, h1',
-                    price: '.product__price, .price-item--regular',
                 },
             },
         });
+        this.storefront = new ShopifyStorefront();
+        // Products from the last getSearchResults(), indexed like the returned list
+        this.lastResults = [];
+    }
+
+    /**
+     * Handle of the product page we're on, or null
+     */
+    getCurrentHandle() {
+        const match = window.location.pathname.match(/\/products\/([^/?#]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
     }
 
+    /**
+     * Search results come from the API; navigating to the store's search page
+     * keeps the run's page-load flow the same as on other platforms
+     */
     async search(query, filters = {}, sort = null) {
-        try {
-            logger.info('Shopify: Performing search', { query, filters, sort });
-            await performSearch(query, {
-                input: this.selectors.search.input,
-                button: this.selectors.search.button,
-            });
-            return true;
-        } catch (error) {
-            logger.error('Shopify: Search failed', error);
-            throw error;
-        }
+        logger.info('Shopify: Performing search', { query, filters, sort });
+        window.location.href = `/search?q=${encodeURIComponent(query)}&type=product`;
+        return true;
     }
 
     async getSearchResults() {
+        const query = new URLSearchParams(window.location.search).get('q');
         try {
-            const products = extractProducts(
-                this.selectors.results.container,
-                {
-                    title: this.selectors.results.title,
-                    price: this.selectors.results.price,
-                    link: this.selectors.results.link,
-                    image: this.selectors.results.image,
-                }
-            );
-            return products;
+            if (!query) throw new Error('No search query in URL');
+            const products = await this.storefront.search(query);
+            this.lastResults = products.map((product, index) => ({ ...product, index }));
+            logger.info(`Shopify: ${products.length} products from search API`, { query });
+            return this.lastResults;
         } catch (error) {
-            logger.error('Shopify: Failed to get search results', error);
-            throw error;
+            logger.warn('Shopify: Search API failed, reading theme markup', { error: error.message });
+            const products = extractProducts(this.selectors.results.container, {
+                title: this.selectors.results.title,
+                price: this.selectors.results.price,
+                link: this.selectors.results.link,
+                image: this.selectors.results.image,
+            });
+            this.lastResults = products.map((product, index) => ({ ...product, index, platform: 'shopify' }));
+            return this.lastResults;
+        }
+    }
+
+    async selectProduct(productIndex = 0) {
+        const products = this.lastResults.length ? this.lastResults : await this.getSearchResults();
+        if (products.length === 0) {
+            throw new Error('No products found');
         }
+        const product = products[Math.min(productIndex, products.length - 1)];
+        logger.info('Shopify: Opening product', { title: product.title });
+        window.location.href = product.link;
+        return product;
     }
 
-    async buyNow() {
+    /**
+     * Product with variants and stock; the product page's ?variant= is the selected variant
+     */
+    async getProductDetails() {
+        const handle = this.getCurrentHandle();
+        if (!handle) throw new Error('Not on a product page');
+        const product = await this.storefront.getProduct(handle);
+        const selectedId = new URLSearchParams(window.location.search).get('variant');
+        const selected = pickVariant(product, { variantId: selectedId });
+        return { ...product, selectedVariant: selected, url: window.location.href };
+    }
+
+    /**
+     * Add to cart through /cart/add.js. On a product page the selected (or first
+     * available) variant is added; pass productIndex to add a search result.
+     * @param {number} quantity
+     * @param {number|null} productIndex
+     * @param {Object} want - { variantId, options } to choose a variant
+     * @returns {Promise<Object>} { success, quantity, requested, variantId, error }
+     */
+    async addToCart(quantity = 1, productIndex = null, want = {}) {
+        let handle = this.getCurrentHandle();
+        if (productIndex !== null && productIndex !== undefined) {
+            if (!this.lastResults.length) await this.getSearchResults();
+            const result = this.lastResults[productIndex];
+            if (!result) throw new Error(`Search result ${productIndex} not found`);
+            handle = result.handle || result.link?.match(/\/products\/([^/?#]+)/)?.[1];
+        }
+        if (!handle) throw new Error('Not on a product page');
+
+        const product = await this.storefront.getProduct(handle);
+        const variantId = want.variantId || new URLSearchParams(window.location.search).get('variant');
+        const variant = pickVariant(product, { variantId, options: want.options || [] });
+        if (!variant || !variant.available) {
+            throw new Error('Item is out of stock');
+        }
+
+        logger.info('Shopify: Adding to cart', { handle, variantId: variant.id, quantity });
+        const result = await this.storefront.addToCart(variant.id, quantity);
+        return { ...result, requested: quantity };
+    }
+
+    /**
+     * Add the item and go to checkout; falls back to the theme's checkout button
+     */
+    async buyNow(quantity = 1) {
         try {
-            await clickBuyNow({
-                button: this.selectors.product.buyNow,
-            });
+            const result = await this.addToCart(quantity);
+            if (!result.success) throw new Error(result.error || 'Add to cart failed');
+            window.location.href = '/checkout';
             return true;
         } catch (error) {
-            logger.error('Shopify: Failed to click Buy Now', error);
-            throw error;
+            logger.warn('Shopify: API checkout failed, clicking the checkout button', { error: error.message });
+            await clickBuyNow({ button: this.selectors.product.buyNow });
+            return true;
         }
     }
 }
-
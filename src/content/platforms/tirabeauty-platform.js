@@ -8,6 +8,7 @@
  */
 
 import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
 import { logger } from '../../lib/logger.js';
 import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
 
@@ -16,6 +17,7 @@ export class TiraBeautyPlatform extends EcommercePlatform {
         super('tirabeauty', {
             enabled: true,
             domains: ['tirabeauty.com'],
+            capabilities: builtinCapabilities('tirabeauty'),
             selectors: {
                 search: {
                     input: 'input[type="search"], input[placeholder*="Search" i], input[class*="search"]',
@@ -1,9 +1,257 @@
-import { StubPlatform } from "./platform-stub-template.js";
+/**
+ * Zepto Platform Implementation
+ */
 
-export default class ZeptoPlatform extends StubPlatform {
+import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { builtinCapabilities } from '../../lib/platform-descriptors.js';
+import { logger } from '../../lib/logger.js';
+import { filterProducts, shouldExcludeProduct } from '../../lib/product-filter.js';
+import { buildGroceryFields } from '../../lib/grocery-utils.js';
+import { addWithQuantity, findTextMatching } from '../shared/actions.js';
+import { setDeliveryPincode, checkServiceability as checkPageServiceability } from '../shared/location.js';
+
+export class ZeptoPlatform extends EcommercePlatform {
     constructor() {
-        super("zepto", ["zepto.com", "www.zepto.com"]);
+        super('zepto', {
+            enabled: true,
+            domains: ['zepto.com', 'www.zepto.com'],
+            capabilities: builtinCapabilities('zepto'),
+            searchUrl: 'https://www.zepto.com/search?q=',
+            selectors: {
+                search: {
+                    input: [
+                        'input[placeholder*="Search for" i]',
+                        'input[type="search"]',
+                        'input[placeholder*="Search" i]',
+                    ],
+                },
+                results: {
+                    container: [
+                        'a[data-testid="product-card"]',
+                        'div[data-testid="product-card"]',
+                        'a[href*="/pn/"]',
+                    ],
+                    link: 'a[href*="/pn/"]',
+                    title: '[data-testid="product-card-name"], h5',
+                    price: '[data-testid="product-card-price"]',
+                    mrp: '[data-testid="product-card-mrp"], p[class*="line-through"]',
+                    packSize: '[data-testid="product-card-quantity"]',
+                    deliveryEta: '[data-testid="product-card-eta"], [class*="eta" i]',
+                    image: 'img',
+                },
+                cart: {
+                    add: ['button[aria-label="Add"]', 'button[data-testid="add-to-cart-button"]'],
+                    increment: ['button[aria-label="Increase quantity by 1"]', 'button[aria-label*="increase" i]'],
+                    quantity: ['[data-testid="product-quantity"]', 'button[aria-label*="quantity" i] + p', 'p[class*="quantity" i]'],
+                },
+                location: {
+                    current: ['[data-testid="user-address"]', 'button[aria-label*="location" i] span'],
+                    trigger: ['button[aria-label="Select Location"]', '[data-testid="user-address"]'],
+                    input: ['input[placeholder*="Search a new address" i]', 'input[placeholder*="area, street" i]'],
+                    suggestion: ['[data-testid="address-search-item"]', '[data-testid="address-search-container"] > div'],
+                    confirm: ['button[data-testid="location-confirm-btn"]', 'button[aria-label*="Confirm" i]'],
+                    unserviceable: ['[data-testid="unserviceable-screen"]'],
+                    unserviceablePatterns: [/sorry,?\s+we\s+don'?t\s+deliver/i],
+                },
+                product: {
+                    title: 'h1, [data-testid="pdp-product-name"]',
+                    price: '[data-testid="pdp-product-price"], h4',
+                    packSize: '[data-testid="pdp-product-quantity"], [data-testid="product-weight"]',
+                    deliveryEta: '[data-testid="delivery-time"], [class*="eta" i]',
+                },
+            },
+        });
+        // Containers from the last getSearchResults(), indexed like the returned products
+        this.resultContainers = [];
     }
-}
 
+    findSearchInput() {
+        for (const selector of this.selectors.search.input) {
+            for (const input of document.querySelectorAll(selector)) {
+                if (input.offsetParent !== null && !input.readOnly) return input;
+            }
+        }
+        return null;
+    }
+
+    async search(query, filters = {}, sort = null) {
+        try {
+            logger.info('Zepto: Performing search', { query });
+
+            const searchInput = this.findSearchInput();
+            if (!searchInput) {
+                logger.info('Zepto: Search input not found, navigating to search URL');
+                window.location.href = `${this.config.searchUrl}${encodeURIComponent(query)}`;
+                return true;
+            }
+
+            searchInput.focus();
+            // React-controlled input: set through the native setter so onChange fires
+            const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')?.set;
+            if (setter) setter.call(searchInput, query);
+            else searchInput.value = query;
+            searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+            searchInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+            await new Promise(r => setTimeout(r, 300));
+
+            searchInput.dispatchEvent(new KeyboardEvent('keydown', {
+                key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true
+            }));
+            const form = searchInput.closest('form');
+            if (form) {
+                form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+            }
+
+            logger.info('Zepto: Search submitted', { query });
+            return true;
+        } catch (error) {
+            logger.error('Zepto: Search failed', error);
+            throw error;
+        }
+    }
+
+    async getSearchResults() {
+        try {
+            logger.info('Zepto: Extracting products');
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            const sel = this.selectors.results;
+            let containers = [];
+            for (const selector of sel.container) {
+                containers = document.querySelectorAll(selector);
+                if (containers.length > 0) {
+                    logger.info(`Zepto: Found ${containers.length} containers`);
+                    break;
+                }
+            }
+
+            const { valid, stats } = filterProducts(containers, 'zepto');
+            logger.info('Zepto: Filtered products', stats);
+
+            const products = [];
+            this.resultContainers = [];
+
+            valid.forEach((container) => {
+                try {
+                    // The card itself is usually the anchor
+                    const linkEl = container.matches(sel.link) ? container : container.querySelector(sel.link);
+                    const href = linkEl?.href || linkEl?.getAttribute('href');
+                    if (!href) return;
+
+                    const title = container.querySelector(sel.title)?.textContent?.trim() || '';
+                    if (!title) return;
+
+                    const price = container.querySelector(sel.price)?.textContent?.trim()
+                        || findTextMatching(container, /^₹\s?[\d,.]+$/);
+                    const mrp = container.querySelector(sel.mrp)?.textContent?.trim() || '';
+                    const packSize = container.querySelector(sel.packSize)?.textContent?.trim() || '';
+                    const deliveryEta = container.querySelector(sel.deliveryEta)?.textContent?.trim()
+                        || findTextMatching(container, /^\d+\s*mins?$/i);
+                    const image = container.querySelector(sel.image)?.src || '';
+
+                    const product = {
+                        index: products.length,
+                        title,
+                        price,
+                        mrp: mrp || null,
+                        link: href.startsWith('http') ? href : `https://www.zepto.com${href}`,
+                        image,
+                        ...buildGroceryFields({ price, packSize, title, deliveryEta }),
+                        platform: 'zepto'
+                    };
 
+                    if (!shouldExcludeProduct(product, 'zepto')) {
+                        products.push(product);
+                        this.resultContainers.push(container);
+                    }
+                } catch (e) {
+                    // Skip
+                }
+            });
+
+            logger.info(`Zepto: Extracted ${products.length} valid products`);
+            return products;
+        } catch (error) {
+            logger.error('Zepto: Failed to get results', error);
+            throw error;
+        }
+    }
+
+    async selectProduct(productIndex = 0) {
+        try {
+            const products = await this.getSearchResults();
+            if (products.length === 0) {
+                throw new Error('No products found');
+            }
+
+            const product = products[Math.min(productIndex, products.length - 1)];
+            logger.info('Zepto: Opening product', { title: product.title });
+
+            window.location.href = product.link;
+            return product;
+        } catch (error) {
+            logger.error('Zepto: Failed to select product', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add to cart with a quantity. On a search page pass productIndex to add a
+     * result card directly; otherwise the product page's button is used.
+     * @returns {Promise<Object>} { success, quantity, requested, capped }
+     */
+    async addToCart(quantity = 1, productIndex = null) {
+        try {
+            let scope = document;
+            if (productIndex !== null && productIndex !== undefined) {
+                if (!this.resultContainers.length) await this.getSearchResults();
+                scope = this.resultContainers[productIndex];
+                if (!scope) throw new Error(`Search result ${productIndex} not found`);
+            }
+            logger.info('Zepto: Adding to cart', { quantity, productIndex });
+            return await addWithQuantity(scope, this.selectors.cart, quantity);
+        } catch (error) {
+            logger.error('Zepto: Failed to add to cart', error);
+            throw error;
+        }
+    }
+
+    async buyNow(quantity = 1) {
+        // No buy-now on Zepto: add the item to the cart
+        const result = await this.addToCart(quantity);
+        return result.success;
+    }
+
+    /**
+     * Push a pincode into the site's delivery-location picker before searching
+     * @returns {Promise<Object>} { success, serviceable, pincode, location, changed, reason }
+     */
+    async setDeliveryLocation(pincode) {
+        try {
+            logger.info('Zepto: Setting delivery location', { pincode });
+            return await setDeliveryPincode(this.selectors.location, pincode);
+        } catch (error) {
+            logger.error('Zepto: Failed to set delivery location', error);
+            throw error;
+        }
+    }
+
+    async checkServiceability() {
+        return checkPageServiceability(this.selectors.location);
+    }
+
+    async getProductDetails() {
+        const sel = this.selectors.product;
+        const title = document.querySelector(sel.title)?.textContent?.trim() || '';
+        const price = document.querySelector(sel.price)?.textContent?.trim() || '';
+        const packSize = document.querySelector(sel.packSize)?.textContent?.trim() || '';
+        const deliveryEta = document.querySelector(sel.deliveryEta)?.textContent?.trim() || '';
+        return {
+            title,
+            price,
+            ...buildGroceryFields({ price, packSize, title, deliveryEta }),
+            url: window.location.href,
+        };
+    }
+}
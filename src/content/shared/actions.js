@@ -3,7 +3,7 @@
  */
 
 import { logger } from '../../lib/logger.js';
-import { findElement, safeClick, fillInput, scrollIntoView, getText } from './selectors.js';
+import { findElement, safeClick, fillInput, scrollIntoView, getText, isVisible } from './selectors.js';
 import { parsePrice } from '../../lib/product-matcher.js';
 
 /**
@@ -579,6 +579,106 @@ export async function clickBuyNow(buyNowSelectors, options = {}) {
     }
 }
 
+/**
+ * Find the first visible element matching any selector within a scope, falling
+ * back to a button whose label matches textPattern (obfuscated class names)
+ */
+function findVisibleIn(scope, selectors = [], textPattern = null) {
+    const list = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of list) {
+        for (const el of scope.querySelectorAll(selector)) {
+            if (el.offsetParent !== null && isVisible(el)) return el;
+        }
+    }
+    if (textPattern) {
+        for (const el of scope.querySelectorAll('button, [role="button"]')) {
+            const label = (el.getAttribute('aria-label') || el.textContent || '').trim();
+            if (textPattern.test(label) && el.offsetParent !== null && isVisible(el)) return el;
+        }
+    }
+    return null;
+}
+
+/**
+ * Text of the first leaf element in scope whose text matches pattern.
+ * Used where class names are obfuscated (prices, pack sizes, ETAs on cards).
+ * @param {Element} scope
+ * @param {RegExp|{test: Function}} pattern
+ */
+export function findTextMatching(scope, pattern) {
+    for (const el of scope.querySelectorAll('*')) {
+        if (el.children.length > 0) continue;
+        const text = el.textContent?.trim();
+        if (text && pattern.test(text)) return text;
+    }
+    return '';
+}
+
+function readStepperQuantity(scope, quantitySelectors) {
+    const el = findVisibleIn(scope, quantitySelectors);
+    const value = parseInt((el?.value ?? el?.textContent ?? '').trim(), 10);
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Add an item via a quick-commerce "ADD" button and step its quantity up with
+ * the "+" stepper that replaces it (BigBasket, Blinkit, Zepto).
+ * Stops early when the site caps the quantity (the counter stops increasing).
+ * @param {Element|Document} scope - Product card, or document on a product page
+ * @param {Object} selectors - { add, increment, quantity } selector strings or lists,
+ *   plus optional addText / incrementText label patterns
+ * @param {number} quantity - Target quantity
+ * @param {Object} options - { stepDelay }
+ * @returns {Promise<Object>} { success, quantity, requested, capped }
+ */
+export async function addWithQuantity(scope, selectors, quantity = 1, options = {}) {
+    const { stepDelay = 600 } = options;
+    const requested = Math.max(1, parseInt(quantity, 10) || 1);
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    let current = readStepperQuantity(scope, selectors.quantity);
+    if (!current) {
+        const addButton = findVisibleIn(scope, selectors.add, selectors.addText || /^add$/i);
+        if (!addButton) {
+            throw new Error('Add button not found');
+        }
+        if (addButton.disabled || addButton.getAttribute('aria-disabled') === 'true') {
+            throw new Error('Item is out of stock');
+        }
+        addButton.click();
+        await wait(stepDelay);
+        // Some layouts only render the counter after the first add
+        current = readStepperQuantity(scope, selectors.quantity) || 1;
+    }
+
+    let capped = false;
+    while (current < requested) {
+        const increment = findVisibleIn(scope, selectors.increment, selectors.incrementText || /^(\+|increase|add one)/i);
+        if (!increment || increment.disabled) {
+            capped = true;
+            break;
+        }
+        increment.click();
+        await wait(stepDelay);
+        const next = readStepperQuantity(scope, selectors.quantity);
+        if (next === null) {
+            // No readable counter: trust the click
+            current += 1;
+        } else if (next <= current) {
+            capped = true;
+            break;
+        } else {
+            current = next;
+        }
+    }
+
+    if (capped) {
+        logger.warn('Quantity capped by site', { requested, quantity: current });
+    }
+    logger.info('Added to cart with quantity', { requested, quantity: current });
+    return { success: true, quantity: current, requested, capped };
+}
+
 /**
  * Apply filters to search results
  */
@@ -926,6 +1026,24 @@ export async function getSimplifiedPageContent(platformName) {
                     title: '._4rR01T, a.IRpwTa',
                     price: '._30jeq3',
                     link: 'a[href*="/p/"]'
+                },
+                bigbasket: {
+                    container: 'li[class*="PaginateItems"]',
+                    title: 'h3',
+                    price: '[class*="Pricing___StyledLabel-"]',
+                    link: 'a[href*="/pd/"]'
+                },
+                blinkit: {
+                    container: 'div[data-test-id="plp-product"]',
+                    title: '[class*="Product__UpdatedTitle"], div[class*="line-clamp-2"]',
+                    price: '[class*="ProductPrice"]',
+                    link: 'a[href*="/prn/"]'
+                },
+                zepto: {
+                    container: 'a[data-testid="product-card"]',
+                    title: '[data-testid="product-card-name"]',
+                    price: '[data-testid="product-card-price"]',
+                    link: 'a[href*="/pn/"]'
                 }
             }[platformName] || {
                 container: '.s-result-item, .product-item',
@@ -0,0 +1,166 @@
+/**
+ * Delivery-location picker automation for pincode-gated platforms.
+ * Each platform supplies its own selectors; the flow is the same everywhere:
+ * open the picker, type the pincode, pick the first suggestion, then read the
+ * location banner and picker for "not serviceable" messages.
+ */
+
+import { logger } from '../../lib/logger.js';
+import { detectUnserviceable, normalizePincode } from '../../lib/serviceability.js';
+import { isVisible } from './selectors.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Per-site record of the last pincode pushed through the picker and the header
+// it left behind, for sites whose header shows an area name instead of the pincode
+export const APPLIED_LOCATIONS_KEY = 'appliedDeliveryLocations';
+
+async function loadAppliedLocation(host) {
+    try {
+        const stored = await chrome.storage.local.get([APPLIED_LOCATIONS_KEY]);
+        return stored?.[APPLIED_LOCATIONS_KEY]?.[host] || null;
+    } catch (error) {
+        logger.warn('Failed to read the applied delivery location', { error: error?.message });
+        return null;
+    }
+}
+
+async function saveAppliedLocation(host, applied) {
+    try {
+        const stored = await chrome.storage.local.get([APPLIED_LOCATIONS_KEY]);
+        const all = stored?.[APPLIED_LOCATIONS_KEY] || {};
+        await chrome.storage.local.set({ [APPLIED_LOCATIONS_KEY]: { ...all, [host]: applied } });
+    } catch (error) {
+        logger.warn('Failed to save the applied delivery location', { error: error?.message });
+    }
+}
+
+function firstVisible(selectors) {
+    const list = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of list.filter(Boolean)) {
+        for (const el of document.querySelectorAll(selector)) {
+            if (el.offsetParent !== null && isVisible(el)) return el;
+        }
+    }
+    return null;
+}
+
+async function waitForVisible(selectors, timeout = 5000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const el = firstVisible(selectors);
+        if (el) return el;
+        await wait(250);
+    }
+    return null;
+}
+
+function typeInto(input, value) {
+    input.focus();
+    // React-controlled input: set through the native setter so onChange fires
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')?.set;
+    if (setter) setter.call(input, value);
+    else input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Current delivery location label shown in the site header
+ */
+export function readCurrentLocation(locationSelectors) {
+    return firstVisible(locationSelectors.current)?.textContent?.replace(/\s+/g, ' ').trim() || '';
+}
+
+const textOf = (el) => el?.innerText || el?.textContent || '';
+
+// Text of the parts of the page that speak for the delivery location: the
+// header label and the picker around the pincode input. Ordinary page copy
+// ("not deliverable to PO boxes", a review) must not mark the area unserviceable.
+function locationRegionText(locationSelectors) {
+    const header = firstVisible(locationSelectors.current);
+    const picker = firstVisible(locationSelectors.input)?.closest('[role="dialog"], form');
+    return [header, picker]
+        .filter(Boolean)
+        .map(textOf)
+        .join('\n');
+}
+
+/**
+ * Check the location banner and picker for "not serviceable" messages.
+ * Reads the whole page only when the platform declares no location selectors.
+ * @param {Object} locationSelectors - { current, input, unserviceable, unserviceablePatterns }
+ * @returns {Object} { serviceable, reason }
+ */
+export function checkServiceability(locationSelectors = {}) {
+    const banner = firstVisible(locationSelectors.unserviceable);
+    if (banner) {
+        return { serviceable: false, reason: banner.textContent?.replace(/\s+/g, ' ').trim() || 'not_serviceable' };
+    }
+    const scoped = [locationSelectors.unserviceable, locationSelectors.current, locationSelectors.input]
+        .flat()
+        .some(Boolean);
+    const text = scoped ? locationRegionText(locationSelectors) : textOf(document.body);
+    const phrase = detectUnserviceable(text, locationSelectors.unserviceablePatterns);
+    return phrase ? { serviceable: false, reason: phrase } : { serviceable: true, reason: null };
+}
+
+/**
+ * Push a pincode into the site's location picker
+ * @param {Object} locationSelectors - { current, trigger, input, suggestion, confirm, unserviceable, unserviceablePatterns }
+ * @param {string} pincode
+ * @param {Object} options - { settleMs }
+ * @returns {Promise<Object>} { success, serviceable, pincode, location, changed, reason }
+ */
+export async function setDeliveryPincode(locationSelectors, pincode, options = {}) {
+    const { settleMs = 2500 } = options;
+    const normalized = normalizePincode(pincode);
+    if (!normalized) {
+        return { success: false, serviceable: null, pincode, location: null, changed: false, reason: 'invalid_pincode' };
+    }
+
+    const current = readCurrentLocation(locationSelectors);
+    const host = window.location.hostname;
+    const applied = await loadAppliedLocation(host);
+    // The header names the pincode, or still shows what it showed after we last set this one
+    if (current.includes(normalized) || (current && applied?.pincode === normalized && applied.location === current)) {
+        logger.info('Delivery location already set', { pincode: normalized });
+        return { success: true, ...checkServiceability(locationSelectors), pincode: normalized, location: current, changed: false };
+    }
+
+    let input = firstVisible(locationSelectors.input);
+    if (!input) {
+        const trigger = firstVisible(locationSelectors.trigger);
+        if (!trigger) {
+            return { success: false, serviceable: null, pincode: normalized, location: current || null, changed: false, reason: 'location_picker_not_found' };
+        }
+        trigger.click();
+        input = await waitForVisible(locationSelectors.input);
+    }
+    if (!input) {
+        return { success: false, serviceable: null, pincode: normalized, location: current || null, changed: false, reason: 'location_input_not_found' };
+    }
+
+    typeInto(input, normalized);
+    const suggestion = await waitForVisible(locationSelectors.suggestion, 4000);
+    if (suggestion) {
+        suggestion.click();
+    } else {
+        input.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true
+        }));
+    }
+
+    await wait(800);
+    const confirm = firstVisible(locationSelectors.confirm);
+    if (confirm) confirm.click();
+
+    await wait(settleMs);
+    const status = checkServiceability(locationSelectors);
+    const location = readCurrentLocation(locationSelectors) || null;
+    await saveAppliedLocation(host, { pincode: normalized, location });
+    // Re-entering the pincode the site already had leaves results as they are
+    const changed = (location || '') !== current || applied?.pincode !== normalized;
+    logger.info('Delivery location set', { pincode: normalized, location, serviceable: status.serviceable, changed });
+    return { success: true, ...status, pincode: normalized, location, changed };
+}
@@ -0,0 +1,130 @@
+/**
+ * Content-script message router
+ * Maps the background's action protocol onto any EcommercePlatform, so every
+ * platform answers the same actions with the same envelope (lib/content-protocol.js).
+ * An action the platform doesn't implement gets `unsupported_action`.
+ */
+
+import { EcommercePlatform } from '../../lib/ecommerce-platforms.js';
+import { okResponse, errorResponse, errorCodeFor, PROTOCOL_ERRORS } from '../../lib/content-protocol.js';
+import { logger } from '../../lib/logger.js';
+import { selectorHealth } from '../../lib/selector-health.js';
+import { getSimplifiedPageContent } from './actions.js';
+
+/**
+ * Only products with a title and link, as plain JSON (messages can't carry DOM references)
+ */
+function serializableProducts(products = []) {
+    const valid = products.filter((item) => item?.title?.trim() && item?.link?.trim());
+    return JSON.parse(JSON.stringify(valid));
+}
+
+// action -> platform method and how the request maps onto its arguments
+export const PLATFORM_ACTIONS = {
+    SEARCH: { method: 'search', args: (r) => [r.query, r.filters || {}, r.sort ?? null] },
+    APPLY_FILTERS: { method: 'applyFilters', args: (r) => [r.filters || {}] },
+    SORT_RESULTS: { method: 'sortResults', args: (r) => [r.sort] },
+    GET_SEARCH_RESULTS: { method: 'getSearchResults', map: serializableProducts },
+    SELECT_PRODUCT: { method: 'selectProduct', args: (r) => [r.productIndex ?? 0] },
+    GET_PRODUCT_DETAILS: { method: 'getProductDetails' },
+    // quantity defaults to 1; productIndex adds straight from the search results;
+    // variantId / options pick a variant where the platform has them
+    ADD_TO_CART: {
+        method: 'addToCart',
+        args: (r) => [r.quantity || 1, r.productIndex ?? null, { variantId: r.variantId, options: r.options }],
+    },
+    // quantity is honoured by platforms whose buy-now adds to the cart
+    CLICK_BUY_NOW: { method: 'buyNow', args: (r) => [r.quantity || 1] },
+    CHECKOUT: { method: 'checkout', args: (r) => [r.options || {}] },
+    // Runs before SEARCH so results and prices reflect the delivery pincode
+    SET_LOCATION: { method: 'setDeliveryLocation', args: (r) => [r.pincode] },
+    CHECK_SERVICEABILITY: { method: 'checkServiceability' },
+    TRACK_ORDER: { method: 'trackOrder', args: (r) => [r.orderId] },
+    GET_ORDER_HISTORY: { method: 'getOrderHistory' },
+};
+
+/**
+ * True when the platform overrides the method (the base class only throws "not implemented")
+ */
+export function implementsMethod(platform, method) {
+    return typeof platform[method] === 'function' && platform[method] !== EcommercePlatform.prototype[method];
+}
+
+/**
+ * Wrap a platform method's result. Methods report failure by returning false
+ * or an object with `success: false` (and usually `error` or `reason`).
+ */
+function toEnvelope(result) {
+    if (result === false) return errorResponse(PROTOCOL_ERRORS.ACTION_FAILED);
+    if (result && typeof result === 'object' && result.success === false) {
+        return errorResponse(result.code || errorCodeFor(result.error), result.error || result.reason || null, result);
+    }
+    return okResponse(result ?? null);
+}
+
+/**
+ * Actions a platform answers
+ * @param {EcommercePlatform} platform
+ * @param {Object} handlers - Extra actions from createMessageRouter()
+ */
+export function supportedActions(platform, handlers = {}) {
+    const mapped = Object.entries(PLATFORM_ACTIONS)
+        .filter(([, route]) => implementsMethod(platform, route.method))
+        .map(([action]) => action);
+    return [...new Set(['EXTRACT_PAGE_CONTENT', 'GET_CAPABILITIES', ...mapped, ...Object.keys(handlers)])];
+}
+
+/**
+ * Handle one request
+ * @returns {Promise<Object>} Response envelope
+ */
+export async function routeMessage(platform, request, handlers = {}) {
+    const { action } = request;
+    try {
+        if (handlers[action]) {
+            return toEnvelope(await handlers[action](request));
+        }
+        if (action === 'EXTRACT_PAGE_CONTENT') {
+            return okResponse(await getSimplifiedPageContent(platform.name));
+        }
+        if (action === 'GET_CAPABILITIES') {
+            // Declared capabilities plus the actions this page will actually answer
+            return okResponse({
+                platform: platform.name,
+                capabilities: platform.getCapabilities(),
+                actions: supportedActions(platform, handlers),
+            });
+        }
+        const route = PLATFORM_ACTIONS[action];
+        if (!route || !implementsMethod(platform, route.method)) {
+            return errorResponse(PROTOCOL_ERRORS.UNSUPPORTED_ACTION, `${platform.name} does not support ${action}`);
+        }
+        const result = await platform[route.method](...(route.args ? route.args(request) : []));
+        if (action === 'GET_SEARCH_RESULTS') {
+            // Runtime drift check; reports through the logger and never holds up the answer
+            selectorHealth.check(platform).catch(() => {});
+        }
+        return toEnvelope(route.map ? route.map(result) : result);
+    } catch (error) {
+        logger.error(`${platform.name}: ${action} failed`, error);
+        return errorResponse(errorCodeFor(error), error.message || 'Unknown error');
+    }
+}
+
+/**
+ * Listen for the background's actions on behalf of a platform
+ * @param {EcommercePlatform} platform
+ * @param {Object} options - { handlers: { ACTION: async (request) => data } } for
+ *   platform-specific actions such as login steps; they take precedence over the defaults
+ * @returns {Function} The onMessage listener
+ */
+export function registerMessageRouter(platform, { handlers = {} } = {}) {
+    const listener = (request, sender, sendResponse) => {
+        // Messages without an action aren't addressed to the content script
+        if (!request?.action) return false;
+        routeMessage(platform, request, handlers).then(sendResponse);
+        return true;
+    };
+    chrome.runtime.onMessage.addListener(listener);
+    return listener;
+}
@@ -0,0 +1,191 @@
+/**
+ * Order-history and tracking scraping
+ * Reads a "Your Orders" page into plain order entries using a platform's
+ * `selectors.orders`, and an order's tracking page into its shipment timeline
+ * using `selectors.tracking`. Dates, totals and statuses are returned as the page
+ * shows them; lib/order-tracker.js normalizes them.
+ */
+
+// Status lines on cards that have no dedicated status element (Flipkart)
+const STATUS_TEXT = /^(delivered|cancelled|returned|return|refund|replacement|shipped|dispatched|in transit|out for delivery|arriving|delivery expected|expected|ordered|order placed|order confirmed|not yet shipped|packed)\b/i;
+const DATE_TEXT = /\b(\d{1,2}(st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)|(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|today|yesterday)/i;
+const PRICE_TEXT = /^(?:₹|rs\.?|\$|£|€)\s?\d[\d,]*(?:\.\d+)?$/i;
+
+function queryFirst(root, selector) {
+    if (!selector) return null;
+    try {
+        return root.querySelector(selector);
+    } catch (e) {
+        return null;
+    }
+}
+
+function queryAll(root, selector) {
+    if (!selector) return [];
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch (e) {
+        return [];
+    }
+}
+
+function textOf(element) {
+    if (!element) return '';
+    const raw = element.tagName === 'IMG' ? element.getAttribute('alt') || '' : element.textContent;
+    return raw.replace(/\s+/g, ' ').trim();
+}
+
+// Text of every element without child elements, in document order
+function leafTexts(root) {
+    return queryAll(root, '*')
+        .filter((element) => element.children.length === 0)
+        .map(textOf)
+        .filter(Boolean);
+}
+
+function urlOf(element, attribute = 'href') {
+    if (!element) return null;
+    return element[attribute] || element.getAttribute(attribute) || null;
+}
+
+/**
+ * Value shown under a label in an order header ("ORDER PLACED" / "14 March 2024")
+ */
+function labeledValue(card, itemSelector, label) {
+    if (!label) return null;
+    for (const item of queryAll(card, itemSelector)) {
+        const texts = leafTexts(item);
+        const index = texts.findIndex((text) => label.test(text));
+        if (index !== -1 && texts[index + 1]) return texts[index + 1];
+    }
+    return null;
+}
+
+function findOrderId(card, selectors) {
+    const pattern = selectors.orderIdPattern instanceof RegExp
+        ? selectors.orderIdPattern
+        : new RegExp(selectors.orderIdPattern || '\\S+');
+    const sources = [
+        textOf(queryFirst(card, selectors.orderId)),
+        card.getAttribute('href'),
+        ...queryAll(card, 'a[href]').map((link) => link.getAttribute('href')),
+        textOf(card),
+    ];
+    for (const source of sources) {
+        const match = source && source.match(pattern);
+        if (match) return match[1] || match[0];
+    }
+    return null;
+}
+
+function readItem(scope, selectors, cardIsItem) {
+    const titleElement = queryFirst(scope, selectors.itemTitle);
+    const title = textOf(titleElement);
+    if (!title) return null;
+    const link = queryFirst(scope, selectors.itemLink) || titleElement.closest('a');
+    // A card that is the item shows the item's price as a line of its own
+    const price = textOf(queryFirst(scope, selectors.itemPrice))
+        || (cardIsItem ? leafTexts(scope).find((text) => PRICE_TEXT.test(text)) : null)
+        || null;
+    return {
+        title,
+        link: urlOf(link),
+        image: urlOf(queryFirst(scope, selectors.itemImage), 'src'),
+        price,
+        quantity: Number(textOf(queryFirst(scope, selectors.itemQuantity)).match(/\d+/)?.[0]) || 1,
+    };
+}
+
+/**
+ * Orders on the current order-history page
+ * @param {Object} selectors - The platform's selectors.orders:
+ *   card, orderId, orderIdPattern, headerItem, labels { date, total }, date, total,
+ *   status, item, itemTitle, itemLink, itemImage, itemPrice, itemQuantity,
+ *   tracking, nextPage, signIn
+ * @param {ParentNode} root
+ * @returns {Object} { orders, nextPage, url }, or { success: false, code: 'login_required' }
+ *   on a sign-in page
+ */
+export function scrapeOrderHistory(selectors = {}, root = document) {
+    if (queryFirst(root, selectors.signIn)) {
+        return { success: false, code: 'login_required', error: 'Sign in to see your orders' };
+    }
+
+    const orders = [];
+    for (const card of queryAll(root, selectors.card)) {
+        const orderId = findOrderId(card, selectors);
+        if (!orderId) continue;
+
+        const scopes = queryAll(card, selectors.item);
+        const items = (scopes.length ? scopes : [card])
+            .map((scope) => readItem(scope, selectors, scopes.length === 0))
+            .filter(Boolean);
+        const statusText = textOf(queryFirst(card, selectors.status))
+            || leafTexts(card).find((text) => STATUS_TEXT.test(text))
+            || null;
+
+        orders.push({
+            orderId,
+            orderDate: labeledValue(card, selectors.headerItem, selectors.labels?.date) || textOf(queryFirst(card, selectors.date)) || null,
+            total: labeledValue(card, selectors.headerItem, selectors.labels?.total) || textOf(queryFirst(card, selectors.total)) || null,
+            statusText,
+            items,
+            trackingUrl: urlOf(queryFirst(card, selectors.tracking)),
+        });
+    }
+
+    return {
+        orders,
+        nextPage: urlOf(queryFirst(root, selectors.nextPage)),
+        url: globalThis.location?.href || null,
+    };
+}
+
+/**
+ * Shipment timeline on an order's tracking page
+ * Timelines without markup hooks (Flipkart) are read from status lines, each
+ * with the date line that follows it.
+ * @param {Object} selectors - The platform's selectors.tracking:
+ *   status, estimatedDelivery, eventGroup, eventGroupDate, event, eventText,
+ *   eventDate, eventLocation, trackingNumber, carrier, signIn
+ * @param {ParentNode} root
+ * @returns {Object} { statusText, estimatedDelivery, events: [{ text, date, location }],
+ *   trackingNumber, carrier, url }, or { success: false, code: 'login_required' } on a sign-in page
+ */
+export function scrapeOrderTracking(selectors = {}, root = document) {
+    if (queryFirst(root, selectors.signIn)) {
+        return { success: false, code: 'login_required', error: 'Sign in to track this order' };
+    }
+
+    const events = [];
+    if (selectors.event) {
+        // Amazon groups a day's events under one date heading
+        const groups = queryAll(root, selectors.eventGroup);
+        for (const group of groups.length ? groups : [root]) {
+            const groupDate = textOf(queryFirst(group, selectors.eventGroupDate));
+            for (const row of queryAll(group, selectors.event)) {
+                const text = textOf(queryFirst(row, selectors.eventText)) || textOf(row);
+                if (!text) continue;
+                const date = [groupDate, textOf(queryFirst(row, selectors.eventDate))].filter(Boolean).join(' ');
+                events.push({ text, date: date || null, location: textOf(queryFirst(row, selectors.eventLocation)) || null });
+            }
+        }
+    } else {
+        const texts = leafTexts(root);
+        texts.forEach((text, index) => {
+            if (!STATUS_TEXT.test(text)) return;
+            const next = texts[index + 1];
+            const date = !DATE_TEXT.test(text) && next && DATE_TEXT.test(next) && !STATUS_TEXT.test(next) ? next : null;
+            events.push({ text, date, location: null });
+        });
+    }
+
+    return {
+        statusText: textOf(queryFirst(root, selectors.status)) || null,
+        estimatedDelivery: textOf(queryFirst(root, selectors.estimatedDelivery)) || null,
+        events,
+        trackingNumber: textOf(queryFirst(root, selectors.trackingNumber)).match(/\b(?=[A-Z]*\d)[A-Z0-9]{8,}\b/i)?.[0] || null,
+        carrier: textOf(queryFirst(root, selectors.carrier)).replace(/^(shipped with|delivery by|courier:?)\s*/i, '') || null,
+        url: globalThis.location?.href || null,
+    };
+}
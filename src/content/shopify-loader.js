@@ -0,0 +1,15 @@
+/**
+ * Shopify Content Script Loader
+ * Also registered dynamically for opted-in custom-domain stores
+ */
+(async () => {
+    // Dynamic registration and the manifest entry can both match a store
+    if (window.__retailAgentShopifyLoaded) return;
+    window.__retailAgentShopifyLoaded = true;
+    try {
+        await import(chrome.runtime.getURL('src/content/shopify.js'));
+        console.log('RetailAgent: Shopify content script loaded');
+    } catch (error) {
+        console.error('RetailAgent: Failed to load Shopify content script', error);
+    }
+})();
@@ -5,7 +5,7 @@
 
 import { TiraBeautyPlatform } from './platforms/tirabeauty-platform.js';
 import { platformRegistry } from '../lib/ecommerce-platforms.js';
-import { logger } from '../lib/logger.js';
+import { registerMessageRouter } from './shared/message-router.js';
 
 // Register TiraBeauty platform
 const tirabeautyPlatform = new TiraBeautyPlatform();
@@ -23,67 +23,4 @@ if (document.readyState === 'loading') {
 }
 
 // Listen for commands from Background
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'SEARCH') {
-        (async () => {
-            try {
-                logger.info('TiraBeauty: Executing search', { query: request.query, filters: request.filters, sort: request.sort });
-                const success = await tirabeautyPlatform.search(request.query, request.filters || {}, request.sort);
-                sendResponse({ success });
-            } catch (error) {
-                logger.error('TiraBeauty: Search failed', error);
-                sendResponse({ success: false, error: error.message || 'Unknown error' });
-            }
-        })();
-        return true;
-    }
-    
-    if (request.action === 'GET_SEARCH_RESULTS') {
-        (async () => {
-            try {
-                logger.info('Content script: Getting search results...');
-                const products = await tirabeautyPlatform.getSearchResults();
-                logger.info(`Content script: Found ${products.length} products`);
-                
-                const validProducts = products.filter(item => {
-                    const hasTitle = item.title && item.title.trim().length > 0;
-                    const hasLink = item.link && item.link.trim().length > 0;
-                    return hasTitle && hasLink;
-                });
-                
-                const serializableProducts = JSON.parse(JSON.stringify(validProducts));
-                sendResponse({ items: serializableProducts, success: true });
-            } catch (error) {
-                logger.error('Content script: Error getting search results', error);
-                sendResponse({ items: [], success: false, error: error.message || 'Unknown error' });
-            }
-        })();
-        return true;
-    }
-    
-    if (request.action === 'CLICK_BUY_NOW') {
-        tirabeautyPlatform.buyNow().then(success => {
-            sendResponse({ success });
-        }).catch(error => {
-            sendResponse({ success: false, error: error.message });
-        });
-        return true;
-    } else if (request.action === 'ADD_TO_CART') {
-        tirabeautyPlatform.addToCart().then(success => {
-            sendResponse({ success });
-        }).catch(error => {
-            sendResponse({ success: false, error: error.message });
-        });
-        return true;
-    } else if (request.action === 'GET_PRODUCT_DETAILS') {
-        tirabeautyPlatform.getProductDetails().then(details => {
-            sendResponse({ details, success: true });
-        }).catch(error => {
-            sendResponse({ success: false, error: error.message });
-        });
-        return true;
-    }
-    
-    return false;
-});
-
+registerMessageRouter(tirabeautyPlatform);
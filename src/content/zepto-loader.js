@@ -3,7 +3,7 @@
  */
 (async () => {
     try {
-        await import(chrome.runtime.getURL('src/content/platforms/zepto-platform.js'));
+        await import(chrome.runtime.getURL('src/content/zepto.js'));
         console.log('RetailAgent: Zepto content script loaded');
     } catch (error) {
         console.error('RetailAgent: Failed to load Zepto content script', error);
@@ -0,0 +1,27 @@
+/**
+ * Zepto Content Script
+ * Handles Zepto-specific page interactions
+ */
+
+import { ZeptoPlatform } from './platforms/zepto-platform.js';
+import { platformRegistry } from '../lib/ecommerce-platforms.js';
+import { registerMessageRouter } from './shared/message-router.js';
+
+// Register Zepto platform
+const zeptoPlatform = new ZeptoPlatform();
+platformRegistry.register(zeptoPlatform);
+
+// Notify background that page loaded (wait for DOM to be ready)
+function notifyPageLoaded() {
+    chrome.runtime.sendMessage({ type: 'PAGE_LOADED', url: window.location.href }).catch(() => {});
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', notifyPageLoaded);
+} else {
+    // DOM already loaded
+    notifyPageLoaded();
+}
+
+// Listen for commands from Background
+registerMessageRouter(zeptoPlatform);
@@ -5,6 +5,7 @@
 
 import { logger } from './logger.js';
 import { configManager } from './config.js';
+import { normalizePincode } from './serviceability.js';
 
 export class Address {
     constructor(data) {
@@ -36,6 +37,13 @@ export class Address {
         return parts.join(', ');
     }
 
+    /**
+     * Six-digit pincode used for delivery-location pickers, or null
+     */
+    getPincode() {
+        return normalizePincode(this.zipCode);
+    }
+
     /**
      * Validate address
      */
@@ -235,6 +243,13 @@ class AddressManager {
         return this.defaultAddress;
     }
 
+    /**
+     * Pincode of the default address, or null when none is saved
+     */
+    getDefaultPincode() {
+        return this.defaultAddress?.getPincode() || null;
+    }
+
     /**
      * Set default address
      */
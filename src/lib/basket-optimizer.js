@@ -0,0 +1,211 @@
+/**
+ * Cross-platform basket pricing
+ * Prices a shopping list on several grocery platforms and recommends either the
+ * cheapest single-platform fill or a split across platforms, counting delivery
+ * and handling fees and minimum order values.
+ */
+
+import { rankCandidates, computeAddQuantity, formatItemLabel } from './basket.js';
+import { isUnavailable, parsePrice } from './product-matcher.js';
+
+const NO_FEES = { deliveryFee: 0, freeDeliveryAbove: null, handlingFee: 0, minOrderValue: 0 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cheapest listing that covers a line item among its most relevant results
+ * @param {Object} item - Line item from createBasketItem
+ * @param {Object[]} products - Search results for the item on one platform
+ * @param {number} maxCandidates - Relevant results considered
+ * @returns {Object|null} { itemId, platform, product, quantity, cost }
+ */
+export function pickOffer(item, products = [], maxCandidates = 3) {
+    let best = null;
+    for (const product of rankCandidates(products, item).slice(0, maxCandidates)) {
+        if (isUnavailable(product)) continue;
+        const price = product.priceNumeric ?? parsePrice(product.price);
+        if (!price || price <= 0) continue;
+        const quantity = computeAddQuantity(item, product);
+        const cost = round(price * quantity);
+        if (!best || cost < best.cost) {
+            best = { itemId: item.id, platform: product.platform, product, quantity, cost };
+        }
+    }
+    return best;
+}
+
+/**
+ * Fees for one platform's share of the basket
+ * @param {number} subtotal - Item total on the platform
+ * @param {Object} fees - { deliveryFee, freeDeliveryAbove, handlingFee, minOrderValue }
+ * @returns {Object} { deliveryFee, handlingFee, total, meetsMinimum }
+ */
+export function computeFees(subtotal, fees = {}) {
+    const { deliveryFee, freeDeliveryAbove, handlingFee, minOrderValue } = { ...NO_FEES, ...fees };
+    const delivery = freeDeliveryAbove != null && subtotal >= freeDeliveryAbove ? 0 : deliveryFee || 0;
+    return {
+        deliveryFee: delivery,
+        handlingFee: handlingFee || 0,
+        total: round(delivery + (handlingFee || 0)),
+        meetsMinimum: subtotal >= (minOrderValue || 0),
+    };
+}
+
+function subsets(list) {
+    const result = [];
+    for (let mask = 1; mask < (1 << list.length); mask++) {
+        result.push(list.filter((_, i) => mask & (1 << i)));
+    }
+    return result;
+}
+
+/**
+ * Price a basket restricted to a set of platforms: every item goes to the
+ * cheapest platform in the set that has it. Returns null when a platform in
+ * the set ends up empty (a smaller set covers that plan) or when a platform's
+ * share is below its minimum order value.
+ */
+function pricePlan(items, offers, platforms, feesByPlatform) {
+    const assignments = [];
+    const missing = [];
+    for (const item of items) {
+        const options = platforms.map((p) => offers[p]?.[item.id]).filter(Boolean);
+        if (!options.length) {
+            missing.push(item.id);
+            continue;
+        }
+        assignments.push(options.reduce((a, b) => (b.cost < a.cost ? b : a)));
+    }
+
+    const perPlatform = {};
+    for (const platform of platforms) {
+        const share = assignments.filter((a) => a.platform === platform);
+        if (!share.length) return null;
+        const subtotal = round(share.reduce((sum, a) => sum + a.cost, 0));
+        const fees = computeFees(subtotal, feesByPlatform[platform]);
+        if (!fees.meetsMinimum) return null;
+        perPlatform[platform] = { items: share.length, subtotal, ...fees };
+    }
+
+    const subtotal = round(assignments.reduce((sum, a) => sum + a.cost, 0));
+    const fees = round(Object.values(perPlatform).reduce((sum, p) => sum + p.total, 0));
+    return {
+        platforms,
+        assignments,
+        missing,
+        perPlatform,
+        subtotal,
+        fees,
+        total: round(subtotal + fees),
+    };
+}
+
+// More items covered first, then the lower total
+const comparePlans = (a, b) => (a.missing.length - b.missing.length) || (a.total - b.total);
+
+/**
+ * Recommend where to buy a basket
+ * @param {Object[]} items - Line items
+ * @param {Object} results - platform -> itemId -> search results
+ * @param {Object} options
+ * @param {Object} [options.fees] - platform -> { deliveryFee, freeDeliveryAbove, handlingFee, minOrderValue }
+ * @param {number} [options.minSplitSaving] - Saving needed before a split is recommended over one platform
+ * @param {number} [options.maxSplitPlatforms] - Most platforms a split may use
+ * @param {number} [options.maxCandidates] - Relevant results considered per item
+ * @returns {Object} { recommendation: 'single'|'split'|'none', best, single, split, platforms, saving }
+ */
+export function optimizeBasket(items = [], results = {}, options = {}) {
+    const { fees = {}, minSplitSaving = 0, maxSplitPlatforms = 2, maxCandidates = 3 } = options;
+
+    const offers = {};
+    for (const [platform, byItem] of Object.entries(results)) {
+        offers[platform] = {};
+        for (const item of items) {
+            const products = (byItem?.[item.id] || []).map((p) => ({ ...p, platform: p.platform || platform }));
+            const offer = pickOffer(item, products, maxCandidates);
+            if (offer) offers[platform][item.id] = offer;
+        }
+    }
+
+    const platformNames = Object.keys(offers).filter((p) => Object.keys(offers[p]).length > 0);
+    const plans = subsets(platformNames)
+        .filter((set) => set.length <= Math.max(1, maxSplitPlatforms))
+        .map((set) => pricePlan(items, offers, set, fees))
+        .filter(Boolean)
+        .sort(comparePlans);
+
+    const single = plans.find((plan) => plan.platforms.length === 1) || null;
+    const split = plans.find((plan) => plan.platforms.length > 1) || null;
+
+    // Per-platform single fill, including ones below their minimum order
+    const platforms = {};
+    for (const platform of Object.keys(results)) {
+        const available = Object.keys(offers[platform] || {}).length;
+        const plan = available ? pricePlan(items, offers, [platform], {}) : null;
+        const platformFees = plan ? computeFees(plan.subtotal, fees[platform]) : null;
+        platforms[platform] = {
+            available,
+            missing: items.length - available,
+            subtotal: plan?.subtotal ?? 0,
+            fees: platformFees?.total ?? 0,
+            total: plan ? round(plan.subtotal + platformFees.total) : null,
+            meetsMinimum: platformFees?.meetsMinimum ?? false,
+        };
+    }
+
+    let recommendation = 'none';
+    let best = null;
+    let saving = 0;
+    if (single && split) {
+        saving = round(single.total - split.total);
+        const coversMore = split.missing.length < single.missing.length;
+        const worthIt = split.missing.length === single.missing.length && saving >= minSplitSaving && saving > 0;
+        best = coversMore || worthIt ? split : single;
+    } else {
+        best = single || split;
+    }
+    if (best) recommendation = best.platforms.length > 1 ? 'split' : 'single';
+
+    return { recommendation, best, single, split, platforms, saving: best === split ? saving : 0 };
+}
+
+/**
+ * Plain-text recommendation for the side panel
+ */
+export function formatBasketPlan(result, items = []) {
+    const labels = Object.fromEntries(items.map((item) => [item.id, formatItemLabel(item)]));
+    if (!result.best) return '🧺 **Basket comparison:** none of the items were found on any platform.';
+
+    const { best } = result;
+    const lines = [];
+    if (result.recommendation === 'split') {
+        lines.push(`🧺 **Best Deal: split across ${best.platforms.join(' + ')} — ₹${best.total.toFixed(2)}**`);
+        if (result.saving > 0) lines.push(`Saves ₹${result.saving.toFixed(2)} over the cheapest single platform`);
+    } else {
+        lines.push(`🧺 **Best Deal: everything on ${best.platforms[0]} — ₹${best.total.toFixed(2)}**`);
+    }
+    for (const platform of best.platforms) {
+        const share = best.perPlatform[platform];
+        lines.push(`**${platform}**: ₹${share.subtotal.toFixed(2)} + ₹${share.total.toFixed(2)} fees`);
+        for (const a of best.assignments.filter((x) => x.platform === platform)) {
+            lines.push(`▪️ ${labels[a.itemId] || a.itemId} → ${a.product.title} x${a.quantity} (₹${a.cost.toFixed(2)})`);
+        }
+    }
+    if (best.missing.length) {
+        lines.push(`Not found: ${best.missing.map((id) => labels[id] || id).join(', ')}`);
+    }
+
+    lines.push('---');
+    lines.push('**All Options:**');
+    for (const [platform, info] of Object.entries(result.platforms)) {
+        if (info.total === null) {
+            lines.push(`▪️ ${platform}: no items found`);
+            continue;
+        }
+        const notes = [];
+        if (info.missing) notes.push(`${info.missing} missing`);
+        if (!info.meetsMinimum) notes.push('below minimum order');
+        lines.push(`▪️ ${platform}: ₹${info.total.toFixed(2)} incl. ₹${info.fees.toFixed(2)} fees${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,288 @@
+/**
+ * Multi-item grocery baskets
+ * Line-item parsing, candidate ranking, pack-aware quantities, substitution
+ * rules and the per-item summary shown in the side panel.
+ */
+
+import { parsePackSize } from './grocery-utils.js';
+
+export const BASKET_ITEM_STATUS = {
+    PENDING: 'pending',
+    SEARCHING: 'searching',
+    ADDED: 'added',
+    SUBSTITUTED: 'substituted',
+    OUT_OF_STOCK: 'out_of_stock',
+    NOT_FOUND: 'not_found',
+    FAILED: 'failed',
+};
+
+export const SUBSTITUTION_RULES = ['similar', 'same_brand', 'none'];
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, dozen: 12, half: 0.5,
+};
+
+// Count units that say "how many packs" rather than a size
+const COUNT_UNITS = {
+    pc: 'pc', pcs: 'pc', piece: 'pc', pieces: 'pc', unit: 'pc', units: 'pc',
+    pack: 'pack', packs: 'pack', packet: 'pack', packets: 'pack', pkt: 'pack',
+    bottle: 'pack', bottles: 'pack', box: 'pack', boxes: 'pack', loaf: 'pack', loaves: 'pack',
+    bunch: 'pack', bunches: 'pack', dozen: 'dozen',
+};
+const SIZE_UNITS = {
+    g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+    kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg',
+    ml: 'ml', l: 'l', ltr: 'l', ltrs: 'l', litre: 'l', litres: 'l', liter: 'l', liters: 'l',
+};
+
+const UNIT_PATTERN = [...Object.keys(SIZE_UNITS), ...Object.keys(COUNT_UNITS)]
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+const LEADING_QUANTITY = new RegExp(
+    `^(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})\\s*(${UNIT_PATTERN})?\\b\\.?\\s*(?:of\\s+)?(.+)$`,
+    'i'
+);
+const TRAILING_SIZE = new RegExp(`^(.+?)\\s+(\\d+(?:\\.\\d+)?)\\s*(${Object.keys(SIZE_UNITS).join('|')})\\b\\.?$`, 'i');
+
+const PLATFORM_WORDS = /\b(?:from|on|at|via)\s+(?:bigbasket|big basket|blinkit|zepto|jiomart|jio mart|amazon|flipkart)\b|\b(?:bigbasket|big basket|blinkit|zepto|jiomart|jio mart)\b/gi;
+// Comparison wording around a list ("compare prices of milk, eggs and bread across platforms")
+const COMPARISON_WORDS = /\b(?:compare|cheapest|prices?(?:\s+(?:of|for))?|across(?:\s+(?:platforms|sites|apps))?)\b/gi;
+const LEADING_VERBS = /^(?:please\s+)?(?:get|buy|order|add|i need|i want|need|want|pick up|grab)\s+(?:me\s+)?/i;
+
+function toNumber(value) {
+    const word = NUMBER_WORDS[String(value).toLowerCase()];
+    return word !== undefined ? word : parseFloat(value);
+}
+
+let itemCounter = 0;
+
+/**
+ * Normalize one line item from the LLM or the text parser
+ * @param {Object} raw - { product, quantity, unit, brand, substitutes }
+ */
+export function createBasketItem(raw = {}) {
+    let quantity = Number(raw.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) quantity = 1;
+    let unit = raw.unit ? String(raw.unit).toLowerCase().trim() : null;
+    unit = SIZE_UNITS[unit] || COUNT_UNITS[unit] || unit || null;
+    if (unit === 'dozen') {
+        quantity *= 12;
+        unit = 'pc';
+    }
+    return {
+        id: raw.id || `item_${++itemCounter}`,
+        product: String(raw.product || '').trim(),
+        quantity,
+        unit,
+        brand: raw.brand || null,
+        substitutes: Array.isArray(raw.substitutes) ? raw.substitutes.filter(Boolean) : [],
+        status: BASKET_ITEM_STATUS.PENDING,
+        chosen: null,
+        addedQuantity: 0,
+        substitutedFor: null,
+        note: null,
+    };
+}
+
+/**
+ * Parse one list entry: "12 eggs", "1kg atta", "2 packets of bread", "atta 5 kg", "milk"
+ */
+export function parseLineItem(segment) {
+    const text = segment.replace(/\s+/g, ' ').trim().replace(/[.!?]+$/, '');
+    if (!text) return null;
+
+    const leading = text.match(LEADING_QUANTITY);
+    if (leading && leading[3]) {
+        return createBasketItem({ product: leading[3], quantity: toNumber(leading[1]), unit: leading[2] || null });
+    }
+    const trailing = text.match(TRAILING_SIZE);
+    if (trailing) {
+        return createBasketItem({ product: trailing[1], quantity: parseFloat(trailing[2]), unit: trailing[3] });
+    }
+    return createBasketItem({ product: text });
+}
+
+/**
+ * Split a shopping-list request into line items
+ * @param {string} text - e.g. "get milk, 12 eggs, 1kg atta and bread from BigBasket"
+ * @returns {Object[]} Line items; fewer than two means it isn't a basket
+ */
+export function parseBasketText(text) {
+    if (!text) return [];
+    // "my grocery list: milk, eggs" - the list starts after the colon
+    const cleaned = text
+        .replace(/^[^,:]*:\s*/, '')
+        .replace(COMPARISON_WORDS, ' ')
+        .replace(PLATFORM_WORDS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(LEADING_VERBS, '');
+    return cleaned
+        .split(/\s*(?:,|;|\n|&|\band\b|\bplus\b)\s*/i)
+        .map((segment) => segment.replace(LEADING_VERBS, ''))
+        .map(parseLineItem)
+        .filter((item) => item && item.product.length > 1);
+}
+
+/**
+ * Requested amount in base units (g, ml, pc) when the item names a size
+ */
+export function requestedAmount(item) {
+    if (!item) return null;
+    if (['g', 'kg', 'ml', 'l'].includes(item.unit)) {
+        return parsePackSize(`${item.quantity} ${item.unit}`);
+    }
+    if (item.unit === 'pc' || (!item.unit && item.quantity > 1)) {
+        return { unit: 'pc', total: item.quantity };
+    }
+    return null;
+}
+
+/**
+ * How many of a listing to add: "12 eggs" with a 6-pack listing is 2, "1 kg atta"
+ * with a 500 g listing is 2, "2 packets of bread" is 2.
+ */
+export function computeAddQuantity(item, product) {
+    const wanted = requestedAmount(item);
+    const pack = parsePackSize(product?.packSize) || parsePackSize(product?.title);
+    if (wanted && pack && pack.unit === wanted.unit && pack.total > 0) {
+        return Math.max(1, Math.ceil(wanted.total / pack.total - 1e-9));
+    }
+    if (['g', 'kg', 'ml', 'l'].includes(item?.unit)) {
+        // Sized request but the listing's size is unknown: one pack
+        return 1;
+    }
+    return Math.max(1, Math.round(item?.quantity || 1));
+}
+
+function tokens(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((t) => t.length > 1);
+}
+
+function relevance(item, product) {
+    const wanted = tokens(item.product);
+    if (!wanted.length) return 0;
+    const title = String(product.title || '').toLowerCase();
+    // Match singular/plural loosely ("eggs" vs "egg")
+    const hits = wanted.filter((t) => title.includes(t) || title.includes(t.replace(/e?s$/, '')));
+    return hits.length / wanted.length;
+}
+
+function brandOf(product) {
+    return tokens(product?.title)[0] || null;
+}
+
+/**
+ * Order search results for a line item: most relevant first, then the listing
+ * whose pack matches the requested size, then cheapest per unit.
+ * @param {Object[]} products - GET_SEARCH_RESULTS items (with index)
+ * @param {Object} item - Line item
+ * @returns {Object[]} Relevant candidates
+ */
+export function rankCandidates(products = [], item) {
+    const wanted = requestedAmount(item);
+    const scored = products
+        .map((product) => {
+            const pack = parsePackSize(product.packSize) || parsePackSize(product.title);
+            const sizeMatch = wanted && pack && pack.unit === wanted.unit && pack.total === wanted.total ? 1 : 0;
+            const brandMatch = item.brand && String(product.title || '').toLowerCase().includes(item.brand.toLowerCase()) ? 1 : 0;
+            return { product, score: relevance(item, product), sizeMatch, brandMatch };
+        })
+        .filter((entry) => entry.score > 0);
+
+    const unitPrice = (p) => p.unitPriceValue ?? p.priceNumeric ?? Infinity;
+    scored.sort((a, b) =>
+        (b.brandMatch - a.brandMatch)
+        || (b.score - a.score)
+        || (b.sizeMatch - a.sizeMatch)
+        || (unitPrice(a.product) - unitPrice(b.product))
+    );
+    return scored.map((entry) => entry.product);
+}
+
+/**
+ * Candidates allowed as a substitute for the first choice under a rule
+ * @param {string} rule - 'similar' | 'same_brand' | 'none'
+ */
+export function allowedSubstitutes(candidates, primary, rule = 'similar', item = {}) {
+    if (rule === 'none') return [];
+    const rest = candidates.filter((c) => c !== primary);
+    if (rule !== 'same_brand') return rest;
+    const brand = (item.brand || brandOf(primary) || '').toLowerCase();
+    return brand ? rest.filter((c) => String(c.title || '').toLowerCase().includes(brand)) : rest;
+}
+
+/**
+ * Per-item status and totals for the side panel
+ */
+export function summarizeBasket(items = [], extra = {}) {
+    const count = (status) => items.filter((i) => i.status === status).length;
+    const estimatedTotal = items.reduce((sum, i) => {
+        const price = i.chosen?.priceNumeric;
+        return price ? sum + price * (i.addedQuantity || 0) : sum;
+    }, 0);
+    return {
+        ...extra,
+        total: items.length,
+        added: count(BASKET_ITEM_STATUS.ADDED),
+        substituted: count(BASKET_ITEM_STATUS.SUBSTITUTED),
+        unavailable: count(BASKET_ITEM_STATUS.OUT_OF_STOCK) + count(BASKET_ITEM_STATUS.NOT_FOUND) + count(BASKET_ITEM_STATUS.FAILED),
+        pending: count(BASKET_ITEM_STATUS.PENDING) + count(BASKET_ITEM_STATUS.SEARCHING),
+        estimatedTotal: Math.round(estimatedTotal * 100) / 100,
+        items: items.map((i) => ({
+            id: i.id,
+            product: i.product,
+            quantity: i.quantity,
+            unit: i.unit,
+            status: i.status,
+            chosen: i.chosen
+                ? {
+                    title: i.chosen.title,
+                    price: i.chosen.price,
+                    priceNumeric: i.chosen.priceNumeric ?? null,
+                    packSize: i.chosen.packSize || null,
+                    link: i.chosen.link,
+                }
+                : null,
+            addedQuantity: i.addedQuantity,
+            substitutedFor: i.substitutedFor,
+            note: i.note,
+        })),
+    };
+}
+
+export function formatItemLabel(item) {
+    if (!item.unit) return item.quantity > 1 ? `${item.quantity} x ${item.product}` : item.product;
+    if (item.unit === 'pc') return `${item.quantity} ${item.product}`;
+    return `${item.quantity} ${item.unit} ${item.product}`;
+}
+
+const STATUS_ICONS = {
+    added: '✅',
+    substituted: '🔄',
+    out_of_stock: '⛔',
+    not_found: '❓',
+    failed: '❌',
+    pending: '⏳',
+    searching: '🔎',
+};
+
+/**
+ * Plain-text summary for the activity log
+ */
+export function formatBasketSummary(summary) {
+    const lines = [`🧺 Basket: ${summary.added + summary.substituted}/${summary.total} items added`];
+    for (const item of summary.items) {
+        let line = `${STATUS_ICONS[item.status] || '•'} ${formatItemLabel(item)}`;
+        if (item.chosen) line += ` → ${item.chosen.title} x${item.addedQuantity}`;
+        if (item.substitutedFor) line += ` (instead of ${item.substitutedFor})`;
+        if (item.note && !item.chosen) line += ` (${item.note})`;
+        lines.push(line);
+    }
+    if (summary.estimatedTotal) lines.push(`Estimated total: ₹${summary.estimatedTotal.toFixed(2)}`);
+    return lines.join('\n');
+}
@@ -20,6 +20,41 @@ const DEFAULT_CONFIG = {
         retryDelay: 1000,
         logLevel: 'INFO',
     },
+    comparison: {
+        platforms: ['amazon', 'flipkart'],
+        perPlatformTimeoutMs: 30000, // Give up on a platform that hasn't produced results
+        deadlineMs: 60000,           // Hard cap for the whole comparison
+    },
+    basket: {
+        platform: 'bigbasket',       // Grocery platform for multi-item baskets when none is named
+        substitution: 'similar',     // 'similar' | 'same_brand' | 'none' when an item is out of stock
+        maxCandidates: 3,            // Search results tried per item before substituting
+        itemTimeoutMs: 45000,        // Search + add budget per line item
+    },
+    shopify: {
+        stores: [],                  // Opted-in custom-domain stores (hostnames); *.myshopify.com always works
+    },
+    platformPacks: [],               // User-installed platform packs, see background/platform-packs.js
+    basketOptimizer: {
+        platforms: ['bigbasket', 'blinkit', 'zepto', 'jiomart'],
+        minSplitSaving: 30,          // ₹ saved before splitting a basket over one platform
+        maxSplitPlatforms: 2,        // Most platforms a split order may use
+        deadlineMs: 180000,          // Hard cap for pricing the whole basket
+        // Approximate fees; adjust to what the sites charge at your pincode
+        fees: {
+            bigbasket: { deliveryFee: 30, freeDeliveryAbove: 200, handlingFee: 0, minOrderValue: 0 },
+            blinkit: { deliveryFee: 30, freeDeliveryAbove: 199, handlingFee: 2, minOrderValue: 0 },
+            zepto: { deliveryFee: 30, freeDeliveryAbove: 199, handlingFee: 0, minOrderValue: 99 },
+            jiomart: { deliveryFee: 25, freeDeliveryAbove: 199, handlingFee: 0, minOrderValue: 0 },
+        },
+    },
+    llmBudget: {
+        // null = unlimited; reaching a limit stops the run instead of calling the LLM
+        maxTokensPerRun: null,
+        maxTokensPerDay: null,
+        maxCostPerRunUsd: null,
+        maxCostPerDayUsd: null,
+    },
     platforms: {
         amazon: {
             enabled: true,
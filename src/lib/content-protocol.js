@@ -0,0 +1,64 @@
+/**
+ * Content-script message protocol
+ * The background sends `{ action, ...payload }` to a tab and every platform's
+ * content script answers through the shared router (content/shared/message-router.js)
+ * with the same envelope:
+ *   { success: boolean, data: any, error: { code, message } | null }
+ */
+
+export const PROTOCOL_ERRORS = {
+    UNSUPPORTED_ACTION: 'unsupported_action', // The platform has no implementation for the action
+    ACTION_FAILED: 'action_failed',           // The platform method threw or reported failure
+    OUT_OF_STOCK: 'out_of_stock',
+    NO_RESPONSE: 'no_response',               // The content script answered nothing
+};
+
+const DEFAULT_ACTION_TIMEOUT_MS = 15000;
+
+export function okResponse(data = null) {
+    return { success: true, data, error: null };
+}
+
+export function errorResponse(code, message = null, data = null) {
+    return { success: false, data, error: { code, message: message || code } };
+}
+
+/**
+ * Protocol error code for a failure message or thrown error
+ */
+export function errorCodeFor(errorOrMessage) {
+    if (errorOrMessage?.code && typeof errorOrMessage.code === 'string') return errorOrMessage.code;
+    const message = typeof errorOrMessage === 'string' ? errorOrMessage : errorOrMessage?.message || '';
+    if (/out of stock|sold out|notify me/i.test(message)) return PROTOCOL_ERRORS.OUT_OF_STOCK;
+    return PROTOCOL_ERRORS.ACTION_FAILED;
+}
+
+/**
+ * Message to log or show for a failed envelope
+ */
+export function responseErrorMessage(response, fallback = 'Unknown error') {
+    return response?.error?.message || response?.error?.code || fallback;
+}
+
+/**
+ * Send an action to a tab's content script
+ * @param {number} tabId
+ * @param {string} action - e.g. 'GET_SEARCH_RESULTS'
+ * @param {Object} payload - Extra request fields
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<Object>} The response envelope
+ * @throws {Error} When the tab has no listening content script, or on timeout (`<action>_timeout`)
+ */
+export function sendTabAction(tabId, action, payload = {}, { timeoutMs = DEFAULT_ACTION_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error(`${action.toLowerCase()}_timeout`)), timeoutMs);
+        chrome.tabs.sendMessage(tabId, { ...payload, action }, (response) => {
+            clearTimeout(timeout);
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve(response || errorResponse(PROTOCOL_ERRORS.NO_RESPONSE));
+            }
+        });
+    });
+}
@@ -4,6 +4,7 @@
  */
 
 import { logger } from './logger.js';
+import { normalizeCapabilities } from './platform-capabilities.js';
 
 /**
  * Base class for ecommerce platforms
@@ -31,6 +32,13 @@ export class EcommercePlatform {
         return this.selectors;
     }
 
+    /**
+     * Declared capabilities (see platform-capabilities.js); undeclared ones are false
+     */
+    getCapabilities() {
+        return normalizeCapabilities(this.config.capabilities ?? this.config.descriptor?.capabilities);
+    }
+
     /**
      * Perform search
      */
@@ -60,9 +68,9 @@ export class EcommercePlatform {
     }
 
     /**
-     * Click buy now
+     * Click buy now; platforms with the quantity capability buy `quantity` units
      */
-    async buyNow() {
+    async buyNow(quantity = 1) {
         throw new Error(`buyNow() not implemented for ${this.name}`);
     }
 
@@ -81,7 +89,7 @@ export class EcommercePlatform {
     }
 
     /**
-     * Sort results
+     * Sort results by an intent sortStrategy ('cheapest', 'best_rated', 'newest')
      */
     async sortResults(sortOption) {
         throw new Error(`sortResults() not implemented for ${this.name}`);
@@ -94,6 +102,13 @@ export class EcommercePlatform {
         throw new Error(`getProductDetails() not implemented for ${this.name}`);
     }
 
+    /**
+     * Orders on the platform's order-history page
+     */
+    async getOrderHistory() {
+        throw new Error(`getOrderHistory() not implemented for ${this.name}`);
+    }
+
     /**
      * Track order
      */
@@ -135,6 +150,15 @@ class PlatformRegistry {
         logger.info(`Platform registered: ${platform.name}`);
     }
 
+    /**
+     * Remove a platform (e.g. an uninstalled platform pack)
+     */
+    unregister(name) {
+        const removed = this.platforms.delete(name);
+        if (removed) logger.info(`Platform unregistered: ${name}`);
+        return removed;
+    }
+
     /**
      * Get platform by name
      */
@@ -39,6 +39,36 @@ export class IntentParseError extends RetailAgentError {
     }
 }
 
+export class StructuredOutputError extends RetailAgentError {
+    /**
+     * @param {string} message
+     * @param {string} code - LLM_OUTPUT_NOT_JSON or LLM_OUTPUT_SCHEMA_MISMATCH
+     * @param {Object} context - { schemaName, errors, rawResponse, provider }
+     */
+    constructor(message, code, context = {}) {
+        super(message, code, true, context);
+        this.name = 'StructuredOutputError';
+        this.schemaName = context.schemaName || null;
+        this.errors = context.errors || [];
+    }
+}
+
+export class BudgetExceededError extends RetailAgentError {
+    /**
+     * @param {string} scope - 'run' or 'day'
+     * @param {string} metric - 'tokens' or 'cost'
+     * @param {number} limit
+     * @param {number} used
+     */
+    constructor(scope, metric, limit, used) {
+        const format = (v) => (metric === 'cost' ? `$${Number(v).toFixed(4)}` : `${v} tokens`);
+        super(`LLM ${scope} budget reached (${format(used)} of ${format(limit)})`, 'LLM_BUDGET_EXCEEDED', false, { scope, metric, limit, used });
+        this.name = 'BudgetExceededError';
+        this.scope = scope;
+        this.metric = metric;
+    }
+}
+
 /**
  * Error handler with recovery strategies
  */
@@ -177,6 +207,9 @@ export class ErrorHandler {
                 'API_500': 'Service temporarily unavailable. Please try again later.',
                 'DOM_ELEMENT_NOT_FOUND': 'Page structure changed. Please refresh and try again.',
                 'INTENT_PARSE_FAILED': 'Could not understand your request. Please rephrase.',
+                'LLM_OUTPUT_NOT_JSON': 'The AI returned an unreadable answer. Please try again.',
+                'LLM_OUTPUT_SCHEMA_MISMATCH': 'The AI returned an incomplete answer. Please try again.',
+                'LLM_BUDGET_EXCEEDED': 'AI usage budget reached. Raise the limit in settings to continue.',
                 'NETWORK_ERROR': 'Network error. Please check your internet connection.',
                 'TIMEOUT': 'Request timed out. Please try again.'
             };
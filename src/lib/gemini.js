@@ -56,9 +56,13 @@ export async function getAvailableModels(apiKey) {
     }
 }
 
-export async function generateContent(apiKey, prompt, systemInstruction = "", modelName = null) {
+/**
+ * @param {Object|null} generationConfig - Passed through to the API, e.g.
+ *   { responseMimeType: 'application/json', responseSchema } for structured output
+ */
+export async function generateContent(apiKey, prompt, systemInstruction = "", modelName = null, generationConfig = null) {
     // Check cache first (but don't cache across different models)
-    const cacheKey = `gemini:${prompt}:${systemInstruction}:${modelName || 'default'}`;
+    const cacheKey = `gemini:${prompt}:${systemInstruction}:${modelName || 'default'}:${generationConfig ? JSON.stringify(generationConfig) : ''}`;
     const cached = cache.get(cacheKey);
     if (cached) {
         return cached;
@@ -116,6 +120,9 @@ export async function generateContent(apiKey, prompt, systemInstruction = "", mo
                     parts: [{ text: finalPrompt }]
                 }]
             };
+            if (generationConfig) {
+                payload.generationConfig = generationConfig;
+            }
 
             const response = await fetch(url, {
                 method: "POST",
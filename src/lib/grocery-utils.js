@@ -0,0 +1,131 @@
+/**
+ * Grocery listing helpers
+ * Pack-size parsing, unit pricing and quick-commerce delivery ETAs, shared by
+ * the BigBasket, Blinkit and Zepto platforms.
+ */
+
+import { parsePrice } from './product-matcher.js';
+
+// Multiplier to the base unit (g, ml or pc)
+const UNITS = {
+    g: ['g', 1], gm: ['g', 1], gms: ['g', 1], gram: ['g', 1], grams: ['g', 1],
+    kg: ['g', 1000], kgs: ['g', 1000], kilo: ['g', 1000], kilogram: ['g', 1000], kilograms: ['g', 1000],
+    mg: ['g', 0.001],
+    ml: ['ml', 1], millilitre: ['ml', 1], milliliter: ['ml', 1],
+    l: ['ml', 1000], ltr: ['ml', 1000], ltrs: ['ml', 1000], litre: ['ml', 1000], litres: ['ml', 1000], liter: ['ml', 1000], liters: ['ml', 1000],
+    pc: ['pc', 1], pcs: ['pc', 1], piece: ['pc', 1], pieces: ['pc', 1], unit: ['pc', 1], units: ['pc', 1],
+    n: ['pc', 1], nos: ['pc', 1], egg: ['pc', 1], eggs: ['pc', 1],
+    dozen: ['pc', 12],
+};
+
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+const MULTI_PACK = new RegExp(`(\\d+)\\s*[x×*]\\s*(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})\\b`, 'i');
+const MULTI_PACK_SUFFIX = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})\\s*[x×*]\\s*(\\d+)\\b`, 'i');
+const SINGLE_PACK = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})\\b`, 'i');
+
+function formatAmount(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+function displaySize(amount, unit) {
+    if (unit === 'g' && amount >= 1000) return `${formatAmount(amount / 1000)} kg`;
+    if (unit === 'ml' && amount >= 1000) return `${formatAmount(amount / 1000)} l`;
+    return `${formatAmount(amount)} ${unit}`;
+}
+
+/**
+ * Parse a pack size such as "500 g", "1 kg", "2 x 500 ml", "6 pcs" or "1 dozen"
+ * @param {string} text - Pack size label or product title
+ * @returns {Object|null} { count, amount, unit, total, label } where amount is one
+ *   item in base units (g, ml, pc) and total = count * amount
+ */
+export function parsePackSize(text) {
+    if (!text) return null;
+    const value = text.toString().replace(/\s+/g, ' ').trim();
+
+    let count = 1;
+    let amount;
+    let unitKey;
+    const multi = value.match(MULTI_PACK);
+    const multiSuffix = !multi && value.match(MULTI_PACK_SUFFIX);
+    if (multi) {
+        count = parseInt(multi[1], 10);
+        amount = parseFloat(multi[2]);
+        unitKey = multi[3];
+    } else if (multiSuffix) {
+        amount = parseFloat(multiSuffix[1]);
+        unitKey = multiSuffix[2];
+        count = parseInt(multiSuffix[3], 10);
+    } else {
+        const single = value.match(SINGLE_PACK);
+        if (!single) return null;
+        amount = parseFloat(single[1]);
+        unitKey = single[2];
+    }
+
+    const [unit, factor] = UNITS[unitKey.toLowerCase()];
+    const perItem = amount * factor;
+    if (!count || !perItem) return null;
+    const total = perItem * count;
+    return {
+        count,
+        amount: perItem,
+        unit,
+        total,
+        label: count > 1 ? `${count} x ${displaySize(perItem, unit)}` : displaySize(perItem, unit),
+    };
+}
+
+/**
+ * Price per 100 g / 100 ml / piece
+ * @param {string|number} price - Listing price
+ * @param {Object|string} packSize - parsePackSize() result or a raw label
+ * @returns {Object|null} { value, per, label }
+ */
+export function computeUnitPrice(price, packSize) {
+    const amount = typeof price === 'number' ? price : parsePrice(price);
+    const pack = typeof packSize === 'string' ? parsePackSize(packSize) : packSize;
+    if (!amount || !pack?.total) return null;
+
+    const per = pack.unit === 'pc' ? '1 pc' : `100 ${pack.unit}`;
+    const divisor = pack.unit === 'pc' ? pack.total : pack.total / 100;
+    const value = Math.round((amount / divisor) * 100) / 100;
+    return { value, per, label: `₹${value.toFixed(2)}/${per}` };
+}
+
+/**
+ * Delivery ETA in minutes from quick-commerce badges ("10 mins", "Delivery in 2 hrs",
+ * "1 hr 30 min"). Slot labels ("Tomorrow 7 AM - 9 AM") return null; use
+ * parseDeliveryDays() from product-comparator.js for those.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseDeliveryEta(text) {
+    if (!text) return null;
+    const lower = text.toString().toLowerCase();
+    const hours = lower.match(/(\d+(?:\.\d+)?)\s*(?:hrs?|hours?)\b/);
+    // Ranges ("8-12 mins") use the upper bound
+    const minutes = lower.match(/(\d+)\s*(?:-\s*(\d+)\s*)?(?:mins?|minutes?)\b/);
+    if (!hours && !minutes) return null;
+    const mins = minutes ? parseInt(minutes[2] || minutes[1], 10) : 0;
+    return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + mins);
+}
+
+/**
+ * Build the grocery fields added to each search result
+ * @param {Object} raw - { price, packSize, title, deliveryEta }
+ * @returns {Object} { priceNumeric, packSize, unitPrice, unitPriceValue, deliveryEta, deliveryEtaMinutes }
+ */
+export function buildGroceryFields({ price = '', packSize = '', title = '', deliveryEta = '' } = {}) {
+    const pack = parsePackSize(packSize) || parsePackSize(title);
+    const priceNumeric = parsePrice(price) || null;
+    const unitPrice = computeUnitPrice(priceNumeric, pack);
+    return {
+        priceNumeric,
+        packSize: pack?.label || packSize || null,
+        unitPrice: unitPrice?.label || null,
+        unitPriceValue: unitPrice?.value ?? null,
+        deliveryEta: deliveryEta || null,
+        deliveryEtaMinutes: parseDeliveryEta(deliveryEta),
+    };
+}
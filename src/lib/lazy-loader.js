@@ -19,9 +19,9 @@ export async function loadPlatformScript(platformName) {
             case 'flipkart':
                 return await import('../content/platforms/flipkart-platform.js');
             case 'ebay':
-                return await import('../content/platforms/ebay-platform.js');
             case 'walmart':
-                return await import('../content/platforms/walmart-platform.js');
+                // Descriptor-only platforms share the declarative implementation
+                return await import('../content/platforms/declarative-platform.js');
             default:
                 throw new Error(`Unknown platform: ${platformName}`);
         }
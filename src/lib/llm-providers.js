@@ -1,11 +1,140 @@
 /**
- * Multi-provider LLM interface for Gemini, OpenAI, Anthropic/Claude.
- * Simplified to support model listing, selection, and per-day caching of a working model.
+ * Multi-provider LLM interface for Gemini, OpenAI, Anthropic/Claude and any
+ * self-hosted OpenAI-compatible endpoint (Ollama, llama.cpp server, LM Studio...).
+ * Supports model listing, selection, per-day caching of a working model, and a
+ * unified generate() that falls back across every configured provider.
  */
 
 import { redactSensitive } from '../background/bridge-security.js';
+import { generateContent } from './gemini.js';
+import { logger } from './logger.js';
+import { parseJSONFromLLMResponse } from './json-parser.js';
+import { validateAgainstSchema } from './llm-schemas.js';
+import { StructuredOutputError } from './error-handler.js';
+import { usageTracker, estimateTokens } from './usage-tracker.js';
 
 const MODEL_CACHE_PREFIX = 'model_cache';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 2048;
+
+export const PROVIDER_ORDER = ['gemini', 'openai', 'anthropic', 'local'];
+
+export const PROVIDER_KEY_NAMES = {
+    gemini: 'geminiApiKey',
+    openai: 'openaiApiKey',
+    anthropic: 'anthropicApiKey',
+};
+
+export const DEFAULT_MODELS = {
+    gemini: null, // gemini.js walks the models available to the key
+    openai: 'gpt-4o-mini',
+    anthropic: 'claude-3-5-haiku-latest',
+    local: null, // first model reported by the endpoint's /v1/models
+};
+
+export const LOCAL_SETTING_KEYS = {
+    baseUrl: 'localLlmBaseUrl',
+    model: 'localLlmModel',
+    apiKey: 'localLlmApiKey',
+};
+
+/**
+ * Normalize a user-entered endpoint to its OpenAI-compatible /v1 root,
+ * e.g. "http://localhost:11434" -> "http://localhost:11434/v1"
+ */
+export function normalizeBaseUrl(baseUrl) {
+    if (!baseUrl || typeof baseUrl !== 'string') return null;
+    let url;
+    try {
+        url = new URL(baseUrl.trim());
+    } catch (_) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    let path = url.pathname.replace(/\/+$/, '');
+    if (path.endsWith('/chat/completions')) path = path.slice(0, -'/chat/completions'.length);
+    if (!path.endsWith('/v1')) path = `${path}/v1`;
+    return `${url.origin}${path}`;
+}
+
+function bearerHeaders(apiKey) {
+    return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+/**
+ * Translate a JSON schema to Gemini's responseSchema dialect (OpenAPI subset:
+ * upper-case types, `nullable` instead of type lists, no null enum members)
+ */
+export function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const nonNull = types.filter((t) => t && t !== 'null');
+    const out = {};
+    if (nonNull[0]) out.type = nonNull[0].toUpperCase();
+    if (types.includes('null')) out.nullable = true;
+    if (schema.description) out.description = schema.description;
+    if (schema.enum) out.enum = schema.enum.filter((v) => v !== null);
+    if (schema.items) out.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        out.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (schema.required?.length) out.required = schema.required;
+    return out;
+}
+
+async function openAICompatibleChat(url, { apiKey, model, system, prompt, maxTokens, temperature, schema, schemaName }, errorPrefix) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+    const body = { model, messages, max_tokens: maxTokens };
+    if (temperature !== undefined) body.temperature = temperature;
+    if (schema) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: schemaName, schema, strict: false },
+        };
+    }
+    const resp = await fetch(url, {
+        method: 'POST',
+        headers: { ...bearerHeaders(apiKey), 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    if (!resp.ok) throw providerError(`${errorPrefix}_chat_failed`, resp.status, await readErrorReason(resp));
+    const data = await resp.json();
+    const text = data?.choices?.[0]?.message?.content || '';
+    if (!text) throw new Error(`${errorPrefix}_empty_response`);
+    const usage = data.usage
+        ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+        : null;
+    return { text, model: data.model || model, usage, raw: data };
+}
+
+function anthropicHeaders(apiKey) {
+    return {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for requests made from an extension origin
+        'anthropic-dangerous-direct-browser-access': 'true',
+    };
+}
+
+async function readErrorReason(resp) {
+    try {
+        const body = await resp.json();
+        return body?.error?.message || resp.statusText;
+    } catch (_) {
+        return resp.statusText;
+    }
+}
+
+function providerError(code, status, reason) {
+    const error = new Error(code);
+    error.status = status;
+    error.reason = reason;
+    return error;
+}
 
 const providers = {
     gemini: {
@@ -18,6 +147,20 @@ const providers = {
             const data = await resp.json();
             return (data.models || []).map((m) => m.name);
         },
+        chat: async ({ apiKey, model, system, prompt, schema }) => {
+            const generationConfig = schema
+                ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) }
+                : null;
+            const data = await generateContent(apiKey, prompt, system, model, generationConfig);
+            const candidate = data?.candidates?.[0];
+            const text = candidate?.content?.parts?.map((p) => p.text || '').join('') || '';
+            if (!text) throw new Error('gemini_empty_response');
+            const meta = data?.usageMetadata;
+            const usage = meta
+                ? { promptTokens: meta.promptTokenCount || 0, completionTokens: meta.candidatesTokenCount || 0 }
+                : null;
+            return { text, model: model || data?.modelVersion || null, usage, raw: data };
+        },
     },
     openai: {
         name: 'openai',
@@ -29,20 +172,75 @@ const providers = {
             const data = await resp.json();
             return (data.data || []).map((m) => m.id);
         },
+        chat: (request) => openAICompatibleChat('https://api.openai.com/v1/chat/completions', request, 'openai'),
     },
     anthropic: {
         name: 'anthropic',
         listModels: async (apiKey) => {
             const resp = await fetch('https://api.anthropic.com/v1/models', {
-                headers: {
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01',
-                },
+                headers: anthropicHeaders(apiKey),
             });
             if (!resp.ok) throw new Error('anthropic_list_failed');
             const data = await resp.json();
             return (data.data || []).map((m) => m.id);
         },
+        chat: async ({ apiKey, model, system, prompt, maxTokens, temperature, schema, schemaName }) => {
+            const body = {
+                model,
+                max_tokens: maxTokens,
+                messages: [{ role: 'user', content: prompt }],
+            };
+            if (system) body.system = system;
+            if (temperature !== undefined) body.temperature = temperature;
+            if (schema) {
+                // Anthropic's structured output is a forced tool call whose input follows the schema
+                body.tools = [{ name: schemaName, description: 'Return the answer', input_schema: schema }];
+                body.tool_choice = { type: 'tool', name: schemaName };
+            }
+            const resp = await fetch('https://api.anthropic.com/v1/messages', {
+                method: 'POST',
+                headers: { ...anthropicHeaders(apiKey), 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            if (!resp.ok) throw providerError('anthropic_chat_failed', resp.status, await readErrorReason(resp));
+            const data = await resp.json();
+            const usage = data?.usage
+                ? { promptTokens: data.usage.input_tokens || 0, completionTokens: data.usage.output_tokens || 0 }
+                : null;
+            const toolUse = (data?.content || []).find((block) => block.type === 'tool_use');
+            if (toolUse) {
+                return { text: JSON.stringify(toolUse.input), model: data.model || model, usage, raw: data };
+            }
+            const text = (data?.content || [])
+                .filter((block) => block.type === 'text')
+                .map((block) => block.text)
+                .join('');
+            if (!text) throw new Error('anthropic_empty_response');
+            return { text, model: data.model || model, usage, raw: data };
+        },
+    },
+    local: {
+        name: 'local',
+        listModels: async (apiKey, { baseUrl } = {}) => {
+            const root = normalizeBaseUrl(baseUrl);
+            if (!root) throw new Error('invalid_base_url');
+            const resp = await fetch(`${root}/models`, { headers: bearerHeaders(apiKey) });
+            if (!resp.ok) throw new Error('local_list_failed');
+            const data = await resp.json();
+            // Ollama's native /api/tags shape is accepted too
+            return (data.data || data.models || []).map((m) => m.id || m.name).filter(Boolean);
+        },
+        chat: async ({ baseUrl, ...request }) => {
+            const root = normalizeBaseUrl(baseUrl);
+            if (!root) throw new Error('invalid_base_url');
+            let model = request.model;
+            if (!model) {
+                const models = await providers.local.listModels(request.apiKey, { baseUrl: root });
+                if (!models.length) throw new Error('no_models');
+                model = models[0];
+            }
+            return openAICompatibleChat(`${root}/chat/completions`, { ...request, model }, 'local');
+        },
     },
 };
 
@@ -70,10 +268,15 @@ export async function getCachedModel(provider, apiKey) {
     return res[key];
 }
 
-export async function listModels(provider, apiKey) {
+/**
+ * @param {string} provider
+ * @param {string} apiKey
+ * @param {Object} [options] - { baseUrl } for the local provider
+ */
+export async function listModels(provider, apiKey, options = {}) {
     const impl = providers[provider];
     if (!impl) throw new Error('unknown_provider');
-    return impl.listModels(apiKey);
+    return impl.listModels(apiKey, options);
 }
 
 export async function chooseModel(provider, apiKey, preferredModel) {
@@ -90,4 +293,216 @@ export function redactProviderPayload(payload) {
     return redactSensitive(payload);
 }
 
+/**
+ * Read provider API keys, the local endpoint and the preferred provider from storage
+ * @returns {Promise<{keys: Object, local: Object|null, preferred: string}>}
+ */
+export async function loadProviderSettings() {
+    const stored = await chrome.storage.local.get([
+        ...Object.values(PROVIDER_KEY_NAMES),
+        ...Object.values(LOCAL_SETTING_KEYS),
+        'llmProvider',
+    ]);
+    const keys = {};
+    for (const [provider, keyName] of Object.entries(PROVIDER_KEY_NAMES)) {
+        if (stored?.[keyName]) keys[provider] = stored[keyName];
+    }
+    const baseUrl = normalizeBaseUrl(stored?.[LOCAL_SETTING_KEYS.baseUrl]);
+    const local = baseUrl
+        ? {
+            baseUrl,
+            model: stored[LOCAL_SETTING_KEYS.model] || null,
+            apiKey: stored[LOCAL_SETTING_KEYS.apiKey] || null,
+        }
+        : null;
+    return { keys, local, preferred: (stored?.llmProvider || 'auto').toLowerCase() };
+}
+
+function isConfigured(provider, keys, local) {
+    if (provider === 'local') return Boolean(normalizeBaseUrl(local?.baseUrl));
+    return Boolean(keys[provider]);
+}
+
+/**
+ * Providers to try, in order: the preferred one first, then the rest of
+ * PROVIDER_ORDER. Providers without a key (or, for local, a base URL) are skipped.
+ */
+export function resolveProviderOrder(keys = {}, preferred = 'auto', local = null) {
+    const order = preferred && preferred !== 'auto' && PROVIDER_ORDER.includes(preferred)
+        ? [preferred, ...PROVIDER_ORDER.filter((p) => p !== preferred)]
+        : PROVIDER_ORDER;
+    return order.filter((p) => isConfigured(p, keys, local));
+}
+
+export function hasAnyProvider({ keys = {}, local = null } = {}) {
+    return PROVIDER_ORDER.some((p) => isConfigured(p, keys, local));
+}
+
+/**
+ * Generate a completion with the first provider that succeeds.
+ * @param {Object} options
+ * @param {string} options.prompt - User prompt
+ * @param {string} [options.system] - System instruction
+ * @param {string} [options.provider] - Preferred provider ('auto' uses the stored llmProvider setting)
+ * @param {string} [options.model] - Model for the preferred provider
+ * @param {Object} [options.keys] - Provider API keys; read from storage when omitted
+ * @param {Object} [options.local] - Local endpoint { baseUrl, model, apiKey }; read from storage when omitted
+ * @param {Object} [options.schema] - JSON schema passed as the provider's native structured-output option
+ * @param {string} [options.schemaName]
+ * @param {Object} [options.usage] - Attribution for usage accounting: { runId, mode }
+ * @param {Object} [options.budget] - Overrides the configured llmBudget limits
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.temperature]
+ * @returns {Promise<{text: string, provider: string, model: string|null, usage: Object, raw: Object}>}
+ * @throws {BudgetExceededError} When the run or daily budget is already spent
+ */
+export async function generate({
+    prompt,
+    system = '',
+    provider = null,
+    model = null,
+    keys = null,
+    local = undefined,
+    schema = null,
+    schemaName = 'response',
+    usage: usageContext = null,
+    budget = null,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    temperature,
+} = {}) {
+    if (!prompt) throw new Error('invalid_prompt');
+    const runId = usageContext?.runId || null;
+    await usageTracker.checkBudget(runId, budget);
+
+    let preferred = provider;
+    let resolvedKeys = keys;
+    let resolvedLocal = local;
+    if (!resolvedKeys || !preferred || resolvedLocal === undefined) {
+        const settings = await loadProviderSettings();
+        resolvedKeys = resolvedKeys || settings.keys;
+        preferred = preferred || settings.preferred;
+        if (resolvedLocal === undefined) resolvedLocal = settings.local;
+    }
+
+    const order = resolveProviderOrder(resolvedKeys, preferred, resolvedLocal);
+    if (order.length === 0) throw new Error('no_llm_provider');
+
+    let lastError = null;
+    for (const name of order) {
+        const isLocal = name === 'local';
+        const chosenModel = name === preferred && model
+            ? model
+            : (isLocal ? resolvedLocal.model : DEFAULT_MODELS[name]);
+        try {
+            const result = await providers[name].chat({
+                apiKey: isLocal ? resolvedLocal.apiKey : resolvedKeys[name],
+                baseUrl: isLocal ? resolvedLocal.baseUrl : undefined,
+                model: chosenModel,
+                system,
+                prompt,
+                schema,
+                schemaName,
+                maxTokens,
+                temperature,
+            });
+            const usage = result.usage || {
+                promptTokens: estimateTokens(`${system}${prompt}`),
+                completionTokens: estimateTokens(result.text),
+            };
+            await usageTracker.record({
+                runId,
+                mode: usageContext?.mode || 'GENERAL',
+                provider: name,
+                model: result.model,
+                promptTokens: usage.promptTokens,
+                completionTokens: usage.completionTokens,
+                estimated: !result.usage,
+            });
+            return { ...result, usage, provider: name };
+        } catch (error) {
+            lastError = error;
+            logger.warn(`LLM provider ${name} failed, trying next`, {
+                error: error?.message,
+                status: error?.status,
+                reason: error?.reason,
+            });
+        }
+    }
+    throw lastError || new Error('llm_generate_failed');
+}
+
+function parseAndValidate(text, schema, schemaName) {
+    const data = parseJSONFromLLMResponse(text, schemaName);
+    if (!data || typeof data !== 'object') {
+        return {
+            data: null,
+            error: new StructuredOutputError('LLM output is not valid JSON', 'LLM_OUTPUT_NOT_JSON', {
+                schemaName,
+                errors: ['$: not a JSON object'],
+                rawResponse: text?.substring(0, 500),
+            }),
+        };
+    }
+    const errors = validateAgainstSchema(data, schema);
+    if (errors.length > 0) {
+        return {
+            data,
+            error: new StructuredOutputError('LLM output does not match schema', 'LLM_OUTPUT_SCHEMA_MISMATCH', {
+                schemaName,
+                errors,
+                rawResponse: text?.substring(0, 500),
+            }),
+        };
+    }
+    return { data, error: null };
+}
+
+function buildRepairPrompt(prompt, text, errors) {
+    return `${prompt}
+
+Your previous reply did not match the required JSON schema:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous reply:
+${text}
 
+Return ONLY the corrected JSON object.`;
+}
+
+/**
+ * Generate JSON that matches a schema. The schema is sent as the provider's
+ * native structured-output option; if the reply still fails validation, the
+ * same provider is asked once to repair it.
+ * @param {Object} options - generate() options plus `schema` (required) and `schemaName`
+ * @returns {Promise<{data: Object, text: string, provider: string, model: string|null, repaired: boolean}>}
+ * @throws {StructuredOutputError} When the repaired reply is still invalid
+ */
+export async function generateJSON({ schema, schemaName = 'response', ...options } = {}) {
+    if (!schema) throw new Error('invalid_schema');
+
+    const first = await generate({ ...options, schema, schemaName });
+    const firstCheck = parseAndValidate(first.text, schema, schemaName);
+    if (!firstCheck.error) {
+        return { data: firstCheck.data, text: first.text, provider: first.provider, model: first.model, repaired: false };
+    }
+
+    logger.warn('Structured output failed validation, requesting repair', {
+        schemaName,
+        provider: first.provider,
+        errors: firstCheck.error.errors.slice(0, 10),
+    });
+
+    const repair = await generate({
+        ...options,
+        provider: first.provider,
+        prompt: buildRepairPrompt(options.prompt, first.text, firstCheck.error.errors),
+        schema,
+        schemaName,
+    });
+    const repairCheck = parseAndValidate(repair.text, schema, schemaName);
+    if (repairCheck.error) {
+        repairCheck.error.context.provider = repair.provider;
+        throw repairCheck.error;
+    }
+    return { data: repairCheck.data, text: repair.text, provider: repair.provider, model: repair.model, repaired: true };
+}
@@ -0,0 +1,316 @@
+/**
+ * JSON schemas for structured LLM output (intent and page analysis) and a
+ * small validator covering the subset of JSON Schema these schemas use:
+ * type (single or list, incl. "null"), properties, required, items, enum,
+ * minimum and maximum.
+ */
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+
+export const INTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        product: { type: 'string', description: 'Search query for the product, without platform names' },
+        platform: nullableString,
+        compareMode: { type: 'boolean' },
+        platforms: { type: 'array', items: { type: 'string' } },
+        filters: {
+            type: 'object',
+            properties: {
+                price_min: nullableNumber,
+                price_max: nullableNumber,
+                brand: nullableString,
+                storage: nullableString,
+                ram: nullableString,
+                battery: nullableNumber,
+                rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+                category: nullableString,
+                color: nullableString,
+                condition: nullableString,
+            },
+        },
+        sortStrategy: { type: ['string', 'null'], enum: ['cheapest', 'best_rated', 'relevant', 'newest', null] },
+        urgency: { type: ['string', 'null'], enum: ['delivered_today', 'within_week', 'none', null] },
+        injectedKeywords: { type: 'array', items: { type: 'string' } },
+        delivery_location: nullableString,
+        payment_method: nullableString,
+        quantity: { type: ['integer', 'null'], minimum: 1 },
+        // Shopping lists ("milk, 12 eggs, 1kg atta"): one entry per line item
+        basket: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    product: { type: 'string' },
+                    quantity: { type: ['number', 'null'], minimum: 0 },
+                    unit: nullableString,
+                    brand: nullableString,
+                    substitutes: { type: 'array', items: { type: 'string' } },
+                },
+                required: ['product'],
+            },
+        },
+    },
+    required: ['product'],
+};
+
+const extractedProduct = {
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        price: nullableString,
+        priceNumeric: nullableNumber,
+        link: { type: 'string' },
+        battery: nullableNumber,
+        ram: nullableNumber,
+        storage: nullableNumber,
+        brand: nullableString,
+        rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+        reviews: nullableString,
+        image: nullableString,
+        confidence: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+    },
+    required: ['title', 'link'],
+};
+
+const productAttributes = {
+    type: 'object',
+    properties: {
+        battery: nullableNumber,
+        ram: nullableNumber,
+        storage: nullableNumber,
+        brand: nullableString,
+    },
+};
+
+export const ATTRIBUTES_SCHEMA = productAttributes;
+
+const extractedOrder = {
+    type: 'object',
+    properties: {
+        orderId: { type: 'string' },
+        orderDate: nullableString,
+        total: nullableString,
+        statusText: nullableString,
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    link: nullableString,
+                    image: nullableString,
+                    price: nullableString,
+                    quantity: { type: ['integer', 'null'], minimum: 1 },
+                },
+                required: ['title'],
+            },
+        },
+        trackingUrl: nullableString,
+    },
+    required: ['orderId'],
+};
+
+/**
+ * Recommendation schema per ANALYSIS_MODES value (keys mirror page-analyzer.js)
+ */
+export const ANALYSIS_SCHEMAS = {
+    ANALYZE_SEARCH_RESULTS: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['extract_products'] },
+            products: { type: 'array', items: extractedProduct },
+            totalFound: { type: ['integer', 'null'] },
+            reason: nullableString,
+        },
+        required: ['action', 'products'],
+    },
+    ANALYZE_FILTERS: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['apply_filters'] },
+            filters: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        category: { type: 'string' },
+                        option: { type: 'string' },
+                        selector: nullableString,
+                        interactionMethod: { type: 'string', enum: ['click', 'input', 'select'] },
+                        value: nullableString,
+                        reason: nullableString,
+                        priority: { type: ['integer', 'null'], minimum: 1, maximum: 3 },
+                    },
+                    required: ['category', 'option'],
+                },
+            },
+            sequence: { type: 'array', items: { type: 'string' } },
+            verificationMethod: nullableString,
+            reason: nullableString,
+        },
+        required: ['action', 'filters'],
+    },
+    MATCH_PRODUCTS: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['select_product'] },
+            url: { type: 'string' },
+            title: nullableString,
+            reason: nullableString,
+            matchedAttributes: {
+                type: 'object',
+                properties: {
+                    battery: { type: ['boolean', 'null'] },
+                    ram: { type: ['boolean', 'null'] },
+                    price: { type: ['boolean', 'null'] },
+                },
+            },
+        },
+        required: ['action', 'url'],
+    },
+    DETECT_LOGIN: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['login_required', 'no_login_needed', 'click_login_button'] },
+            loginDetected: { type: 'boolean' },
+            elements: {
+                type: 'object',
+                properties: {
+                    emailInput: nullableString,
+                    passwordInput: nullableString,
+                    loginButton: nullableString,
+                },
+            },
+            reason: nullableString,
+        },
+        required: ['action'],
+    },
+    EXTRACT_ATTRIBUTES: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['extract_attributes'] },
+            products: {
+                type: 'array',
+                items: {
+                    ...productAttributes,
+                    properties: { title: { type: 'string' }, ...productAttributes.properties },
+                },
+            },
+        },
+        required: ['action', 'products'],
+    },
+    EXTRACT_ORDERS: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['extract_orders'] },
+            orders: { type: 'array', items: extractedOrder },
+            nextPage: nullableString,
+            reason: nullableString,
+        },
+        required: ['action', 'orders'],
+    },
+    EXTRACT_TRACKING: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['extract_tracking'] },
+            statusText: nullableString,
+            estimatedDelivery: nullableString,
+            events: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        date: nullableString,
+                        location: nullableString,
+                    },
+                    required: ['text'],
+                },
+            },
+            trackingNumber: nullableString,
+            carrier: nullableString,
+            reason: nullableString,
+        },
+        required: ['action', 'events'],
+    },
+    GENERAL: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['click', 'select_product', 'input', 'completed', 'error'] },
+            selector: nullableString,
+            url: nullableString,
+            title: nullableString,
+            value: nullableString,
+            reason: nullableString,
+            message: nullableString,
+        },
+        required: ['action'],
+    },
+};
+
+export function getAnalysisSchema(mode) {
+    return ANALYSIS_SCHEMAS[mode] || ANALYSIS_SCHEMAS.GENERAL;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Path prefix used in messages
+ * @returns {string[]} Human-readable violations, empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+    if (!schema) return [];
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((t) => matchesType(value, t))) {
+            return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+        if (value === null) return [];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.filter((v) => v !== null).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+        });
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
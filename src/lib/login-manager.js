@@ -5,6 +5,7 @@
 import { logger } from './logger.js';
 import { configManager } from './config.js';
 import { retryDOMOperation } from './retry.js';
+import { sendTabAction, responseErrorMessage } from './content-protocol.js';
 import { findElement, safeClick, fillInput, waitForElement } from '../content/shared/selectors.js';
 
 class LoginManager {
@@ -130,7 +131,7 @@ class LoginManager {
                     platform: platformName 
                 });
                 
-                if (status && status.loginCompleted) {
+                if (status?.data?.loginCompleted) {
                     return true;
                 }
                 
@@ -151,7 +152,7 @@ class LoginManager {
                 action: 'CHECK_LOGIN_STATUS',
                 platform: platformName 
             });
-            return response && response.loggedIn === true;
+            return response?.data?.loggedIn === true;
         } catch (error) {
             logger.warn('Could not check login status', { error: error.message });
             return false;
@@ -164,7 +165,7 @@ class LoginManager {
                 action: 'DETECT_LOGIN_SCREEN',
                 platform: platformName 
             });
-            return response && response.loginScreenDetected === true;
+            return response?.data?.loginScreenDetected === true;
         } catch (error) {
             logger.warn('Could not detect login screen', { error: error.message });
             return false;
@@ -202,30 +203,13 @@ class LoginManager {
                 
                 logger.info(`Attempt ${attempt + 1}/3: Sending ENTER_PHONE_NUMBER message`, { tabId });
                 
-                const response = await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Timeout waiting for response'));
-                    }, 8000);
-                    
-                    chrome.tabs.sendMessage(tabId, { 
-                        action: 'ENTER_PHONE_NUMBER',
-                        platform: platformName,
-                        phoneNumber: this.phoneNumber 
-                    }, (response) => {
-                        clearTimeout(timeout);
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                        } else {
-                            resolve(response);
-                        }
-                    });
-                });
+                const response = await sendTabAction(tabId, 'ENTER_PHONE_NUMBER', { platform: platformName, phoneNumber: this.phoneNumber }, { timeoutMs: 8000 });
                 
                 if (response && response.success) {
                     logger.info('Phone number entered successfully');
                     return;
                 } else {
-                    throw new Error(response?.error || 'Failed to enter phone number');
+                    throw new Error(responseErrorMessage(response, 'Failed to enter phone number'));
                 }
             } catch (error) {
                 lastError = error;
@@ -255,29 +239,13 @@ class LoginManager {
                 
                 logger.info(`Attempt ${attempt + 1}/3: Sending SEND_OTP message`, { tabId });
                 
-                const response = await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Timeout waiting for response'));
-                    }, 8000);
-                    
-                    chrome.tabs.sendMessage(tabId, { 
-                        action: 'SEND_OTP',
-                        platform: platformName 
-                    }, (response) => {
-                        clearTimeout(timeout);
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                        } else {
-                            resolve(response);
-                        }
-                    });
-                });
+                const response = await sendTabAction(tabId, 'SEND_OTP', { platform: platformName }, { timeoutMs: 8000 });
                 
                 if (response && response.success) {
-                    logger.info('OTP sent successfully', { message: response.message });
+                    logger.info('OTP sent successfully', { message: response.data?.message });
                     return;
                 } else {
-                    throw new Error(response?.error || 'Failed to send OTP');
+                    throw new Error(responseErrorMessage(response, 'Failed to send OTP'));
                 }
             } catch (error) {
                 lastError = error;
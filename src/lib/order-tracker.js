@@ -5,6 +5,7 @@
 
 import { logger } from './logger.js';
 import { retryAPICall } from './retry.js';
+import { parsePrice } from './product-matcher.js';
 
 export class Order {
     constructor(data) {
@@ -13,12 +14,20 @@ export class Order {
         this.status = data.status || 'pending'; // pending, confirmed, shipped, delivered, cancelled, returned
         this.items = data.items || [];
         this.totalAmount = data.totalAmount || 0;
-        this.orderDate = data.orderDate || new Date().toISOString();
+        // Imported orders can lack a date (Flipkart's list doesn't show one)
+        this.orderDate = data.orderDate !== undefined ? data.orderDate : new Date().toISOString();
         this.estimatedDelivery = data.estimatedDelivery || null;
+        this.deliveredAt = data.deliveredAt || null;
         this.trackingNumber = data.trackingNumber || null;
         this.trackingUrl = data.trackingUrl || null;
+        this.carrier = data.carrier || null;
+        this.trackingEvents = data.trackingEvents || []; // Shipment timeline, oldest first
+        this.lastTrackedAt = data.lastTrackedAt || null;
         this.shippingAddress = data.shippingAddress || null;
         this.paymentMethod = data.paymentMethod || null;
+        this.statusText = data.statusText || null; // The platform's wording, e.g. "Arriving Friday"
+        this.source = data.source || 'manual'; // manual, dom, llm
+        this.importedAt = data.importedAt || null;
     }
 
     /**
@@ -36,6 +45,159 @@ export class Order {
     }
 }
 
+// Platform status wording -> Order status, first match wins. Negated wording
+// comes before the words it negates, and a cancellation wins over the refund
+// that follows it. "Return window closed" on a delivered order is no return.
+const STATUS_PATTERNS = [
+    [/not (yet )?(been )?(shipped|dispatched)/i, 'confirmed'],
+    [/cancel/i, 'cancelled'],
+    [/not (yet )?(been )?delivered|undelivered|delivery attempt/i, 'shipped'],
+    [/\b(?<!for )(return(ed)?|replace(d|ment))\b(?! (window|policy))/i, 'returned'],
+    [/delivered/i, 'delivered'],
+    [/shipped|dispatched|in transit|out for delivery|arriving|expected|on the way/i, 'shipped'],
+    [/confirmed|ordered|placed|approved|packed/i, 'confirmed'],
+];
+
+export function normalizeOrderStatus(text = '') {
+    const match = STATUS_PATTERNS.find(([pattern]) => pattern.test(text));
+    return match ? match[1] : 'pending';
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Date in order-page wording: "14 March 2024", "March 14, 2024", "Mar 14", "5th Mar '24",
+ * "14/03/2024", "today", "yesterday".
+ * A date without a year is taken as the latest such date not more than a month ahead.
+ * @returns {string|null} ISO date (midnight UTC)
+ */
+export function parseOrderDate(text = '', now = new Date()) {
+    const toIso = (y, m, d) => {
+        const date = new Date(Date.UTC(y, m, d));
+        return date.getUTCMonth() === m && date.getUTCDate() === d ? date.toISOString() : null;
+    };
+    const relative = text.match(/\b(today|yesterday)\b/i);
+    if (relative) {
+        const offset = relative[1].toLowerCase() === 'yesterday' ? 1 : 0;
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - offset)).toISOString();
+    }
+    const numeric = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+    if (numeric) return toIso(Number(numeric[3]), Number(numeric[2]) - 1, Number(numeric[1]));
+
+    const month = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    const yearPart = '(\\d{4}|\'\\d{2})'; // 2024 or '24
+    const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${month},?(?:\\s+${yearPart})?`, 'i'));
+    const monthFirst = text.match(new RegExp(`\\b${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b,?(?:\\s+${yearPart})?`, 'i'));
+    let parts = null;
+    if (dayFirst) parts = { d: Number(dayFirst[1]), m: MONTHS.indexOf(dayFirst[2].toLowerCase()), y: dayFirst[3] };
+    else if (monthFirst) parts = { d: Number(monthFirst[2]), m: MONTHS.indexOf(monthFirst[1].toLowerCase()), y: monthFirst[3] };
+    if (!parts) return null;
+    if (parts.y) return toIso(parts.y.startsWith('\'') ? 2000 + Number(parts.y.slice(1)) : Number(parts.y), parts.m, parts.d);
+
+    // "2 January" seen on 30 December is next year's
+    let year = now.getUTCFullYear() + 1;
+    while (Date.UTC(year, parts.m, parts.d) > now.getTime() + 31 * 24 * 60 * 60 * 1000) year -= 1;
+    return toIso(year, parts.m, parts.d);
+}
+
+function absoluteUrl(href, baseUrl) {
+    if (!href) return null;
+    try {
+        return new URL(href, baseUrl || undefined).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Order data from a scraped or LLM-extracted order-history entry
+ * @param {Object} raw - { orderId, orderDate, total, statusText, status?, items: [{ title, link, image, price, quantity }], trackingUrl, deliveryText? }
+ * @param {Object} context - { platform, baseUrl, source: 'dom'|'llm', now }
+ * @returns {Object|null} Order data, or null without an order id
+ */
+export function normalizeImportedOrder(raw = {}, { platform, baseUrl = null, source = 'dom', now = new Date() } = {}) {
+    const orderId = String(raw.orderId || '').replace(/^(order\s*(#|id|no\.?)?\s*:?\s*)/i, '').trim();
+    if (!orderId) return null;
+
+    const statusText = String(raw.statusText || raw.status || '').trim() || null;
+    const status = normalizeOrderStatus(statusText || '');
+    const items = (raw.items || [])
+        .filter((item) => item?.title)
+        .map((item) => ({
+            title: String(item.title).trim(),
+            link: absoluteUrl(item.link, baseUrl),
+            image: absoluteUrl(item.image, baseUrl),
+            price: typeof item.price === 'number' ? item.price : parsePrice(item.price) || null,
+            quantity: Number(item.quantity) || 1,
+        }));
+    const total = typeof raw.total === 'number' ? raw.total : parsePrice(raw.total);
+    const itemsTotal = items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+    const orderDate = raw.orderDate ? parseOrderDate(String(raw.orderDate), now) : null;
+    // "Delivered 16 March" dates the delivery; "Arriving 16 March" estimates it.
+    // Without a year it is read relative to the order date, when there is one.
+    const statusDate = statusText ? parseOrderDate(statusText, orderDate ? new Date(orderDate) : now) : null;
+
+    return {
+        orderId,
+        platform,
+        status,
+        statusText,
+        items,
+        totalAmount: total > 0 ? total : itemsTotal,
+        orderDate,
+        deliveredAt: status === 'delivered' ? statusDate : null,
+        estimatedDelivery: status === 'shipped' || status === 'confirmed' ? statusDate : null,
+        trackingUrl: absoluteUrl(raw.trackingUrl, baseUrl),
+        source,
+        importedAt: now.toISOString(),
+    };
+}
+
+// Timeline lines that promise a date rather than record an event
+const PROMISE_TEXT = /\b(expected|arriving|estimated|will be delivered)\b/i;
+
+/**
+ * Order update from a scraped or LLM-extracted tracking page
+ * @param {Object} raw - { statusText, estimatedDelivery, events: [{ text, date, location }], trackingNumber, carrier, url }
+ * @param {Object} [context] - { now }
+ * @returns {Object} { status, statusText, estimatedDelivery, deliveredAt, events, trackingNumber, carrier, trackingUrl };
+ *   status is null when the page's wording isn't recognized
+ */
+export function normalizeTracking(raw = {}, { now = new Date() } = {}) {
+    const promises = [];
+    let events = [];
+    for (const event of raw.events || []) {
+        const text = String(event?.text || '').replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+        const date = event.date ? String(event.date).trim() : null;
+        if (PROMISE_TEXT.test(text)) {
+            promises.push([text, date].filter(Boolean).join(' '));
+            continue;
+        }
+        events.push({ text, at: parseOrderDate(date || text, now), location: event.location || null });
+    }
+    // Sites list the timeline either way round; keep it oldest first
+    const dated = events.filter((event) => event.at);
+    if (dated.length > 1 && dated[0].at > dated[dated.length - 1].at) events = events.reverse();
+
+    const latest = events[events.length - 1] || null;
+    const statusText = String(raw.statusText || '').trim() || latest?.text || null;
+    const recognized = statusText ? normalizeOrderStatus(statusText) : 'pending';
+    const status = recognized === 'pending' ? null : recognized;
+    const promiseText = raw.estimatedDelivery || promises[0] || (status === 'shipped' || status === 'confirmed' ? statusText : null);
+
+    return {
+        status,
+        statusText,
+        estimatedDelivery: promiseText ? parseOrderDate(String(promiseText), now) : null,
+        deliveredAt: status === 'delivered' ? parseOrderDate(statusText, now) || latest?.at || null : null,
+        events,
+        trackingNumber: raw.trackingNumber || null,
+        carrier: raw.carrier || null,
+        trackingUrl: raw.url || null,
+    };
+}
+
 /**
  * Order Tracker Service
  */
@@ -91,6 +253,62 @@ class OrderTracker {
         }
     }
 
+    /**
+     * Import orders read from a platform's order-history page
+     * Orders already known (same orderId) are updated in place; fields the page
+     * didn't show keep their stored value. Entries sharing an orderId (Flipkart
+     * lists one card per item) are merged.
+     * @param {Array<Object>} rawOrders - See normalizeImportedOrder()
+     * @param {Object} context - { platform, baseUrl, source }
+     * @returns {Promise<Object>} { added, updated, orders }
+     */
+    async importOrders(rawOrders = [], context = {}) {
+        const batch = new Map();
+        for (const raw of rawOrders) {
+            const data = normalizeImportedOrder(raw, context);
+            if (!data) continue;
+            const seen = batch.get(data.orderId);
+            if (seen) {
+                for (const item of data.items) {
+                    if (!seen.items.some((i) => i.title === item.title)) seen.items.push(item);
+                }
+                // Per-item cards carry item prices rather than the order total
+                const itemsTotal = seen.items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+                seen.totalAmount = Math.max(seen.totalAmount, data.totalAmount, itemsTotal);
+            } else {
+                batch.set(data.orderId, data);
+            }
+        }
+
+        let added = 0;
+        let updated = 0;
+        const orders = [];
+        for (const data of batch.values()) {
+            const existing = this.getOrder(data.orderId);
+            if (existing) {
+                for (const [key, value] of Object.entries(data)) {
+                    // A page that showed no status says nothing about it
+                    if (key === 'status' && !data.statusText) continue;
+                    const empty = value === null || value === 0 || (Array.isArray(value) && value.length === 0);
+                    if (!empty) existing[key] = value;
+                }
+                updated++;
+                orders.push(existing);
+            } else {
+                const order = new Order(data);
+                this.orders.push(order);
+                added++;
+                orders.push(order);
+            }
+        }
+        // Newest first; undated orders keep their place at the end
+        this.orders.sort((a, b) => (b.orderDate || '').localeCompare(a.orderDate || ''));
+
+        if (batch.size > 0) await this.save();
+        logger.info('Orders imported', { platform: context.platform, added, updated });
+        return { added, updated, orders };
+    }
+
     /**
      * Get order by ID
      */
@@ -134,10 +352,45 @@ class OrderTracker {
         }
     }
 
+    /**
+     * Apply a tracking page's reading to a stored order
+     * Fields the page didn't show keep their stored value, and wording that
+     * isn't recognized leaves the status as it was.
+     * @param {string} orderId
+     * @param {Object} raw - See normalizeTracking()
+     * @returns {Promise<Object>} { order, previousStatus, changed, tracking }
+     */
+    async applyTracking(orderId, raw, { now = new Date() } = {}) {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+
+        const tracking = normalizeTracking(raw, { now });
+        const previousStatus = order.status;
+        if (tracking.status) {
+            order.status = tracking.status;
+            order.statusText = tracking.statusText;
+        }
+        for (const key of ['estimatedDelivery', 'deliveredAt', 'trackingNumber', 'carrier', 'trackingUrl']) {
+            if (tracking[key]) order[key] = tracking[key];
+        }
+        if (tracking.events.length) order.trackingEvents = tracking.events;
+        order.lastTrackedAt = now.toISOString();
+        await this.save();
+
+        const changed = order.status !== previousStatus;
+        logger.info('Order tracked', { orderId, status: order.status, changed });
+        return { order, previousStatus, changed, tracking };
+    }
+
     /**
      * Track order (fetch latest status from platform)
+     * @param {string} orderId
+     * @param {Function} fetchTracking - order -> raw tracking reading (see normalizeTracking())
+     * @returns {Promise<Object>} See applyTracking()
      */
-    async trackOrder(orderId) {
+    async trackOrder(orderId, fetchTracking) {
         try {
             const order = this.getOrder(orderId);
             if (!order) {
@@ -145,17 +398,8 @@ class OrderTracker {
             }
 
             logger.info('Tracking order', { orderId, platform: order.platform });
-
-            // This would typically call the platform's API
-            // For now, return mock updated status
-            const mockStatus = {
-                status: 'shipped',
-                trackingNumber: 'TRACK123456',
-                estimatedDelivery: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
-            };
-
-            await this.updateOrderStatus(orderId, mockStatus.status, mockStatus);
-            return order;
+            const raw = await fetchTracking(order);
+            return await this.applyTracking(orderId, raw);
         } catch (error) {
             logger.error('Failed to track order', error);
             throw error;
@@ -4,9 +4,9 @@
  * Supports multiple analysis modes for different use cases
  */
 
-import { generateContent } from './gemini.js';
+import { generateJSON } from './llm-providers.js';
 import { logger } from './logger.js';
-import { parseJSONFromLLMResponse } from './json-parser.js';
+import { getAnalysisSchema, ATTRIBUTES_SCHEMA } from './llm-schemas.js';
 
 // Analysis modes
 export const ANALYSIS_MODES = {
@@ -15,6 +15,8 @@ export const ANALYSIS_MODES = {
     MATCH_PRODUCTS: 'MATCH_PRODUCTS',
     DETECT_LOGIN: 'DETECT_LOGIN',
     EXTRACT_ATTRIBUTES: 'EXTRACT_ATTRIBUTES',
+    EXTRACT_ORDERS: 'EXTRACT_ORDERS',
+    EXTRACT_TRACKING: 'EXTRACT_TRACKING',
     GENERAL: 'GENERAL' // Default mode
 };
 
@@ -333,6 +335,72 @@ Rules:
 - Extract numeric values only
 - If attribute not found, set to null
 - Handle variations (e.g., "6GB RAM", "6 GB RAM", "6GB Memory")
+`;
+
+        case ANALYSIS_MODES.EXTRACT_ORDERS:
+            return baseInstruction + `
+Your task is to read the user's order history from an "Your Orders" / "My Orders" page, because rule-based extraction found nothing.
+
+For each order on the page, extract:
+- orderId: the platform's order number exactly as shown (e.g. "404-1234567-1234567", "OD123456789012345678")
+- orderDate: the order date as shown on the page, or null
+- total: the order total as shown (e.g. "₹1,299.00"), or null
+- statusText: the status line as shown (e.g. "Delivered 16 March", "Arriving Friday", "Cancelled"), or null
+- items: every product in the order, with title, link (absolute URL), image, price and quantity where shown
+- trackingUrl: the "Track package" / tracking link (absolute URL), or null
+
+Return a JSON object with this structure:
+{
+  "action": "extract_orders",
+  "orders": [
+    {
+      "orderId": "404-1234567-1234567",
+      "orderDate": "14 March 2024",
+      "total": "₹1,299.00",
+      "statusText": "Delivered 16 March",
+      "items": [{ "title": "boAt Airdopes 141", "link": "https://...", "image": null, "price": "₹1,299", "quantity": 1 }],
+      "trackingUrl": null
+    }
+  ],
+  "nextPage": "absolute URL of the next page of orders, or null",
+  "reason": "short explanation"
+}
+
+Rules:
+- Only include orders whose order number is visible on the page; never invent one
+- Keep dates, totals and statuses as the page words them
+- If the page asks the user to sign in, return an empty "orders" list and say so in "reason"
+`;
+
+        case ANALYSIS_MODES.EXTRACT_TRACKING:
+            return baseInstruction + `
+Your task is to read the shipment status of one order from its tracking / order details page, because rule-based extraction found nothing.
+
+Extract:
+- statusText: the current status line as shown (e.g. "Delivered today", "Out for delivery", "Arriving Friday"), or null
+- estimatedDelivery: the promised delivery date as shown (e.g. "Delivery expected by Mar 21"), or null
+- events: every step of the shipment timeline that has happened, with its text, date and location as shown
+- trackingNumber: the carrier's tracking id, or null
+- carrier: the courier's name, or null
+
+Return a JSON object with this structure:
+{
+  "action": "extract_tracking",
+  "statusText": "Out for delivery",
+  "estimatedDelivery": "Arriving today by 9 PM",
+  "events": [
+    { "text": "Shipped", "date": "Tue, 5th Mar", "location": "Bhiwandi" },
+    { "text": "Out for delivery", "date": "Thu, 7th Mar", "location": null }
+  ],
+  "trackingNumber": null,
+  "carrier": "Ekart Logistics",
+  "reason": "short explanation"
+}
+
+Rules:
+- Only include steps the page shows as done; upcoming steps are not events
+- Keep dates and statuses as the page words them
+- If the page asks the user to sign in, return null fields and an empty "events" list and say so in "reason"
 `;
 
         default: // GENERAL mode
@@ -355,7 +423,11 @@ Rules:
     }
 }
 
-export async function analyzePage(apiKey, pageContent, context, mode = ANALYSIS_MODES.GENERAL) {
+/**
+ * Ask the LLM for the next step on a page.
+ * @param {Object} llmOptions - Provider options forwarded to generate() (provider, model, keys, usage)
+ */
+export async function analyzePage(llmOptions, pageContent, context, mode = ANALYSIS_MODES.GENERAL) {
     const { intent, status, platform } = context;
     
     const prompt = `
@@ -374,22 +446,17 @@ Based on the above content and the user's intent "${intent}", what is the next s
             mode
         });
         
-        const response = await generateContent(apiKey, prompt, finalSystemInstruction);
-        
-        if (!response || !response.candidates || !response.candidates[0]) {
-            throw new Error('Invalid LLM response');
-        }
-
-        let text = response.candidates[0].content.parts[0].text;
-        
-        // Try multiple JSON extraction and parsing strategies
-        const result = parseJSONFromLLMResponse(text, mode);
-        
-        if (!result) {
-            throw new Error('Failed to extract valid JSON from LLM response');
-        }
+        // Schema-validated, with one repair round-trip; throws StructuredOutputError otherwise
+        const { data: result, provider, repaired } = await generateJSON({
+            ...llmOptions,
+            prompt,
+            system: finalSystemInstruction,
+            usage: { mode, ...llmOptions?.usage },
+            schema: getAnalysisSchema(mode),
+            schemaName: `analysis_${mode.toLowerCase()}`,
+        });
         
-        logger.info('LLM Page Analysis Result', { mode, action: result.action, hasProducts: !!result.products });
+        logger.info('LLM Page Analysis Result', { mode, provider, repaired, action: result.action, hasProducts: !!result.products });
         
         return result;
     } catch (error) {
@@ -401,7 +468,7 @@ Based on the above content and the user's intent "${intent}", what is the next s
 /**
  * Extract product attributes using LLM
  */
-export async function extractAttributesWithLLM(apiKey, productTitle, productDescription = '') {
+export async function extractAttributesWithLLM(llmOptions, productTitle, productDescription = '') {
     try {
         const prompt = `
 Product Title: ${productTitle}
@@ -422,21 +489,14 @@ Return JSON:
 }
 `;
 
-        const response = await generateContent(apiKey, prompt, 'You are a product attribute extractor. Extract numeric values for battery, RAM, storage, and brand name from product information.');
-        
-        if (!response || !response.candidates || !response.candidates[0]) {
-            throw new Error('Invalid LLM response');
-        }
-
-        let text = response.candidates[0].content.parts[0].text;
-        
-        // Try multiple JSON extraction and parsing strategies
-        const result = parseJSONFromLLMResponse(text, 'attribute_extraction');
-        
-        if (!result) {
-            logger.warn('Failed to parse LLM attribute extraction, returning nulls');
-            return { battery: null, ram: null, storage: null, brand: null };
-        }
+        const { data: result } = await generateJSON({
+            ...llmOptions,
+            prompt,
+            system: 'You are a product attribute extractor. Extract numeric values for battery, RAM, storage, and brand name from product information.',
+            usage: { mode: ANALYSIS_MODES.EXTRACT_ATTRIBUTES, ...llmOptions?.usage },
+            schema: ATTRIBUTES_SCHEMA,
+            schemaName: 'product_attributes',
+        });
         
         logger.info('LLM Attribute Extraction Result', { 
             title: productTitle.substring(0, 50), 
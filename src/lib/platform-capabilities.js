@@ -0,0 +1,97 @@
+/**
+ * Platform capabilities
+ * What a platform can do, declared in its descriptor (`capabilities`) and
+ * reported by its content script (GET_CAPABILITIES), so a run can be planned
+ * before anything fails: skip the filter step, search by URL, warn the user.
+ */
+
+// search:   the content script drives the site's search box (otherwise open the search URL)
+// filters:  APPLY_FILTERS narrows the results on the page
+// sort:     results can be re-sorted on the page
+// quantity: ADD_TO_CART (and a buy-now that adds to the cart) honours a quantity above one
+// coupons:  coupon codes can be applied at checkout
+// login:    the agent can detect and assist with the site's login
+// location: a delivery pincode can be set before searching
+// variants: ADD_TO_CART can pick a size/colour variant
+export const CAPABILITY_KEYS = ['search', 'filters', 'sort', 'quantity', 'coupons', 'login', 'location', 'variants'];
+
+export const DEFAULT_CAPABILITIES = Object.freeze(Object.fromEntries(CAPABILITY_KEYS.map((key) => [key, false])));
+
+/**
+ * Capabilities with every key present; unknown keys are dropped
+ * @param {Object} raw - Declared capabilities, possibly partial
+ */
+export function normalizeCapabilities(raw = {}) {
+    const capabilities = { ...DEFAULT_CAPABILITIES };
+    for (const key of CAPABILITY_KEYS) {
+        if (raw && typeof raw[key] === 'boolean') capabilities[key] = raw[key];
+    }
+    return capabilities;
+}
+
+/**
+ * Problems with a declared capabilities object, as readable strings
+ */
+export function capabilityProblems(raw) {
+    if (raw === undefined) return [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['capabilities must be an object'];
+    return Object.entries(raw).flatMap(([key, value]) => {
+        if (!CAPABILITY_KEYS.includes(key)) return [`capabilities.${key} is not a known capability`];
+        if (typeof value !== 'boolean') return [`capabilities.${key} must be true or false`];
+        return [];
+    });
+}
+
+/**
+ * Narrow declared capabilities to what the content script actually answers
+ * @param {Object} capabilities - Declared capabilities
+ * @param {string[]} actions - Actions from the content script's GET_CAPABILITIES
+ */
+export function reconcileCapabilities(capabilities, actions = []) {
+    const has = (action) => actions.includes(action);
+    const reconciled = normalizeCapabilities(capabilities);
+    if (!has('SEARCH')) reconciled.search = false;
+    if (!has('APPLY_FILTERS')) reconciled.filters = false;
+    if (!has('SORT_RESULTS')) reconciled.sort = false;
+    if (!has('ADD_TO_CART')) reconciled.quantity = reconciled.variants = false;
+    if (!has('SET_LOCATION')) reconciled.location = false;
+    if (!has('DETECT_LOGIN_SCREEN')) reconciled.login = false;
+    return reconciled;
+}
+
+/**
+ * Plan a single-platform run from the platform's capabilities and the intent
+ * @param {Object} capabilities
+ * @param {Object} intent - Parsed intent (filters, sortStrategy, quantity, coupon)
+ * @returns {Object} { searchMode: 'dom'|'url', applyFilters, applySort, setQuantity, checkLogin, setLocation, warnings }
+ */
+export function planRun(capabilities, intent = {}) {
+    const caps = normalizeCapabilities(capabilities);
+    const hasFilters = Object.values(intent.filters || {}).some((value) => value !== null && value !== undefined && value !== '');
+    const wantsSort = Boolean(intent.sortStrategy && intent.sortStrategy !== 'relevant');
+    const wantsQuantity = Number(intent.quantity) > 1;
+    const warnings = [];
+
+    if (hasFilters && !caps.filters) {
+        warnings.push({ code: 'filters_unsupported', message: 'Filters can\'t be applied on this site; results will be filtered after reading them.' });
+    }
+    if (wantsSort && !caps.sort) {
+        warnings.push({ code: 'sort_unsupported', message: 'This site can\'t be re-sorted; results will be ranked after reading them.' });
+    }
+    if (wantsQuantity && !caps.quantity) {
+        warnings.push({ code: 'quantity_unsupported', message: `Only one item can be added here; set the quantity to ${intent.quantity} in the cart.` });
+    }
+    if (intent.coupon && !caps.coupons) {
+        warnings.push({ code: 'coupons_unsupported', message: 'Coupons can\'t be applied on this site; enter the code at checkout.' });
+    }
+
+    return {
+        searchMode: caps.search ? 'dom' : 'url',
+        applyFilters: hasFilters && caps.filters,
+        applySort: wantsSort && caps.sort,
+        setQuantity: wantsQuantity && caps.quantity,
+        checkLogin: caps.login,
+        setLocation: caps.location,
+        warnings,
+    };
+}
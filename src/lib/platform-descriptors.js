@@ -0,0 +1,320 @@
+/**
+ * Declarative platform descriptors
+ * Each supported site is described once in src/platforms/<name>.json (domains,
+ * search URL template, text aliases, selectors); the service worker's registry,
+ * URL building and platform detection, and the generic content script
+ * (content/declarative.js) all read from here.
+ *
+ * A descriptor without `contentScript` is driven entirely by its selectors.
+ * One with `contentScript` has a hand-written content script and platform class
+ * and only contributes its metadata.
+ *
+ * Platform packs are user-installed bundles of descriptors (see
+ * background/platform-packs.js); they may only use the declarative script.
+ */
+
+import { EcommercePlatform } from './ecommerce-platforms.js';
+import { validateAgainstSchema } from './llm-schemas.js';
+import { capabilityProblems, normalizeCapabilities } from './platform-capabilities.js';
+import amazon from '../platforms/amazon.json' with { type: 'json' };
+import flipkart from '../platforms/flipkart.json' with { type: 'json' };
+import ebay from '../platforms/ebay.json' with { type: 'json' };
+import walmart from '../platforms/walmart.json' with { type: 'json' };
+import ajio from '../platforms/ajio.json' with { type: 'json' };
+import jiomart from '../platforms/jiomart.json' with { type: 'json' };
+import reliancedigital from '../platforms/reliancedigital.json' with { type: 'json' };
+import tirabeauty from '../platforms/tirabeauty.json' with { type: 'json' };
+import bigbasket from '../platforms/bigbasket.json' with { type: 'json' };
+import blinkit from '../platforms/blinkit.json' with { type: 'json' };
+import zepto from '../platforms/zepto.json' with { type: 'json' };
+import shopify from '../platforms/shopify.json' with { type: 'json' };
+
+// Selector groups the generic content script needs to drive a site
+const REQUIRED_SELECTORS = {
+    results: ['container', 'title', 'link'],
+    product: [],
+};
+
+function invalid(name, reason) {
+    const err = new Error('invalid_platform_descriptor');
+    err.code = 'invalid_platform_descriptor';
+    err.platform = name || null;
+    err.reason = reason;
+    return err;
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string' && v.trim());
+
+/**
+ * Check a descriptor and fill in defaults
+ * @param {Object} raw - Parsed descriptor JSON
+ * @returns {Object} Normalized descriptor
+ * @throws {Error} invalid_platform_descriptor, with `reason`
+ */
+export function validateDescriptor(raw) {
+    if (!raw || typeof raw !== 'object') throw invalid(null, 'not an object');
+    const { name } = raw;
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+        throw invalid(name, 'name must be lowercase letters, digits, "-" or "_"');
+    }
+    if (!isStringList(raw.domains) || !raw.domains.length) throw invalid(name, 'domains must list at least one domain');
+    if (typeof raw.searchUrl !== 'string' || !raw.searchUrl.includes('{query}')) {
+        throw invalid(name, 'searchUrl must be a URL template containing {query}');
+    }
+    if (raw.aliases !== undefined && !isStringList(raw.aliases)) throw invalid(name, 'aliases must be a list of strings');
+    if (raw.fallbackAliases !== undefined && !isStringList(raw.fallbackAliases)) throw invalid(name, 'fallbackAliases must be a list of strings');
+    if (raw.matches !== undefined && !isStringList(raw.matches)) throw invalid(name, 'matches must be a list of match patterns');
+    if (raw.homeUrl !== undefined && !/^https:\/\//.test(raw.homeUrl)) throw invalid(name, 'homeUrl must be an https URL');
+    if (raw.ordersUrl !== undefined && !/^https:\/\//.test(raw.ordersUrl)) throw invalid(name, 'ordersUrl must be an https URL');
+    if (raw.orderUrl !== undefined && (typeof raw.orderUrl !== 'string' || !/^https:\/\//.test(raw.orderUrl) || !raw.orderUrl.includes('{orderId}'))) {
+        throw invalid(name, 'orderUrl must be an https URL template containing {orderId}');
+    }
+    const [capabilityProblem] = capabilityProblems(raw.capabilities);
+    if (capabilityProblem) throw invalid(name, capabilityProblem);
+
+    if (!raw.contentScript) {
+        const selectors = raw.selectors || {};
+        for (const [group, keys] of Object.entries(REQUIRED_SELECTORS)) {
+            if (!selectors[group] || typeof selectors[group] !== 'object') {
+                throw invalid(name, `selectors.${group} is required without a contentScript`);
+            }
+            const missing = keys.filter((key) => !selectors[group][key]);
+            if (missing.length) throw invalid(name, `selectors.${group} is missing ${missing.join(', ')}`);
+        }
+        if (!selectors.product.addToCart && !selectors.product.buyNow) {
+            throw invalid(name, 'selectors.product needs addToCart or buyNow');
+        }
+    }
+
+    const lower = (list) => list.map((alias) => alias.toLowerCase());
+    return {
+        displayName: name,
+        enabled: true,
+        homeUrl: `https://www.${raw.domains[0]}/`,
+        matches: raw.domains.map((domain) => `https://www.${domain}/*`),
+        contentScript: null,
+        selectors: {},
+        ...raw,
+        aliases: lower(raw.aliases || [name]),
+        fallbackAliases: lower(raw.fallbackAliases || []),
+        capabilities: normalizeCapabilities(raw.capabilities),
+    };
+}
+
+// Priority order: detection takes the first descriptor whose alias appears in the text
+export const BUILTIN_DESCRIPTORS = [
+    amazon, flipkart, ebay, walmart, ajio, jiomart, reliancedigital, tirabeauty, bigbasket, blinkit, zepto, shopify,
+].map(validateDescriptor);
+
+/**
+ * Fill a descriptor's search URL template
+ * @param {Object} descriptor
+ * @param {string} query
+ * @param {Object} params - Extra template values, e.g. { store } for Shopify
+ */
+export function buildSearchUrl(descriptor, query, params = {}) {
+    const values = { ...params, query };
+    const url = descriptor.searchUrl.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (values[key] === undefined || values[key] === null) {
+            throw invalid(descriptor.name, `no value for ${placeholder} in searchUrl`);
+        }
+        return key === 'query' ? encodeURIComponent(values[key]) : values[key];
+    });
+    return url;
+}
+
+/**
+ * True when the URL's host is one of the descriptor's domains (or a subdomain of one)
+ */
+export function descriptorMatchesUrl(descriptor, url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch {
+        return false;
+    }
+    return descriptor.domains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+export function findDescriptorForUrl(url, descriptors = BUILTIN_DESCRIPTORS) {
+    return descriptors.find((descriptor) => descriptorMatchesUrl(descriptor, url)) || null;
+}
+
+/**
+ * Platform named in free text. Aliases are checked in descriptor order, then the
+ * looser fallbackAliases ("jio", "tira") so "ajio" isn't read as JioMart.
+ * @returns {string|null} Platform name
+ */
+export function detectPlatformInText(text, descriptors = BUILTIN_DESCRIPTORS) {
+    const lowered = String(text || '').toLowerCase();
+    for (const field of ['aliases', 'fallbackAliases']) {
+        const found = descriptors.find((d) => d.enabled !== false && d[field].some((alias) => lowered.includes(alias)));
+        if (found) return found.name;
+    }
+    return null;
+}
+
+/**
+ * Every alias, longest first, for stripping platform names out of a query
+ */
+export function platformAliases(descriptors = BUILTIN_DESCRIPTORS) {
+    return [...new Set(descriptors.flatMap((d) => [...d.aliases, ...d.fallbackAliases]))]
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Registry entry for a descriptor (metadata only; the DOM work happens in content scripts)
+ */
+export function createPlatformFromDescriptor(descriptor) {
+    return new EcommercePlatform(descriptor.name, {
+        enabled: descriptor.enabled,
+        domains: descriptor.domains,
+        selectors: descriptor.selectors,
+        capabilities: descriptor.capabilities,
+        descriptor,
+    });
+}
+
+/**
+ * Declared capabilities of a built-in platform, for its hand-written content-side class
+ */
+export function builtinCapabilities(name) {
+    return BUILTIN_DESCRIPTORS.find((descriptor) => descriptor.name === name)?.capabilities || normalizeCapabilities();
+}
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const selectorGroup = { type: 'object' };
+
+const DESCRIPTOR_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        displayName: { type: 'string' },
+        enabled: { type: 'boolean' },
+        domains: stringList,
+        matches: stringList,
+        searchUrl: { type: 'string' },
+        homeUrl: { type: 'string' },
+        ordersUrl: { type: 'string' },
+        orderUrl: { type: 'string' },
+        aliases: stringList,
+        fallbackAliases: stringList,
+        capabilities: { type: 'object' },
+        selectors: {
+            type: 'object',
+            properties: { search: selectorGroup, results: selectorGroup, product: selectorGroup, cart: selectorGroup },
+            required: ['results', 'product'],
+        },
+    },
+    required: ['name', 'domains', 'searchUrl', 'selectors'],
+};
+
+export const PLATFORM_PACK_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        version: { type: 'string' },
+        description: { type: 'string' },
+        platforms: { type: 'array', items: DESCRIPTOR_SCHEMA },
+    },
+    required: ['name', 'platforms'],
+};
+
+// Second-level suffixes under which anyone can register a domain. Pack domains
+// must be registrable names, not one of these or a bare top-level domain.
+const PUBLIC_SUFFIXES = new Set([
+    'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in',
+    'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+    'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'co.kr', 'co.za',
+    'com.br', 'com.cn', 'com.mx', 'com.sg', 'com.tr', 'com.hk', 'com.tw',
+    'github.io', 'myshopify.com', 'vercel.app', 'netlify.app', 'web.app', 'pages.dev',
+]);
+
+function isRegistrableDomain(domain) {
+    const labels = domain.split('.');
+    return labels.length >= 2 && labels.every(Boolean) && !PUBLIC_SUFFIXES.has(domain);
+}
+
+function hostCovered(host, domains) {
+    const bare = host.replace(/^\*\./, '');
+    return domains.some((domain) => bare === domain || bare.endsWith(`.${domain}`));
+}
+
+/**
+ * Validate a platform pack: `{ name, version, platforms: [descriptor, ...] }`,
+ * or a single descriptor. Pack platforms can't ship a content script, and their
+ * match patterns and home page must stay on their own https domains.
+ * @param {Object} raw - Parsed pack JSON
+ * @param {Object} options - { reservedNames } platform names already taken
+ * @returns {Object} { name, version, description, platforms, origins }
+ * @throws {Error} invalid_platform_pack, with `problems`
+ */
+export function parsePlatformPack(raw, { reservedNames = [] } = {}) {
+    const pack = raw && typeof raw === 'object' && !Array.isArray(raw) && !raw.platforms && raw.domains
+        ? { name: raw.name, version: raw.version, platforms: [raw] }
+        : raw;
+    const problems = validateAgainstSchema(pack, PLATFORM_PACK_SCHEMA);
+
+    const platforms = [];
+    if (!problems.length) {
+        if (!/^[a-z0-9][a-z0-9._-]*$/i.test(pack.name)) problems.push('$.name: use letters, digits, ".", "-" or "_"');
+        if (!pack.platforms.length) problems.push('$.platforms: must list at least one platform');
+        pack.platforms.forEach((entry, i) => {
+            const path = `$.platforms[${i}]`;
+            if (entry.contentScript) {
+                problems.push(`${path}.contentScript: packs can only use the declarative content script`);
+                return;
+            }
+            let descriptor;
+            try {
+                descriptor = validateDescriptor(entry);
+            } catch (error) {
+                problems.push(`${path}: ${error.reason || error.message}`);
+                return;
+            }
+            if (reservedNames.includes(descriptor.name) || platforms.some((p) => p.name === descriptor.name)) {
+                problems.push(`${path}.name: "${descriptor.name}" is already used by another platform`);
+            }
+            for (const domain of descriptor.domains) {
+                if (!isRegistrableDomain(domain)) {
+                    problems.push(`${path}.domains: "${domain}" is a public suffix, not a site's domain`);
+                }
+            }
+            for (const pattern of descriptor.matches) {
+                const match = pattern.match(/^https:\/\/([^/]+)\/.*$/);
+                const wildcardBase = match?.[1].startsWith('*.') ? match[1].slice(2) : null;
+                if (!match || !hostCovered(match[1], descriptor.domains) || match[1] === '*'
+                    || (wildcardBase !== null && !isRegistrableDomain(wildcardBase))) {
+                    problems.push(`${path}.matches: "${pattern}" must be an https pattern on the platform's domains`);
+                }
+            }
+            for (const field of ['searchUrl', 'homeUrl', 'ordersUrl', 'orderUrl']) {
+                if (descriptor[field] === undefined) continue;
+                let host = null;
+                try {
+                    host = new URL(descriptor[field].replace(/\{\w+\}/g, 'x')).hostname;
+                } catch {
+                    // reported below
+                }
+                if (!descriptor[field].startsWith('https://') || !host || !hostCovered(host, descriptor.domains)) {
+                    problems.push(`${path}.${field}: must be an https URL on the platform's domains`);
+                }
+            }
+            platforms.push({ ...descriptor, pack: pack.name });
+        });
+    }
+
+    if (problems.length) {
+        const err = new Error('invalid_platform_pack');
+        err.code = 'invalid_platform_pack';
+        err.problems = problems;
+        throw err;
+    }
+    return {
+        name: pack.name,
+        version: pack.version || null,
+        description: pack.description || null,
+        platforms,
+        origins: [...new Set(platforms.flatMap((p) => p.matches))],
+    };
+}
@@ -0,0 +1,257 @@
+/**
+ * Price history
+ * Every price the agent sees (search results, comparisons, price watches) is kept
+ * in a compact time series per product, keyed by a normalized product identity so
+ * the same listing found by different routes lands in one series. The side panel
+ * charts the series with its all-time low and a "is this a real deal" verdict.
+ */
+
+import { logger } from './logger.js';
+import { parsePrice } from './product-matcher.js';
+import { extractAsin } from './product-comparator.js';
+
+export const PRICE_HISTORY_STORAGE_KEY = 'priceHistory';
+
+// Points kept per product, and products kept overall (least recently seen go first)
+export const MAX_HISTORY_POINTS = 180;
+export const MAX_TRACKED_PRODUCTS = 1000;
+
+// Samples closer than this replace the previous point instead of adding one
+export const MIN_POINT_GAP_MS = 60 * 60 * 1000;
+
+// History needed before a verdict, and how far back the usual price looks
+export const MIN_VERDICT_SPAN_MS = 3 * 24 * 60 * 60 * 1000;
+export const VERDICT_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+const RECENT_HIKE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const DEAL_VERDICTS = {
+    LOWEST: 'lowest',
+    GOOD: 'good',
+    TYPICAL: 'typical',
+    HIGH: 'high',
+    INFLATED: 'inflated',
+    UNKNOWN: 'not_enough_history',
+};
+
+// Listing ids in product URL paths of the other platforms (Amazon's ASIN comes
+// from extractAsin), tried in order; anything else keys on the whole path.
+// extractProductIdentity() can't be the key: it names the SKU (brand, model,
+// storage) so one phone on two sites matches, while a price series belongs to
+// one listing, whose price moves on its own.
+const LISTING_ID_PATTERNS = [
+    /\/p\/(itm[0-9a-z]+)/i, // Flipkart
+    /\/itm\/(?:[^/]+\/)?(\d{9,})/, // eBay
+    /\/ip\/(?:[^/]+\/)?(\d+)(?=[/?]|$)/, // Walmart
+    /\/prid\/(\d+)/, // Blinkit
+    /\/pvid\/([\w-]+)/, // Zepto
+    /\/pd\/(\d+)/, // BigBasket
+    /\/products\/([^/?#]+)/, // Shopify
+];
+
+const normalizeTitle = (title = '') => String(title).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Stable key for a product: "<host>:<listing id>" when the URL carries one,
+ * "<host><path>" for other URLs, and "title:<platform>:<title>" without a URL.
+ * Query strings, fragments, "www." and the SEO slug before an id are ignored.
+ * @param {Object|string} product - Product ({ link | url, title, platform }) or URL
+ * @returns {string|null}
+ */
+export function productIdentity(product) {
+    const link = typeof product === 'string' ? product : product?.link || product?.url;
+    if (link) {
+        try {
+            const url = new URL(link);
+            if (/^https?:$/.test(url.protocol)) {
+                const host = url.hostname.replace(/^www\./, '').toLowerCase();
+                const asin = extractAsin({ link: url.href });
+                if (asin) return `${host}:${asin.toLowerCase()}`;
+                for (const pattern of LISTING_ID_PATTERNS) {
+                    const id = url.pathname.match(pattern)?.[1];
+                    if (id) return `${host}:${id.toLowerCase()}`;
+                }
+                return `${host}${url.pathname.replace(/\/+$/, '').toLowerCase()}`;
+            }
+        } catch (e) {
+            // Relative or malformed link; fall back to the title
+        }
+    }
+    const title = normalizeTitle(product?.title);
+    if (!title) return null;
+    return `title:${product.platform || 'unknown'}:${title}`;
+}
+
+/**
+ * Add one price to a series (mutates it). A repeat of the last price only moves
+ * lastSeenAt; samples within MIN_POINT_GAP_MS replace the last point.
+ * Points are [timestamp, price] pairs to keep storage small.
+ */
+export function addPricePoint(series, price, at = Date.now()) {
+    const points = series.points;
+    const last = points[points.length - 1];
+    if (!last || last[1] !== price) {
+        if (last && at - last[0] < MIN_POINT_GAP_MS) {
+            points.pop();
+            // A blip that returns to the price before it leaves no point
+            if (points[points.length - 1]?.[1] !== price) points.push([at, price]);
+        } else {
+            points.push([at, price]);
+        }
+        if (points.length > MAX_HISTORY_POINTS) {
+            points.splice(0, points.length - MAX_HISTORY_POINTS);
+        }
+    }
+    if (!series.low || price < series.low.price) series.low = { price, at };
+    if (!series.high || price > series.high.price) series.high = { price, at };
+    series.firstSeenAt = series.firstSeenAt ?? at;
+    series.lastSeenAt = Math.max(series.lastSeenAt ?? at, at);
+    return series;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Price each point held, weighted by how long it held, over the verdict window
+ */
+function usualPrice(series, now) {
+    const from = now - VERDICT_WINDOW_MS;
+    const weighted = [];
+    series.points.forEach(([at, price], i) => {
+        const start = Math.max(at, from);
+        const end = i + 1 < series.points.length ? series.points[i + 1][0] : now;
+        // One entry per hour held keeps the median time-weighted without big arrays
+        const hours = Math.min(Math.ceil((end - start) / MIN_POINT_GAP_MS), 24 * 90);
+        for (let h = 0; h < hours; h++) weighted.push(price);
+    });
+    return weighted.length ? median(weighted) : median(series.points.map(([, price]) => price));
+}
+
+const money = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+/**
+ * Whether a price is a real deal against the product's history
+ * @param {Object} series - Stored series
+ * @param {number} price - Price being offered now
+ * @returns {Object} { verdict, label, price, usualPrice, lowPrice, lowAt, changePercent }
+ */
+export function assessDeal(series, price, now = Date.now()) {
+    const base = { price, usualPrice: null, lowPrice: series?.low?.price ?? null, lowAt: series?.low?.at ?? null, changePercent: null };
+    if (!series?.points?.length || now - series.firstSeenAt < MIN_VERDICT_SPAN_MS) {
+        return { ...base, verdict: DEAL_VERDICTS.UNKNOWN, label: 'Not enough price history yet' };
+    }
+
+    const usual = usualPrice(series, now);
+    const changePercent = Math.round(((price - usual) / usual) * 1000) / 10;
+    const result = { ...base, usualPrice: usual, changePercent };
+    if (price <= series.low.price && changePercent < 0) {
+        return { ...result, verdict: DEAL_VERDICTS.LOWEST, label: `Lowest price seen (usually ${money(usual)})` };
+    }
+    if (changePercent <= -5) {
+        return { ...result, verdict: DEAL_VERDICTS.GOOD, label: `${Math.abs(changePercent)}% below the usual ${money(usual)}` };
+    }
+    if (changePercent >= 5) {
+        return { ...result, verdict: DEAL_VERDICTS.HIGH, label: `${changePercent}% above the usual ${money(usual)}` };
+    }
+    // A "sale" that only undoes a recent hike
+    const recentHigh = Math.max(...series.points.filter(([at]) => at >= now - RECENT_HIKE_WINDOW_MS).map(([, p]) => p), 0);
+    if (recentHigh >= usual * 1.1 && price < recentHigh) {
+        return { ...result, verdict: DEAL_VERDICTS.INFLATED, label: `Not a real discount: back to the usual ${money(usual)} after a hike to ${money(recentHigh)}` };
+    }
+    return { ...result, verdict: DEAL_VERDICTS.TYPICAL, label: `About the usual price (${money(usual)})` };
+}
+
+/**
+ * Per-product price series in chrome.storage.local. Writes are queued so
+ * parallel comparisons don't overwrite each other's samples.
+ */
+export class PriceHistoryStore {
+    constructor() {
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get([PRICE_HISTORY_STORAGE_KEY]);
+            return stored?.[PRICE_HISTORY_STORAGE_KEY] || {};
+        } catch (error) {
+            logger.warn('Failed to load price history', { error: error?.message });
+            return {};
+        }
+    }
+
+    /**
+     * Record sampled prices
+     * @param {Array<Object>} samples - Products ({ link | url, title, platform, price, at? });
+     *   price may be a number or a scraped string like "₹1,299"
+     * @returns {Promise<number>} Samples recorded
+     */
+    record(samples = []) {
+        const pending = this.writeQueue.then(async () => {
+            const now = Date.now();
+            const usable = samples
+                .map((sample) => ({
+                    sample,
+                    key: productIdentity(sample),
+                    price: typeof sample?.price === 'number' ? sample.price : parsePrice(sample?.price),
+                }))
+                .filter(({ key, price }) => key && price > 0);
+            if (usable.length === 0) return 0;
+
+            const state = await this.load();
+            for (const { sample, key, price } of usable) {
+                const series = state[key] || { key, points: [], low: null, high: null, firstSeenAt: null, lastSeenAt: null };
+                series.title = sample.title || series.title || null;
+                series.platform = sample.platform || series.platform || null;
+                series.url = sample.link || sample.url || series.url || null;
+                addPricePoint(series, price, sample.at ?? now);
+                state[key] = series;
+            }
+
+            const keys = Object.keys(state);
+            if (keys.length > MAX_TRACKED_PRODUCTS) {
+                keys.sort((a, b) => state[a].lastSeenAt - state[b].lastSeenAt)
+                    .slice(0, keys.length - MAX_TRACKED_PRODUCTS)
+                    .forEach((key) => delete state[key]);
+            }
+            await chrome.storage.local.set({ [PRICE_HISTORY_STORAGE_KEY]: state });
+            return usable.length;
+        });
+        this.writeQueue = pending.catch((error) => logger.warn('Failed to record price history', { error: error?.message }));
+        return pending;
+    }
+
+    /**
+     * Stored series for a product, or null
+     * @param {Object|string} product - Product or URL
+     */
+    async get(product) {
+        const key = productIdentity(product);
+        if (!key) return null;
+        await this.writeQueue;
+        return (await this.load())[key] || null;
+    }
+
+    /**
+     * Series plus the deal verdict for the product's current price
+     * @param {Object|string} product - Product or URL; its price, when given, is judged
+     * @returns {Promise<Object|null>} { key, title, platform, url, points, low, high, deal }
+     */
+    async summarize(product, now = Date.now()) {
+        const series = await this.get(product);
+        if (!series) return null;
+        const offered = typeof product?.price === 'number' ? product.price : parsePrice(product?.price);
+        const price = offered > 0 ? offered : series.points[series.points.length - 1][1];
+        return { ...series, deal: assessDeal(series, price, now) };
+    }
+
+    async clear() {
+        await this.writeQueue;
+        await chrome.storage.local.set({ [PRICE_HISTORY_STORAGE_KEY]: {} });
+    }
+}
+
+export const priceHistory = new PriceHistoryStore();
@@ -0,0 +1,197 @@
+/**
+ * Price watches
+ * A watch follows one product URL until its price reaches a target or drops by a
+ * percentage from the first price seen. This module holds the watch shape, the
+ * trigger rule, price extraction from a fetched page and "alert me when it drops
+ * below ₹X" parsing; scheduling and alerts live in background/price-watches.js.
+ */
+
+import { parsePrice } from './product-matcher.js';
+
+export const PRICE_WATCH_STATUS = {
+    ACTIVE: 'active',
+    TRIGGERED: 'triggered',
+    PAUSED: 'paused',
+};
+
+export const DEFAULT_WATCH_INTERVAL_MINUTES = 360;
+export const MIN_WATCH_INTERVAL_MINUTES = 30;
+export const MAX_WATCH_HISTORY = 120;
+
+function invalid(reason) {
+    const err = new Error('invalid_price_watch');
+    err.code = 'invalid_price_watch';
+    err.reason = reason;
+    return err;
+}
+
+const positiveNumber = (value) => {
+    const number = typeof value === 'string' ? parsePrice(value) : Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Build a watch from user input
+ * @param {Object} input - { url, targetPrice?, dropPercent?, title?, platform?, intervalMinutes? }
+ * @returns {Object} Watch (not yet checked: no baseline or history)
+ * @throws {Error} invalid_price_watch, with `reason`
+ */
+export function createPriceWatch(input = {}, now = Date.now()) {
+    let url;
+    try {
+        url = new URL(input.url);
+    } catch (e) {
+        throw invalid('url must be a product URL');
+    }
+    if (!/^https?:$/.test(url.protocol)) throw invalid('url must be http(s)');
+
+    const targetPrice = input.targetPrice == null ? null : positiveNumber(input.targetPrice);
+    if (input.targetPrice != null && targetPrice === null) throw invalid('targetPrice must be a positive price');
+    const dropPercent = input.dropPercent == null ? null : Number(input.dropPercent);
+    if (dropPercent !== null && !(dropPercent > 0 && dropPercent < 100)) throw invalid('dropPercent must be between 0 and 100');
+    if (targetPrice === null && dropPercent === null) throw invalid('set a targetPrice or a dropPercent');
+
+    const interval = Number(input.intervalMinutes) || DEFAULT_WATCH_INTERVAL_MINUTES;
+    return {
+        id: `pw_${now.toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+        url: url.href,
+        platform: input.platform || null,
+        title: input.title || null,
+        targetPrice,
+        dropPercent,
+        intervalMinutes: Math.max(interval, MIN_WATCH_INTERVAL_MINUTES),
+        status: PRICE_WATCH_STATUS.ACTIVE,
+        baselinePrice: null,
+        lastPrice: null,
+        lowestPrice: null,
+        history: [],
+        createdAt: now,
+        lastCheckedAt: null,
+        nextCheckAt: now,
+        failures: 0,
+        lastError: null,
+        triggeredAt: null,
+        alert: null,
+    };
+}
+
+/**
+ * Add a sampled price to a watch (mutates it). The first price is the baseline
+ * for percentage drops; history keeps the newest MAX_WATCH_HISTORY samples.
+ */
+export function recordPriceSample(watch, price, at = Date.now()) {
+    if (watch.baselinePrice === null) watch.baselinePrice = price;
+    watch.lastPrice = price;
+    watch.lowestPrice = watch.lowestPrice === null ? price : Math.min(watch.lowestPrice, price);
+    watch.history.push({ at, price });
+    if (watch.history.length > MAX_WATCH_HISTORY) {
+        watch.history.splice(0, watch.history.length - MAX_WATCH_HISTORY);
+    }
+    watch.lastCheckedAt = at;
+    watch.nextCheckAt = at + watch.intervalMinutes * 60 * 1000;
+    watch.failures = 0;
+    watch.lastError = null;
+    return watch;
+}
+
+/**
+ * Whether a price hits the watch
+ * @returns {Object} { hit, reason: 'target_price'|'percent_drop'|null, dropPercent }
+ */
+export function evaluatePriceWatch(watch, price) {
+    const base = watch.baselinePrice;
+    const dropPercent = base ? Math.round(((base - price) / base) * 1000) / 10 : 0;
+    if (watch.targetPrice !== null && price <= watch.targetPrice) {
+        return { hit: true, reason: 'target_price', dropPercent };
+    }
+    if (watch.dropPercent !== null && base && dropPercent >= watch.dropPercent) {
+        return { hit: true, reason: 'percent_drop', dropPercent };
+    }
+    return { hit: false, reason: null, dropPercent };
+}
+
+/**
+ * One-line alert text, e.g. "₹54,999 — below your ₹55,000 target"
+ */
+export function describePriceAlert(watch, price, { reason, dropPercent }) {
+    const money = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+    const why = reason === 'target_price'
+        ? `below your ${money(watch.targetPrice)} target`
+        : `down ${dropPercent}% from ${money(watch.baselinePrice)}`;
+    return `${money(price)} — ${why}`;
+}
+
+const decodeEntities = (text) => text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+
+function offerPrice(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const price = offerPrice(item);
+            if (price) return price;
+        }
+        return null;
+    }
+    if (node['@graph']) return offerPrice(node['@graph']);
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('Product') || types.includes('ProductGroup')) {
+        const offers = [].concat(node.offers || []);
+        for (const offer of offers) {
+            const price = positiveNumber(offer.price ?? offer.lowPrice);
+            if (price) return { price, title: node.name || null, currency: offer.priceCurrency || null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Price from a product page's HTML, without a DOM (the service worker has none).
+ * Reads schema.org Product JSON-LD, then product/og price meta tags, then
+ * itemprop="price". Sites that render prices client-side return null.
+ * @param {string} html
+ * @returns {Object|null} { price, title, currency, source }
+ */
+export function extractPriceFromHtml(html = '') {
+    const jsonLd = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    for (const [, body] of html.matchAll(jsonLd)) {
+        try {
+            const found = offerPrice(JSON.parse(body.trim()));
+            if (found) return { ...found, source: 'json-ld' };
+        } catch (e) {
+            // Malformed block; try the next one
+        }
+    }
+
+    const title = html.match(/<meta[^>]+property=["']og:title["'][^>]+content=["']([^"']+)["']/i)?.[1];
+    const meta = html.match(/<meta[^>]+(?:property|name)=["'](?:product|og):price:amount["'][^>]+content=["']([^"']+)["']/i)
+        || html.match(/<[^>]+itemprop=["']price["'][^>]+content=["']([^"']+)["']/i);
+    const price = meta ? positiveNumber(meta[1]) : null;
+    if (price) {
+        const currency = html.match(/<meta[^>]+(?:property|name)=["'](?:product|og):price:currency["'][^>]+content=["']([^"']+)["']/i)?.[1];
+        return { price, title: title ? decodeEntities(title) : null, currency: currency || null, source: 'meta' };
+    }
+    return null;
+}
+
+/**
+ * "Alert me when https://… drops below ₹60,000" / "watch <url> for a 10% drop"
+ * @returns {Object|null} { url, targetPrice, dropPercent } or null when the text isn't a watch request
+ */
+export function parseWatchRequest(text = '') {
+    const url = text.match(/https?:\/\/[^\s<>"']+/i)?.[0]?.replace(/[),.]+$/, '');
+    if (!url) return null;
+    if (!/\b(?:watch|track|alert|notify|tell me|let me know|buy when|drops?|falls?|goes)\b/i.test(text)) return null;
+
+    const rest = text.replace(url, ' ');
+    const target = rest.match(/\b(?:below|under|less than|to|at|reaches)\s*(?:rs\.?|₹|inr)?\s*(\d[\d,]*(?:\.\d+)?\s*k?)\b/i);
+    const percent = rest.match(/(\d+(?:\.\d+)?)\s*%/);
+    const targetPrice = target ? parsePrice(target[1]) || null : null;
+    const dropPercent = percent ? Number(percent[1]) : null;
+    if (!targetPrice && !dropPercent) return null;
+    return { url, targetPrice, dropPercent };
+}
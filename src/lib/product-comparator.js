@@ -1,19 +1,478 @@
-export function compareProducts(products = []) {
-    if (!Array.isArray(products) || products.length === 0) return { winner: null, candidates: [] };
-    const sorted = [...products].sort((a, b) => {
-        const aScore = (a.price ?? Number.MAX_VALUE) - (a.rating ?? 0) * 10;
-        const bScore = (b.price ?? Number.MAX_VALUE) - (b.rating ?? 0) * 10;
-        return aScore - bScore;
+/**
+ * Product Comparison Module
+ * Ranks products across platforms with a normalized weighted score over
+ * price, rating, delivery time and availability.
+ */
+
+import { parsePrice } from './product-matcher.js';
+import { normalizeBrandName, normalizeColorName, normalizeRAMSize, normalizeStorageSize } from './text-normalizer.js';
+
+export const DEFAULT_COMPARISON_PREFERENCES = {
+    priceWeight: 0.4,
+    ratingWeight: 0.3,
+    deliveryWeight: 0.2,
+    availabilityWeight: 0.1,
+};
+
+// Score used for a criterion the listing doesn't expose (neither rewarded nor punished)
+const UNKNOWN_SCORE = 0.5;
+
+const STOCK_SCORES = {
+    in_stock: 1,
+    limited: 0.7,
+    unknown: UNKNOWN_SCORE,
+    out_of_stock: 0,
+};
+
+// Full names and common abbreviations only, so "month" or "fridge" is no weekday
+const WEEKDAYS = [
+    /\bsun(day)?\b/,
+    /\bmon(day)?\b/,
+    /\btue(s(day)?)?\b/,
+    /\bwed(nesday)?\b/,
+    /\bthu(r(s(day)?)?)?\b/,
+    /\bfri(day)?\b/,
+    /\bsat(urday)?\b/,
+];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn comparisonPreferences into weights that sum to 1
+ */
+export function normalizeWeights(preferences = {}) {
+    const prefs = { ...DEFAULT_COMPARISON_PREFERENCES, ...(preferences || {}) };
+    const raw = {
+        price: Number(prefs.priceWeight),
+        rating: Number(prefs.ratingWeight),
+        delivery: Number(prefs.deliveryWeight),
+        availability: Number(prefs.availabilityWeight),
+    };
+    for (const key of Object.keys(raw)) {
+        if (!Number.isFinite(raw[key]) || raw[key] < 0) raw[key] = 0;
+    }
+    const total = Object.values(raw).reduce((sum, w) => sum + w, 0);
+    if (total === 0) return normalizeWeights(DEFAULT_COMPARISON_PREFERENCES);
+    return Object.fromEntries(Object.entries(raw).map(([key, w]) => [key, w / total]));
+}
+
+/**
+ * Numeric price from a product (number or display string), null if unknown
+ */
+export function parseProductPrice(product) {
+    const value = typeof product?.price === 'number' ? product.price : parsePrice(product?.price);
+    return value > 0 ? value : null;
+}
+
+/**
+ * Rating out of 5, null if unknown
+ */
+export function parseProductRating(product) {
+    if (product?.rating === null || product?.rating === undefined || product.rating === '') return null;
+    const match = product.rating.toString().match(/(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return value > 0 && value <= 5 ? value : null;
+}
+
+/**
+ * Days until delivery from listing text such as "FREE delivery Tomorrow",
+ * "Get it by Friday", "Delivery by 24 Oct", "in 2-4 days" or "10 minutes".
+ * @returns {number|null} - Whole days from `now`, null if not understood
+ */
+export function parseDeliveryDays(text, now = new Date()) {
+    if (text === null || text === undefined) return null;
+    if (typeof text === 'number') return text >= 0 ? text : null;
+    const lower = text.toString().toLowerCase();
+    if (!lower.trim()) return null;
+
+    if (/\b(today|same[- ]day|tonight)\b/.test(lower) || /\b\d+\s*(min|mins|minutes|hrs?|hours?)\b/.test(lower)) {
+        return 0;
+    }
+    if (/\b(tomorrow|next[- ]day)\b/.test(lower)) return 1;
+
+    const range = lower.match(/(\d+)\s*(?:-|to)\s*(\d+)\s*(?:business\s+)?days?/);
+    if (range) return parseInt(range[2], 10);
+    const days = lower.match(/(\d+)\s*(?:business\s+)?days?/);
+    if (days) return parseInt(days[1], 10);
+
+    // Explicit date: "24 Oct" / "Oct 24" / "24 October"
+    const dayFirst = lower.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3})[a-z]*\b/);
+    const monthFirst = lower.match(/\b([a-z]{3})[a-z]*\s+(\d{1,2})(?:st|nd|rd|th)?\b/);
+    let day = null;
+    let month = -1;
+    if (dayFirst && MONTHS.includes(dayFirst[2])) {
+        day = parseInt(dayFirst[1], 10);
+        month = MONTHS.indexOf(dayFirst[2]);
+    } else if (monthFirst && MONTHS.includes(monthFirst[1])) {
+        day = parseInt(monthFirst[2], 10);
+        month = MONTHS.indexOf(monthFirst[1]);
+    }
+    if (day !== null && month >= 0) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        let target = new Date(now.getFullYear(), month, day);
+        if (target < today) target = new Date(now.getFullYear() + 1, month, day);
+        return Math.round((target - today) / DAY_MS);
+    }
+
+    // Weekday only: "by Friday"
+    const weekday = WEEKDAYS.findIndex((pattern) => pattern.test(lower));
+    if (weekday >= 0) {
+        const diff = (weekday - now.getDay() + 7) % 7;
+        return diff === 0 ? 7 : diff;
+    }
+    return null;
+}
+
+/**
+ * Stock status from availability text, an inStock flag, or the title
+ * @returns {'in_stock'|'limited'|'out_of_stock'|'unknown'}
+ */
+export function parseStockStatus(product = {}) {
+    if (product.inStock === true) return 'in_stock';
+    if (product.inStock === false) return 'out_of_stock';
+    const text = [product.availability, product.stock, product.stockStatus]
+        .filter((value) => typeof value === 'string')
+        .join(' ')
+        .toLowerCase();
+    const title = (product.title || '').toLowerCase();
+
+    if (/out of stock|sold out|unavailable|not available|notify me|currently unavailable/.test(`${text} ${title}`)) {
+        return 'out_of_stock';
+    }
+    if (/only \d+ left|limited|few left|hurry/.test(text)) return 'limited';
+    if (/in stock|available|add to cart/.test(text)) return 'in_stock';
+    return 'unknown';
+}
+
+/**
+ * Lower-is-better min-max normalisation; unknown values get UNKNOWN_SCORE
+ */
+function inverseRangeScore(value, min, max) {
+    if (value === null) return UNKNOWN_SCORE;
+    if (max === min) return 1;
+    return (max - value) / (max - min);
+}
+
+function bounds(values) {
+    const known = values.filter((v) => v !== null);
+    return known.length ? [Math.min(...known), Math.max(...known)] : [0, 0];
+}
+
+/**
+ * Score and rank products.
+ * @param {Array} products - Listings from one or more platforms
+ * @param {Object} preferences - comparisonPreferences (priceWeight, ratingWeight, deliveryWeight, availabilityWeight)
+ * @returns {{winner, candidates, weights}} - candidates sorted best first, each with
+ *   `score` (0-1) and `scoreBreakdown` per criterion ({ value, score, weight, contribution })
+ */
+export function compareProducts(products = [], preferences = {}) {
+    const weights = normalizeWeights(preferences);
+    if (!Array.isArray(products) || products.length === 0) return { winner: null, candidates: [], weights };
+
+    const now = new Date();
+    const parsed = products.map((product) => ({
+        product,
+        price: parseProductPrice(product),
+        rating: parseProductRating(product),
+        deliveryDays: parseDeliveryDays(product.deliveryDays ?? product.delivery ?? product.eta ?? null, now),
+        stock: parseStockStatus(product),
+    }));
+    const [minPrice, maxPrice] = bounds(parsed.map((p) => p.price));
+    const [minDays, maxDays] = bounds(parsed.map((p) => p.deliveryDays));
+
+    const scored = parsed.map(({ product, price, rating, deliveryDays, stock }) => {
+        const criteria = {
+            price: { value: price, score: inverseRangeScore(price, minPrice, maxPrice) },
+            rating: { value: rating, score: rating === null ? UNKNOWN_SCORE : rating / 5 },
+            delivery: { value: deliveryDays, score: inverseRangeScore(deliveryDays, minDays, maxDays) },
+            availability: { value: stock, score: STOCK_SCORES[stock] },
+        };
+        let score = 0;
+        for (const [key, criterion] of Object.entries(criteria)) {
+            criterion.weight = weights[key];
+            criterion.contribution = criterion.score * weights[key];
+            score += criterion.contribution;
+        }
+        return { ...product, score, scoreBreakdown: criteria };
     });
-    return { winner: sorted[0], candidates: sorted };
+
+    // Stable: ties keep their original (relevance) order
+    const candidates = scored
+        .map((product, index) => ({ product, index }))
+        .sort((a, b) => (b.product.score - a.product.score) || (a.index - b.index))
+        .map(({ product }) => product);
+
+    // Never pick something that can't be bought when an alternative exists
+    const winner = candidates.find((p) => p.scoreBreakdown.availability.value !== 'out_of_stock') || candidates[0];
+    return { winner, candidates, weights };
 }
 
+// Brands recognised in titles, with the aliases listings use for them
+const BRAND_ALIASES = {
+    apple: ['apple', 'iphone', 'ipad', 'macbook'],
+    samsung: ['samsung'],
+    xiaomi: ['xiaomi', 'mi', 'redmi', 'poco'],
+    oneplus: ['oneplus', 'one plus'],
+    google: ['google', 'pixel'],
+    motorola: ['motorola', 'moto'],
+    realme: ['realme'],
+    vivo: ['vivo', 'iqoo'],
+    oppo: ['oppo'],
+    nothing: ['nothing'],
+    nokia: ['nokia'],
+    sony: ['sony'],
+    lg: ['lg'],
+    hp: ['hp'],
+    dell: ['dell'],
+    lenovo: ['lenovo'],
+    asus: ['asus'],
+    acer: ['acer'],
+    boat: ['boat'],
+    jbl: ['jbl'],
+};
+
+const COLOR_WORDS = [
+    'black', 'white', 'blue', 'green', 'red', 'silver', 'gold', 'gray', 'grey', 'graphite', 'purple',
+    'pink', 'yellow', 'orange', 'titanium', 'midnight', 'starlight', 'onyx', 'cream', 'violet',
+    'lavender', 'mint', 'bronze', 'natural', 'beige', 'brown', 'navy', 'teal', 'coral',
+];
+
+// Words that describe the listing rather than the model
+const MODEL_NOISE = new Set([
+    '4g', '5g', 'lte', 'volte', 'ai', 'smartphone', 'mobile', 'phone', 'cellphone', 'with', 'and',
+    'new', 'latest', 'edition', 'unlocked', 'dual', 'sim', 'ram', 'rom', 'storage', 'internal',
+    'expandable', 'the', 'for', 'of',
+]);
+
+const SIZE_PATTERN = /(\d+(?:\.\d+)?)\s*(gb|tb)\b(\s*(?:ram|rom|storage|internal(?: storage)?))?/gi;
+
+/**
+ * GTIN-8/12/13/14 check digit validation
+ */
+function isValidGtin(code) {
+    if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+}
+
+function extractGtin(product) {
+    for (const field of ['gtin', 'gtin13', 'ean', 'upc', 'barcode']) {
+        const code = product[field] && String(product[field]).replace(/\D/g, '');
+        if (code && isValidGtin(code)) return code.padStart(14, '0');
+    }
+    return null;
+}
+
+/**
+ * Amazon ASIN from the product's asin field or its /dp/, /gp/product/ or /gp/aw/d/ link
+ * @returns {string|null} Upper-case ASIN
+ */
+export function extractAsin(product) {
+    if (product.asin && /^[A-Z0-9]{10}$/i.test(product.asin)) return product.asin.toUpperCase();
+    const match = (product.link || product.url || '').match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?=[/?#]|$)/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+function detectBrand(product, title) {
+    if (product.brand) {
+        const brand = normalizeBrandName(product.brand);
+        const canonical = Object.keys(BRAND_ALIASES).find((key) => BRAND_ALIASES[key].includes(brand));
+        return canonical || brand;
+    }
+    for (const [brand, aliases] of Object.entries(BRAND_ALIASES)) {
+        if (aliases.some((alias) => new RegExp(`\\b${alias}\\b`).test(title))) return brand;
+    }
+    return null;
+}
+
+/**
+ * Split "8GB RAM | 128GB" style sizes into RAM and storage
+ */
+function extractSizes(title) {
+    const sizes = [];
+    for (const match of title.matchAll(SIZE_PATTERN)) {
+        const amount = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        sizes.push({
+            gb: unit === 'tb' ? amount * 1024 : amount,
+            text: `${match[1]}${unit}`,
+            label: (match[3] || '').trim().toLowerCase(),
+        });
+    }
+    let ram = sizes.find((size) => size.label === 'ram') || null;
+    let storage = sizes.find((size) => size.label && size.label !== 'ram') || null;
+    const unlabelled = sizes.filter((size) => !size.label).sort((a, b) => b.gb - a.gb);
+    if (!storage && unlabelled.length) storage = unlabelled.shift();
+    if (!ram && unlabelled.length && unlabelled[0].gb <= 32 && unlabelled[0].gb < (storage?.gb ?? Infinity)) {
+        ram = unlabelled.shift();
+    }
+    return {
+        ram: ram ? normalizeRAMSize(ram.text) : null,
+        storage: storage ? normalizeStorageSize(storage.text) : null,
+    };
+}
+
+function extractColor(product, title) {
+    if (product.color) return normalizeColorName(product.color);
+    const found = COLOR_WORDS
+        .map((color) => ({ color, index: title.search(new RegExp(`\\b${color}\\b`)) }))
+        .filter(({ index }) => index >= 0)
+        .sort((a, b) => a.index - b.index)
+        .map(({ color }) => color);
+    return found.length ? normalizeColorName(found.join(' ')) : null;
+}
+
+function extractModel(title, brand) {
+    // The model is in the leading part of the title, before "(variant)" / ", colour" / "| specs"
+    const head = title.split(/\s[-|–]\s|[(,|[]/)[0];
+    const aliases = brand ? BRAND_ALIASES[brand] || [brand] : [];
+    const tokens = head
+        .replace(SIZE_PATTERN, ' ')
+        .replace(/[^a-z0-9+\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .filter((token) => token !== brand && !MODEL_NOISE.has(token) && !COLOR_WORDS.includes(token));
+    // Keep sub-brand aliases that are part of the model name (iphone, pixel, redmi...)
+    const model = tokens.filter((token, i) => i > 0 || !aliases.includes(token) || ['iphone', 'ipad', 'macbook', 'pixel', 'redmi', 'poco', 'moto', 'iqoo'].includes(token));
+    return model.length ? model.slice(0, 5).join(' ') : null;
+}
+
+/**
+ * Identify the SKU a listing refers to
+ * @returns {{brand, model, storage, ram, color, gtin, asin}}
+ */
+export function extractProductIdentity(product = {}) {
+    const title = (product.title || '').toLowerCase();
+    const brand = detectBrand(product, title);
+    const { ram, storage } = extractSizes(title);
+    return {
+        brand,
+        model: extractModel(title, brand),
+        storage: product.storage ? normalizeStorageSize(String(product.storage)) : storage,
+        ram: product.ram ? normalizeRAMSize(String(product.ram)) : ram,
+        color: extractColor(product, title),
+        gtin: extractGtin(product),
+        asin: extractAsin(product),
+    };
+}
+
+const compact = (text) => (text || '').replace(/\s+/g, '');
+
+/**
+ * Whether two identities describe the same SKU. Barcodes decide when both
+ * listings have one; otherwise brand and model must agree and no known
+ * variant (storage, RAM, colour) may conflict.
+ */
+export function isSameProduct(a, b) {
+    if (a.gtin && b.gtin) return a.gtin === b.gtin;
+    if (a.asin && b.asin && a.asin === b.asin) return true;
+    if (!a.model || !b.model || compact(a.model) !== compact(b.model)) return false;
+    if (a.brand && b.brand && a.brand !== b.brand) return false;
+    for (const key of ['storage', 'ram', 'color']) {
+        if (a[key] && b[key] && a[key] !== b[key]) return false;
+    }
+    return true;
+}
+
+function identityKey(identity) {
+    if (identity.gtin) return `gtin:${identity.gtin}`;
+    return [identity.brand, compact(identity.model), identity.storage, identity.ram, identity.color]
+        .map((part) => part || '*')
+        .join('|');
+}
+
+/**
+ * Cluster listings that are the same SKU across platforms.
+ * Each group carries the merged identity, the platforms it was found on and
+ * its items in input order (pass ranked candidates to keep them ranked).
+ * @returns {Array<{group, identity, items, platforms, lowestPrice}>}
+ */
 export function groupSimilarProducts(products = []) {
-    return [{ group: 'all', items: products }];
+    const groups = [];
+    for (const product of products) {
+        const identity = extractProductIdentity(product);
+        const group = groups.find((g) => isSameProduct(g.identity, identity));
+        if (group) {
+            group.items.push(product);
+            // Variants learnt from one listing constrain later matches
+            for (const [key, value] of Object.entries(identity)) {
+                if (!group.identity[key] && value) group.identity[key] = value;
+            }
+        } else {
+            groups.push({ identity: { ...identity }, items: [product] });
+        }
+    }
+    return groups.map((group) => {
+        const prices = group.items.map(parseProductPrice).filter((price) => price !== null);
+        return {
+            group: identityKey(group.identity),
+            identity: group.identity,
+            items: group.items,
+            platforms: [...new Set(group.items.map((item) => item.platform).filter(Boolean))],
+            lowestPrice: prices.length ? Math.min(...prices) : null,
+        };
+    });
+}
+
+const RANK_MARKERS = ['🥇', '🥈', '🥉'];
+const MAX_LISTED_OPTIONS = 5;
+
+function formatPrice(product) {
+    const price = parseProductPrice(product);
+    return price !== null ? `₹${price.toLocaleString('en-IN')}` : 'Price n/a';
+}
+
+function formatBreakdown(breakdown = {}) {
+    const labels = { price: 'price', rating: 'rating', delivery: 'delivery', availability: 'stock' };
+    return Object.entries(labels)
+        .filter(([key]) => breakdown[key])
+        .map(([key, label]) => `${label} ${Math.round(breakdown[key].score * 100)}`)
+        .join(' · ');
+}
+
+function formatDelivery(days) {
+    if (days === null || days === undefined) return null;
+    if (days === 0) return 'Today';
+    return days === 1 ? 'Tomorrow' : `${days} days`;
 }
 
+/**
+ * Render a comparison as the markdown-like text the side panel's comparison card parses
+ */
 export function formatComparisonResult(result = {}) {
-    return result;
+    const { winner, ranked = result.candidates || [], platforms = {} } = result;
+    if (!winner) return '❌ No products found on any platform.';
+
+    const lines = [
+        `**Best Deal: ${String(winner.platform || 'unknown').toUpperCase()}**`,
+        `💰 **${formatPrice(winner)}** - ${winner.title || 'Untitled product'}`,
+    ];
+    const breakdown = winner.scoreBreakdown;
+    if (breakdown?.rating?.value) lines.push(`⭐ ${breakdown.rating.value}`);
+    const delivery = formatDelivery(breakdown?.delivery?.value);
+    if (delivery) lines.push(`🚚 ${delivery}`);
+    if (breakdown?.availability?.value === 'in_stock') lines.push('✅ In stock');
+    if (breakdown) lines.push(`🎯 Score ${Math.round(winner.score * 100)}/100 (${formatBreakdown(breakdown)})`);
+    const sameItem = (result.groups || []).find((group) => group.items.includes(winner));
+    if (sameItem && sameItem.platforms.length > 1) {
+        const offers = sameItem.items.map((item) => `${String(item.platform).toUpperCase()} ${formatPrice(item)}`);
+        lines.push(`💵 Same item: ${offers.join(' · ')}`);
+    }
+    lines.push('---', '**All Options:**');
+    ranked.slice(0, MAX_LISTED_OPTIONS).forEach((product, index) => {
+        const marker = RANK_MARKERS[index] || '▪️';
+        const score = typeof product.score === 'number' ? ` - ${Math.round(product.score * 100)}/100` : '';
+        lines.push(`${marker} ${String(product.platform || '').toUpperCase()} - ${formatPrice(product)}${score} - ${(product.title || '').substring(0, 60)}`);
+    });
+
+    const failed = Object.entries(platforms).filter(([, info]) => info.status !== 'completed');
+    for (const [name, info] of failed) {
+        lines.push(`⚠️ ${name}: ${info.status === 'timeout' ? 'timed out' : info.error || info.status}`);
+    }
+    return lines.join('\n');
 }
 
 
@@ -129,7 +129,12 @@ export function isOutOfStock(element, platform = 'generic') {
             const stockEl = element.querySelector('[class*="out-of-stock"], [class*="sold-out"], [class*="unavailable"]');
             if (stockEl) return true;
         }
-        
+
+        if (platform === 'bigbasket' || platform === 'blinkit' || platform === 'zepto') {
+            const stockEl = element.querySelector('[class*="OutOfStock"], [class*="out-of-stock"], [class*="SoldOut"], [data-testid*="out-of-stock"]');
+            if (stockEl) return true;
+        }
+
         // Check for disabled add-to-cart buttons
         const addToCartBtn = element.querySelector('button[class*="add"], button[class*="cart"], button[class*="buy"]');
         if (addToCartBtn && (addToCartBtn.disabled || addToCartBtn.classList.contains('disabled'))) {
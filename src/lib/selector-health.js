@@ -0,0 +1,160 @@
+/**
+ * Selector health
+ * Counts what a platform's result selectors match on a search page. The drift
+ * harness (tests/regression/selector-drift.test.js) runs it against the saved
+ * fixtures; on live pages the message router runs it after every
+ * GET_SEARCH_RESULTS and warns when a selector that used to match finds nothing.
+ */
+
+import { logger } from './logger.js';
+
+export const SELECTOR_HEALTH_STORAGE_KEY = 'selectorHealth';
+
+// Fields looked up inside each result card, when the platform has a selector for them
+export const PROBED_FIELDS = ['title', 'price', 'link', 'rating', 'image'];
+
+// Consecutive empty probes before a selector is reported, so one empty search isn't drift
+export const DRIFT_MISS_THRESHOLD = 2;
+
+function selectorList(selector) {
+    return (Array.isArray(selector) ? selector : [selector]).filter(Boolean);
+}
+
+/**
+ * querySelectorAll that returns [] for selectors the page's engine rejects (e.g. :has())
+ */
+function queryAll(root, selector) {
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch (e) {
+        return [];
+    }
+}
+
+function cardHas(card, selectors) {
+    return selectors.some((selector) => {
+        try {
+            // Some cards are the link themselves (Blinkit, Zepto)
+            if (card.matches(selector)) return true;
+        } catch (e) {
+            return false;
+        }
+        return queryAll(card, selector).length > 0;
+    });
+}
+
+/**
+ * Match counts for a platform's result selectors
+ * @param {Object} results - The platform's selectors.results ({ container, title, price, ... })
+ * @param {ParentNode} root - Document or element to search
+ * @returns {Object} { container, title, price, ... } — container counts the cards the
+ *   first matching container selector finds; each field counts the cards it matches in
+ */
+export function probeResultSelectors(results = {}, root = document) {
+    let cards = [];
+    for (const selector of selectorList(results.container)) {
+        cards = queryAll(root, selector);
+        if (cards.length > 0) break;
+    }
+
+    const counts = { container: cards.length };
+    for (const field of PROBED_FIELDS) {
+        const selectors = selectorList(results[field]);
+        if (selectors.length === 0) continue;
+        counts[field] = cards.filter((card) => cardHas(card, selectors)).length;
+    }
+    return counts;
+}
+
+/**
+ * Remembers, per platform and field, when its selector last matched. Stored in
+ * chrome.storage.local so every tab of a platform adds to the same history.
+ */
+export class SelectorHealthMonitor {
+    constructor() {
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get([SELECTOR_HEALTH_STORAGE_KEY]);
+            return stored?.[SELECTOR_HEALTH_STORAGE_KEY] || {};
+        } catch (error) {
+            logger.warn('Failed to load selector health', { error: error?.message });
+            return {};
+        }
+    }
+
+    /**
+     * Health history for one platform, or all of them
+     * @param {string} [platform]
+     */
+    async getReport(platform = null) {
+        const state = await this.load();
+        return platform ? state[platform] || {} : state;
+    }
+
+    /**
+     * Record one probe of a live page
+     * @param {string} platform
+     * @param {Object} results - The platform's selectors.results
+     * @param {Object} counts - From probeResultSelectors()
+     * @param {Object} [context] - { url } of the page, for the report
+     * @returns {Promise<Array>} Selectors that drifted on this probe
+     */
+    record(platform, results, counts, context = {}) {
+        const pending = this.writeQueue.then(async () => {
+            const state = await this.load();
+            const entry = state[platform] || {};
+            const drifted = [];
+            const now = Date.now();
+
+            for (const [field, count] of Object.entries(counts)) {
+                const selector = selectorList(results[field]).join(', ');
+                // A changed selector starts a fresh history
+                const previous = entry[field]?.selector === selector ? entry[field] : { selector, lastMatchedAt: null, misses: 0 };
+
+                if (count > 0) {
+                    entry[field] = { selector, lastMatchedAt: now, lastCount: count, misses: 0 };
+                    continue;
+                }
+                // Without cards there's nothing to look for fields in
+                if (field !== 'container' && counts.container === 0) continue;
+
+                const misses = previous.misses + 1;
+                entry[field] = { ...previous, misses };
+                if (previous.lastMatchedAt && misses === DRIFT_MISS_THRESHOLD) {
+                    drifted.push({ field, selector, lastCount: previous.lastCount, lastMatchedAt: previous.lastMatchedAt });
+                }
+            }
+
+            state[platform] = entry;
+            await chrome.storage.local.set({ [SELECTOR_HEALTH_STORAGE_KEY]: state });
+
+            if (drifted.length > 0) {
+                logger.warn(`Selector drift on ${platform}: ${drifted.map((d) => d.field).join(', ')} matched nothing`, {
+                    platform,
+                    url: context.url || null,
+                    drifted,
+                });
+            }
+            return drifted;
+        });
+        this.writeQueue = pending.catch((error) => logger.warn('Failed to record selector health', { error: error?.message }));
+        return pending;
+    }
+
+    /**
+     * Probe the current page and record the result
+     * @param {EcommercePlatform} platform
+     * @returns {Promise<Array>} Selectors that drifted on this probe
+     */
+    async check(platform, root = document) {
+        const results = platform.selectors?.results;
+        if (!results?.container) return [];
+        const counts = probeResultSelectors(results, root);
+        return this.record(platform.name, results, counts, { url: globalThis.location?.href });
+    }
+}
+
+export const selectorHealth = new SelectorHealthMonitor();
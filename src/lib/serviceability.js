@@ -0,0 +1,61 @@
+/**
+ * Delivery-location (pincode) gating for quick-commerce and grocery platforms.
+ * These sites show catalogue and prices only for a delivery location, so the
+ * service worker sets one before searching and skips platforms that don't
+ * deliver there.
+ */
+
+// Platforms whose catalogue depends on the delivery pincode
+export const LOCATION_GATED_PLATFORMS = ['bigbasket', 'blinkit', 'zepto', 'jiomart'];
+
+// Page text that means the location can't be served
+export const UNSERVICEABLE_PATTERNS = [
+    /not\s+serviceable/i,
+    /unserviceable/i,
+    /(?:don'?t|do not|does not|doesn'?t|can'?t|cannot)\s+(?:yet\s+)?deliver\s+(?:to|here|in)/i,
+    /not\s+deliver(?:ing)?\s+(?:to|here|in)/i,
+    /(?:currently\s+)?unavailable\s+(?:at|in)\s+(?:your|this)\s+(?:location|area)/i,
+    /coming\s+soon\s+to\s+your\s+(?:area|location|city)/i,
+    /out\s+of\s+(?:our\s+)?delivery\s+(?:area|zone)/i,
+    /no\s+stores?\s+(?:near|around)\s+(?:you|your)/i,
+];
+
+export function isLocationGated(platform) {
+    return LOCATION_GATED_PLATFORMS.includes(platform);
+}
+
+/**
+ * Six-digit Indian pincode from free text ("Koramangala 560034", "560 034"), or null
+ */
+export function normalizePincode(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).match(/\b(\d{3})\s?(\d{3})\b/);
+    if (!match) return null;
+    const pincode = `${match[1]}${match[2]}`;
+    return /^[1-9]/.test(pincode) ? pincode : null;
+}
+
+/**
+ * First unserviceable phrase found in page text, or null
+ * @param {string} text
+ * @param {RegExp[]} extraPatterns - Platform-specific phrases
+ */
+export function detectUnserviceable(text, extraPatterns = []) {
+    if (!text) return null;
+    for (const pattern of [...extraPatterns, ...UNSERVICEABLE_PATTERNS]) {
+        const match = String(text).match(pattern);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Pincode to use for a run: one named in the query wins over the default address
+ * @param {Object} intent - Parsed intent (delivery_location may hold a pincode)
+ * @param {Object|null} defaultAddress - Address from addressManager
+ */
+export function resolveRunPincode(intent = {}, defaultAddress = null) {
+    return normalizePincode(intent?.delivery_location)
+        || normalizePincode(defaultAddress?.zipCode)
+        || null;
+}
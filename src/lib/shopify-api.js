@@ -0,0 +1,199 @@
+/**
+ * Shopify storefront API client
+ * Every Shopify store serves the same public JSON endpoints, so search,
+ * variants, stock and add-to-cart don't depend on the store's theme markup:
+ *   /search/suggest.json  - predictive search
+ *   /products.json        - paged catalogue (fallback search)
+ *   /products/<handle>.js - one product with variants, prices in cents
+ *   /cart/add.js          - add a variant to the visitor's cart
+ */
+
+import { logger } from './logger.js';
+
+export const SUGGEST_LIMIT = 10;
+export const CATALOGUE_PAGE_SIZE = 250;
+
+/**
+ * Store hostname from a URL or bare domain ("https://shop.example.com/x" -> "shop.example.com")
+ * @returns {string|null}
+ */
+export function normalizeStoreDomain(input) {
+    if (!input || typeof input !== 'string') return null;
+    const trimmed = input.trim().toLowerCase();
+    try {
+        const url = new URL(/^https?:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+        if (!url.hostname.includes('.') || url.hostname.endsWith('.')) return null;
+        return url.hostname;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Content-script match pattern for an opted-in store
+ */
+export function storeMatchPattern(domain) {
+    return `https://${domain}/*`;
+}
+
+function toPrice(value, inCents) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.]/g, ''));
+    if (!Number.isFinite(number)) return null;
+    return inCents ? number / 100 : number;
+}
+
+/**
+ * Map a storefront product (any of the three JSON shapes) to the extension's product shape
+ * @param {string} origin - Store origin, e.g. "https://shop.example.com"
+ * @param {Object} raw - Product from suggest.json, products.json or products/<handle>.js
+ * @param {Object} options - { inCents } (true for products/<handle>.js)
+ */
+export function mapProduct(origin, raw, { inCents = false } = {}) {
+    const variants = (raw.variants || []).map((v) => ({
+        id: v.id,
+        title: v.title,
+        price: toPrice(v.price, inCents),
+        compareAtPrice: toPrice(v.compare_at_price, inCents),
+        available: v.available !== false,
+        options: [v.option1, v.option2, v.option3].filter((o) => o && o !== 'Default Title'),
+        sku: v.sku || null,
+    }));
+    const available = variants.length ? variants.some((v) => v.available) : raw.available !== false;
+    const prices = variants.filter((v) => v.available && v.price !== null).map((v) => v.price);
+    let priceNumeric = toPrice(raw.price ?? raw.price_min, inCents);
+    if (prices.length) priceNumeric = Math.min(...prices);
+    else if (variants.length) priceNumeric = variants[0].price;
+    const path = raw.url || `/products/${raw.handle}`;
+    let image = raw.featured_image?.url || raw.featured_image || raw.image || raw.images?.[0]?.src || raw.images?.[0] || '';
+    if (typeof image !== 'string') image = '';
+    if (image.startsWith('//')) image = `https:${image}`;
+
+    return {
+        id: raw.id,
+        handle: raw.handle,
+        title: raw.title,
+        vendor: raw.vendor || null,
+        price: priceNumeric !== null ? priceNumeric.toFixed(2) : '',
+        priceNumeric,
+        link: new URL(path.split('?')[0], origin).href,
+        image,
+        available,
+        variants,
+        platform: 'shopify',
+        store: new URL(origin).hostname,
+    };
+}
+
+/**
+ * Variant to buy: the requested id, else the first available one whose options
+ * match every wanted option, else the first available
+ * @param {Object} product - mapProduct() result
+ * @param {Object} want - { variantId, options: ["M", "Blue"] }
+ */
+export function pickVariant(product, { variantId = null, options = [] } = {}) {
+    const variants = product?.variants || [];
+    if (variantId) {
+        const exact = variants.find((v) => String(v.id) === String(variantId));
+        if (exact) return exact;
+    }
+    const wanted = options.map((o) => String(o).toLowerCase());
+    const available = variants.filter((v) => v.available);
+    const matching = wanted.length
+        ? available.find((v) => wanted.every((w) => v.options.some((o) => o.toLowerCase() === w)))
+        : null;
+    return matching || available[0] || null;
+}
+
+function tokens(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter((t) => t.length > 1);
+}
+
+export class ShopifyStorefront {
+    /**
+     * @param {string} origin - Store origin; '' for same-origin requests from a content script
+     * @param {Function} fetchImpl - fetch implementation (injectable for tests)
+     */
+    constructor(origin = '', fetchImpl = (...args) => fetch(...args)) {
+        this.origin = origin.replace(/\/$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    get baseUrl() {
+        return this.origin || (typeof window !== 'undefined' ? window.location.origin : '');
+    }
+
+    async getJSON(path) {
+        const response = await this.fetch(`${this.origin}${path}`, {
+            headers: { Accept: 'application/json' },
+            credentials: 'same-origin',
+        });
+        if (!response.ok) throw new Error(`shopify_http_${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * True when the origin answers like a Shopify storefront
+     */
+    async isShopifyStore() {
+        try {
+            const data = await this.getJSON('/products.json?limit=1');
+            return Array.isArray(data?.products);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Search products via predictive search, falling back to filtering the
+     * catalogue on stores with search suggestions turned off
+     * @returns {Promise<Object[]>} mapProduct() results
+     */
+    async search(query, { limit = SUGGEST_LIMIT } = {}) {
+        const q = encodeURIComponent(query);
+        try {
+            const data = await this.getJSON(`/search/suggest.json?q=${q}&resources[type]=product&resources[limit]=${limit}`);
+            const products = data?.resources?.results?.products || [];
+            if (products.length) return products.map((p) => mapProduct(this.baseUrl, p));
+        } catch (error) {
+            logger.info('Shopify: suggest.json unavailable, filtering catalogue', { error: error.message });
+        }
+
+        const wanted = tokens(query);
+        const data = await this.getJSON(`/products.json?limit=${CATALOGUE_PAGE_SIZE}`);
+        return (data?.products || [])
+            .map((p) => ({ p, hits: wanted.filter((t) => `${p.title} ${p.product_type} ${[].concat(p.tags || []).join(' ')}`.toLowerCase().includes(t)).length }))
+            .filter(({ hits }) => hits > 0)
+            .sort((a, b) => b.hits - a.hits)
+            .slice(0, limit)
+            .map(({ p }) => mapProduct(this.baseUrl, p));
+    }
+
+    /**
+     * Full product with variants and stock
+     */
+    async getProduct(handle) {
+        const data = await this.getJSON(`/products/${encodeURIComponent(handle)}.js`);
+        return mapProduct(this.baseUrl, data, { inCents: true });
+    }
+
+    /**
+     * Add a variant to the cart
+     * @returns {Promise<Object>} { success, quantity, variantId, error }
+     */
+    async addToCart(variantId, quantity = 1) {
+        const response = await this.fetch(`${this.origin}/cart/add.js`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ items: [{ id: Number(variantId), quantity }] }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            // 422 carries the store's reason, e.g. "All 2 Blue T-shirt are in your cart." or sold out
+            return { success: false, variantId, quantity: 0, error: data.description || data.message || `shopify_http_${response.status}` };
+        }
+        const added = data.items?.[0] || data;
+        return { success: true, variantId, quantity: added.quantity ?? quantity, error: null };
+    }
+}
@@ -113,6 +113,28 @@ export function normalizeBrandName(text) {
     return normalized;
 }
 
+// Base colour words used by listings; shades ("onyx", "midnight") are kept as-is
+const COLOR_SYNONYMS = {
+    grey: 'gray',
+    'space grey': 'space gray',
+    graphite: 'gray',
+};
+
+/**
+ * Normalize colour name
+ * Handles variations like "Space Grey", "space-gray", "BLACK"
+ * @param {string} text - Colour text
+ * @returns {string} - Normalized colour (e.g., "space gray")
+ */
+export function normalizeColorName(text) {
+    if (!text) return '';
+
+    let normalized = text.toLowerCase().trim();
+    normalized = normalized.replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (COLOR_SYNONYMS[normalized]) return COLOR_SYNONYMS[normalized];
+    return normalized.split(' ').map(word => COLOR_SYNONYMS[word] || word).join(' ');
+}
+
 /**
  * Normalize price text
  * Handles variations like "₹15,499", "Rs. 15499", "$15.99"
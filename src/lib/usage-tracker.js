@@ -0,0 +1,248 @@
+/**
+ * Token and cost accounting for LLM calls.
+ * Every generate() call is recorded against its run, analysis mode and model.
+ * Daily totals are persisted so the per-day budget survives worker restarts;
+ * per-run totals live on the run (run.usage) and are re-seeded on restore.
+ */
+
+import { logger } from './logger.js';
+import { configManager } from './config.js';
+import { BudgetExceededError } from './error-handler.js';
+
+export const USAGE_STORAGE_KEY = 'llmUsage';
+
+// USD per 1M tokens [input, output]. Matched by longest model-name prefix.
+export const MODEL_PRICING = {
+    'gemini-2.0-flash': [0.10, 0.40],
+    'gemini-1.5-flash': [0.075, 0.30],
+    'gemini-1.5-pro': [1.25, 5.00],
+    'gemini-pro': [0.50, 1.50],
+    'gpt-4o-mini': [0.15, 0.60],
+    'gpt-4o': [2.50, 10.00],
+    'gpt-4.1-mini': [0.40, 1.60],
+    'gpt-4.1': [2.00, 8.00],
+    'claude-3-5-haiku': [0.80, 4.00],
+    'claude-3-5-sonnet': [3.00, 15.00],
+    'claude-3-haiku': [0.25, 1.25],
+    'claude-3-opus': [15.00, 75.00],
+};
+
+/**
+ * Rough token estimate for providers that don't report usage (~4 chars per token)
+ */
+export function estimateTokens(text = '') {
+    return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+/**
+ * Cost of a call in USD; 0 for local models, null when the model isn't priced
+ */
+export function estimateCost(provider, model, promptTokens, completionTokens) {
+    if (provider === 'local') return 0;
+    const name = String(model || '').replace(/^models\//, '');
+    const prefix = Object.keys(MODEL_PRICING)
+        .filter((p) => name.startsWith(p))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) return null;
+    const [input, output] = MODEL_PRICING[prefix];
+    return (promptTokens * input + completionTokens * output) / 1e6;
+}
+
+export function createUsageBucket() {
+    return {
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        costUsd: 0,
+        estimatedCalls: 0,
+        byMode: {},
+        byModel: {},
+    };
+}
+
+function addToBucket(bucket, entry) {
+    const tokens = entry.promptTokens + entry.completionTokens;
+    const cost = entry.costUsd || 0;
+    bucket.calls += 1;
+    bucket.promptTokens += entry.promptTokens;
+    bucket.completionTokens += entry.completionTokens;
+    bucket.totalTokens += tokens;
+    bucket.costUsd += cost;
+    if (entry.estimated) bucket.estimatedCalls += 1;
+    for (const [group, key] of [['byMode', entry.mode], ['byModel', `${entry.provider}:${entry.model || 'default'}`]]) {
+        const slot = bucket[group][key] || (bucket[group][key] = { calls: 0, totalTokens: 0, costUsd: 0 });
+        slot.calls += 1;
+        slot.totalTokens += tokens;
+        slot.costUsd += cost;
+    }
+}
+
+function todayKey() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+export class UsageTracker {
+    constructor() {
+        this.runs = new Map(); // runId -> usage bucket
+        this.daily = { date: todayKey(), ...createUsageBucket() };
+        this.loaded = false;
+        this.listener = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Called with (entry, runUsage) after every recorded call
+     */
+    setListener(fn) {
+        this.listener = fn;
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get([USAGE_STORAGE_KEY]);
+            const daily = stored?.[USAGE_STORAGE_KEY];
+            if (daily?.date === todayKey()) {
+                this.daily = { ...createUsageBucket(), ...daily };
+            }
+            this.loaded = true;
+        } catch (error) {
+            logger.warn('Failed to load LLM usage', { error: error?.message });
+        }
+        return this.daily;
+    }
+
+    rollDay() {
+        const today = todayKey();
+        if (this.daily.date !== today) {
+            this.daily = { date: today, ...createUsageBucket() };
+        }
+    }
+
+    /**
+     * Seed a run's totals after a worker restart
+     */
+    restoreRun(runId, usage) {
+        if (runId && usage && !this.runs.has(runId)) {
+            this.runs.set(runId, { ...createUsageBucket(), ...usage });
+        }
+    }
+
+    getRunUsage(runId) {
+        return (runId && this.runs.get(runId)) || null;
+    }
+
+    getDailyUsage() {
+        this.rollDay();
+        return this.daily;
+    }
+
+    clearRun(runId) {
+        this.runs.delete(runId);
+    }
+
+    /**
+     * Record one completed LLM call
+     * @param {Object} call - { runId, mode, provider, model, promptTokens, completionTokens, estimated }
+     * @returns {Promise<Object>} The recorded entry (with costUsd)
+     */
+    async record({ runId = null, mode = 'GENERAL', provider, model = null, promptTokens = 0, completionTokens = 0, estimated = false }) {
+        if (!this.loaded) await this.load();
+        this.rollDay();
+        const entry = {
+            runId,
+            mode,
+            provider,
+            model,
+            promptTokens,
+            completionTokens,
+            estimated,
+            costUsd: estimateCost(provider, model, promptTokens, completionTokens),
+            at: Date.now(),
+        };
+        addToBucket(this.daily, entry);
+        let runUsage = null;
+        if (runId) {
+            runUsage = this.runs.get(runId) || createUsageBucket();
+            addToBucket(runUsage, entry);
+            this.runs.set(runId, runUsage);
+        }
+        logger.debug('LLM usage recorded', {
+            runId,
+            mode,
+            model,
+            tokens: promptTokens + completionTokens,
+            estimated,
+        });
+        await this.persist();
+        try {
+            this.listener?.(entry, runUsage);
+        } catch (error) {
+            logger.warn('Usage listener failed', { error: error?.message });
+        }
+        return entry;
+    }
+
+    persist() {
+        this.writeQueue = this.writeQueue
+            .then(() => chrome.storage.local.set({ [USAGE_STORAGE_KEY]: this.daily }))
+            .catch((error) => logger.warn('Failed to persist LLM usage', { error: error?.message }));
+        return this.writeQueue;
+    }
+
+    /**
+     * Throw BudgetExceededError when the run or today's usage has reached its limit.
+     * Limits come from the `llmBudget` config; null/0 means unlimited.
+     * @param {string|null} runId
+     * @param {Object} [budget] - Overrides the configured budget
+     */
+    async checkBudget(runId, budget = null) {
+        if (!this.loaded) await this.load();
+        this.rollDay();
+        let limits = budget;
+        if (!limits) {
+            await configManager.load();
+            limits = configManager.get('llmBudget', {}) || {};
+        }
+        const runUsage = this.getRunUsage(runId);
+        const checks = [
+            ['run', 'tokens', limits.maxTokensPerRun, runUsage?.totalTokens],
+            ['run', 'cost', limits.maxCostPerRunUsd, runUsage?.costUsd],
+            ['day', 'tokens', limits.maxTokensPerDay, this.daily.totalTokens],
+            ['day', 'cost', limits.maxCostPerDayUsd, this.daily.costUsd],
+        ];
+        for (const [scope, metric, limit, used = 0] of checks) {
+            if (limit > 0 && used >= limit) {
+                throw new BudgetExceededError(scope, metric, limit, used);
+            }
+        }
+    }
+
+    /**
+     * Compact view for the side panel
+     */
+    summary(runIds = []) {
+        const today = this.getDailyUsage();
+        const runs = {};
+        for (const id of runIds) {
+            const usage = this.getRunUsage(id);
+            if (usage) runs[id] = { calls: usage.calls, totalTokens: usage.totalTokens, costUsd: usage.costUsd };
+        }
+        return {
+            today: {
+                date: today.date,
+                calls: today.calls,
+                promptTokens: today.promptTokens,
+                completionTokens: today.completionTokens,
+                totalTokens: today.totalTokens,
+                costUsd: today.costUsd,
+                estimatedCalls: today.estimatedCalls,
+                byMode: today.byMode,
+                byModel: today.byModel,
+            },
+            runs,
+        };
+    }
+}
+
+export const usageTracker = new UsageTracker();
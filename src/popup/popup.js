@@ -9,11 +9,28 @@ document.addEventListener('DOMContentLoaded', () => {
   const apiKeyInput = document.getElementById('api-key');
   const openaiKeyInput = document.getElementById('openai-api-key');
   const anthropicKeyInput = document.getElementById('anthropic-api-key');
+  const localUrlInput = document.getElementById('local-llm-url');
+  const localModelInput = document.getElementById('local-llm-model');
+  const localKeyInput = document.getElementById('local-llm-key');
   const phoneNumberInput = document.getElementById('phone-number');
   const saveSettingsBtn = document.getElementById('save-settings');
   const checkModelsBtn = document.getElementById('check-models');
   const closeSettingsBtn = document.getElementById('close-settings');
   const loginPlatformsBtn = document.getElementById('login-platforms-btn');
+  const runsPanel = document.getElementById('runs-panel');
+  const runsList = document.getElementById('runs-list');
+  const usageSummary = document.getElementById('usage-summary');
+  const shopifyStoresInput = document.getElementById('shopify-stores');
+  const platformPacksList = document.getElementById('platform-packs-list');
+  const platformPackFile = document.getElementById('platform-pack-file');
+  const platformPackStatus = document.getElementById('platform-pack-status');
+  const installPlatformPackBtn = document.getElementById('install-platform-pack');
+  const budgetInputs = {
+    maxTokensPerRun: document.getElementById('budget-run-tokens'),
+    maxTokensPerDay: document.getElementById('budget-day-tokens'),
+    maxCostPerRunUsd: document.getElementById('budget-run-cost'),
+    maxCostPerDayUsd: document.getElementById('budget-day-cost'),
+  };
   
   // Comparison preference sliders
   const priceWeightSlider = document.getElementById('price-weight');
@@ -38,7 +55,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Load settings
   if (chrome && chrome.storage && chrome.storage.local) {
-    chrome.storage.local.get(['geminiApiKey', 'openaiApiKey', 'anthropicApiKey', 'llmProvider', 'phoneNumber', 'loggedInPlatforms', 'enabledPlatforms', 'retailAgentConfig'], (result) => {
+    chrome.storage.local.get(['geminiApiKey', 'openaiApiKey', 'anthropicApiKey', 'localLlmBaseUrl', 'localLlmModel', 'localLlmApiKey', 'llmProvider', 'phoneNumber', 'loggedInPlatforms', 'enabledPlatforms', 'retailAgentConfig'], (result) => {
       if (result.geminiApiKey && apiKeyInput) {
         apiKeyInput.value = result.geminiApiKey;
       }
@@ -48,13 +65,22 @@ document.addEventListener('DOMContentLoaded', () => {
       if (result.anthropicApiKey && anthropicKeyInput) {
         anthropicKeyInput.value = result.anthropicApiKey;
       }
+      if (result.localLlmBaseUrl && localUrlInput) {
+        localUrlInput.value = result.localLlmBaseUrl;
+      }
+      if (result.localLlmModel && localModelInput) {
+        localModelInput.value = result.localLlmModel;
+      }
+      if (result.localLlmApiKey && localKeyInput) {
+        localKeyInput.value = result.localLlmApiKey;
+      }
       if (result.llmProvider && providerSelect) {
         providerSelect.value = result.llmProvider;
       } else if (providerSelect) {
         providerSelect.value = 'auto';
       }
-      if (!result.geminiApiKey && !result.openaiApiKey && !result.anthropicApiKey) {
-        appendMessage('system', 'Please set your API Key (Gemini/OpenAI/Anthropic) in settings first.');
+      if (!result.geminiApiKey && !result.openaiApiKey && !result.anthropicApiKey && !result.localLlmBaseUrl) {
+        appendMessage('system', 'Please set your API Key (Gemini/OpenAI/Anthropic) or a local model endpoint in settings first.');
         settingsModal.classList.remove('hidden');
       }
       
@@ -66,23 +92,31 @@ document.addEventListener('DOMContentLoaded', () => {
       if (result.retailAgentConfig && result.retailAgentConfig.comparisonPreferences) {
         const prefs = result.retailAgentConfig.comparisonPreferences;
         if (priceWeightSlider && priceWeightValue) {
-          priceWeightSlider.value = (prefs.priceWeight * 100) || 40;
+          priceWeightSlider.value = Number.isFinite(prefs.priceWeight) ? Math.round(prefs.priceWeight * 100) : 40;
           priceWeightValue.textContent = `${priceWeightSlider.value}%`;
         }
         if (ratingWeightSlider && ratingWeightValue) {
-          ratingWeightSlider.value = (prefs.ratingWeight * 100) || 30;
+          ratingWeightSlider.value = Number.isFinite(prefs.ratingWeight) ? Math.round(prefs.ratingWeight * 100) : 30;
           ratingWeightValue.textContent = `${ratingWeightSlider.value}%`;
         }
         if (deliveryWeightSlider && deliveryWeightValue) {
-          deliveryWeightSlider.value = (prefs.deliveryWeight * 100) || 20;
+          deliveryWeightSlider.value = Number.isFinite(prefs.deliveryWeight) ? Math.round(prefs.deliveryWeight * 100) : 20;
           deliveryWeightValue.textContent = `${deliveryWeightSlider.value}%`;
         }
         if (availabilityWeightSlider && availabilityWeightValue) {
-          availabilityWeightSlider.value = (prefs.availabilityWeight * 100) || 10;
+          availabilityWeightSlider.value = Number.isFinite(prefs.availabilityWeight) ? Math.round(prefs.availabilityWeight * 100) : 10;
           availabilityWeightValue.textContent = `${availabilityWeightSlider.value}%`;
         }
       }
       
+      // Load LLM budget
+      const budget = result.retailAgentConfig?.llmBudget || {};
+      Object.entries(budgetInputs).forEach(([key, input]) => {
+        if (input && Number.isFinite(budget[key]) && budget[key] > 0) {
+          input.value = budget[key];
+        }
+      });
+      
       // Load platform login status
       const loggedInPlatforms = result.loggedInPlatforms || [];
       const enabledPlatforms = result.enabledPlatforms || [];
@@ -120,16 +154,23 @@ document.addEventListener('DOMContentLoaded', () => {
       key = anthropicKeyInput.value.trim();
     } else if (provider === 'gemini') {
       key = apiKeyInput.value.trim();
+    } else if (provider === 'local') {
+      key = localKeyInput?.value.trim() || '';
     }
+    const baseUrl = localUrlInput?.value.trim() || '';
 
-    if (provider !== 'auto' && !key) {
+    if (provider === 'local' && !baseUrl) {
+      appendMessage('system', 'Enter the local model endpoint URL first');
+      return;
+    }
+    if (provider !== 'auto' && provider !== 'local' && !key) {
       appendMessage('system', `Enter ${provider} API Key first`);
       return;
     }
 
     if (chrome && chrome.runtime && chrome.runtime.sendMessage) {
       appendMessage('system', provider === 'auto' ? 'Checking best available models...' : `Checking ${provider} models...`);
-      chrome.runtime.sendMessage({ type: 'CHECK_MODELS', provider, apiKey: key }, (response) => {
+      chrome.runtime.sendMessage({ type: 'CHECK_MODELS', provider, apiKey: key, baseUrl }, (response) => {
         if (chrome.runtime.lastError) {
           appendMessage('system', 'Runtime Error: ' + chrome.runtime.lastError.message);
         } else if (response && response.error) {
@@ -202,6 +243,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
   settingsBtn?.addEventListener('click', () => {
     settingsModal.classList.remove('hidden');
+    loadShopifyStores();
+    loadPlatformPacks();
   });
 
   closeSettingsBtn?.addEventListener('click', () => {
@@ -238,7 +281,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const geminiKey = apiKeyInput.value.trim();
     const openaiKey = openaiKeyInput.value.trim();
     const anthropicKey = anthropicKeyInput.value.trim();
+    const localUrl = localUrlInput?.value.trim() || '';
+    const localModel = localModelInput?.value.trim() || '';
+    const localKey = localKeyInput?.value.trim() || '';
     const phone = phoneNumberInput.value.trim();
+
+    // Non-localhost endpoints need a host permission; request it while we still have the click gesture
+    requestLocalEndpointAccess(localUrl);
+    saveShopifyStores();
     
     // Gather enabled platforms from checkboxes
     const selectedPlatforms = [];
@@ -253,6 +303,10 @@ document.addEventListener('DOMContentLoaded', () => {
     if (geminiKey) updates.geminiApiKey = geminiKey;
     if (openaiKey) updates.openaiApiKey = openaiKey;
     if (anthropicKey) updates.anthropicApiKey = anthropicKey;
+    // Local endpoint fields are saved even when empty so they can be cleared
+    updates.localLlmBaseUrl = localUrl;
+    updates.localLlmModel = localModel;
+    updates.localLlmApiKey = localKey;
     updates.llmProvider = provider;
     if (phone) {
       updates.phoneNumber = phone;
@@ -272,6 +326,13 @@ document.addEventListener('DOMContentLoaded', () => {
         deliveryWeight: deliveryVal,
         availabilityWeight: availabilityVal
       };
+
+      // Empty or non-positive budget fields mean unlimited
+      config.llmBudget = {};
+      Object.entries(budgetInputs).forEach(([key, input]) => {
+        const value = parseFloat(input?.value);
+        config.llmBudget[key] = Number.isFinite(value) && value > 0 ? value : null;
+      });
       
       updates.retailAgentConfig = config;
       updates.enabledPlatforms = selectedPlatforms;
@@ -382,6 +443,175 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  function requestLocalEndpointAccess(baseUrl) {
+    if (!baseUrl || !chrome.permissions?.request) return;
+    let origin;
+    try {
+      origin = new URL(baseUrl).origin;
+    } catch (e) {
+      appendMessage('system', 'Local model endpoint must be a valid http(s) URL.');
+      return;
+    }
+    const { hostname } = new URL(origin);
+    if (hostname === 'localhost' || hostname === '127.0.0.1') return; // granted in the manifest
+    chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+      if (!granted) {
+        appendMessage('system', `Access to ${origin} was not granted; the local model will be unreachable.`);
+      }
+    });
+  }
+
+  function parseStoreList(text) {
+    return text.split(/[\s,]+/)
+      .map(entry => {
+        try {
+          return new URL(/^https?:\/\//i.test(entry) ? entry : `https://${entry}`).hostname.toLowerCase();
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  function loadShopifyStores() {
+    if (!shopifyStoresInput) return;
+    chrome.runtime.sendMessage({ type: 'GET_SHOPIFY_STORES' }, (response) => {
+      if (chrome.runtime.lastError) return;
+      shopifyStoresInput.value = (response?.stores || []).join('\n');
+      shopifyStoresInput.dataset.saved = shopifyStoresInput.value;
+    });
+  }
+
+  // Custom-domain stores need their host permission, requested while we still
+  // have the click gesture; the background checks the store and injects the script
+  function saveShopifyStores() {
+    if (!shopifyStoresInput || !chrome.permissions?.request) return;
+    const wanted = parseStoreList(shopifyStoresInput.value);
+    const saved = parseStoreList(shopifyStoresInput.dataset.saved || '');
+    const added = wanted.filter(domain => !saved.includes(domain));
+    const removed = saved.filter(domain => !wanted.includes(domain));
+
+    removed.forEach(store => chrome.runtime.sendMessage({ type: 'REMOVE_SHOPIFY_STORE', store }));
+    if (!added.length) {
+      shopifyStoresInput.dataset.saved = wanted.join('\n');
+      return;
+    }
+    chrome.permissions.request({ origins: added.map(domain => `https://${domain}/*`) }, (granted) => {
+      if (!granted) {
+        appendMessage('system', `Access to ${added.join(', ')} was not granted; those stores were not added.`);
+        return;
+      }
+      added.forEach(store => {
+        chrome.runtime.sendMessage({ type: 'ADD_SHOPIFY_STORE', store }, (response) => {
+          if (response?.success) {
+            appendMessage('system', `Shopify store added: ${response.domain}`);
+          } else {
+            const reason = response?.error === 'not_a_shopify_store' ? 'it does not look like a Shopify store' : (response?.error || 'unknown error');
+            appendMessage('system', `Could not add ${store}: ${reason}.`);
+          }
+        });
+      });
+      shopifyStoresInput.dataset.saved = wanted.join('\n');
+    });
+  }
+
+  // Platform packs: the chosen file is validated by the background first, so the
+  // Install click can request exactly the pack's host permissions while it has the gesture
+  let pendingPack = null;
+
+  function setPackStatus(text, isError = false) {
+    if (!platformPackStatus) return;
+    platformPackStatus.textContent = text;
+    platformPackStatus.classList.toggle('error', isError);
+  }
+
+  function loadPlatformPacks() {
+    if (!platformPacksList) return;
+    chrome.runtime.sendMessage({ type: 'GET_PLATFORM_PACKS' }, (response) => {
+      if (chrome.runtime.lastError) return;
+      platformPacksList.innerHTML = '';
+      (response?.packs || []).forEach(pack => {
+        const item = document.createElement('li');
+        const info = document.createElement('span');
+        info.textContent = pack.version ? `${pack.name} ${pack.version}` : pack.name;
+        const platforms = document.createElement('small');
+        platforms.textContent = pack.platforms.map(p => p.displayName || p.name).join(', ');
+        info.appendChild(platforms);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'pack-remove';
+        removeBtn.textContent = 'Remove';
+        removeBtn.setAttribute('aria-label', `Remove platform pack ${pack.name}`);
+        removeBtn.addEventListener('click', () => {
+          chrome.runtime.sendMessage({ type: 'REMOVE_PLATFORM_PACK', name: pack.name }, (result) => {
+            if (result?.success) {
+              appendMessage('system', `Platform pack removed: ${pack.name}`);
+            } else {
+              setPackStatus(`Could not remove ${pack.name}: ${result?.error || 'unknown error'}`, true);
+            }
+            loadPlatformPacks();
+          });
+        });
+
+        item.appendChild(info);
+        item.appendChild(removeBtn);
+        platformPacksList.appendChild(item);
+      });
+    });
+  }
+
+  platformPackFile?.addEventListener('change', async () => {
+    pendingPack = null;
+    if (installPlatformPackBtn) installPlatformPackBtn.disabled = true;
+    const file = platformPackFile.files?.[0];
+    if (!file) {
+      setPackStatus('');
+      return;
+    }
+    let raw;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (e) {
+      setPackStatus(`${file.name} is not valid JSON.`, true);
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'VALIDATE_PLATFORM_PACK', pack: raw }, (response) => {
+      if (!response?.success) {
+        const problems = response?.problems?.length ? response.problems.join('\n') : (response?.error || 'unknown error');
+        setPackStatus(`Invalid platform pack:\n${problems}`, true);
+        return;
+      }
+      pendingPack = { raw, summary: response.pack };
+      const names = response.pack.platforms.map(p => p.displayName || p.name).join(', ');
+      setPackStatus(`${response.pack.name}: ${names}\nNeeds access to ${response.pack.origins.join(', ')}`);
+      if (installPlatformPackBtn) installPlatformPackBtn.disabled = false;
+    });
+  });
+
+  installPlatformPackBtn?.addEventListener('click', () => {
+    if (!pendingPack || !chrome.permissions?.request) return;
+    const { raw, summary } = pendingPack;
+    chrome.permissions.request({ origins: summary.origins }, (granted) => {
+      if (!granted) {
+        setPackStatus(`Access to ${summary.origins.join(', ')} was not granted; the pack was not installed.`, true);
+        return;
+      }
+      chrome.runtime.sendMessage({ type: 'INSTALL_PLATFORM_PACK', pack: raw }, (response) => {
+        if (response?.success) {
+          appendMessage('system', `Platform pack installed: ${summary.name}`);
+          setPackStatus('');
+          pendingPack = null;
+          installPlatformPackBtn.disabled = true;
+          if (platformPackFile) platformPackFile.value = '';
+        } else {
+          const problems = response?.problems?.length ? response.problems.join('\n') : (response?.error || 'unknown error');
+          setPackStatus(`Could not install ${summary.name}:\n${problems}`, true);
+        }
+        loadPlatformPacks();
+      });
+    });
+  });
+
   function sendMessage() {
     const text = userInput.value.trim();
     if (!text) return;
@@ -521,6 +751,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Create a comparison card for displaying product comparison results
    */
@@ -538,8 +776,10 @@ document.addEventListener('DOMContentLoaded', () => {
     let inBestDeal = false;
     let inAllOptions = false;
     
-    for (const line of lines) {
-      if (!line.trim()) continue;
+    for (const rawLine of lines) {
+      if (!rawLine.trim()) continue;
+      // Product titles come from scraped pages; never let them through as markup
+      const line = escapeHtml(rawLine);
       
       if (line.includes('**Best Deal:')) {
         inBestDeal = true;
@@ -592,6 +832,186 @@ document.addEventListener('DOMContentLoaded', () => {
     card.innerHTML = html.join('');
     return card;
   }
+
+  const BASKET_STATUS_ICONS = {
+    pending: '⏳',
+    searching: '🔎',
+    added: '✅',
+    substituted: '🔄',
+    out_of_stock: '⛔',
+    not_found: '❓',
+    failed: '❌',
+  };
+
+  function formatBasketItemLabel(item) {
+    if (!item.unit) return item.quantity > 1 ? `${item.quantity} x ${item.product}` : item.product;
+    if (item.unit === 'pc') return `${item.quantity} ${item.product}`;
+    return `${item.quantity} ${item.unit} ${item.product}`;
+  }
+
+  // Basket card for a run, updated in place as each line item settles
+  function renderBasket(runId, basket) {
+    if (currentCollapsibleGroup) {
+      currentCollapsibleGroup = null;
+      collapsibleMessageCount = 0;
+    }
+
+    let card = messagesDiv.querySelector(`.basket-card[data-run-id="${CSS.escape(runId)}"]`);
+    if (!card) {
+      card = document.createElement('div');
+      card.className = 'basket-card';
+      card.dataset.runId = runId;
+      messagesDiv.appendChild(card);
+    }
+    card.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'basket-header';
+    header.textContent = `🧺 Basket${basket.platform ? ` · ${basket.platform}` : ''}`;
+    card.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'basket-items';
+    basket.items.forEach(item => {
+      const row = document.createElement('li');
+      row.className = `basket-item basket-${item.status.replace(/_/g, '-')}`;
+
+      const label = document.createElement('div');
+      label.className = 'basket-item-label';
+      label.textContent = `${BASKET_STATUS_ICONS[item.status] || '•'} ${formatBasketItemLabel(item)}`;
+      row.appendChild(label);
+
+      const detail = document.createElement('div');
+      detail.className = 'basket-item-detail';
+      if (item.chosen) {
+        const parts = [item.chosen.title];
+        if (item.chosen.packSize) parts.push(item.chosen.packSize);
+        parts.push(`qty ${item.addedQuantity}`);
+        if (item.chosen.price) parts.push(item.chosen.price);
+        detail.textContent = parts.join(' · ');
+        if (item.substitutedFor) detail.textContent += ` (instead of ${item.substitutedFor})`;
+      } else {
+        detail.textContent = item.note || item.status.replace(/_/g, ' ');
+      }
+      row.appendChild(detail);
+      list.appendChild(row);
+    });
+    card.appendChild(list);
+
+    const footer = document.createElement('div');
+    footer.className = 'basket-footer';
+    const parts = [`${basket.added + basket.substituted}/${basket.total} in cart`];
+    if (basket.substituted) parts.push(`${basket.substituted} substituted`);
+    if (basket.unavailable) parts.push(`${basket.unavailable} unavailable`);
+    if (basket.estimatedTotal) parts.push(`≈ ₹${basket.estimatedTotal.toFixed(2)}`);
+    footer.textContent = parts.join(' · ');
+    card.appendChild(footer);
+
+    scrollToBottom();
+  }
+  
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const DEAL_VERDICT_ICONS = {
+    lowest: '🟢',
+    good: '🟢',
+    typical: '⚪',
+    inflated: '🟠',
+    high: '🔴',
+    not_enough_history: '⏳',
+  };
+
+  function formatRupees(value) {
+    return `₹${Math.round(value).toLocaleString('en-IN')}`;
+  }
+
+  // Step chart of a product's sampled prices, with the all-time low marked
+  function createPriceChart(points, low, endAt) {
+    const width = 280;
+    const height = 90;
+    const pad = 6;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'price-history-chart');
+    svg.setAttribute('role', 'img');
+
+    const start = points[0][0];
+    const end = Math.max(endAt, points[points.length - 1][0], start + 1);
+    // The all-time low can predate the stored points; keep its dot inside the chart
+    const prices = points.map(([, price]) => price).concat(low ? [low.price] : []);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const x = (at) => pad + ((at - start) / (end - start)) * (width - pad * 2);
+    const y = (price) => max === min ? height / 2 : pad + ((max - price) / (max - min)) * (height - pad * 2);
+
+    let path = `M ${x(start).toFixed(1)} ${y(points[0][1]).toFixed(1)}`;
+    points.forEach(([at, price], i) => {
+      if (i > 0) path += ` H ${x(at).toFixed(1)} V ${y(price).toFixed(1)}`;
+    });
+    path += ` H ${x(end).toFixed(1)}`;
+
+    const line = document.createElementNS(SVG_NS, 'path');
+    line.setAttribute('d', path);
+    line.setAttribute('class', 'price-history-line');
+    svg.appendChild(line);
+
+    if (low) {
+      const dot = document.createElementNS(SVG_NS, 'circle');
+      dot.setAttribute('cx', x(Math.max(low.at, start)).toFixed(1));
+      dot.setAttribute('cy', y(low.price).toFixed(1));
+      dot.setAttribute('r', '3.5');
+      dot.setAttribute('class', 'price-history-low');
+      svg.appendChild(dot);
+    }
+    svg.setAttribute('aria-label', `Price between ${formatRupees(min)} and ${formatRupees(max)}`);
+    return svg;
+  }
+
+  // History card for an opened or recommended product, updated in place when shown again
+  function renderPriceHistory(history) {
+    if (!history?.points?.length) return;
+    if (currentCollapsibleGroup) {
+      currentCollapsibleGroup = null;
+      collapsibleMessageCount = 0;
+    }
+
+    let card = messagesDiv.querySelector(`.price-history-card[data-key="${CSS.escape(history.key)}"]`);
+    if (!card) {
+      card = document.createElement('div');
+      card.className = 'price-history-card';
+      card.dataset.key = history.key;
+      messagesDiv.appendChild(card);
+    }
+    card.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'price-history-header';
+    header.textContent = `📈 Price history${history.platform ? ` · ${history.platform}` : ''}`;
+    card.appendChild(header);
+
+    const title = document.createElement('div');
+    title.className = 'price-history-title';
+    title.textContent = history.title || history.url || history.key;
+    card.appendChild(title);
+
+    card.appendChild(createPriceChart(history.points, history.low, Date.now()));
+
+    const stats = document.createElement('div');
+    stats.className = 'price-history-stats';
+    const parts = [`Now ${formatRupees(history.deal.price)}`];
+    if (history.low) {
+      parts.push(`Lowest ${formatRupees(history.low.price)} on ${new Date(history.low.at).toLocaleDateString()}`);
+    }
+    parts.push(`since ${new Date(history.firstSeenAt).toLocaleDateString()}`);
+    stats.textContent = parts.join(' · ');
+    card.appendChild(stats);
+
+    const verdict = document.createElement('div');
+    verdict.className = `price-history-verdict verdict-${history.deal.verdict.replace(/_/g, '-')}`;
+    verdict.textContent = `${DEAL_VERDICT_ICONS[history.deal.verdict] || '•'} ${history.deal.label}`;
+    card.appendChild(verdict);
+
+    scrollToBottom();
+  }
   
   function createCollapsibleGroup() {
     const container = document.createElement('div');
@@ -639,10 +1059,93 @@ document.addEventListener('DOMContentLoaded', () => {
     chatContainer.scrollTop = chatContainer.scrollHeight;
   }
 
+  // One row per shopping run so concurrent queries can be followed separately
+  function renderRuns(runs = []) {
+    if (!runsPanel || !runsList) return;
+    runsList.innerHTML = '';
+    runsPanel.classList.toggle('hidden', runs.length === 0);
+
+    runs.forEach(run => {
+      const item = document.createElement('li');
+      item.className = `run-item run-${run.status.toLowerCase()}`;
+      item.dataset.runId = run.runId;
+
+      const label = document.createElement('span');
+      label.className = 'run-label';
+      label.textContent = run.product || run.query || 'Shopping run';
+      label.title = run.query || '';
+
+      const meta = document.createElement('span');
+      meta.className = 'run-meta';
+      const usage = run.usage ? `${formatTokens(run.usage.totalTokens)} tok` : null;
+      meta.textContent = [run.platform, run.status.replace(/_/g, ' ').toLowerCase(), usage].filter(Boolean).join(' · ');
+
+      item.appendChild(label);
+      item.appendChild(meta);
+
+      if (!['COMPLETED', 'CANCELLED', 'FAILED'].includes(run.status)) {
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'run-cancel';
+        cancelBtn.textContent = '✕';
+        cancelBtn.title = 'Stop this run';
+        cancelBtn.setAttribute('aria-label', `Stop run: ${label.textContent}`);
+        cancelBtn.addEventListener('click', () => {
+          chrome.runtime.sendMessage({ type: 'CANCEL_RUN', runId: run.runId });
+        });
+        item.appendChild(cancelBtn);
+      }
+
+      runsList.appendChild(item);
+    });
+  }
+
+  function formatTokens(count = 0) {
+    return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+  }
+
+  // Today's LLM usage, shown once at least one call has been made
+  function renderUsage(usage) {
+    if (!usageSummary) return;
+    const today = usage?.today;
+    usageSummary.classList.toggle('hidden', !today || today.calls === 0);
+    if (!today || today.calls === 0) return;
+
+    const parts = [
+      `AI today: ${formatTokens(today.totalTokens)} tokens`,
+      `$${today.costUsd.toFixed(4)}`,
+      `${today.calls} call${today.calls === 1 ? '' : 's'}`,
+    ];
+    if (today.estimatedCalls > 0) parts.push(`${today.estimatedCalls} estimated`);
+    usageSummary.textContent = parts.join(' · ');
+    usageSummary.title = Object.entries(today.byMode || {})
+      .map(([mode, m]) => `${mode}: ${formatTokens(m.totalTokens)} tokens, ${m.calls} calls`)
+      .join('\n');
+  }
+
+  chrome.runtime.sendMessage({ type: 'GET_USAGE' }, (response) => {
+    if (chrome.runtime.lastError) return;
+    renderUsage(response?.usage);
+  });
+
+  chrome.runtime.sendMessage({ type: 'GET_RUNS' }, (response) => {
+    if (chrome.runtime.lastError) return;
+    renderRuns(response?.runs || []);
+  });
+
   // Listen for updates from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'UPDATE_STATUS') {
       appendMessage('system', message.text);
+    } else if (message.type === 'COMPARISON_RESULT') {
+      appendMessage('comparison', message.text);
+    } else if (message.type === 'BASKET_UPDATED') {
+      renderBasket(message.runId, message.basket);
+    } else if (message.type === 'PRICE_HISTORY') {
+      renderPriceHistory(message.history);
+    } else if (message.type === 'RUNS_UPDATED') {
+      renderRuns(message.runs);
+    } else if (message.type === 'USAGE_UPDATED') {
+      renderUsage(message.usage);
     }
     return false;
   });
@@ -43,10 +43,10 @@ describe('Service Worker Flow Integration', () => {
         chrome.tabs.create.mockResolvedValue({ id: 456 });
 
         // Start processing
-        await sw.handleUserQuery('buy iphone');
+        const run = await sw.handleUserQuery('buy iphone');
 
-        expect(sw.currentState.status).toBe('SEARCHING');
-        expect(sw.currentState.tabId).toBe(456);
+        expect(run.status).toBe('SEARCHING');
+        expect(run.tabId).toBe(456);
         expect(chrome.tabs.create).toHaveBeenCalledWith(expect.objectContaining({
             url: expect.stringContaining('amazon.in')
         }));
@@ -1,19 +1,96 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
 import { fileURLToPath } from 'url';
+import { probeResultSelectors } from '../../src/lib/selector-health.js';
+import { BUILTIN_DESCRIPTORS } from '../../src/lib/platform-descriptors.js';
+import { AmazonPlatform } from '../../src/content/platforms/amazon-platform.js';
+import { FlipkartPlatform } from '../../src/content/platforms/flipkart-platform.js';
+import { AjioPlatform } from '../../src/content/platforms/ajio-platform.js';
+import { JioMartPlatform } from '../../src/content/platforms/jiomart-platform.js';
+import { RelianceDigitalPlatform } from '../../src/content/platforms/reliancedigital-platform.js';
+import { TiraBeautyPlatform } from '../../src/content/platforms/tirabeauty-platform.js';
+import { BigBasketPlatform } from '../../src/content/platforms/bigbasket-platform.js';
+import { BlinkitPlatform } from '../../src/content/platforms/blinkit-platform.js';
+import { ZeptoPlatform } from '../../src/content/platforms/zepto-platform.js';
+import { ShopifyPlatform } from '../../src/content/platforms/shopify-platform.js';
+import { DeclarativePlatform } from '../../src/content/platforms/declarative-platform.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-import fs from 'fs';
-import path from 'path';
 
-describe('selector regression harness', () => {
-    const fixtures = [
-        path.join(__dirname, '../fixtures/amazon-search.html'),
-        path.join(__dirname, '../fixtures/flipkart-search.html'),
-    ];
+const descriptor = (name) => BUILTIN_DESCRIPTORS.find((d) => d.name === name);
+
+// One saved search page per platform. `link` is what a product URL must look like;
+// `unmatched` lists selectors the site legitimately has nothing for; `excluded`
+// is a card (sponsored) that must not come back as a result.
+const PLATFORMS = [
+    { name: 'amazon', create: () => new AmazonPlatform(), link: /\/dp\/B0/, excluded: /Spigen/ },
+    { name: 'flipkart', create: () => new FlipkartPlatform(), link: /\/p\/itm/ },
+    { name: 'ajio', create: () => new AjioPlatform(), link: /\/p\/\d+_/ },
+    { name: 'jiomart', create: () => new JioMartPlatform(), link: /\/p\/electronics\// },
+    { name: 'reliancedigital', create: () => new RelianceDigitalPlatform(), link: /\/p\/\d+/ },
+    { name: 'tirabeauty', create: () => new TiraBeautyPlatform(), link: /\/product\// },
+    { name: 'bigbasket', create: () => new BigBasketPlatform(), link: /\/pd\/\d+/ },
+    // Cards are clickable divs; the link is built from the card id
+    { name: 'blinkit', create: () => new BlinkitPlatform(), link: /\/prn\/.+\/prid\/\d+/, unmatched: ['link'] },
+    { name: 'zepto', create: () => new ZeptoPlatform(), link: /\/pn\// },
+    // No ?q= in the URL, so the search API is skipped and the theme markup is read
+    { name: 'shopify', create: () => new ShopifyPlatform(), link: /\/products\// },
+    { name: 'ebay', create: () => new DeclarativePlatform(descriptor('ebay')), link: /\/itm\/\d+/ },
+    { name: 'walmart', create: () => new DeclarativePlatform(descriptor('walmart')), link: /\/ip\// },
+];
+
+function loadFixture(name) {
+    const html = fs.readFileSync(path.join(__dirname, `../fixtures/${name}-search.html`), 'utf-8');
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    document.replaceChild(document.importNode(parsed.documentElement, true), document.documentElement);
+}
 
-    it('fixtures exist for amazon and flipkart', () => {
-        fixtures.forEach((f) => {
-            expect(fs.existsSync(f)).toBe(true);
-        });
+/**
+ * getSearchResults() waits for lazy-loaded cards; run it on fake timers
+ */
+async function searchResults(platform) {
+    jest.useFakeTimers();
+    try {
+        const pending = platform.getSearchResults();
+        await jest.advanceTimersByTimeAsync(5000);
+        return await pending;
+    } finally {
+        jest.useRealTimers();
+    }
+}
+
+describe('selector drift harness', () => {
+    test.each(PLATFORMS)('$name result selectors match the saved page', ({ name, create, unmatched = [] }) => {
+        loadFixture(name);
+        const counts = probeResultSelectors(create().selectors.results, document);
+
+        const empty = Object.entries(counts)
+            .filter(([field, count]) => count === 0 && !unmatched.includes(field))
+            .map(([field]) => `results.${field}`);
+        expect(counts.container).toBeGreaterThan(0);
+        expect(empty).toEqual([]);
     });
-});
 
+    test.each(PLATFORMS)('$name getSearchResults extracts the minimum fields', async ({ name, create, link, excluded }) => {
+        loadFixture(name);
+        const platform = create();
+        const products = await searchResults(platform);
+
+        expect(products.length).toBeGreaterThanOrEqual(2);
+        // Rating is only expected where the platform reads one
+        const required = platform.selectors.results.rating ? ['title', 'price', 'link', 'rating'] : ['title', 'price', 'link'];
+        const missing = products.flatMap((product) => required
+            .filter((field) => !String(product[field] ?? '').trim())
+            .map((field) => `${product.title || product.index}: ${field}`));
+        expect(missing).toEqual([]);
+        for (const product of products) {
+            expect(product.link).toMatch(link);
+            expect(product.price).toMatch(/\d/);
+        }
+        if (excluded) {
+            expect(products.some((product) => excluded.test(product.title))).toBe(false);
+        }
+    });
+});
@@ -0,0 +1,89 @@
+import { optimizeBasket, pickOffer, computeFees, formatBasketPlan } from "../../src/lib/basket-optimizer.js";
+import { createBasketItem } from "../../src/lib/basket.js";
+
+describe("Basket optimizer", () => {
+    const milk = createBasketItem({ id: "milk", product: "milk", quantity: 1, unit: "l" });
+    const eggs = createBasketItem({ id: "eggs", product: "eggs", quantity: 12 });
+    const atta = createBasketItem({ id: "atta", product: "atta", quantity: 5, unit: "kg" });
+    const items = [milk, eggs, atta];
+
+    const listing = (title, priceNumeric, packSize) => ({ title, priceNumeric, packSize, link: title });
+
+    test("picks the cheapest listing that covers the requested amount", () => {
+        const offer = pickOffer(milk, [
+            listing("Amul Milk 500 ml", 30, "500 ml"),
+            listing("Nandini Milk 1 l", 55, "1 l"),
+            listing("Milk Out of Stock 1 l", 10, "1 l"),
+        ]);
+        expect(offer).toMatchObject({ itemId: "milk", quantity: 1, cost: 55 });
+        expect(pickOffer(eggs, [listing("Bread", 40, "400 g")])).toBeNull();
+    });
+
+    test("waives delivery above the free threshold and checks minimum order", () => {
+        expect(computeFees(150, { deliveryFee: 30, freeDeliveryAbove: 199, handlingFee: 2, minOrderValue: 99 }))
+            .toEqual({ deliveryFee: 30, handlingFee: 2, total: 32, meetsMinimum: true });
+        expect(computeFees(250, { deliveryFee: 30, freeDeliveryAbove: 199 })).toMatchObject({ total: 0 });
+        expect(computeFees(50, { minOrderValue: 99 }).meetsMinimum).toBe(false);
+    });
+
+    test("recommends a single platform when a split doesn't save enough", () => {
+        const results = {
+            bigbasket: {
+                milk: [listing("Milk 1 l", 60, "1 l")],
+                eggs: [listing("Eggs 12 pcs", 90, "12 pcs")],
+                atta: [listing("Atta 5 kg", 250, "5 kg")],
+            },
+            zepto: {
+                milk: [listing("Milk 1 l", 55, "1 l")],
+                eggs: [listing("Eggs 6 pcs", 50, "6 pcs")],
+            },
+        };
+        const fees = {
+            bigbasket: { deliveryFee: 30, freeDeliveryAbove: 200 },
+            zepto: { deliveryFee: 30, freeDeliveryAbove: 199 },
+        };
+
+        const result = optimizeBasket(items, results, { fees, minSplitSaving: 30 });
+
+        expect(result.recommendation).toBe("single");
+        expect(result.best.platforms).toEqual(["bigbasket"]);
+        expect(result.best.total).toBe(400);
+        expect(result.platforms.zepto).toMatchObject({ available: 2, missing: 1 });
+        expect(formatBasketPlan(result, items)).toContain("everything on bigbasket");
+    });
+
+    test("recommends a split when it covers more items or saves enough after fees", () => {
+        const results = {
+            blinkit: { milk: [listing("Milk 1 l", 60, "1 l")], eggs: [listing("Eggs 12 pcs", 200, "12 pcs")] },
+            zepto: { eggs: [listing("Eggs 12 pcs", 90, "12 pcs")], atta: [listing("Atta 5 kg", 240, "5 kg")] },
+        };
+        const fees = {
+            blinkit: { deliveryFee: 20, freeDeliveryAbove: 199 },
+            zepto: { deliveryFee: 30, freeDeliveryAbove: 199 },
+        };
+
+        const result = optimizeBasket(items, results, { fees, minSplitSaving: 30 });
+
+        expect(result.recommendation).toBe("split");
+        expect(result.best.missing).toEqual([]);
+        expect(result.best.perPlatform).toMatchObject({
+            blinkit: { items: 1, subtotal: 60, total: 20 },
+            zepto: { items: 2, subtotal: 330, total: 0 },
+        });
+        expect(result.best.total).toBe(410);
+    });
+
+    test("skips plans below a platform's minimum order value", () => {
+        const results = {
+            bigbasket: { milk: [listing("Milk 1 l", 60, "1 l")], eggs: [listing("Eggs 12 pcs", 100, "12 pcs")], atta: [listing("Atta 5 kg", 250, "5 kg")] },
+            zepto: { milk: [listing("Milk 1 l", 40, "1 l")] },
+        };
+        const fees = { zepto: { minOrderValue: 99 } };
+
+        const result = optimizeBasket(items, results, { fees, minSplitSaving: 0 });
+
+        expect(result.split).toBeNull();
+        expect(result.recommendation).toBe("single");
+        expect(result.platforms.zepto.meetsMinimum).toBe(false);
+    });
+});
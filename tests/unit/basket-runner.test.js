@@ -0,0 +1,138 @@
+import { runBasket, priceBasket } from "../../src/background/basket-runner.js";
+import { createBasketItem } from "../../src/lib/basket.js";
+
+describe("Basket runner", () => {
+    const getSearchUrl = (platform, query) => `https://${platform}.test/s?q=${query}`;
+    const results = {
+        milk: [
+            { index: 0, title: "Amul Taaza Milk 500 ml", packSize: "500 ml", priceNumeric: 28, link: "m0" },
+            { index: 1, title: "Nandini Milk 500 ml", packSize: "500 ml", priceNumeric: 26, link: "m1" },
+        ],
+        eggs: [{ index: 0, title: "Farm Fresh Eggs", packSize: "6 pcs", priceNumeric: 50, link: "e0" }],
+        atta: [],
+    };
+    let currentQuery;
+    const navigate = jest.fn(async (tabId, url) => {
+        currentQuery = new URL(url).searchParams.get("q");
+    });
+    const requestResults = jest.fn(async () => ({ success: true, data: results[currentQuery] || [] }));
+
+    beforeEach(() => {
+        navigate.mockClear();
+        requestResults.mockClear();
+    });
+
+    test("searches and adds each item in turn with pack-aware quantities", async () => {
+        const addToCart = jest.fn(async (tabId, index, quantity) => ({ success: true, quantity }));
+        const items = [createBasketItem({ product: "milk", quantity: 1, unit: "l" }), createBasketItem({ product: "eggs", quantity: 12 })];
+        const onUpdate = jest.fn();
+
+        const summary = await runBasket({ items, platform: "blinkit", tabId: 7, getSearchUrl, navigate, requestResults, addToCart, onUpdate, pollIntervalMs: 1 });
+
+        expect(navigate).toHaveBeenNthCalledWith(1, 7, "https://blinkit.test/s?q=milk");
+        expect(navigate).toHaveBeenNthCalledWith(2, 7, "https://blinkit.test/s?q=eggs");
+        expect(addToCart).toHaveBeenNthCalledWith(1, 7, 1, 2);
+        expect(addToCart).toHaveBeenNthCalledWith(2, 7, 0, 2);
+        expect(summary).toMatchObject({ total: 2, added: 2, unavailable: 0, estimatedTotal: 152, cancelled: false });
+        expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({ product: "eggs", status: "added" }), expect.any(Object));
+    });
+
+    test("substitutes an out-of-stock item with the next candidate", async () => {
+        const addToCart = jest.fn(async (tabId, index) => (
+            index === 1 ? { success: false, data: null, error: { code: "out_of_stock", message: "Item is out of stock" } } : { success: true, data: { success: true, quantity: 1 }, error: null }
+        ));
+        const items = [createBasketItem({ product: "milk" })];
+
+        const summary = await runBasket({ items, platform: "zepto", tabId: 1, getSearchUrl, navigate, requestResults, addToCart, pollIntervalMs: 1 });
+
+        expect(addToCart).toHaveBeenCalledTimes(2);
+        expect(summary.items[0]).toMatchObject({
+            status: "substituted",
+            chosen: expect.objectContaining({ title: "Amul Taaza Milk 500 ml" }),
+            substitutedFor: "Nandini Milk 500 ml",
+        });
+    });
+
+    test("marks items out of stock when substitution is off and not found when nothing matches", async () => {
+        const addToCart = jest.fn(async () => ({ success: false, data: null, error: { code: "out_of_stock", message: "Item is out of stock" } }));
+        const items = [createBasketItem({ product: "milk" }), createBasketItem({ product: "atta" })];
+
+        const summary = await runBasket({ items, platform: "zepto", tabId: 1, getSearchUrl, navigate, requestResults, addToCart, substitution: "none", pollIntervalMs: 1 });
+
+        expect(addToCart).toHaveBeenCalledTimes(1);
+        expect(summary.items.map((i) => i.status)).toEqual(["out_of_stock", "not_found"]);
+        expect(summary.unavailable).toBe(2);
+    });
+
+    test("keeps polling a search page that answers empty before its results render", async () => {
+        const addToCart = jest.fn(async () => ({ success: true, data: { success: true, quantity: 1 }, error: null }));
+        let answers = 0;
+        const slowResults = jest.fn(async () => {
+            answers++;
+            return { success: true, data: answers < 3 ? [] : results.eggs };
+        });
+        const items = [createBasketItem({ product: "eggs", quantity: 6 })];
+
+        const summary = await runBasket({ items, platform: "zepto", tabId: 1, getSearchUrl, navigate, requestResults: slowResults, addToCart, pollIntervalMs: 1 });
+
+        expect(slowResults).toHaveBeenCalledTimes(3);
+        expect(summary.items[0].status).toBe("added");
+    });
+
+    test("skips items settled before a restart and stops when cancelled", async () => {
+        const addToCart = jest.fn(async () => ({ success: true, data: { success: true, quantity: 1 }, error: null }));
+        const items = [
+            { ...createBasketItem({ product: "milk" }), status: "added" },
+            createBasketItem({ product: "eggs" }),
+            createBasketItem({ product: "atta" }),
+        ];
+        let cancelled = false;
+        const onUpdate = jest.fn((item) => {
+            if (item.status === "added") cancelled = true;
+        });
+
+        const summary = await runBasket({
+            items, platform: "zepto", tabId: 1, getSearchUrl, navigate, requestResults, addToCart, onUpdate,
+            isCancelled: () => cancelled, pollIntervalMs: 1,
+        });
+
+        expect(navigate).toHaveBeenCalledTimes(1);
+        expect(summary.items.map((i) => i.status)).toEqual(["added", "added", "pending"]);
+        expect(summary.cancelled).toBe(true);
+    });
+});
+
+describe("Basket pricing", () => {
+    test("searches every item on each platform without adding to cart", async () => {
+        let nextTabId = 1;
+        const openTab = jest.fn(async () => ({ id: nextTabId++ }));
+        const pages = {};
+        const navigate = jest.fn(async (tabId, url) => {
+            pages[tabId] = url;
+        });
+        const requestResults = jest.fn(async (tabId) => ({
+            success: true,
+            data: [{ title: `Item on tab ${tabId}`, link: pages[tabId] || "first" }],
+        }));
+        const prepareTab = jest.fn(async (platform) => (platform === "zepto" ? { serviceable: false, reason: "no delivery" } : { serviceable: true }));
+        const items = [createBasketItem({ id: "milk", product: "milk" }), createBasketItem({ id: "eggs", product: "eggs" })];
+
+        const { results, platforms } = await priceBasket({
+            items,
+            platforms: ["blinkit", "zepto"],
+            getSearchUrl: (platform, query) => `https://${platform}.test/s?q=${query}`,
+            openTab,
+            navigate,
+            requestResults,
+            prepareTab,
+            pollIntervalMs: 1,
+        });
+
+        expect(openTab).toHaveBeenCalledWith("https://blinkit.test/s?q=milk");
+        expect(navigate).toHaveBeenCalledWith(1, "https://blinkit.test/s?q=eggs");
+        expect(results.blinkit.eggs[0]).toMatchObject({ platform: "blinkit", link: "https://blinkit.test/s?q=eggs" });
+        expect(platforms.blinkit).toMatchObject({ status: "completed", searched: 2, tabId: 1 });
+        expect(platforms.zepto).toMatchObject({ status: "unserviceable", error: "no delivery" });
+        expect(results.zepto).toEqual({});
+    });
+});
@@ -0,0 +1,71 @@
+import {
+    parseBasketText,
+    createBasketItem,
+    computeAddQuantity,
+    rankCandidates,
+    allowedSubstitutes,
+    summarizeBasket,
+} from "../../src/lib/basket.js";
+
+describe("Basket", () => {
+    test("splits a shopping list into line items with quantities and units", () => {
+        const items = parseBasketText("get milk, 12 eggs, 1kg atta and bread from BigBasket");
+        expect(items.map((i) => [i.product, i.quantity, i.unit])).toEqual([
+            ["milk", 1, null],
+            ["eggs", 12, null],
+            ["atta", 1, "kg"],
+            ["bread", 1, null],
+        ]);
+        expect(parseBasketText("2 packets of bread; a dozen bananas")).toEqual([
+            expect.objectContaining({ product: "bread", quantity: 2, unit: "pack" }),
+            expect.objectContaining({ product: "bananas", quantity: 12, unit: "pc" }),
+        ]);
+        expect(createBasketItem({ product: "eggs", quantity: 1, unit: "dozen" })).toMatchObject({ quantity: 12, unit: "pc" });
+        expect(parseBasketText("milk")).toHaveLength(1);
+    });
+
+    test("adds enough packs to cover the requested amount", () => {
+        const eggs = createBasketItem({ product: "eggs", quantity: 12 });
+        const atta = createBasketItem({ product: "atta", quantity: 1, unit: "kg" });
+        const bread = createBasketItem({ product: "bread", quantity: 2, unit: "pack" });
+        expect(computeAddQuantity(eggs, { title: "Farm Eggs", packSize: "6 pcs" })).toBe(2);
+        expect(computeAddQuantity(atta, { title: "Aashirvaad Atta", packSize: "500 g" })).toBe(2);
+        expect(computeAddQuantity(atta, { title: "Aashirvaad Atta 5 kg" })).toBe(1);
+        expect(computeAddQuantity(bread, { title: "Brown Bread", packSize: "400 g" })).toBe(2);
+    });
+
+    test("ranks relevant results by brand, size match and unit price", () => {
+        const item = createBasketItem({ product: "atta", quantity: 1, unit: "kg" });
+        const products = [
+            { index: 0, title: "Basmati Rice 1 kg", packSize: "1 kg" },
+            { index: 1, title: "Fortune Atta 5 kg", packSize: "5 kg", unitPriceValue: 4 },
+            { index: 2, title: "Aashirvaad Atta 1 kg", packSize: "1 kg", unitPriceValue: 6 },
+        ];
+        expect(rankCandidates(products, item).map((p) => p.index)).toEqual([2, 1]);
+        const branded = createBasketItem({ product: "atta", brand: "Fortune" });
+        expect(rankCandidates(products, branded)[0].index).toBe(1);
+    });
+
+    test("applies substitution rules and summarizes per-item status", () => {
+        const primary = { title: "Amul Taaza Milk 500 ml" };
+        const candidates = [primary, { title: "Nandini Milk 500 ml" }, { title: "Amul Gold Milk 1 l" }];
+        expect(allowedSubstitutes(candidates, primary, "similar")).toHaveLength(2);
+        expect(allowedSubstitutes(candidates, primary, "same_brand")).toEqual([{ title: "Amul Gold Milk 1 l" }]);
+        expect(allowedSubstitutes(candidates, primary, "none")).toEqual([]);
+
+        const items = [
+            { ...createBasketItem({ product: "milk" }), status: "added", chosen: { title: "Milk", priceNumeric: 30 }, addedQuantity: 2 },
+            { ...createBasketItem({ product: "curd" }), status: "substituted", chosen: { title: "Dahi", priceNumeric: 40 }, addedQuantity: 1 },
+            { ...createBasketItem({ product: "paneer" }), status: "out_of_stock" },
+        ];
+        expect(summarizeBasket(items, { platform: "zepto" })).toMatchObject({
+            platform: "zepto",
+            total: 3,
+            added: 1,
+            substituted: 1,
+            unavailable: 1,
+            pending: 0,
+            estimatedTotal: 100,
+        });
+    });
+});
@@ -0,0 +1,197 @@
+import { runComparison } from "../../src/background/comparison-orchestrator.js";
+
+describe("Comparison orchestrator", () => {
+    const getSearchUrl = (platform, query) => `https://${platform}.test/search?q=${query}`;
+    let nextTabId;
+    const openTab = jest.fn(async () => ({ id: nextTabId++ }));
+
+    beforeEach(() => {
+        nextTabId = 1;
+        openTab.mockClear();
+    });
+
+    test("opens every platform on its results page and ranks all products", async () => {
+        const items = {
+            1: [{ title: "Phone A", price: 500, rating: 4, link: "a" }],
+            2: [{ title: "Phone B", price: 300, rating: 4, link: "b" }],
+        };
+        const requestResults = jest.fn(async (tabId) => ({ success: true, data: items[tabId] }));
+
+        const result = await runComparison({
+            query: "phone",
+            platforms: ["amazon", "flipkart"],
+            getSearchUrl,
+            openTab,
+            requestResults,
+            pollIntervalMs: 1,
+        });
+
+        expect(openTab).toHaveBeenCalledWith("https://amazon.test/search?q=phone");
+        expect(openTab).toHaveBeenCalledWith("https://flipkart.test/search?q=phone");
+        expect(result.winner).toMatchObject({ title: "Phone B", platform: "flipkart" });
+        expect(result.ranked).toHaveLength(2);
+        expect(result.partial).toBe(false);
+        expect(result.platforms.amazon).toMatchObject({ status: "completed", count: 1, tabId: 1 });
+    });
+
+    test("skips platforms that prepareTab reports as unserviceable", async () => {
+        const requestResults = jest.fn(async () => ({ success: true, data: [{ title: "Milk 1 l", price: 60, link: "m" }] }));
+        const prepareTab = jest.fn(async (platform) => (
+            platform === "zepto" ? { serviceable: false, reason: "not serviceable" } : { serviceable: true }
+        ));
+
+        const result = await runComparison({
+            query: "milk",
+            platforms: ["blinkit", "zepto"],
+            getSearchUrl,
+            openTab,
+            requestResults,
+            prepareTab,
+            pollIntervalMs: 1,
+        });
+
+        expect(prepareTab).toHaveBeenCalledWith("zepto", 2);
+        expect(requestResults).toHaveBeenCalledTimes(1);
+        expect(result.platforms.zepto).toMatchObject({ status: "unserviceable", error: "not serviceable" });
+        expect(result.winner.platform).toBe("blinkit");
+        expect(result.partial).toBe(true);
+    });
+
+    test("polls until the content script answers", async () => {
+        let calls = 0;
+        const requestResults = jest.fn(async () => {
+            calls++;
+            if (calls < 3) throw new Error("Receiving end does not exist");
+            return { success: true, data: [{ title: "TV", price: 100 }] };
+        });
+
+        const result = await runComparison({
+            query: "tv",
+            platforms: ["amazon"],
+            getSearchUrl,
+            openTab,
+            requestResults,
+            pollIntervalMs: 1,
+        });
+
+        expect(requestResults).toHaveBeenCalledTimes(3);
+        expect(result.winner.title).toBe("TV");
+    });
+
+    test("still ranks the platforms that answered when others time out or fail", async () => {
+        const failingOpen = jest.fn(async (url) => {
+            if (url.includes("ajio")) throw new Error("tab_create_failed");
+            return { id: nextTabId++ };
+        });
+        const requestResults = jest.fn(async (tabId) =>
+            tabId === 1 ? { success: true, data: [{ title: "Shoe", price: 50 }] } : { success: true, data: [] }
+        );
+        const updates = [];
+
+        const result = await runComparison({
+            query: "shoe",
+            platforms: ["amazon", "flipkart", "ajio"],
+            getSearchUrl,
+            openTab: failingOpen,
+            requestResults,
+            perPlatformTimeoutMs: 30,
+            deadlineMs: 1000,
+            pollIntervalMs: 5,
+            onUpdate: (entry) => updates.push(`${entry.platform}:${entry.status}`),
+        });
+
+        expect(result.winner.title).toBe("Shoe");
+        expect(result.partial).toBe(true);
+        expect(result.platforms.flipkart.status).toBe("timeout");
+        expect(result.platforms.ajio).toMatchObject({ status: "error", error: "tab_create_failed" });
+        expect(updates).toContain("flipkart:timeout");
+    });
+
+    test("the overall deadline caps the comparison", async () => {
+        const requestResults = jest.fn(async () => ({ success: true, data: [] }));
+        const started = Date.now();
+
+        const result = await runComparison({
+            query: "tv",
+            platforms: ["amazon"],
+            getSearchUrl,
+            openTab,
+            requestResults,
+            perPlatformTimeoutMs: 10000,
+            deadlineMs: 40,
+            pollIntervalMs: 5,
+        });
+
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(result.winner).toBeNull();
+        expect(result.platforms.amazon).toMatchObject({ status: "timeout", error: "deadline_exceeded" });
+    });
+
+    test("reuses existing tabs instead of opening new ones", async () => {
+        const requestResults = jest.fn(async () => ({ success: true, data: [{ title: "X", price: 1 }] }));
+
+        const result = await runComparison({
+            query: "x",
+            platforms: ["amazon"],
+            existingTabs: { amazon: 42 },
+            getSearchUrl,
+            openTab,
+            requestResults,
+        });
+
+        expect(openTab).not.toHaveBeenCalled();
+        expect(requestResults).toHaveBeenCalledWith(42, {});
+        expect(result.platforms.amazon.tabId).toBe(42);
+    });
+
+    test("closes a tab that opens after its platform timed out and ignores its late results", async () => {
+        let openLate;
+        const slowOpen = jest.fn(() => new Promise((resolve) => { openLate = resolve; }));
+        const closeTab = jest.fn().mockResolvedValue();
+        const requestResults = jest.fn(async () => ({ success: true, data: [{ title: "Late", price: 1 }] }));
+        const updates = [];
+
+        const result = await runComparison({
+            query: "tv",
+            platforms: ["amazon"],
+            getSearchUrl,
+            openTab: slowOpen,
+            closeTab,
+            requestResults,
+            perPlatformTimeoutMs: 20,
+            deadlineMs: 1000,
+            pollIntervalMs: 1,
+            onUpdate: (entry) => updates.push(`${entry.platform}:${entry.status}`),
+        });
+        openLate({ id: 77 });
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        expect(result.platforms.amazon).toMatchObject({ status: "timeout", tabId: null });
+        expect(closeTab).toHaveBeenCalledWith(77);
+        expect(requestResults).not.toHaveBeenCalled();
+        expect(updates).toEqual(["amazon:timeout"]);
+    });
+
+    test("results that arrive after the platform timed out are dropped", async () => {
+        let answer;
+        const requestResults = jest.fn(() => new Promise((resolve) => { answer = resolve; }));
+        const updates = [];
+
+        const result = await runComparison({
+            query: "tv",
+            platforms: ["amazon"],
+            getSearchUrl,
+            openTab,
+            requestResults,
+            perPlatformTimeoutMs: 20,
+            deadlineMs: 1000,
+            pollIntervalMs: 1,
+            onUpdate: (entry) => updates.push(`${entry.platform}:${entry.status}`),
+        });
+        answer({ success: true, data: [{ title: "Late", price: 1 }] });
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        expect(result.platforms.amazon.status).toBe("timeout");
+        expect(updates).toEqual(["amazon:collecting", "amazon:timeout"]);
+    });
+});
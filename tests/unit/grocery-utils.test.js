@@ -0,0 +1,55 @@
+import {
+    parsePackSize,
+    computeUnitPrice,
+    parseDeliveryEta,
+    buildGroceryFields,
+} from "../../src/lib/grocery-utils.js";
+
+describe("Grocery utils", () => {
+    test("parses single, multi-pack and count pack sizes", () => {
+        expect(parsePackSize("500 g")).toMatchObject({ count: 1, amount: 500, unit: "g", total: 500, label: "500 g" });
+        expect(parsePackSize("1 kg")).toMatchObject({ unit: "g", total: 1000, label: "1 kg" });
+        expect(parsePackSize("2 x 500 ml")).toMatchObject({ count: 2, amount: 500, unit: "ml", total: 1000, label: "2 x 500 ml" });
+        expect(parsePackSize("200 ml x 6")).toMatchObject({ count: 6, total: 1200 });
+        expect(parsePackSize("1.5 L")).toMatchObject({ unit: "ml", total: 1500, label: "1.5 l" });
+        expect(parsePackSize("6 pcs")).toMatchObject({ unit: "pc", total: 6 });
+        expect(parsePackSize("1 dozen")).toMatchObject({ unit: "pc", total: 12 });
+        expect(parsePackSize("Amul Taaza Toned Milk 500 ml Pouch")).toMatchObject({ total: 500, unit: "ml" });
+        expect(parsePackSize("Fresh bananas")).toBeNull();
+        expect(parsePackSize("")).toBeNull();
+    });
+
+    test("computes unit price per 100 g / 100 ml / piece", () => {
+        expect(computeUnitPrice("₹45", "500 g")).toEqual({ value: 9, per: "100 g", label: "₹9.00/100 g" });
+        expect(computeUnitPrice(120, parsePackSize("2 x 500 ml"))).toMatchObject({ value: 12, per: "100 ml" });
+        expect(computeUnitPrice("₹84", "12 pcs")).toMatchObject({ value: 7, per: "1 pc" });
+        expect(computeUnitPrice("", "500 g")).toBeNull();
+        expect(computeUnitPrice("₹45", null)).toBeNull();
+    });
+
+    test("parses quick-commerce delivery ETAs into minutes", () => {
+        expect(parseDeliveryEta("10 mins")).toBe(10);
+        expect(parseDeliveryEta("8 MINS")).toBe(8);
+        expect(parseDeliveryEta("Delivery in 8-12 mins")).toBe(12);
+        expect(parseDeliveryEta("2 hrs")).toBe(120);
+        expect(parseDeliveryEta("1 hr 30 min")).toBe(90);
+        expect(parseDeliveryEta("Tomorrow 7 AM - 9 AM")).toBeNull();
+        expect(parseDeliveryEta(null)).toBeNull();
+    });
+
+    test("builds grocery fields, falling back to the title for pack size", () => {
+        expect(buildGroceryFields({ price: "₹56", title: "Aashirvaad Atta 1 kg", deliveryEta: "9 mins" })).toEqual({
+            priceNumeric: 56,
+            packSize: "1 kg",
+            unitPrice: "₹5.60/100 g",
+            unitPriceValue: 5.6,
+            deliveryEta: "9 mins",
+            deliveryEtaMinutes: 9,
+        });
+        expect(buildGroceryFields({ price: "₹30", packSize: "1 bunch" })).toMatchObject({
+            packSize: "1 bunch",
+            unitPrice: null,
+            deliveryEta: null,
+        });
+    });
+});
@@ -0,0 +1,96 @@
+import { JobStore, JOB_STORAGE_KEY, MAX_JOB_EVENTS, JOB_SAVE_DELAY_MS } from "../../src/background/job-store.js";
+
+describe("Bridge job store", () => {
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+        };
+    });
+
+    test("records events with increasing seq and replays those after lastSeq", () => {
+        const store = new JobStore();
+        store.create({ id: "j1", type: "searchPlatforms", sessionId: "s1" });
+        store.recordEvent("j1", { type: "progress" });
+        store.recordEvent("j1", { type: "tabOpened", platform: "amazon" });
+        store.recordEvent("j1", { type: "completed" });
+        expect(store.eventsSince("j1", 1).map((e) => e.seq)).toEqual([2, 3]);
+        expect(store.eventsSince("j1").length).toBe(3);
+    });
+
+    test("caps the replay log", () => {
+        const store = new JobStore();
+        store.create({ id: "j1", type: "searchPlatforms", sessionId: "s1" });
+        for (let i = 0; i < MAX_JOB_EVENTS + 5; i++) store.recordEvent("j1", { type: "log" });
+        expect(store.get("j1").events.length).toBe(MAX_JOB_EVENTS);
+        expect(store.get("j1").events[0].seq).toBe(6);
+    });
+
+    test("batches event writes and saves status changes right away", async () => {
+        jest.useFakeTimers();
+        try {
+            const store = new JobStore();
+            store.create({ id: "j1", type: "searchPlatforms", sessionId: "s1" });
+            store.recordEvent("j1", { type: "progress" });
+            await store.saveEvents("j1");
+            expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+
+            for (let i = 0; i < 20; i++) {
+                store.recordEvent("j1", { type: "progress" });
+                await store.saveEvents("j1");
+            }
+            expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(JOB_SAVE_DELAY_MS);
+            expect(chrome.storage.local.set).toHaveBeenCalledTimes(2);
+            expect(global.__storage[JOB_STORAGE_KEY].j1.events.length).toBe(21);
+
+            store.get("j1").status = "completed";
+            store.recordEvent("j1", { type: "completed" });
+            await store.saveEvents("j1");
+            expect(chrome.storage.local.set).toHaveBeenCalledTimes(3);
+            expect(global.__storage[JOB_STORAGE_KEY].j1.status).toBe("completed");
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test("running jobs are restored as interrupted after a worker restart", async () => {
+        const before = new JobStore();
+        before.create({ id: "j1", type: "searchPlatforms", sessionId: "s1" });
+        await before.checkpoint("j1", { intent: { query: "laptop", platforms: ["amazon"] } });
+        expect(global.__storage[JOB_STORAGE_KEY].j1).toBeDefined();
+
+        const after = new JobStore();
+        await after.load();
+        expect(after.get("j1").status).toBe("interrupted");
+        expect(after.get("j1").intent.query).toBe("laptop");
+    });
+
+    test("detachSession keeps jobs resumable and reattach moves them", async () => {
+        const store = new JobStore();
+        store.create({ id: "j1", type: "searchPlatforms", sessionId: "s1" });
+        const detached = await store.detachSession("s1");
+        expect(detached.map((j) => j.id)).toEqual(["j1"]);
+        expect(store.get("j1").status).toBe("detached");
+        await store.reattach("j1", "s2");
+        expect(store.get("j1").sessionId).toBe("s2");
+    });
+
+    test("expired jobs are not restored", async () => {
+        global.__storage[JOB_STORAGE_KEY] = {
+            old: { id: "old", status: "running", updatedAt: Date.now() - 24 * 60 * 60 * 1000, events: [] },
+        };
+        const store = new JobStore();
+        await store.load();
+        expect(store.get("old")).toBeNull();
+    });
+});
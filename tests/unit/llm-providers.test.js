@@ -3,6 +3,11 @@ import {
     cacheWorkingModel,
     getCachedModel,
     listModels,
+    generate,
+    resolveProviderOrder,
+    normalizeBaseUrl,
+    generateJSON,
+    toGeminiSchema,
 } from "../../src/lib/llm-providers.js";
 
 describe("LLM providers", () => {
@@ -51,6 +56,150 @@ describe("LLM providers", () => {
         const chosen = await chooseModel("anthropic", "key-999999", "missing");
         expect(chosen).toBe("claude-3");
     });
-});
 
+    test("resolveProviderOrder puts the preferred provider first and skips missing keys", () => {
+        const keys = { gemini: "g", anthropic: "a" };
+        expect(resolveProviderOrder(keys, "auto")).toEqual(["gemini", "anthropic"]);
+        expect(resolveProviderOrder(keys, "anthropic")).toEqual(["anthropic", "gemini"]);
+        expect(resolveProviderOrder(keys, "openai")).toEqual(["gemini", "anthropic"]);
+    });
+
+    test("generate uses Anthropic messages when it is the only key in storage", async () => {
+        global.__storage = { anthropicApiKey: "sk-ant", llmProvider: "auto" };
+        fetch.mockResolvedValue({
+            ok: true,
+            json: async () => ({
+                model: "claude-3-5-haiku-latest",
+                content: [{ type: "text", text: "{\"product\":\"phone\"}" }],
+            }),
+        });
+        const result = await generate({ prompt: "buy phone", system: "Return JSON" });
+        expect(result).toMatchObject({ text: "{\"product\":\"phone\"}", provider: "anthropic" });
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe("https://api.anthropic.com/v1/messages");
+        expect(init.headers["x-api-key"]).toBe("sk-ant");
+        const body = JSON.parse(init.body);
+        expect(body.system).toBe("Return JSON");
+        expect(body.messages).toEqual([{ role: "user", content: "buy phone" }]);
+    });
+
+    test("generate falls back to the next provider when the preferred one fails", async () => {
+        fetch
+            .mockResolvedValueOnce({ ok: false, status: 429, statusText: "Too Many Requests", json: async () => ({}) })
+            .mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ content: [{ type: "text", text: "ok" }] }),
+            });
+        const result = await generate({
+            prompt: "hi",
+            provider: "openai",
+            keys: { openai: "sk-o", anthropic: "sk-a" },
+        });
+        expect(result.provider).toBe("anthropic");
+        expect(fetch.mock.calls[0][0]).toBe("https://api.openai.com/v1/chat/completions");
+        expect(fetch.mock.calls[1][0]).toBe("https://api.anthropic.com/v1/messages");
+    });
+
+    test("generate rejects when no provider key is configured", async () => {
+        await expect(generate({ prompt: "hi" })).rejects.toThrow("no_llm_provider");
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test("normalizeBaseUrl points at the /v1 root of an OpenAI-compatible server", () => {
+        expect(normalizeBaseUrl("http://localhost:11434")).toBe("http://localhost:11434/v1");
+        expect(normalizeBaseUrl("http://localhost:8080/v1/")).toBe("http://localhost:8080/v1");
+        expect(normalizeBaseUrl("http://gpu-box:8000/v1/chat/completions")).toBe("http://gpu-box:8000/v1");
+        expect(normalizeBaseUrl("ftp://host")).toBeNull();
+        expect(normalizeBaseUrl("not a url")).toBeNull();
+    });
+
+    test("listModels reads /v1/models from a local endpoint", async () => {
+        fetch.mockResolvedValue({
+            ok: true,
+            json: async () => ({ data: [{ id: "llama3.1" }, { id: "qwen2.5" }] }),
+        });
+        const models = await listModels("local", null, { baseUrl: "http://localhost:11434" });
+        expect(models).toEqual(["llama3.1", "qwen2.5"]);
+        expect(fetch).toHaveBeenCalledWith("http://localhost:11434/v1/models", { headers: {} });
+    });
 
+    test("generate works with only a local endpoint, picking its first model", async () => {
+        global.__storage = { localLlmBaseUrl: "http://localhost:11434", llmProvider: "local" };
+        fetch
+            .mockResolvedValueOnce({ ok: true, json: async () => ({ data: [{ id: "llama3.1" }] }) })
+            .mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ model: "llama3.1", choices: [{ message: { content: "hello" } }] }),
+            });
+        const result = await generate({ prompt: "hi", system: "be brief" });
+        expect(result).toMatchObject({ text: "hello", provider: "local", model: "llama3.1" });
+        const [url, init] = fetch.mock.calls[1];
+        expect(url).toBe("http://localhost:11434/v1/chat/completions");
+        expect(init.headers.Authorization).toBeUndefined();
+        expect(JSON.parse(init.body).model).toBe("llama3.1");
+    });
+
+    const schema = {
+        type: "object",
+        properties: { product: { type: "string" }, quantity: { type: ["integer", "null"] } },
+        required: ["product"],
+    };
+
+    function openAIReply(content) {
+        return { ok: true, json: async () => ({ choices: [{ message: { content } }] }) };
+    }
+
+    test("generateJSON sends the schema as OpenAI response_format and returns parsed data", async () => {
+        fetch.mockResolvedValueOnce(openAIReply("{\"product\":\"phone\",\"quantity\":2}"));
+        const result = await generateJSON({ prompt: "2 phones", schema, schemaName: "intent", keys: { openai: "sk" }, provider: "openai" });
+        expect(result).toMatchObject({ data: { product: "phone", quantity: 2 }, provider: "openai", repaired: false });
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.response_format).toEqual({
+            type: "json_schema",
+            json_schema: { name: "intent", schema, strict: false },
+        });
+    });
+
+    test("generateJSON asks the same provider once to repair an invalid reply", async () => {
+        fetch
+            .mockResolvedValueOnce(openAIReply("{\"quantity\":\"two\"}"))
+            .mockResolvedValueOnce(openAIReply("{\"product\":\"phone\",\"quantity\":2}"));
+        const result = await generateJSON({ prompt: "2 phones", schema, keys: { openai: "sk" }, provider: "openai" });
+        expect(result.repaired).toBe(true);
+        expect(result.data.product).toBe("phone");
+        const repairPrompt = JSON.parse(fetch.mock.calls[1][1].body).messages.at(-1).content;
+        expect(repairPrompt).toContain("$.product: is required");
+        expect(repairPrompt).toContain("{\"quantity\":\"two\"}");
+    });
+
+    test("generateJSON throws a typed error when the repair is still invalid", async () => {
+        fetch
+            .mockResolvedValueOnce(openAIReply("not json"))
+            .mockResolvedValueOnce(openAIReply("{\"quantity\":1}"));
+        const error = await generateJSON({ prompt: "x", schema, keys: { openai: "sk" }, provider: "openai" }).catch((e) => e);
+        expect(error.name).toBe("StructuredOutputError");
+        expect(error.code).toBe("LLM_OUTPUT_SCHEMA_MISMATCH");
+        expect(error.errors).toEqual(["$.product: is required"]);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("Anthropic structured output uses a forced tool call", async () => {
+        fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({ content: [{ type: "tool_use", name: "intent", input: { product: "tv" } }] }),
+        });
+        const result = await generateJSON({ prompt: "tv", schema, schemaName: "intent", keys: { anthropic: "a" }, provider: "anthropic" });
+        expect(result.data).toEqual({ product: "tv" });
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.tool_choice).toEqual({ type: "tool", name: "intent" });
+        expect(body.tools[0].input_schema).toEqual(schema);
+    });
+
+    test("toGeminiSchema converts type lists to nullable upper-case types", () => {
+        expect(toGeminiSchema(schema)).toEqual({
+            type: "OBJECT",
+            properties: { product: { type: "STRING" }, quantity: { type: "INTEGER", nullable: true } },
+            required: ["product"],
+        });
+    });
+});
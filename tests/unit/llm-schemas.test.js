@@ -0,0 +1,47 @@
+import {
+    INTENT_SCHEMA,
+    ANALYSIS_SCHEMAS,
+    getAnalysisSchema,
+    validateAgainstSchema,
+} from "../../src/lib/llm-schemas.js";
+
+describe("LLM schemas", () => {
+    test("a well-formed intent validates", () => {
+        const intent = {
+            product: "samsung phone",
+            platform: null,
+            compareMode: false,
+            filters: { price_max: 20000, ram: "8gb", rating: 4 },
+            sortStrategy: "cheapest",
+            quantity: 1,
+        };
+        expect(validateAgainstSchema(intent, INTENT_SCHEMA)).toEqual([]);
+    });
+
+    test("reports missing, mistyped and out-of-range intent fields with paths", () => {
+        const errors = validateAgainstSchema(
+            { filters: { price_max: "20k", rating: 7 }, sortStrategy: "fastest", quantity: 1.5 },
+            INTENT_SCHEMA
+        );
+        expect(errors).toEqual(expect.arrayContaining([
+            "$.product: is required",
+            "$.filters.price_max: expected number or null, got string",
+            "$.filters.rating: must be <= 5",
+            "$.sortStrategy: must be one of cheapest, best_rated, relevant, newest",
+            "$.quantity: expected integer or null, got number",
+        ]));
+    });
+
+    test("validates array items of search-result analysis", () => {
+        const errors = validateAgainstSchema(
+            { action: "extract_products", products: [{ title: "Phone", link: "/dp/X" }, { title: "No link" }] },
+            ANALYSIS_SCHEMAS.ANALYZE_SEARCH_RESULTS
+        );
+        expect(errors).toEqual(["$.products[1].link: is required"]);
+    });
+
+    test("unknown analysis modes fall back to the general action schema", () => {
+        expect(getAnalysisSchema("SOMETHING_ELSE")).toBe(ANALYSIS_SCHEMAS.GENERAL);
+        expect(validateAgainstSchema({ action: "dance" }, getAnalysisSchema("GENERAL"))).toHaveLength(1);
+    });
+});
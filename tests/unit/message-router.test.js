@@ -0,0 +1,129 @@
+import { jest } from "@jest/globals";
+import { EcommercePlatform } from "../../src/lib/ecommerce-platforms.js";
+import { routeMessage, registerMessageRouter, supportedActions } from "../../src/content/shared/message-router.js";
+import { sendTabAction, errorCodeFor } from "../../src/lib/content-protocol.js";
+
+class GroceryPlatform extends EcommercePlatform {
+    constructor() {
+        super("testmart", { enabled: true, domains: ["testmart.example"] });
+    }
+
+    async search() {
+        return true;
+    }
+
+    async getSearchResults() {
+        return [
+            { title: "Milk 1 l", link: "https://testmart.example/p/1", price: 60, element: { nodeType: 1 } },
+            { title: "", link: "https://testmart.example/p/2" },
+        ];
+    }
+
+    async addToCart(quantity, productIndex) {
+        if (productIndex === 3) throw new Error("Item is out of stock");
+        if (productIndex === 4) return { success: false, error: "Add button not found" };
+        return { success: true, quantity, capped: false };
+    }
+
+    async setDeliveryLocation(pincode) {
+        return { success: false, serviceable: null, pincode, reason: "location_picker_not_found" };
+    }
+}
+
+describe("Content-script message router", () => {
+    const platform = new GroceryPlatform();
+
+    test("maps actions onto platform methods with a uniform envelope", async () => {
+        expect(await routeMessage(platform, { action: "SEARCH", query: "milk" })).toEqual({ success: true, data: true, error: null });
+
+        const results = await routeMessage(platform, { action: "GET_SEARCH_RESULTS" });
+        expect(results.success).toBe(true);
+        expect(results.data).toEqual([{ title: "Milk 1 l", link: "https://testmart.example/p/1", price: 60, element: { nodeType: 1 } }]);
+
+        const added = await routeMessage(platform, { action: "ADD_TO_CART", productIndex: 0, quantity: 2 });
+        expect(added).toEqual({ success: true, data: { success: true, quantity: 2, capped: false }, error: null });
+    });
+
+    test("reports failures and thrown errors with codes", async () => {
+        expect(await routeMessage(platform, { action: "ADD_TO_CART", productIndex: 3 })).toEqual({
+            success: false,
+            data: null,
+            error: { code: "out_of_stock", message: "Item is out of stock" },
+        });
+        expect(await routeMessage(platform, { action: "ADD_TO_CART", productIndex: 4 })).toMatchObject({
+            success: false,
+            error: { code: "action_failed", message: "Add button not found" },
+        });
+        // The page's answer is kept for the caller
+        expect(await routeMessage(platform, { action: "SET_LOCATION", pincode: "560001" })).toMatchObject({
+            success: false,
+            data: { pincode: "560001", reason: "location_picker_not_found" },
+            error: { code: "action_failed", message: "location_picker_not_found" },
+        });
+        expect(errorCodeFor(Object.assign(new Error("x"), { code: "no_store" }))).toBe("no_store");
+    });
+
+    test("answers unsupported_action for missing or base-class methods and unknown actions", async () => {
+        for (const action of ["APPLY_FILTERS", "CHECKOUT", "TRACK_ORDER", "MAKE_COFFEE"]) {
+            expect(await routeMessage(platform, { action })).toMatchObject({
+                success: false,
+                data: null,
+                error: { code: "unsupported_action" },
+            });
+        }
+        expect(supportedActions(platform)).toEqual([
+            "EXTRACT_PAGE_CONTENT", "GET_CAPABILITIES", "SEARCH", "GET_SEARCH_RESULTS", "ADD_TO_CART", "SET_LOCATION",
+        ]);
+    });
+
+    test("GET_CAPABILITIES reports declared capabilities and answered actions", async () => {
+        const declared = new GroceryPlatform();
+        declared.config.capabilities = { search: true, quantity: true, location: true };
+        const response = await routeMessage(declared, { action: "GET_CAPABILITIES" }, { CHECK_LOGIN_STATUS: async () => ({}) });
+        expect(response.success).toBe(true);
+        expect(response.data).toMatchObject({
+            platform: "testmart",
+            capabilities: { search: true, quantity: true, location: true, filters: false, login: false },
+        });
+        expect(response.data.actions).toEqual(expect.arrayContaining(["SET_LOCATION", "CHECK_LOGIN_STATUS"]));
+    });
+
+    test("extra handlers take precedence and plain data is wrapped", async () => {
+        const handlers = { CHECK_LOGIN_STATUS: async () => ({ loggedIn: true }), SEARCH: async () => false };
+        expect(await routeMessage(platform, { action: "CHECK_LOGIN_STATUS" }, handlers)).toEqual({
+            success: true,
+            data: { loggedIn: true },
+            error: null,
+        });
+        expect(await routeMessage(platform, { action: "SEARCH" }, handlers)).toMatchObject({ success: false, error: { code: "action_failed" } });
+        expect(supportedActions(platform, handlers)).toContain("CHECK_LOGIN_STATUS");
+    });
+
+    test("the registered listener answers actions asynchronously and ignores other messages", async () => {
+        chrome.runtime.onMessage.addListener.mockClear();
+        const listener = registerMessageRouter(platform);
+        expect(chrome.runtime.onMessage.addListener).toHaveBeenCalledWith(listener);
+
+        expect(listener({ type: "PAGE_LOADED" }, {}, jest.fn())).toBe(false);
+        const sendResponse = jest.fn();
+        expect(listener({ action: "SEARCH", query: "milk" }, {}, sendResponse)).toBe(true);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        expect(sendResponse).toHaveBeenCalledWith({ success: true, data: true, error: null });
+    });
+
+    test("sendTabAction resolves envelopes and rejects when the tab can't be reached", async () => {
+        chrome.tabs.sendMessage = jest.fn((tabId, message, callback) => callback(undefined));
+        await expect(sendTabAction(7, "GET_SEARCH_RESULTS", { filters: {} })).resolves.toMatchObject({
+            success: false,
+            error: { code: "no_response" },
+        });
+        expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { filters: {}, action: "GET_SEARCH_RESULTS" }, expect.any(Function));
+
+        chrome.tabs.sendMessage = jest.fn((tabId, message, callback) => {
+            chrome.runtime.lastError = { message: "Receiving end does not exist." };
+            callback();
+            delete chrome.runtime.lastError;
+        });
+        await expect(sendTabAction(7, "SEARCH")).rejects.toThrow("Receiving end does not exist.");
+    });
+});
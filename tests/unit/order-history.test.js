@@ -0,0 +1,288 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AmazonPlatform } from "../../src/content/platforms/amazon-platform.js";
+import { FlipkartPlatform } from "../../src/content/platforms/flipkart-platform.js";
+import { orderTracker, normalizeImportedOrder, normalizeOrderStatus, normalizeTracking, parseOrderDate } from "../../src/lib/order-tracker.js";
+import { importOrderHistory } from "../../src/background/order-import.js";
+import { trackOrderStatus, resolveTrackingUrl } from "../../src/background/order-tracking.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+    const html = fs.readFileSync(path.join(__dirname, `../fixtures/${name}`), "utf-8");
+    document.body.innerHTML = html.match(/<body>([\s\S]*)<\/body>/)[1];
+}
+
+describe("Order history import", () => {
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+        };
+        orderTracker.orders = [];
+    });
+
+    test("reads Amazon order cards with their header, items and tracking link", async () => {
+        loadFixture("amazon-orders.html");
+        const page = await new AmazonPlatform().getOrderHistory();
+
+        expect(page.orders).toHaveLength(2);
+        expect(page.orders[0]).toMatchObject({
+            orderId: "408-1234567-1234567",
+            orderDate: "14 March 2024",
+            total: "₹70,598.00",
+            statusText: "Delivered 16 March",
+            trackingUrl: expect.stringContaining("ship-track?orderId=408-1234567-1234567"),
+        });
+        expect(page.orders[0].items).toEqual([
+            expect.objectContaining({ title: "Apple iPhone 15 (128 GB) - Black", link: expect.stringMatching(/\/dp\/B0CHX1W1XY$/), quantity: 1 }),
+            expect.objectContaining({ title: "Spigen Ultra Hybrid Case for iPhone 15", quantity: 2 }),
+        ]);
+        expect(page.orders[1]).toMatchObject({ orderId: "171-7654321-7654321", statusText: "Cancelled", trackingUrl: null });
+        expect(page.nextPage).toMatch(/startIndex=10$/);
+    });
+
+    test("reads Flipkart's per-item cards and reports a sign-in page", async () => {
+        loadFixture("flipkart-orders.html");
+        const platform = new FlipkartPlatform();
+        const page = await platform.getOrderHistory();
+
+        expect(page.orders.map((o) => o.orderId)).toEqual(["OD430918273645128100", "OD430918273645128100", "OD331122334455667788"]);
+        expect(page.orders[0]).toMatchObject({
+            statusText: "Delivered on Mar 05",
+            items: [expect.objectContaining({ title: "Puma Men Running Shoes", price: "₹2,499" })],
+        });
+        expect(page.orders[2].statusText).toBe("Delivery expected by Mar 21");
+
+        document.body.innerHTML = "<form action=\"/account/login\"><input type=\"password\"></form>";
+        expect(await platform.getOrderHistory()).toMatchObject({ success: false, code: "login_required" });
+    });
+
+    test("normalizes dates, totals and statuses", () => {
+        const now = new Date("2024-04-10T12:00:00Z");
+        expect(parseOrderDate("14 March 2024")).toBe("2024-03-14T00:00:00.000Z");
+        expect(parseOrderDate("Ordered on March 2, 2023")).toBe("2023-03-02T00:00:00.000Z");
+        expect(parseOrderDate("05/01/2024")).toBe("2024-01-05T00:00:00.000Z");
+        expect(parseOrderDate("Delivered on Dec 28", now)).toBe("2023-12-28T00:00:00.000Z");
+        expect(parseOrderDate("Arriving May 2", now)).toBe("2024-05-02T00:00:00.000Z");
+        expect(parseOrderDate("31 February 2024")).toBeNull();
+        expect(parseOrderDate("Wed, 13th Mar '24")).toBe("2024-03-13T00:00:00.000Z");
+        expect(parseOrderDate("Arriving today by 9 PM", now)).toBe("2024-04-10T00:00:00.000Z");
+
+        const order = normalizeImportedOrder({
+            orderId: "Order # 408-1234567-1234567",
+            orderDate: "30 December 2023",
+            total: "₹1,598.00",
+            statusText: "Delivered 2 January",
+            items: [{ title: "Cable", link: "/dp/B000000001", price: "₹799", quantity: "2" }],
+        }, { platform: "amazon", baseUrl: "https://www.amazon.in/gp/css/order-history", now });
+        expect(order).toMatchObject({
+            orderId: "408-1234567-1234567",
+            status: "delivered",
+            totalAmount: 1598,
+            orderDate: "2023-12-30T00:00:00.000Z",
+            // Read against the order date, not today
+            deliveredAt: "2024-01-02T00:00:00.000Z",
+            estimatedDelivery: null,
+            items: [{ title: "Cable", link: "https://www.amazon.in/dp/B000000001", image: null, price: 799, quantity: 2 }],
+            source: "dom",
+        });
+        expect(normalizeImportedOrder({ statusText: "Delivered" }, { platform: "amazon" })).toBeNull();
+    });
+
+    test.each([
+        ["Not yet shipped", "confirmed"],
+        ["Order confirmed, not yet dispatched", "confirmed"],
+        ["Cancelled. Refund completed", "cancelled"],
+        ["Refund initiated for cancelled item", "cancelled"],
+        ["Delivery attempted, not delivered", "shipped"],
+        ["Return complete. Refund issued", "returned"],
+        ["Replacement delivered", "returned"],
+        ["Delivered 2 March. Return window closed on 12 March", "delivered"],
+        ["Delivered. Eligible for return till 20 Mar", "delivered"],
+        ["Out for delivery", "shipped"],
+        ["Order placed", "confirmed"],
+        ["Processing", "pending"],
+    ])("maps order status %p to %p", (text, status) => {
+        expect(normalizeOrderStatus(text)).toBe(status);
+    });
+
+    test("merges cards of one order and updates known orders instead of duplicating them", async () => {
+        const context = { platform: "flipkart", baseUrl: "https://www.flipkart.com/account/orders" };
+        const first = await orderTracker.importOrders([
+            { orderId: "OD1", statusText: "Delivery expected by Mar 21", items: [{ title: "Shoes", price: "₹2,499" }] },
+            { orderId: "OD1", statusText: "Delivery expected by Mar 21", items: [{ title: "Socks", price: "₹399" }] },
+        ], context);
+        expect(first).toMatchObject({ added: 1, updated: 0 });
+        expect(orderTracker.getOrder("OD1")).toMatchObject({ status: "shipped", totalAmount: 2898 });
+        expect(orderTracker.getOrder("OD1").items).toHaveLength(2);
+
+        const second = await orderTracker.importOrders([
+            { orderId: "OD1", statusText: "Delivered on Mar 20", items: [] },
+            { orderId: "OD2", items: [{ title: "Kettle", price: "₹649" }] },
+        ], context);
+        expect(second).toMatchObject({ added: 1, updated: 1 });
+        expect(orderTracker.getAllOrders()).toHaveLength(2);
+        // The update keeps what the page didn't show
+        expect(orderTracker.getOrder("OD1")).toMatchObject({ status: "delivered", totalAmount: 2898 });
+        expect(orderTracker.getOrder("OD1").items).toHaveLength(2);
+        expect(global.__storage.retailAgentOrders).toHaveLength(2);
+    });
+
+    describe("importOrderHistory", () => {
+        const openTab = jest.fn(async () => ({ id: 9 }));
+        const closeTab = jest.fn(async () => {});
+        let visited;
+        const navigate = jest.fn(async (tabId, url) => { visited.push(url); });
+
+        beforeEach(() => {
+            visited = [];
+            openTab.mockClear();
+            closeTab.mockClear();
+        });
+
+        test("follows next-page links and imports what the scraper found", async () => {
+            const pages = {
+                "https://shop.test/orders": { orders: [{ orderId: "A-1", orderDate: "1 March 2024", total: "₹500", statusText: "Delivered 3 March" }], nextPage: "https://shop.test/orders?page=2" },
+                "https://shop.test/orders?page=2": { orders: [{ orderId: "A-0", orderDate: "1 February 2024", total: "₹300" }], nextPage: "https://shop.test/orders?page=3" },
+            };
+            const requestOrders = jest.fn(async () => ({ success: true, data: pages[visited[visited.length - 1]] || { orders: [], nextPage: null } }));
+            const extractWithLLM = jest.fn();
+            const onProgress = jest.fn();
+
+            const result = await importOrderHistory({
+                platform: "shop", ordersUrl: "https://shop.test/orders", openTab, closeTab, navigate, requestOrders, extractWithLLM, onProgress, useLLM: false,
+            });
+
+            expect(visited).toEqual(["https://shop.test/orders", "https://shop.test/orders?page=2", "https://shop.test/orders?page=3"]);
+            expect(result).toMatchObject({ platform: "shop", added: 2, updated: 0, found: 2, pages: 3, source: "dom" });
+            expect(onProgress).toHaveBeenCalledWith({ platform: "shop", page: 1, found: 1, source: "dom" });
+            expect(orderTracker.getAllOrders().map((o) => o.orderId)).toEqual(["A-1", "A-0"]);
+            expect(closeTab).toHaveBeenCalledWith(9);
+        });
+
+        test("asks the LLM when the platform has no scraper", async () => {
+            const requestOrders = jest.fn(async () => ({ success: false, error: { code: "unsupported_action", message: "nykaa does not support GET_ORDER_HISTORY" } }));
+            const extractWithLLM = jest.fn(async () => ({ orders: [{ orderId: "NYK-77", statusText: "Shipped", items: [{ title: "Lipstick", price: 499 }] }], nextPage: null }));
+
+            const result = await importOrderHistory({
+                platform: "nykaa", ordersUrl: "https://nykaa.test/orders", openTab, closeTab, navigate, requestOrders, extractWithLLM,
+            });
+
+            expect(extractWithLLM).toHaveBeenCalledWith(9, "nykaa");
+            expect(result).toMatchObject({ added: 1, source: "llm", pages: 1 });
+            expect(orderTracker.getOrder("NYK-77")).toMatchObject({ source: "llm", status: "shipped", totalAmount: 499 });
+        });
+
+        test("stops on a sign-in page and closes the tab", async () => {
+            const requestOrders = jest.fn(async () => ({ success: false, error: { code: "login_required", message: "Sign in to see your orders" } }));
+            const extractWithLLM = jest.fn();
+
+            await expect(importOrderHistory({
+                platform: "amazon", ordersUrl: "https://amazon.test/orders", openTab, closeTab, navigate, requestOrders, extractWithLLM,
+            })).rejects.toMatchObject({ code: "login_required", reason: "Sign in to see your orders" });
+            expect(extractWithLLM).not.toHaveBeenCalled();
+            expect(closeTab).toHaveBeenCalledWith(9);
+            expect(global.__storage.retailAgentOrders).toBeUndefined();
+        });
+    });
+
+    describe("order tracking", () => {
+        const now = new Date("2024-03-16T12:00:00Z");
+
+        test("reads Amazon's grouped timeline and Flipkart's status lines", async () => {
+            loadFixture("amazon-tracking.html");
+            const amazon = await new AmazonPlatform().trackOrder("408-1234567-1234567");
+            expect(amazon).toMatchObject({
+                statusText: "Out for delivery",
+                estimatedDelivery: "Arriving today by 9 PM",
+                trackingNumber: "362818837261",
+                carrier: "Amazon",
+            });
+            expect(amazon.events[0]).toEqual({ text: "Out for delivery", date: "Saturday, 16 March 7:12 AM", location: "Bengaluru, Karnataka" });
+            expect(amazon.events).toHaveLength(3);
+
+            const update = normalizeTracking(amazon, { now });
+            expect(update).toMatchObject({ status: "shipped", estimatedDelivery: "2024-03-16T00:00:00.000Z", deliveredAt: null });
+            // Oldest first
+            expect(update.events.map((e) => e.at)).toEqual(["2024-03-14T00:00:00.000Z", "2024-03-16T00:00:00.000Z", "2024-03-16T00:00:00.000Z"]);
+
+            loadFixture("flipkart-tracking.html");
+            const flipkart = await new FlipkartPlatform().trackOrder("OD331122334455667788");
+            expect(flipkart.events.map((e) => [e.text, e.date])).toEqual([
+                ["Order Confirmed", "Mon, 11th Mar '24"],
+                ["Shipped", "Wed, 13th Mar '24"],
+                ["Out For Delivery", "Sat, 16th Mar '24"],
+                ["Delivery expected by Mar 18", null],
+            ]);
+            expect(normalizeTracking(flipkart, { now })).toMatchObject({
+                status: "shipped",
+                statusText: "Out For Delivery",
+                estimatedDelivery: "2024-03-18T00:00:00.000Z",
+            });
+        });
+
+        test("updates the stored order from the tracking page and keeps unrecognized statuses", async () => {
+            await orderTracker.importOrders([{ orderId: "OD9", statusText: "Shipped", trackingUrl: "https://www.flipkart.com/order_details?order_id=OD9" }], { platform: "flipkart" });
+            const openTab = jest.fn(async () => ({ id: 4 }));
+            const closeTab = jest.fn(async () => {});
+            const navigate = jest.fn(async () => {});
+            const onTab = jest.fn();
+            const requestTracking = jest.fn(async () => ({
+                success: true,
+                data: { statusText: "Delivered", events: [{ text: "Shipped", date: "13 March 2024" }, { text: "Delivered", date: "15 March 2024" }] },
+            }));
+
+            const result = await trackOrderStatus("OD9", { openTab, closeTab, navigate, requestTracking, onTab, extractWithLLM: jest.fn() });
+
+            expect(navigate).toHaveBeenCalledWith(4, "https://www.flipkart.com/order_details?order_id=OD9");
+            expect(requestTracking).toHaveBeenCalledWith(4, "OD9");
+            expect(onTab).toHaveBeenCalledWith(4);
+            expect(closeTab).toHaveBeenCalledWith(4);
+            expect(result).toMatchObject({ previousStatus: "shipped", changed: true, source: "dom" });
+            expect(orderTracker.getOrder("OD9")).toMatchObject({ status: "delivered", deliveredAt: "2024-03-15T00:00:00.000Z" });
+            expect(orderTracker.getOrder("OD9").trackingEvents).toHaveLength(2);
+
+            const again = await orderTracker.applyTracking("OD9", { statusText: "Rate your experience" });
+            expect(again).toMatchObject({ changed: false });
+            expect(orderTracker.getOrder("OD9").status).toBe("delivered");
+        });
+
+        test("falls back to the LLM and to the descriptor's order page", async () => {
+            await orderTracker.addOrder({ orderId: "NYK-1", platform: "nykaa" });
+            const descriptor = { orderUrl: "https://www.nykaa.test/orders/{orderId}" };
+            expect(resolveTrackingUrl(orderTracker.getOrder("NYK-1"), descriptor)).toBe("https://www.nykaa.test/orders/NYK-1");
+            expect(resolveTrackingUrl({ orderId: "X" }, {})).toBeNull();
+
+            const navigate = jest.fn(async () => {});
+            const extractWithLLM = jest.fn(async () => ({ statusText: "Order Shipped", events: [], carrier: "Delhivery" }));
+            const result = await trackOrderStatus("NYK-1", {
+                descriptor,
+                openTab: async () => ({ id: 5 }),
+                closeTab: async () => {},
+                navigate,
+                requestTracking: async () => ({ success: false, error: { code: "unsupported_action" } }),
+                extractWithLLM,
+            });
+
+            expect(navigate).toHaveBeenCalledWith(5, "https://www.nykaa.test/orders/NYK-1");
+            expect(extractWithLLM).toHaveBeenCalledWith(5, "nykaa");
+            expect(result).toMatchObject({ source: "llm", changed: true });
+            expect(orderTracker.getOrder("NYK-1")).toMatchObject({ status: "shipped", carrier: "Delhivery" });
+
+            await orderTracker.addOrder({ orderId: "NYK-2", platform: "nykaa" });
+            await expect(trackOrderStatus("NYK-2", { descriptor: {} })).rejects.toThrow("no_tracking_page");
+        });
+    });
+});
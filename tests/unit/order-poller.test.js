@@ -0,0 +1,146 @@
+import { jest } from "@jest/globals";
+import { orderTracker } from "../../src/lib/order-tracker.js";
+import {
+    OrderStatusPoller,
+    ORDER_POLL_ALARM,
+    ORDER_POLL_STORAGE_KEY,
+    MAX_CHECKS_PER_PLATFORM_PER_HOUR,
+    LOGIN_PAUSE_MS,
+    PLATFORM_SPACING_MS,
+    nextPollDelayMinutes,
+    orderMilestone,
+    describeOrderUpdate,
+} from "../../src/background/order-poller.js";
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse("2024-03-16T08:00:00Z");
+
+const storedOrder = (orderId, platform, status, extra = {}) => ({
+    orderId,
+    platform,
+    status,
+    items: [{ title: `Item ${orderId}`, quantity: 1 }],
+    orderDate: "2024-03-12T00:00:00.000Z",
+    ...extra,
+});
+
+describe("Order status poller", () => {
+    let readings;
+    let track;
+    let notify;
+    let wait;
+
+    const createPoller = () => new OrderStatusPoller({ track, notify, wait });
+
+    beforeEach(() => {
+        global.__storage = {};
+        global.__alarm = null;
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+            alarms: {
+                get: jest.fn(async () => global.__alarm || undefined),
+                create: jest.fn(async (name) => { global.__alarm = { name }; }),
+                clear: jest.fn(async () => { global.__alarm = null; }),
+            },
+        };
+        orderTracker.orders = [];
+        readings = {};
+        track = jest.fn(async (order) => {
+            const reading = readings[order.orderId];
+            if (reading instanceof Error) throw reading;
+            return orderTracker.applyTracking(order.orderId, reading || {}, { now: new Date(NOW) });
+        });
+        notify = jest.fn(async () => {});
+        wait = jest.fn(async () => {});
+    });
+
+    test("backs off while an order doesn't move and checks often near delivery", () => {
+        const shipped = { status: "shipped", statusText: "Shipped" };
+        expect(nextPollDelayMinutes(shipped, {}, NOW)).toBe(120);
+        expect(nextPollDelayMinutes(shipped, { unchanged: 2 }, NOW)).toBe(480);
+        expect(nextPollDelayMinutes({ status: "confirmed" }, { unchanged: 5 }, NOW)).toBe(24 * 60);
+        expect(nextPollDelayMinutes({ status: "shipped", statusText: "Out for delivery" }, {}, NOW)).toBe(30);
+        expect(nextPollDelayMinutes({ ...shipped, estimatedDelivery: "2024-03-16T00:00:00.000Z" }, { unchanged: 3 }, NOW)).toBe(60);
+        expect(nextPollDelayMinutes(shipped, { failures: 2 }, NOW)).toBe(480);
+
+        expect(orderMilestone({ status: "shipped", statusText: "Out For Delivery" })).toBe("out_for_delivery");
+        expect(describeOrderUpdate({
+            orderId: "OD1",
+            platform: "flipkart",
+            status: "shipped",
+            estimatedDelivery: "2024-03-18T00:00:00.000Z",
+            items: [{ title: "Kettle" }, { title: "Mug" }],
+        }, "shipped")).toEqual({ title: "Shipped: Kettle and 1 more", message: "Arriving 18 Mar (flipkart)" });
+    });
+
+    test("notifies on status transitions and reschedules each order", async () => {
+        global.__storage.retailAgentOrders = [
+            storedOrder("A-1", "amazon", "shipped", { statusText: "Shipped" }),
+            storedOrder("OD2", "flipkart", "confirmed", { statusText: "Order Confirmed" }),
+            storedOrder("A-3", "amazon", "delivered"),
+        ];
+        readings["A-1"] = { statusText: "Out for delivery" };
+        readings["OD2"] = { statusText: "Order Confirmed" };
+        const poller = createPoller();
+        const listener = jest.fn();
+        poller.setListener(listener);
+
+        const updates = await poller.checkDue(NOW);
+
+        expect(track.mock.calls.map(([order]) => order.orderId)).toEqual(["A-1", "OD2"]);
+        expect(updates).toEqual([expect.objectContaining({
+            orderId: "A-1",
+            from: "shipped",
+            to: "out_for_delivery",
+            title: "Out for delivery: Item A-1",
+        })]);
+        expect(notify).toHaveBeenCalledWith("order-status:A-1", "Out for delivery: Item A-1", "Out for delivery (amazon)");
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ orderId: "A-1" }), updates[0]);
+
+        const state = global.__storage[ORDER_POLL_STORAGE_KEY];
+        expect(state.orders["A-1"]).toMatchObject({ milestone: "out_for_delivery", unchanged: 0, nextCheckAt: NOW + 30 * MINUTE });
+        expect(state.orders["OD2"]).toMatchObject({ unchanged: 1, nextCheckAt: NOW + 720 * MINUTE });
+        expect(global.__alarm).toEqual({ name: ORDER_POLL_ALARM });
+
+        // Nothing is due yet; once delivered the order drops out and the alarm goes
+        expect(await createPoller().checkDue(NOW + 10 * MINUTE)).toEqual([]);
+        readings["A-1"] = { statusText: "Delivered today", events: [] };
+        readings["OD2"] = { statusText: "Cancelled" };
+        const later = await createPoller().checkDue(NOW + 800 * MINUTE);
+        expect(later.map((u) => u.to)).toEqual(["delivered", "cancelled"]);
+        expect(global.__alarm).toBeNull();
+    });
+
+    test("throttles each platform and pauses one that wants a sign-in", async () => {
+        const orders = Array.from({ length: MAX_CHECKS_PER_PLATFORM_PER_HOUR + 2 }, (_, i) => storedOrder(`A-${i}`, "amazon", "shipped"));
+        global.__storage.retailAgentOrders = [...orders, storedOrder("OD1", "flipkart", "shipped"), storedOrder("OD2", "flipkart", "shipped")];
+        readings.OD1 = Object.assign(new Error("login_required"), { code: "login_required" });
+
+        await createPoller().checkDue(NOW);
+
+        const checked = track.mock.calls.map(([order]) => order.orderId);
+        expect(checked.filter((id) => id.startsWith("A-"))).toHaveLength(MAX_CHECKS_PER_PLATFORM_PER_HOUR);
+        // Flipkart stopped at the sign-in page
+        expect(checked).toContain("OD1");
+        expect(checked).not.toContain("OD2");
+        expect(wait).toHaveBeenCalledWith(PLATFORM_SPACING_MS);
+        const state = global.__storage[ORDER_POLL_STORAGE_KEY];
+        expect(state.platforms.flipkart.pausedUntil).toBe(NOW + LOGIN_PAUSE_MS);
+        expect(state.orders.OD1).toMatchObject({ failures: 1, lastError: "login_required" });
+
+        // An hour later Amazon's budget is back; Flipkart is still paused
+        track.mockClear();
+        await createPoller().checkDue(NOW + 61 * MINUTE);
+        const next = track.mock.calls.map(([order]) => order.orderId);
+        expect(next).toEqual(["A-4", "A-5"]);
+    });
+});
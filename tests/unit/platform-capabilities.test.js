@@ -0,0 +1,66 @@
+import {
+    CAPABILITY_KEYS,
+    normalizeCapabilities,
+    capabilityProblems,
+    reconcileCapabilities,
+    planRun,
+} from "../../src/lib/platform-capabilities.js";
+import { BUILTIN_DESCRIPTORS, validateDescriptor, createPlatformFromDescriptor } from "../../src/lib/platform-descriptors.js";
+
+describe("Platform capabilities", () => {
+    const byName = (name) => BUILTIN_DESCRIPTORS.find((d) => d.name === name);
+
+    test("built-in descriptors declare every capability", () => {
+        for (const descriptor of BUILTIN_DESCRIPTORS) {
+            expect(Object.keys(descriptor.capabilities).sort()).toEqual([...CAPABILITY_KEYS].sort());
+        }
+        expect(byName("amazon").capabilities).toMatchObject({ search: true, filters: true, login: true, quantity: false });
+        expect(byName("zepto").capabilities).toMatchObject({ quantity: true, location: true, filters: false });
+        expect(byName("ebay").capabilities.search).toBe(false);
+        expect(createPlatformFromDescriptor(byName("shopify")).getCapabilities()).toMatchObject({ variants: true, search: false });
+    });
+
+    test("normalizes partial declarations and rejects unknown or non-boolean ones", () => {
+        expect(normalizeCapabilities({ filters: true, teleport: true })).toEqual({
+            search: false, filters: true, sort: false, quantity: false, coupons: false, login: false, location: false, variants: false,
+        });
+        expect(capabilityProblems(undefined)).toEqual([]);
+        expect(capabilityProblems({ teleport: true, sort: "yes" })).toEqual([
+            "capabilities.teleport is not a known capability",
+            "capabilities.sort must be true or false",
+        ]);
+        try {
+            validateDescriptor({ ...byName("ebay"), capabilities: { filters: 1 } });
+            throw new Error("expected invalid descriptor");
+        } catch (error) {
+            expect(error.message).toBe("invalid_platform_descriptor");
+            expect(error.reason).toBe("capabilities.filters must be true or false");
+        }
+    });
+
+    test("narrows declarations to the actions the page answers", () => {
+        const declared = { search: true, filters: true, sort: true, login: true, quantity: true };
+        expect(reconcileCapabilities(declared, ["SEARCH", "ADD_TO_CART", "GET_SEARCH_RESULTS"])).toMatchObject({
+            search: true,
+            filters: false,
+            sort: false,
+            login: false,
+            quantity: true,
+        });
+    });
+
+    test("plans URL search, skipped filters and warnings from capabilities", () => {
+        const intent = { filters: { price_max: 500, brand: null }, sortStrategy: "cheapest", quantity: 3 };
+
+        const amazon = planRun(byName("amazon").capabilities, intent);
+        expect(amazon).toMatchObject({ searchMode: "dom", applyFilters: true, applySort: true, setQuantity: false, checkLogin: true });
+        expect(amazon.warnings.map((w) => w.code)).toEqual(["quantity_unsupported"]);
+
+        const ajio = planRun(byName("ajio").capabilities, intent);
+        expect(ajio).toMatchObject({ searchMode: "url", applyFilters: false, checkLogin: false });
+        expect(ajio.warnings.map((w) => w.code)).toEqual(["filters_unsupported", "sort_unsupported", "quantity_unsupported"]);
+
+        // Nothing asked for, nothing to warn about
+        expect(planRun(byName("ajio").capabilities, { filters: { brand: null } }).warnings).toEqual([]);
+    });
+});
@@ -0,0 +1,120 @@
+import {
+    BUILTIN_DESCRIPTORS,
+    validateDescriptor,
+    buildSearchUrl,
+    findDescriptorForUrl,
+    detectPlatformInText,
+    platformAliases,
+    createPlatformFromDescriptor,
+} from "../../src/lib/platform-descriptors.js";
+import { syncDeclarativeScripts, DECLARATIVE_SCRIPT_ID } from "../../src/background/platform-scripts.js";
+
+describe("Platform descriptors", () => {
+    const byName = (name) => BUILTIN_DESCRIPTORS.find((d) => d.name === name);
+
+    test("every built-in descriptor is valid and uniquely named", () => {
+        const names = BUILTIN_DESCRIPTORS.map((d) => d.name);
+        expect(new Set(names).size).toBe(names.length);
+        expect(names).toEqual(expect.arrayContaining(["amazon", "flipkart", "ebay", "walmart", "bigbasket", "shopify"]));
+        // eBay and Walmart are driven by the declarative content script
+        expect(byName("ebay").contentScript).toBeNull();
+        expect(byName("amazon").contentScript).toBe("src/content/amazon-loader.js");
+    });
+
+    test("fills defaults and rejects incomplete descriptors", () => {
+        const descriptor = validateDescriptor({
+            name: "shop",
+            domains: ["shop.example"],
+            searchUrl: "https://www.shop.example/find?q={query}",
+            aliases: ["Shop Example"],
+            selectors: { results: { container: ".item", title: "h2", link: "a" }, product: { addToCart: "#add" } },
+        });
+        expect(descriptor).toMatchObject({
+            displayName: "shop",
+            aliases: ["shop example"],
+            homeUrl: "https://www.shop.example/",
+            matches: ["https://www.shop.example/*"],
+            contentScript: null,
+        });
+
+        expect(() => validateDescriptor({ name: "Bad Name", domains: ["x.com"], searchUrl: "https://x.com?q={query}" }))
+            .toThrow("invalid_platform_descriptor");
+        expect(() => validateDescriptor({ name: "nosearch", domains: ["x.com"], searchUrl: "https://x.com/" }))
+            .toThrow("invalid_platform_descriptor");
+        try {
+            validateDescriptor({ name: "noselectors", domains: ["x.com"], searchUrl: "https://x.com?q={query}" });
+        } catch (error) {
+            expect(error.reason).toMatch(/selectors\.results/);
+        }
+    });
+
+    test("builds search URLs from templates", () => {
+        expect(buildSearchUrl(byName("ebay"), "usb c cable")).toBe("https://www.ebay.com/sch/i.html?_nkw=usb%20c%20cable");
+        expect(buildSearchUrl(byName("shopify"), "tee", { store: "shop.example.com" }))
+            .toBe("https://shop.example.com/search?q=tee&type=product");
+        expect(() => buildSearchUrl(byName("shopify"), "tee")).toThrow("invalid_platform_descriptor");
+    });
+
+    test("detects platforms in text with fallback aliases checked last", () => {
+        expect(detectPlatformInText("buy kurta on ajio")).toBe("ajio");
+        expect(detectPlatformInText("atta from jio mart")).toBe("jiomart");
+        expect(detectPlatformInText("milk from jio")).toBe("jiomart");
+        expect(detectPlatformInText("headphones on walmart")).toBe("walmart");
+        expect(detectPlatformInText("order from big basket")).toBe("bigbasket");
+        expect(detectPlatformInText("just a phone")).toBeNull();
+        expect(platformAliases()[0].length).toBeGreaterThanOrEqual(platformAliases().at(-1).length);
+    });
+
+    test("matches URLs to descriptors and builds registry entries", () => {
+        expect(findDescriptorForUrl("https://www.ebay.in/itm/123").name).toBe("ebay");
+        expect(findDescriptorForUrl("https://blinkit.com/s/?q=milk").name).toBe("blinkit");
+        expect(findDescriptorForUrl("https://notebay.com/")).toBeNull();
+
+        const platform = createPlatformFromDescriptor(byName("walmart"));
+        expect(platform.name).toBe("walmart");
+        expect(platform.matches("https://www.walmart.com/ip/1")).toBe(true);
+        expect(platform.config.descriptor.searchUrl).toContain("{query}");
+    });
+
+    test("overlapping declarative script syncs run one after the other", async () => {
+        const registered = new Map();
+        const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+        const scripting = {
+            getRegisteredContentScripts: jest.fn(async ({ ids }) => {
+                await tick();
+                return ids.filter((id) => registered.has(id)).map((id) => registered.get(id));
+            }),
+            unregisterContentScripts: jest.fn(async ({ ids }) => {
+                await tick();
+                ids.forEach((id) => {
+                    if (!registered.delete(id)) throw new Error(`Nonexistent script ID '${id}'`);
+                });
+            }),
+            registerContentScripts: jest.fn(async (scripts) => {
+                await tick();
+                scripts.forEach((script) => {
+                    if (registered.has(script.id)) throw new Error(`Duplicate script ID '${script.id}'`);
+                    registered.set(script.id, script);
+                });
+            }),
+        };
+        const original = { scripting: chrome.scripting, permissions: chrome.permissions };
+        chrome.scripting = scripting;
+        chrome.permissions = { contains: jest.fn(async () => true) };
+
+        try {
+            // Startup sync and a permissions.onRemoved sync firing together
+            const [first, second] = await Promise.all([
+                syncDeclarativeScripts(BUILTIN_DESCRIPTORS),
+                syncDeclarativeScripts(BUILTIN_DESCRIPTORS.filter((d) => d.name !== "walmart")),
+            ]);
+            expect(first).toEqual(expect.arrayContaining(byName("walmart").matches));
+            expect(second).not.toEqual(expect.arrayContaining(byName("walmart").matches));
+            expect(registered.get(DECLARATIVE_SCRIPT_ID).matches).toEqual(second);
+            expect(scripting.registerContentScripts).toHaveBeenCalledTimes(2);
+        } finally {
+            chrome.scripting = original.scripting;
+            chrome.permissions = original.permissions;
+        }
+    });
+});
@@ -0,0 +1,130 @@
+import { jest } from "@jest/globals";
+import { platformRegistry } from "../../src/lib/ecommerce-platforms.js";
+import { BUILTIN_DESCRIPTORS, createPlatformFromDescriptor, parsePlatformPack } from "../../src/lib/platform-descriptors.js";
+import { installPlatformPack, removePlatformPack, validatePlatformPack, listPlatformPacks, registerPlatformPacks } from "../../src/background/platform-packs.js";
+import { configManager } from "../../src/lib/config.js";
+
+const regionalPack = {
+    name: "regional-stores",
+    version: "1.0.0",
+    platforms: [{
+        name: "kiranamart",
+        displayName: "Kirana Mart",
+        domains: ["kiranamart.example"],
+        searchUrl: "https://www.kiranamart.example/search?q={query}",
+        aliases: ["kirana mart", "kiranamart"],
+        selectors: {
+            results: { container: ".product", title: ".name", link: "a", price: ".price" },
+            product: { addToCart: "#add" },
+        },
+    }],
+};
+
+describe("Platform packs", () => {
+    beforeAll(() => {
+        platformRegistry.register(createPlatformFromDescriptor(BUILTIN_DESCRIPTORS.find((d) => d.name === "amazon")));
+    });
+
+    beforeEach(() => {
+        configManager.config.platformPacks = [];
+        chrome.permissions = {
+            contains: jest.fn().mockResolvedValue(true),
+            remove: jest.fn().mockResolvedValue(true),
+        };
+        chrome.runtime.getManifest = () => ({ host_permissions: ["https://www.amazon.in/*"] });
+        chrome.scripting.getRegisteredContentScripts = jest.fn().mockResolvedValue([]);
+        chrome.scripting.registerContentScripts = jest.fn().mockResolvedValue();
+        chrome.scripting.unregisterContentScripts = jest.fn().mockResolvedValue();
+    });
+
+    afterEach(() => {
+        platformRegistry.unregister("kiranamart");
+    });
+
+    test("parses a pack and lists the origins to request", () => {
+        const pack = parsePlatformPack(regionalPack);
+        expect(pack.platforms[0]).toMatchObject({ name: "kiranamart", pack: "regional-stores", contentScript: null });
+        expect(pack.origins).toEqual(["https://www.kiranamart.example/*"]);
+
+        // A bare descriptor is a pack of one
+        expect(parsePlatformPack(regionalPack.platforms[0]).name).toBe("kiranamart");
+    });
+
+    test("rejects packs that break the schema or reach beyond their domains", () => {
+        const problemsOf = (raw, options) => {
+            try {
+                parsePlatformPack(raw, options);
+                return [];
+            } catch (error) {
+                expect(error.message).toBe("invalid_platform_pack");
+                return error.problems;
+            }
+        };
+        expect(problemsOf({ name: "x", platforms: "nope" })).toEqual(["$.platforms: expected array, got string"]);
+
+        const platform = regionalPack.platforms[0];
+        expect(problemsOf({ name: "x", platforms: [{ ...platform, contentScript: "evil.js" }] })[0]).toMatch(/declarative content script/);
+        expect(problemsOf({ name: "x", platforms: [{ ...platform, matches: ["https://*/*"] }] })[0]).toMatch(/matches/);
+        expect(problemsOf({ name: "x", platforms: [{ ...platform, searchUrl: "http://other.example/?q={query}" }] })[0]).toMatch(/searchUrl/);
+        expect(problemsOf({ name: "x", platforms: [{ ...platform, name: "amazon" }] }, { reservedNames: ["amazon"] })[0]).toMatch(/already used/);
+    });
+
+    test("rejects packs whose domains are a top-level domain or public suffix", () => {
+        const problemsOf = (platform) => {
+            try {
+                parsePlatformPack({ name: "x", platforms: [{ ...regionalPack.platforms[0], ...platform }] });
+                return [];
+            } catch (error) {
+                return error.problems;
+            }
+        };
+
+        const everyCom = problemsOf({ domains: ["com"], matches: ["https://*.com/*"], searchUrl: "https://shop.com/search?q={query}" });
+        expect(everyCom).toEqual(expect.arrayContaining([
+            expect.stringMatching(/domains: "com" is a public suffix/),
+            expect.stringMatching(/matches: "https:\/\/\*\.com\/\*"/),
+        ]));
+        const everyUkShop = problemsOf({ domains: ["co.uk"], matches: ["https://*.co.uk/*"], searchUrl: "https://shop.co.uk/search?q={query}" });
+        expect(everyUkShop).toEqual(expect.arrayContaining([expect.stringMatching(/domains: "co.uk"/), expect.stringMatching(/matches/)]));
+        expect(problemsOf({ domains: ["kiranamart.co.uk"], matches: ["https://*.kiranamart.co.uk/*"], searchUrl: "https://www.kiranamart.co.uk/search?q={query}" })).toEqual([]);
+    });
+
+    test("installs a pack into the registry and the declarative content script", async () => {
+        expect(validatePlatformPack(regionalPack).pack.origins).toEqual(["https://www.kiranamart.example/*"]);
+
+        const result = await installPlatformPack(regionalPack);
+        expect(result.success).toBe(true);
+        expect(platformRegistry.get("kiranamart").config.descriptor.pack).toBe("regional-stores");
+        expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([
+            expect.objectContaining({ js: ["src/content/declarative-loader.js"], matches: ["https://www.kiranamart.example/*"] }),
+        ]);
+        expect(listPlatformPacks()).toEqual([expect.objectContaining({ name: "regional-stores", version: "1.0.0" })]);
+
+        // Built-in names stay reserved
+        const clash = validatePlatformPack({ name: "bad", platforms: [{ ...regionalPack.platforms[0], name: "amazon" }] });
+        expect(clash.success).toBe(false);
+    });
+
+    test("refuses to install without the host permission", async () => {
+        chrome.permissions.contains.mockResolvedValue(false);
+        const result = await installPlatformPack({ ...regionalPack, name: "other" });
+        expect(result).toMatchObject({ success: false, error: "permission_not_granted" });
+    });
+
+    test("removes a pack, its platforms and their permissions", async () => {
+        await installPlatformPack(regionalPack);
+        const result = await removePlatformPack("regional-stores");
+        expect(result.success).toBe(true);
+        expect(platformRegistry.has("kiranamart")).toBe(false);
+        expect(chrome.permissions.remove).toHaveBeenCalledWith({ origins: ["https://www.kiranamart.example/*"] });
+        expect(chrome.scripting.unregisterContentScripts).not.toHaveBeenCalled();
+        expect(await removePlatformPack("regional-stores")).toMatchObject({ success: false, error: "unknown_platform_pack" });
+    });
+
+    test("re-registers installed packs on startup", async () => {
+        await installPlatformPack(regionalPack);
+        platformRegistry.unregister("kiranamart");
+        expect(registerPlatformPacks()).toEqual(["kiranamart"]);
+        expect(platformRegistry.has("kiranamart")).toBe(true);
+    });
+});
@@ -0,0 +1,110 @@
+import { jest } from "@jest/globals";
+import {
+    PriceHistoryStore,
+    PRICE_HISTORY_STORAGE_KEY,
+    MAX_TRACKED_PRODUCTS,
+    productIdentity,
+    addPricePoint,
+    assessDeal,
+} from "../../src/lib/price-history.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const series = (points) => points.reduce(
+    (s, [at, price]) => addPricePoint(s, price, at),
+    { key: "k", points: [], low: null, high: null, firstSeenAt: null, lastSeenAt: null }
+);
+
+describe("Price history", () => {
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+        };
+    });
+
+    test("keys the same listing the same way whichever route found it", () => {
+        expect(productIdentity("https://www.amazon.in/Apple-iPhone-15-128-GB/dp/B0CHX1W1XY/ref=sr_1_1?keywords=iphone"))
+            .toBe("amazon.in:b0chx1w1xy");
+        expect(productIdentity({ link: "https://amazon.in/dp/B0CHX1W1XY" })).toBe("amazon.in:b0chx1w1xy");
+        expect(productIdentity("https://www.amazon.in/gp/aw/d/B0CHX1W1XY?psc=1")).toBe("amazon.in:b0chx1w1xy");
+        expect(productIdentity("https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W"))
+            .toBe("flipkart.com:itm6ac6485515ae4");
+        expect(productIdentity("https://blinkit.com/prn/amul-taaza-toned-milk/prid/19512")).toBe("blinkit.com:19512");
+        expect(productIdentity("https://www.tirabeauty.com/product/maybelline-fit-me-foundation/?utm=x"))
+            .toBe("tirabeauty.com/product/maybelline-fit-me-foundation");
+        expect(productIdentity({ title: "Amul Taaza  Milk, 1 L", platform: "zepto" })).toBe("title:zepto:amul taaza milk 1 l");
+        expect(productIdentity({ link: "/relative/only" })).toBeNull();
+    });
+
+    test("keeps points only where the price changes", () => {
+        const s = series([[0, 999], [2 * HOUR, 999], [DAY, 899], [DAY + 10 * 60 * 1000, 949], [DAY + 20 * 60 * 1000, 999], [3 * DAY, 849]]);
+        // 899 was replaced by the 949 sample minutes later, and 949 -> 999 within the hour folded back into the first point
+        expect(s.points).toEqual([[0, 999], [3 * DAY, 849]]);
+        expect(s).toMatchObject({ low: { price: 849, at: 3 * DAY }, high: { price: 999 }, firstSeenAt: 0, lastSeenAt: 3 * DAY });
+    });
+
+    test("judges a price against the usual price and the all-time low", () => {
+        const now = 40 * DAY;
+        expect(assessDeal(series([[now - DAY, 1000]]), 900, now)).toMatchObject({ verdict: "not_enough_history" });
+
+        const steady = series([[0, 1000], [20 * DAY, 880], [22 * DAY, 1000]]);
+        expect(assessDeal(steady, 900, now)).toMatchObject({ verdict: "good", usualPrice: 1000, changePercent: -10 });
+        expect(assessDeal(series([[0, 1000], [39 * DAY, 900]]), 900, now))
+            .toMatchObject({ verdict: "lowest", lowPrice: 900, label: "Lowest price seen (usually ₹1,000)" });
+        expect(assessDeal(steady, 1000, now)).toMatchObject({ verdict: "typical" });
+        expect(assessDeal(steady, 1100, now)).toMatchObject({ verdict: "high", changePercent: 10 });
+
+        // Hiked to 1,400 for a week, then "discounted" back to where it was
+        const hiked = series([[0, 1000], [30 * DAY, 1400], [37 * DAY, 1000]]);
+        expect(assessDeal(hiked, 1000, now)).toMatchObject({
+            verdict: "inflated",
+            label: "Not a real discount: back to the usual ₹1,000 after a hike to ₹1,400",
+        });
+    });
+
+    test("records scraped prices and summarizes them with a verdict", async () => {
+        const store = new PriceHistoryStore();
+        const link = "https://www.amazon.in/dp/B0CHX1W1XY?tag=x";
+        const t0 = Date.now() - 10 * DAY;
+        await Promise.all([
+            store.record([{ link, title: "iPhone 15", platform: "amazon", price: "₹79,900", at: t0 }, { link: "https://www.amazon.in/dp/B0AAAAAAAA", price: "" }]),
+            store.record([{ url: "https://amazon.in/dp/B0CHX1W1XY", price: 71999, at: t0 + 5 * DAY }]),
+        ]);
+
+        const summary = await store.summarize({ link, price: "₹69,999" });
+        expect(summary).toMatchObject({
+            key: "amazon.in:b0chx1w1xy",
+            title: "iPhone 15",
+            platform: "amazon",
+            points: [[t0, 79900], [t0 + 5 * DAY, 71999]],
+            deal: { verdict: "lowest", price: 69999 },
+        });
+        expect(Object.keys(global.__storage[PRICE_HISTORY_STORAGE_KEY])).toEqual(["amazon.in:b0chx1w1xy"]);
+        expect(await store.summarize("https://www.flipkart.com/x/p/itm123")).toBeNull();
+    });
+
+    test("drops the least recently seen products past the cap", async () => {
+        const store = new PriceHistoryStore();
+        const samples = Array.from({ length: MAX_TRACKED_PRODUCTS + 2 }, (_, i) => ({
+            link: `https://www.ebay.com/itm/${100000000 + i}`,
+            price: 10,
+            at: i,
+        }));
+        await store.record(samples);
+        const keys = Object.keys(global.__storage[PRICE_HISTORY_STORAGE_KEY]);
+        expect(keys).toHaveLength(MAX_TRACKED_PRODUCTS);
+        expect(keys).not.toContain("ebay.com:100000000");
+        expect(keys).not.toContain("ebay.com:100000001");
+    });
+});
@@ -0,0 +1,139 @@
+import { jest } from "@jest/globals";
+import {
+    createPriceWatch,
+    evaluatePriceWatch,
+    recordPriceSample,
+    extractPriceFromHtml,
+    parseWatchRequest,
+    MAX_WATCH_HISTORY,
+} from "../../src/lib/price-watch.js";
+import { PriceWatchManager, PRICE_WATCH_STORAGE_KEY, PRICE_WATCH_ALARM } from "../../src/background/price-watches.js";
+
+const PRODUCT_URL = "https://www.flipkart.com/apple-iphone-15-black-128-gb/p/itm6ac6485515ae4";
+
+const jsonLdPage = (price) => `<html><head>
+    <script type="application/ld+json">{"@context":"https://schema.org","@type":"BreadcrumbList"}</script>
+    <script type="application/ld+json">[{"@type":"Product","name":"Apple iPhone 15 (Black, 128 GB)",
+        "offers":{"@type":"Offer","price":"${price}","priceCurrency":"INR"}}]</script>
+</head><body></body></html>`;
+
+describe("Price watches", () => {
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+            alarms: {
+                get: jest.fn(async () => global.__alarm || undefined),
+                create: jest.fn(async (name) => { global.__alarm = { name }; }),
+                clear: jest.fn(async () => { global.__alarm = null; }),
+            },
+        };
+        global.__alarm = null;
+    });
+
+    test("validates watches and triggers on a target price or a percentage drop", () => {
+        expect(() => createPriceWatch({ url: "not a url", targetPrice: 100 })).toThrow("invalid_price_watch");
+        try {
+            createPriceWatch({ url: PRODUCT_URL });
+        } catch (error) {
+            expect(error.reason).toBe("set a targetPrice or a dropPercent");
+        }
+
+        const watch = createPriceWatch({ url: PRODUCT_URL, targetPrice: "₹60,000", dropPercent: 15 });
+        expect(watch).toMatchObject({ targetPrice: 60000, dropPercent: 15, status: "active", baselinePrice: null });
+
+        recordPriceSample(watch, 69999);
+        expect(evaluatePriceWatch(watch, 64999)).toEqual({ hit: false, reason: null, dropPercent: 7.1 });
+        expect(evaluatePriceWatch(watch, 59499)).toMatchObject({ hit: true, reason: "target_price" });
+        const drop = createPriceWatch({ url: PRODUCT_URL, dropPercent: 10 });
+        recordPriceSample(drop, 1000);
+        expect(evaluatePriceWatch(drop, 899)).toEqual({ hit: true, reason: "percent_drop", dropPercent: 10.1 });
+
+        for (let i = 0; i < MAX_WATCH_HISTORY + 5; i++) recordPriceSample(drop, 1000 - i, i);
+        expect(drop.history).toHaveLength(MAX_WATCH_HISTORY);
+        expect(drop).toMatchObject({ baselinePrice: 1000, lowestPrice: 1000 - MAX_WATCH_HISTORY - 4 });
+    });
+
+    test("reads prices from JSON-LD or price meta tags", () => {
+        expect(extractPriceFromHtml(jsonLdPage("69999.00"))).toEqual({
+            price: 69999, title: "Apple iPhone 15 (Black, 128 GB)", currency: "INR", source: "json-ld",
+        });
+        const meta = `<meta property="og:title" content="Linen Shirt &amp; Tie">
+            <meta property="product:price:amount" content="2450.00"><meta property="product:price:currency" content="INR">`;
+        expect(extractPriceFromHtml(meta)).toEqual({ price: 2450, title: "Linen Shirt & Tie", currency: "INR", source: "meta" });
+        expect(extractPriceFromHtml("<div id=\"price\">₹999</div>")).toBeNull();
+    });
+
+    test("parses watch requests typed as queries", () => {
+        expect(parseWatchRequest(`Alert me when ${PRODUCT_URL} drops below ₹60,000`)).toEqual({
+            url: PRODUCT_URL, targetPrice: 60000, dropPercent: null,
+        });
+        expect(parseWatchRequest(`watch ${PRODUCT_URL}, tell me if it falls 12.5%`)).toMatchObject({ dropPercent: 12.5, targetPrice: null });
+        expect(parseWatchRequest("buy an iphone under 60000")).toBeNull();
+        expect(parseWatchRequest(`buy ${PRODUCT_URL}`)).toBeNull();
+    });
+
+    test("takes the first price on add, keeps history, and alerts once on a hit", async () => {
+        const prices = [69999, 66999, 58999];
+        const fetchPage = jest.fn(async () => jsonLdPage(prices.shift()));
+        const notify = jest.fn(async () => {});
+        const listener = jest.fn();
+        const manager = new PriceWatchManager({ fetchPage, notify, readProductPage: jest.fn() });
+        manager.setListener(listener);
+
+        const watch = await manager.add({ url: PRODUCT_URL, targetPrice: 60000, platform: "flipkart" });
+        expect(watch).toMatchObject({ baselinePrice: 69999, lastPrice: 69999, title: "Apple iPhone 15 (Black, 128 GB)" });
+        expect(chrome.alarms.create).toHaveBeenCalledWith(PRICE_WATCH_ALARM, { periodInMinutes: 30 });
+
+        // Not due yet
+        expect(await manager.checkDue()).toEqual([]);
+        expect(fetchPage).toHaveBeenCalledTimes(1);
+
+        const later = Date.now() + 7 * 60 * 60 * 1000;
+        expect(await manager.checkDue(later)).toEqual([]);
+        watch.nextCheckAt = 0;
+        const [alert] = await manager.checkDue(later);
+
+        expect(alert).toMatchObject({ watchId: watch.id, price: 58999, reason: "target_price", message: "₹58,999 — below your ₹60,000 target" });
+        expect(notify).toHaveBeenCalledWith(`price-watch:${watch.id}`, "Price drop: Apple iPhone 15 (Black, 128 GB)", alert.message);
+        expect(listener).toHaveBeenCalledWith(watch, alert);
+        expect(global.__storage[PRICE_WATCH_STORAGE_KEY][watch.id]).toMatchObject({
+            status: "triggered",
+            history: [{ price: 69999 }, { price: 66999 }, { price: 58999 }].map(expect.objectContaining),
+        });
+        // Nothing left to watch, so the alarm goes
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(PRICE_WATCH_ALARM);
+        expect(await manager.checkDue(later + 1e9)).toEqual([]);
+        expect(fetchPage).toHaveBeenCalledTimes(3);
+    });
+
+    test("falls back to a product tab and backs off when the price can't be read", async () => {
+        const fetchPage = jest.fn(async () => "<html><body>rendered client-side</body></html>");
+        const readProductPage = jest.fn()
+            .mockResolvedValueOnce({ price: 1299, title: "Curd 400 g" })
+            .mockRejectedValueOnce(new Error("no_price"));
+        const manager = new PriceWatchManager({ fetchPage, readProductPage, notify: jest.fn() });
+
+        const watch = await manager.add({ url: "https://blinkit.com/prn/curd/prid/386012", dropPercent: 20 });
+        expect(readProductPage).toHaveBeenCalledWith("https://blinkit.com/prn/curd/prid/386012");
+        expect(watch).toMatchObject({ lastPrice: 1299, title: "Curd 400 g", failures: 0 });
+
+        watch.nextCheckAt = 0;
+        const before = Date.now();
+        await manager.checkDue();
+        expect(watch).toMatchObject({ failures: 1, lastError: "no_price", status: "active", lastPrice: 1299 });
+        expect(watch.nextCheckAt).toBeGreaterThanOrEqual(before + watch.intervalMinutes * 60 * 1000);
+
+        expect(await manager.remove(watch.id)).toBe(true);
+        expect(await manager.list()).toEqual([]);
+    });
+});
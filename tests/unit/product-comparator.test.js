@@ -0,0 +1,147 @@
+import {
+    compareProducts,
+    normalizeWeights,
+    parseDeliveryDays,
+    parseStockStatus,
+    formatComparisonResult,
+    extractProductIdentity,
+    isSameProduct,
+    groupSimilarProducts,
+} from "../../src/lib/product-comparator.js";
+
+describe("Product comparator", () => {
+    // Monday, 19 Oct 2026
+    const now = new Date(2026, 9, 19);
+
+    test("normalizes slider weights to sum to 1", () => {
+        const weights = normalizeWeights({ priceWeight: 0.8, ratingWeight: 0.8, deliveryWeight: 0, availabilityWeight: 0.4 });
+        expect(weights).toEqual({ price: 0.4, rating: 0.4, delivery: 0, availability: 0.2 });
+        expect(normalizeWeights({ priceWeight: 0, ratingWeight: 0, deliveryWeight: 0, availabilityWeight: 0 }).price).toBeCloseTo(0.4);
+    });
+
+    test.each([
+        ["FREE delivery Tomorrow", 1],
+        ["Delivery in 10 minutes", 0],
+        ["Get it by Friday", 4],
+        ["Delivery by 24 Oct", 5],
+        ["Arrives in 2-4 days", 4],
+        ["Free shipping", null],
+        ["Arrives Tues", 1],
+        ["Delivery by Thu", 3],
+        ["Satisfaction guaranteed", null],
+        ["Double door fridge", null],
+        ["No cost EMI for 6 months", null],
+    ])("parses delivery text %p", (text, days) => {
+        expect(parseDeliveryDays(text, now)).toBe(days);
+    });
+
+    test("reads stock from availability text, flags and titles", () => {
+        expect(parseStockStatus({ availability: "In Stock" })).toBe("in_stock");
+        expect(parseStockStatus({ availability: "Only 2 left in stock" })).toBe("limited");
+        expect(parseStockStatus({ inStock: false })).toBe("out_of_stock");
+        expect(parseStockStatus({ title: "Phone (Currently unavailable)" })).toBe("out_of_stock");
+        expect(parseStockStatus({})).toBe("unknown");
+    });
+
+    test("weights decide between a cheap slow listing and a pricier fast one", () => {
+        const products = [
+            { id: "cheap", price: "₹1,000", rating: "4.0", delivery: "in 7 days", availability: "In Stock" },
+            { id: "fast", price: "₹1,200", rating: "4.0", delivery: "Tomorrow", availability: "In Stock" },
+        ];
+        const priceFirst = compareProducts(products, { priceWeight: 0.9, ratingWeight: 0, deliveryWeight: 0.1, availabilityWeight: 0 });
+        const deliveryFirst = compareProducts(products, { priceWeight: 0.1, ratingWeight: 0, deliveryWeight: 0.9, availabilityWeight: 0 });
+        expect(priceFirst.winner.id).toBe("cheap");
+        expect(deliveryFirst.winner.id).toBe("fast");
+    });
+
+    test("returns a per-criterion breakdown that adds up to the score", () => {
+        const { candidates } = compareProducts([
+            { id: "a", price: 500, rating: "4.5 out of 5", delivery: "Tomorrow", availability: "In Stock" },
+            { id: "b", price: 1000, rating: "3.5" },
+        ]);
+        const [best] = candidates;
+        expect(best.id).toBe("a");
+        expect(Object.keys(best.scoreBreakdown)).toEqual(["price", "rating", "delivery", "availability"]);
+        expect(best.scoreBreakdown.price).toMatchObject({ value: 500, score: 1 });
+        expect(best.scoreBreakdown.delivery.value).toBe(1);
+        const sum = Object.values(best.scoreBreakdown).reduce((total, c) => total + c.contribution, 0);
+        expect(best.score).toBeCloseTo(sum);
+        expect(candidates[1].scoreBreakdown.availability.value).toBe("unknown");
+    });
+
+    test("an out-of-stock listing never wins over one that can be bought", () => {
+        const { winner, candidates } = compareProducts([
+            { id: "gone", price: 100, rating: "5", availability: "Out of stock" },
+            { id: "ok", price: 900, rating: "3", availability: "In stock" },
+        ], { priceWeight: 1, ratingWeight: 1, deliveryWeight: 0, availabilityWeight: 0 });
+        expect(candidates[0].id).toBe("gone");
+        expect(winner.id).toBe("ok");
+    });
+
+    test("formats the winner with its score breakdown", () => {
+        const result = compareProducts([{ title: "TV", price: "₹20,000", platform: "amazon", delivery: "Tomorrow" }]);
+        const text = formatComparisonResult({ ...result, ranked: result.candidates });
+        expect(text).toContain("**Best Deal: AMAZON**");
+        expect(text).toContain("₹20,000");
+        expect(text).toContain("🚚 Tomorrow");
+        expect(text).toMatch(/🎯 Score \d+\/100 \(price 100/);
+    });
+});
+
+describe("Cross-platform product identity", () => {
+    test("reads brand, model and variants from differently formatted titles", () => {
+        const amazon = extractProductIdentity({ title: "Samsung Galaxy S24 5G AI Smartphone (Onyx Black, 8GB, 256GB Storage)" });
+        const flipkart = extractProductIdentity({ title: "SAMSUNG Galaxy S24 5G (Onyx Black, 256 GB) (8 GB RAM)" });
+        expect(amazon).toMatchObject({ brand: "samsung", model: "galaxy s24", storage: "256gb", ram: "8gb", color: "onyx black" });
+        expect(flipkart).toMatchObject({ brand: "samsung", model: "galaxy s24", storage: "256gb", ram: "8gb", color: "onyx black" });
+    });
+
+    test("extracts ASINs from links and validates GTINs", () => {
+        const identity = extractProductIdentity({
+            title: "Apple iPhone 15",
+            link: "https://www.amazon.in/Apple-iPhone-15/dp/B0CHX1W1XY/ref=sr_1_1",
+            ean: "0194253715375",
+        });
+        expect(identity.asin).toBe("B0CHX1W1XY");
+        expect(identity.gtin).toBe("00194253715375");
+        expect(extractProductIdentity({ title: "x", ean: "0194253715376" }).gtin).toBeNull();
+    });
+
+    test("variants and sibling models are different products", () => {
+        const base = extractProductIdentity({ title: "Apple iPhone 15 (128 GB) - Black" });
+        expect(isSameProduct(base, extractProductIdentity({ title: "APPLE iPhone 15 (Blue, 128 GB)" }))).toBe(false);
+        expect(isSameProduct(base, extractProductIdentity({ title: "Apple iPhone 15 (256 GB) - Black" }))).toBe(false);
+        expect(isSameProduct(base, extractProductIdentity({ title: "Apple iPhone 15 Pro (128 GB) - Black" }))).toBe(false);
+        expect(isSameProduct(base, extractProductIdentity({ title: "Apple iPhone 15 128 GB" }))).toBe(true);
+    });
+
+    test("matching barcodes win over differing titles", () => {
+        const a = extractProductIdentity({ title: "Phone X 128GB", gtin: "0194253715375" });
+        const b = extractProductIdentity({ title: "Totally different listing title", gtin: "0194253715375" });
+        expect(isSameProduct(a, b)).toBe(true);
+    });
+
+    test("groups the same SKU across platforms into one comparison row", () => {
+        const groups = groupSimilarProducts([
+            { platform: "amazon", title: "Apple iPhone 15 (128 GB) - Black", price: "₹69,900" },
+            { platform: "flipkart", title: "APPLE iPhone 15 (Black, 128 GB)", price: "₹65,999" },
+            { platform: "reliancedigital", title: "Apple iPhone 15 128 GB, Black", price: "₹66,499" },
+            { platform: "flipkart", title: "APPLE iPhone 15 (Blue, 128 GB)", price: "₹65,999" },
+            { platform: "amazon", title: "Samsung Galaxy S24 5G (Onyx Black, 8GB, 256GB Storage)", price: "₹74,999" },
+        ]);
+        expect(groups).toHaveLength(3);
+        expect(groups[0].platforms).toEqual(["amazon", "flipkart", "reliancedigital"]);
+        expect(groups[0].lowestPrice).toBe(65999);
+        expect(groups[0].group).toBe("apple|iphone15|128gb|*|black");
+    });
+
+    test("comparison text lists the winner's prices on other platforms", () => {
+        const products = [
+            { platform: "amazon", title: "Apple iPhone 15 (128 GB) - Black", price: "₹69,900" },
+            { platform: "flipkart", title: "APPLE iPhone 15 (Black, 128 GB)", price: "₹65,999" },
+        ];
+        const result = compareProducts(products);
+        const text = formatComparisonResult({ ...result, ranked: result.candidates, groups: groupSimilarProducts(result.candidates) });
+        expect(text).toContain("💵 Same item: FLIPKART ₹65,999 · AMAZON ₹69,900");
+    });
+});
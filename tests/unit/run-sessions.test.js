@@ -0,0 +1,66 @@
+import { RunSessionManager, MAX_FINISHED_RUNS, summarizeRun } from "../../src/background/run-sessions.js";
+
+describe("Run sessions", () => {
+    test("each query gets its own run and tabs route to their run", () => {
+        const sessions = new RunSessionManager();
+        const detergent = sessions.create("buy detergent on bigbasket");
+        const phones = sessions.create("compare phones");
+        expect(detergent.runId).not.toBe(phones.runId);
+
+        sessions.bindTab(detergent, 11);
+        sessions.bindTab(phones, 21);
+        sessions.bindTab(phones, 22);
+        detergent.status = "SELECTING";
+
+        expect(sessions.getByTab(11)).toBe(detergent);
+        expect(sessions.getByTab(22)).toBe(phones);
+        expect(sessions.getByTab(22).status).toBe("IDLE");
+        expect(sessions.getByTab(99)).toBeNull();
+    });
+
+    test("restored runs re-bind their main and comparison tabs", () => {
+        const sessions = new RunSessionManager();
+        const run = sessions.add({
+            runId: "r1",
+            status: "COMPARING",
+            tabId: 5,
+            platformResults: { flipkart: { tabId: 6 } },
+            startedAt: 1,
+        });
+        expect(sessions.getByTab(5)).toBe(run);
+        expect(sessions.getByTab(6)).toBe(run);
+    });
+
+    test("removing a run releases its tabs", () => {
+        const sessions = new RunSessionManager();
+        const run = sessions.create("tv");
+        sessions.bindTab(run, 1);
+        sessions.remove(run.runId);
+        expect(sessions.getByTab(1)).toBeNull();
+        expect(sessions.list()).toEqual([]);
+    });
+
+    test("only active runs count as active and old finished runs are pruned", () => {
+        const sessions = new RunSessionManager();
+        for (let i = 0; i < MAX_FINISHED_RUNS + 2; i++) {
+            sessions.create(`q${i}`).status = "COMPLETED";
+        }
+        const live = sessions.create("live");
+        expect(sessions.active()).toEqual([live]);
+        expect(sessions.list().length).toBe(MAX_FINISHED_RUNS + 1);
+    });
+
+    test("summaries carry what the side panel shows", () => {
+        const sessions = new RunSessionManager();
+        const run = sessions.create("buy detergent");
+        run.data = { product: "detergent" };
+        run.platform = { name: "bigbasket" };
+        expect(summarizeRun(run)).toMatchObject({
+            runId: run.runId,
+            query: "buy detergent",
+            product: "detergent",
+            platform: "bigbasket",
+            status: "IDLE",
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import { jest } from "@jest/globals";
+import {
+    SelectorHealthMonitor,
+    SELECTOR_HEALTH_STORAGE_KEY,
+    probeResultSelectors,
+} from "../../src/lib/selector-health.js";
+import { logger } from "../../src/lib/logger.js";
+
+const RESULTS = {
+    container: ["li.card", "div.tile"],
+    title: "h3",
+    price: ".price",
+    rating: ".stars",
+};
+
+describe("Selector health", () => {
+    let monitor;
+
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+        };
+        monitor = new SelectorHealthMonitor();
+        jest.spyOn(logger, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("counts the cards each field selector matches in", () => {
+        document.body.innerHTML = `
+            <ul>
+                <li class="card"><h3>Milk</h3><span class="price">₹27</span></li>
+                <li class="card"><h3>Curd</h3><span class="price">₹35</span><i class="stars">4.1</i></li>
+            </ul>`;
+        expect(probeResultSelectors(RESULTS, document)).toEqual({ container: 2, title: 2, price: 2, rating: 1 });
+
+        // Rejected selectors count as no match instead of throwing
+        document.body.innerHTML = "<div class=\"tile\"><h3>Bread</h3></div>";
+        expect(probeResultSelectors({ ...RESULTS, price: "span:unknown-pseudo" }, document)).toEqual({
+            container: 1, title: 1, price: 0, rating: 0,
+        });
+    });
+
+    test("reports a selector that used to match once it keeps finding nothing", async () => {
+        const healthy = { container: 20, title: 20, price: 20, rating: 18 };
+        const drifted = { container: 20, title: 20, price: 0, rating: 18 };
+
+        await monitor.record("testmart", RESULTS, healthy);
+        expect(await monitor.record("testmart", RESULTS, drifted)).toEqual([]);
+        const report = await monitor.record("testmart", RESULTS, drifted, { url: "https://testmart.example/s?q=milk" });
+
+        expect(report).toEqual([
+            { field: "price", selector: ".price", lastCount: 20, lastMatchedAt: expect.any(Number) },
+        ]);
+        expect(logger.warn).toHaveBeenCalledWith("Selector drift on testmart: price matched nothing", expect.objectContaining({
+            platform: "testmart",
+            url: "https://testmart.example/s?q=milk",
+        }));
+        // Reported once per streak
+        expect(await monitor.record("testmart", RESULTS, drifted)).toEqual([]);
+        expect(global.__storage[SELECTOR_HEALTH_STORAGE_KEY].testmart.price).toMatchObject({ misses: 3 });
+
+        await monitor.record("testmart", RESULTS, healthy);
+        expect((await monitor.getReport("testmart")).price).toMatchObject({ misses: 0, lastCount: 20 });
+    });
+
+    test("ignores fields on empty pages, never-matched selectors and changed selectors", async () => {
+        await monitor.record("testmart", RESULTS, { container: 12, title: 12, price: 12, rating: 0 });
+        for (let i = 0; i < 3; i++) {
+            // No cards: only the container can have drifted
+            expect(await monitor.record("testmart", RESULTS, { container: 0, title: 0, price: 0, rating: 0 }))
+                .toEqual(i === 1 ? [expect.objectContaining({ field: "container" })] : []);
+        }
+
+        // Rating never matched, and a rewritten price selector starts over
+        const updated = { ...RESULTS, price: "[data-price]" };
+        for (let i = 0; i < 3; i++) {
+            expect(await monitor.record("testmart", updated, { container: 12, title: 12, price: 0, rating: 0 })).toEqual([]);
+        }
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test("check() probes the platform's result selectors on the page", async () => {
+        document.body.innerHTML = "<li class=\"card\"><h3>Milk</h3><span class=\"price\">₹27</span></li>";
+        await monitor.check({ name: "testmart", selectors: { results: RESULTS } });
+        expect(await monitor.getReport("testmart")).toMatchObject({
+            container: { lastCount: 1 },
+            price: { lastCount: 1 },
+            rating: { misses: 1, lastMatchedAt: null },
+        });
+        expect(await monitor.check({ name: "nodom", selectors: {} })).toEqual([]);
+    });
+});
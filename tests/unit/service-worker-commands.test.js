@@ -2,7 +2,11 @@ import {
     __test_handleWebCommand as handleWebCommand,
     __test_registerPort,
     __test_clearPorts,
+    __test_restoreState,
+    runSessions,
 } from "../../src/background/service_worker.js";
+import { jobStore } from "../../src/background/job-store.js";
+import { platformRegistry } from "../../src/lib/ecommerce-platforms.js";
 
 describe("Service worker commands (happy paths)", () => {
     const sessionId = "sess-test";
@@ -70,6 +74,201 @@ describe("Service worker commands (happy paths)", () => {
         expect(ready.result.winnerId).toBe("p2");
     });
 
+    test("keeps job events redacted in the replay log", async () => {
+        await handleWebCommand(
+            {
+                command: "compare",
+                payload: {
+                    products: [
+                        { id: "p1", title: "A", price: 20, url: "x", platform: "amazon", sellerPhone: "9876543210" },
+                        { id: "p2", title: "B", price: 10, url: "x", platform: "amazon", sellerPhone: "9123456780" },
+                    ],
+                },
+            },
+            sessionId
+        );
+        const ready = messages.find((m) => m.type === "comparisonReady");
+        const stored = jobStore.eventsSince(ready.jobId).find((e) => e.type === "comparisonReady");
+        expect(stored.result.winner).toMatchObject({ id: "p2", sellerPhone: "[redacted]" });
+    });
+
+    test("compare with a query searches platforms in parallel and ranks the results", async () => {
+        let nextTabId = 201;
+        global.chrome.tabs.create = jest.fn(async () => ({ id: nextTabId++ }));
+        global.chrome.tabs.remove = jest.fn().mockResolvedValue();
+        global.chrome.tabs.sendMessage = jest.fn((tabId, msg, callback) => {
+            const price = tabId === 201 ? 900 : 700;
+            callback({ success: true, data: [{ id: `p${tabId}`, title: "Phone", price }], error: null });
+        });
+
+        await handleWebCommand(
+            { command: "compare", payload: { query: "phone", platforms: ["amazon", "flipkart"] } },
+            sessionId
+        );
+
+        expect(messages.filter((m) => m.type === "tabOpened")).toHaveLength(2);
+        const ready = messages.find((m) => m.type === "comparisonReady");
+        expect(ready.result.winnerId).toBe("p202");
+        expect(ready.result.winner.platform).toBe("flipkart");
+        expect(ready.result.partial).toBe(false);
+        expect(global.chrome.tabs.remove).toHaveBeenCalledWith(201);
+    });
+
+    test("a comparison interrupted by a worker restart starts again when state is restored", async () => {
+        const snapshot = {
+            runId: "run-restart",
+            status: "COMPARING",
+            tabId: null,
+            compareMode: true,
+            data: { product: "phone", compareMode: true, platforms: ["amazon", "flipkart"] },
+            platformResults: { amazon: { tabId: 301, status: "collecting" } },
+            savedAt: Date.now(),
+        };
+        global.chrome.storage.local.get = jest.fn(async (keys) => (
+            [].concat(keys).includes("automationRuns") ? { automationRuns: { [snapshot.runId]: snapshot } } : {}
+        ));
+        global.chrome.runtime.sendMessage = jest.fn().mockResolvedValue();
+        global.chrome.tabs.create = jest.fn().mockResolvedValue({ id: 302 });
+        global.chrome.tabs.remove = jest.fn().mockResolvedValue();
+        global.chrome.tabs.sendMessage = jest.fn((tabId, msg, callback) => {
+            callback({ success: true, data: [{ id: `p${tabId}`, title: "Phone", price: tabId === 301 ? 900 : 700 }], error: null });
+        });
+
+        expect(await __test_restoreState()).toBe(1);
+        const run = runSessions.get("run-restart");
+        for (let i = 0; i < 50 && run.status === "COMPARING"; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        expect(global.chrome.tabs.create).toHaveBeenCalledTimes(1);
+        expect(global.chrome.tabs.sendMessage).toHaveBeenCalledWith(301, expect.anything(), expect.any(Function));
+        expect(run.status).toBe("COMPLETED");
+        expect(run.comparisonResult.winner).toMatchObject({ platform: "flipkart", price: 700 });
+    });
+
+    test("skips setting the delivery location on a platform without the location capability", async () => {
+        let nextTabId = 401;
+        global.chrome.tabs.create = jest.fn(async () => ({ id: nextTabId++ }));
+        global.chrome.tabs.reload = jest.fn().mockResolvedValue();
+        global.chrome.tabs.sendMessage = jest.fn((tabId, msg, callback) => {
+            callback?.({ success: true, data: { serviceable: true, location: "Indiranagar", changed: false }, error: null });
+            return Promise.resolve();
+        });
+        const zepto = platformRegistry.get("zepto");
+        const capabilities = jest.spyOn(zepto, "getCapabilities").mockReturnValue({ ...zepto.getCapabilities(), location: false });
+
+        try {
+            await handleWebCommand(
+                {
+                    command: "searchPlatforms",
+                    payload: { intent: { query: "milk", platforms: ["blinkit", "zepto"], pincode: "560038" } },
+                },
+                sessionId
+            );
+        } finally {
+            capabilities.mockRestore();
+        }
+
+        const setLocation = global.chrome.tabs.sendMessage.mock.calls.filter(([, msg]) => msg.action === "SET_LOCATION");
+        expect(setLocation.map(([tabId]) => tabId)).toEqual([401]);
+        const serviceability = messages.filter((m) => m.type === "serviceability");
+        expect(serviceability.find((m) => m.platform === "zepto")).toMatchObject({ reason: "location_unsupported", changed: false });
+    });
+
+    test("getCapabilities reports platform capabilities and the plan for an intent", async () => {
+        await handleWebCommand(
+            {
+                command: "getCapabilities",
+                payload: { platforms: ["amazon", "ajio", "nowhere"], intent: { filters: { price_max: 900 } } },
+            },
+            sessionId
+        );
+        const { result } = messages.find((m) => m.type === "completed" && m.result);
+        expect(result.platforms.amazon.capabilities.filters).toBe(true);
+        expect(result.platforms.amazon.plan).toMatchObject({ searchMode: "dom", applyFilters: true, warnings: [] });
+        expect(result.platforms.ajio.plan).toMatchObject({ searchMode: "url", applyFilters: false });
+        expect(result.platforms.ajio.plan.warnings[0].code).toBe("filters_unsupported");
+        expect(result.platforms.nowhere).toMatchObject({ known: false, capabilities: { search: false } });
+    });
+
+    test("watchPrice takes the current price and emits priceAlert when the target is already met", async () => {
+        global.chrome.runtime.sendMessage = jest.fn().mockResolvedValue();
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            text: async () => "<meta property=\"og:title\" content=\"Sony WH-1000XM5\">"
+                + "<meta property=\"product:price:amount\" content=\"24990\">",
+        });
+        try {
+            await handleWebCommand(
+                {
+                    command: "watchPrice",
+                    payload: { url: "https://www.amazon.in/dp/B09XS7JWHH", targetPrice: 25000 },
+                },
+                sessionId
+            );
+        } finally {
+            delete global.fetch;
+        }
+        const { result } = messages.find((m) => m.type === "completed" && m.result);
+        expect(result.watch).toMatchObject({ platform: "amazon", title: "Sony WH-1000XM5", lastPrice: 24990, status: "triggered" });
+        const event = messages.find((m) => m.type === "priceAlert");
+        expect(event.alert).toMatchObject({ watchId: result.watch.id, reason: "target_price", price: 24990 });
+    });
+
+    test("resumeJob reattaches a new session and replays missed events", async () => {
+        await handleWebCommand(
+            {
+                command: "searchPlatforms",
+                payload: { intent: { query: "laptop", platforms: ["amazon", "flipkart"] } },
+            },
+            sessionId
+        );
+        const { jobId } = messages.find((m) => m.type === "completed" && m.opened);
+
+        const resumed = [];
+        __test_registerPort("sess-resumed", { postMessage: (msg) => resumed.push(msg) });
+        await handleWebCommand({ command: "resumeJob", payload: { jobId, lastSeq: 1 } }, "sess-resumed");
+
+        const replayed = resumed.filter((m) => m.replayed);
+        expect(replayed.filter((m) => m.type === "tabOpened").map((m) => m.platform)).toEqual(["amazon", "flipkart"]);
+        expect(replayed.every((m) => m.seq > 1)).toBe(true);
+        const done = resumed.find((m) => m.type === "completed" && m.result);
+        expect(done.result).toMatchObject({ resumed: true, jobId, status: "completed" });
+    });
+
+    test("a job keeps running while its port is gone and the resumed session sees it complete", async () => {
+        let openTab;
+        global.chrome.tabs.create = jest.fn()
+            .mockImplementationOnce(() => new Promise((resolve) => { openTab = resolve; }))
+            .mockResolvedValue({ id: 102 });
+        const running = handleWebCommand(
+            {
+                command: "searchPlatforms",
+                payload: { intent: { query: "laptop", platforms: ["amazon", "flipkart"] } },
+            },
+            sessionId
+        );
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        const [job] = await jobStore.detachSession(sessionId);
+        expect(job.status).toBe("detached");
+        openTab({ id: 101 });
+        await running;
+        expect(job.status).toBe("completed");
+
+        const resumed = [];
+        __test_registerPort("sess-resumed", { postMessage: (msg) => resumed.push(msg) });
+        await handleWebCommand({ command: "resumeJob", payload: { jobId: job.id } }, "sess-resumed");
+        const done = resumed.find((m) => m.type === "completed" && m.opened);
+        expect(done.opened.map((t) => t.platform)).toEqual(["amazon", "flipkart"]);
+    });
+
+    test("resumeJob reports unknown job ids", async () => {
+        await expect(
+            handleWebCommand({ command: "resumeJob", payload: { jobId: "missing" } }, sessionId)
+        ).rejects.toThrow("job_not_found");
+        expect(messages.some((m) => m.type === "error" && m.code === "job_not_found")).toBe(true);
+    });
+
     test("openProduct requires userGesture and emits productOpened (T-SW-06 happy)", async () => {
         await handleWebCommand(
             {
@@ -93,15 +292,38 @@ describe("Service worker commands (happy paths)", () => {
         expect(messages.some((m) => m.type === "needsUserAction")).toBe(true);
     });
 
-    test("trackOrder completes with status unknown (best-effort)", async () => {
+    test("trackOrder reads the tracking page in a background tab and streams the order status", async () => {
+        const storage = { preferences: { grantedCapabilities: ["trackOrder"] } };
+        global.chrome.storage.local = {
+            get: jest.fn(async () => storage),
+            set: jest.fn(async (obj) => Object.assign(storage, obj)),
+        };
+        const listeners = [];
+        global.chrome.tabs.onUpdated = { addListener: (fn) => listeners.push(fn), removeListener: jest.fn() };
+        global.chrome.tabs.update = jest.fn(async (tabId) => listeners.forEach((fn) => fn(tabId, { status: "complete" })));
+        global.chrome.tabs.remove = jest.fn().mockResolvedValue();
+        global.chrome.tabs.sendMessage = jest.fn((tabId, message, respond) => respond({
+            success: true,
+            data: { statusText: "Out for delivery", events: [{ text: "Shipped", date: "14 March 2024" }] },
+        }));
+
         await handleWebCommand(
             {
                 command: "trackOrder",
-                payload: { userGesture: true, orderId: "o1" },
+                payload: { userGesture: true, orderId: "408-1234567-1234567", platform: "amazon" },
             },
             sessionId
         );
-        expect(messages.some((m) => m.type === "completed")).toBe(true);
+
+        expect(global.chrome.tabs.update).toHaveBeenCalledWith(101, {
+            url: "https://www.amazon.in/gp/your-account/order-details?orderID=408-1234567-1234567",
+        });
+        expect(global.chrome.tabs.sendMessage.mock.calls[0][1]).toMatchObject({ action: "TRACK_ORDER", orderId: "408-1234567-1234567" });
+        const update = messages.find((m) => m.type === "orderStatus");
+        expect(update.order).toMatchObject({ status: "shipped", previousStatus: "pending", changed: true, source: "dom" });
+        expect(messages.find((m) => m.type === "completed" && m.result).result.events).toHaveLength(1);
+        expect(storage.retailAgentOrders[0]).toMatchObject({ orderId: "408-1234567-1234567", status: "shipped", statusText: "Out for delivery" });
+        expect(global.chrome.tabs.remove).toHaveBeenCalledWith(101);
     });
 
     test("cancelOrder emits needsUserAction", async () => {
@@ -0,0 +1,84 @@
+import {
+    isLocationGated,
+    normalizePincode,
+    detectUnserviceable,
+    resolveRunPincode,
+} from "../../src/lib/serviceability.js";
+import { checkServiceability } from "../../src/content/shared/location.js";
+
+describe("Serviceability", () => {
+    test("knows which platforms are pincode-gated", () => {
+        expect(isLocationGated("blinkit")).toBe(true);
+        expect(isLocationGated("jiomart")).toBe(true);
+        expect(isLocationGated("amazon")).toBe(false);
+    });
+
+    test("normalizes six-digit pincodes from free text", () => {
+        expect(normalizePincode("560034")).toBe("560034");
+        expect(normalizePincode("560 034")).toBe("560034");
+        expect(normalizePincode("Koramangala, Bengaluru 560034")).toBe("560034");
+        expect(normalizePincode(400001)).toBe("400001");
+        expect(normalizePincode("012345")).toBeNull();
+        expect(normalizePincode("12345")).toBeNull();
+        expect(normalizePincode(null)).toBeNull();
+    });
+
+    test("detects not-serviceable messages", () => {
+        expect(detectUnserviceable("Sorry, this location is not serviceable")).toMatch(/not serviceable/i);
+        expect(detectUnserviceable("We don't deliver to this area yet")).toMatch(/deliver to/i);
+        expect(detectUnserviceable("Coming soon to your area!")).toMatch(/coming soon/i);
+        expect(detectUnserviceable("Delivery in 10 minutes")).toBeNull();
+        expect(detectUnserviceable("We are not available at this location", [/not\s+available\s+at\s+this\s+location/i])).toBeTruthy();
+    });
+
+    test("prefers a pincode named in the query over the default address", () => {
+        const address = { zipCode: "400001" };
+        expect(resolveRunPincode({ delivery_location: "deliver to 560034" }, address)).toBe("560034");
+        expect(resolveRunPincode({ delivery_location: "home" }, address)).toBe("400001");
+        expect(resolveRunPincode({}, null)).toBeNull();
+    });
+
+    describe("checkServiceability", () => {
+        const jiomart = {
+            current: ["#delivery_city_pincode"],
+            input: ["#rel_pincode"],
+            unserviceable: ["#pincode_error"],
+            unserviceablePatterns: [/not\s+deliverable/i],
+        };
+
+        beforeEach(() => {
+            // jsdom does no layout; treat every attached element as rendered
+            jest.spyOn(HTMLElement.prototype, "offsetParent", "get").mockImplementation(function () {
+                return this.isConnected ? document.body : null;
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            document.body.innerHTML = "";
+        });
+
+        test("ignores unserviceable wording in ordinary page copy", () => {
+            document.body.innerHTML = `
+                <header><span id="delivery_city_pincode">Mumbai 400001</span></header>
+                <main><p>Gift cards are not deliverable to PO boxes.</p></main>`;
+            expect(checkServiceability(jiomart)).toEqual({ serviceable: true, reason: null });
+        });
+
+        test("reads the message shown in the location picker", () => {
+            document.body.innerHTML = `
+                <form><input id="rel_pincode" value="999999"><p>Pincode not deliverable</p></form>`;
+            expect(checkServiceability(jiomart)).toEqual({ serviceable: false, reason: "not deliverable" });
+        });
+
+        test("reports the platform's unserviceable banner", () => {
+            document.body.innerHTML = `<div id="pincode_error">We can't deliver here yet</div>`;
+            expect(checkServiceability(jiomart)).toEqual({ serviceable: false, reason: "We can't deliver here yet" });
+        });
+
+        test("falls back to the whole page when no location selectors are declared", () => {
+            document.body.innerHTML = `<main><p>Sorry, this location is not serviceable</p></main>`;
+            expect(checkServiceability({}).serviceable).toBe(false);
+        });
+    });
+});
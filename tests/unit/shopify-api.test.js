@@ -0,0 +1,94 @@
+import { ShopifyStorefront, mapProduct, pickVariant, normalizeStoreDomain } from "../../src/lib/shopify-api.js";
+import { resolveShopifyStore } from "../../src/background/shopify-stores.js";
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+describe("Shopify storefront API", () => {
+    const origin = "https://shop.example.com";
+    const productJs = {
+        id: 1,
+        handle: "wool-runner",
+        title: "Wool Runner",
+        vendor: "Acme",
+        price: 9500,
+        featured_image: "//cdn.shopify.com/wool.jpg",
+        variants: [
+            { id: 11, title: "8 / Grey", price: 9500, available: false, option1: "8", option2: "Grey" },
+            { id: 12, title: "9 / Grey", price: 9500, available: true, option1: "9", option2: "Grey" },
+            { id: 13, title: "9 / Black", price: 9900, available: true, option1: "9", option2: "Black" },
+        ],
+    };
+
+    test("normalizes store domains", () => {
+        expect(normalizeStoreDomain("https://Shop.Example.com/collections/all")).toBe("shop.example.com");
+        expect(normalizeStoreDomain("shop.example.com")).toBe("shop.example.com");
+        expect(normalizeStoreDomain("not a domain")).toBeNull();
+        expect(normalizeStoreDomain("")).toBeNull();
+    });
+
+    test("maps product JSON with prices in cents, stock and variants", () => {
+        const product = mapProduct(origin, productJs, { inCents: true });
+        expect(product).toMatchObject({
+            title: "Wool Runner",
+            priceNumeric: 95,
+            price: "95.00",
+            link: "https://shop.example.com/products/wool-runner",
+            image: "https://cdn.shopify.com/wool.jpg",
+            available: true,
+            platform: "shopify",
+            store: "shop.example.com",
+        });
+        expect(product.variants[2]).toMatchObject({ id: 13, price: 99, options: ["9", "Black"] });
+
+        expect(pickVariant(product).id).toBe(12);
+        expect(pickVariant(product, { options: ["black", "9"] }).id).toBe(13);
+        expect(pickVariant(product, { variantId: 11 }).id).toBe(11);
+        expect(pickVariant({ variants: [{ id: 1, available: false, options: [] }] })).toBeNull();
+    });
+
+    test("searches with suggest.json and falls back to filtering products.json", async () => {
+        const fetchImpl = jest.fn(async (url) => {
+            if (url.includes("/search/suggest.json")) {
+                return jsonResponse({ resources: { results: { products: [
+                    { id: 1, handle: "wool-runner", title: "Wool Runner", price: "95.00", url: "/products/wool-runner?_pos=1", available: true },
+                ] } } });
+            }
+            throw new Error(`unexpected ${url}`);
+        });
+        const results = await new ShopifyStorefront(origin, fetchImpl).search("wool runner");
+        expect(results).toEqual([expect.objectContaining({ title: "Wool Runner", priceNumeric: 95, link: "https://shop.example.com/products/wool-runner" })]);
+
+        const fallbackFetch = jest.fn(async (url) => {
+            if (url.includes("/search/suggest.json")) return jsonResponse({}, 404);
+            return jsonResponse({ products: [
+                { id: 2, handle: "tee", title: "Cotton Tee", tags: ["shirt"], variants: [{ id: 21, price: "20.00", available: true }] },
+                { id: 3, handle: "cap", title: "Cap", tags: "hat", variants: [{ id: 31, price: "15.00", available: true }] },
+            ] });
+        });
+        const fallback = await new ShopifyStorefront(origin, fallbackFetch).search("shirt");
+        expect(fallback.map((p) => p.handle)).toEqual(["tee"]);
+        expect(fallback[0].priceNumeric).toBe(20);
+    });
+
+    test("adds a variant to the cart and reports the store's refusal", async () => {
+        const fetchImpl = jest.fn(async (url, options) => {
+            const { items } = JSON.parse(options.body);
+            return items[0].id === 12
+                ? jsonResponse({ items: [{ id: 12, quantity: 2 }] })
+                : jsonResponse({ status: 422, description: "Wool Runner is sold out." }, 422);
+        });
+        const storefront = new ShopifyStorefront(origin, fetchImpl);
+
+        await expect(storefront.addToCart(12, 2)).resolves.toEqual({ success: true, variantId: 12, quantity: 2, error: null });
+        expect(fetchImpl).toHaveBeenCalledWith("https://shop.example.com/cart/add.js", expect.objectContaining({ method: "POST" }));
+        await expect(storefront.addToCart(11, 1)).resolves.toMatchObject({ success: false, error: "Wool Runner is sold out." });
+    });
+
+    test("resolves the store for a query", () => {
+        const stores = ["shop.example.com", "www.allbirds.com"];
+        expect(resolveShopifyStore("buy wool runners from allbirds", stores)).toBe("www.allbirds.com");
+        expect(resolveShopifyStore("buy a tee from example", stores)).toBe("shop.example.com");
+        expect(resolveShopifyStore("buy a tee on shopify", [...stores].reverse())).toBe("www.allbirds.com");
+        expect(resolveShopifyStore("anything", [])).toBeNull();
+    });
+});
@@ -26,8 +26,8 @@ describe('State Management', () => {
         chrome.storage.local.get.mockResolvedValue({ geminiApiKey: 'test-key' });
     });
 
-    it('should initialize with IDLE state', () => {
-        expect(sw.currentState.status).toBe('IDLE');
+    it('should start with no runs', () => {
+        expect(sw.runSessions.list()).toEqual([]);
     });
 
     it('should transition to SEARCHING after handleUserQuery', async () => {
@@ -50,22 +50,25 @@ describe('State Management', () => {
         // Mock chrome.tabs.create
         chrome.tabs.create.mockResolvedValue({ id: 123 });
 
-        await sw.handleUserQuery('buy something');
+        const run = await sw.handleUserQuery('buy something');
         
-        expect(sw.currentState.status).toBe('SEARCHING');
-        expect(sw.currentState.tabId).toBe(123);
-        expect(sw.currentState.data.product).toBe('test product');
+        expect(run.status).toBe('SEARCHING');
+        expect(run.tabId).toBe(123);
+        expect(run.data.product).toBe('test product');
+        expect(sw.runSessions.getByTab(123)).toBe(run);
     });
 
     it('should transition to SELECTING after successful search', async () => {
-        sw.currentState.status = 'SEARCHING';
-        sw.currentState.tabId = 123;
-        sw.currentState.data = { product: 'test', platform: 'amazon' };
+        const run = sw.runSessions.create('buy test');
+        run.status = 'SEARCHING';
+        run.tabId = 123;
+        run.data = { product: 'test', platform: 'amazon' };
+        sw.runSessions.bindTab(run, 123);
         
         // Mock chrome.tabs.sendMessage for SEARCH
         chrome.tabs.sendMessage.mockImplementation((id, msg, callback) => {
             if (msg.action === 'SEARCH') {
-                callback({ success: true });
+                callback({ success: true, data: true, error: null });
             }
         });
         
@@ -75,15 +78,16 @@ describe('State Management', () => {
         
         await sw.executeNextStep(123);
         
-        expect(sw.currentState.status).toBe('SELECTING');
+        expect(run.status).toBe('SELECTING');
     });
 
     it('should reset state correctly', () => {
-        sw.currentState.status = 'COMPLETED';
-        sw.currentState.tabId = 123;
+        const run = sw.runSessions.create('buy test');
+        run.status = 'COMPLETED';
+        sw.runSessions.bindTab(run, 123);
         sw.resetState();
-        expect(sw.currentState.status).toBe('IDLE');
-        expect(sw.currentState.tabId).toBe(null);
+        expect(sw.runSessions.list()).toEqual([]);
+        expect(sw.runSessions.getByTab(123)).toBe(null);
     });
 });
 
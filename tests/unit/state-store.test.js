@@ -0,0 +1,78 @@
+import {
+    STATE_STORAGE_KEY,
+    STATE_TTL_MS,
+    serializeState,
+    deserializeState,
+    saveRunSnapshot,
+    loadRunSnapshots,
+    clearRunSnapshot,
+} from "../../src/background/state-store.js";
+
+describe("Automation state store", () => {
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                    remove: jest.fn(async (key) => delete global.__storage[key]),
+                },
+            },
+        };
+    });
+
+    const amazon = { name: "amazon", search: () => {} };
+    const flipkart = { name: "flipkart", search: () => {} };
+    const resolve = (name) => ({ amazon, flipkart })[name] || null;
+
+    test("stores platforms by name and resolves them on restore", () => {
+        const snapshot = serializeState({
+            status: "PRODUCT_PAGE",
+            tabId: 7,
+            platform: amazon,
+            data: { product: "iphone" },
+            platformResults: { flipkart: { tabId: 9, platform: flipkart, products: [] } },
+        });
+        expect(snapshot.platform).toBeUndefined();
+        expect(snapshot.platformName).toBe("amazon");
+        expect(snapshot.platformResults.flipkart.platform).toBeUndefined();
+
+        const state = deserializeState(snapshot, resolve);
+        expect(state.platform).toBe(amazon);
+        expect(state.platformResults.flipkart.platform).toBe(flipkart);
+        expect(state.tabId).toBe(7);
+        expect(state.savedAt).toBeUndefined();
+    });
+
+    test("concurrent runs are snapshotted side by side", async () => {
+        await Promise.all([
+            saveRunSnapshot({ runId: "r1", status: "SELECTING", tabId: 3, platform: amazon, data: { product: "tv" } }),
+            saveRunSnapshot({ runId: "r2", status: "SEARCHING", tabId: 4, platform: flipkart, data: { product: "detergent" } }),
+        ]);
+        const snapshots = await loadRunSnapshots();
+        expect(snapshots.map((s) => s.runId).sort()).toEqual(["r1", "r2"]);
+        expect(snapshots.find((s) => s.runId === "r1").data.product).toBe("tv");
+    });
+
+    test("finished and stale runs are not restored", async () => {
+        await saveRunSnapshot({ runId: "r1", status: "SELECTING", tabId: 3 });
+        await saveRunSnapshot({ runId: "r1", status: "COMPLETED", tabId: 3 });
+        expect(await loadRunSnapshots()).toEqual([]);
+
+        await saveRunSnapshot({ runId: "r2", status: "SELECTING", tabId: 3 });
+        global.__storage[STATE_STORAGE_KEY].r2.savedAt = Date.now() - STATE_TTL_MS - 1;
+        expect(await loadRunSnapshots()).toEqual([]);
+    });
+
+    test("clearing one run keeps the others", async () => {
+        await saveRunSnapshot({ runId: "r1", status: "SEARCHING", tabId: 1 });
+        await saveRunSnapshot({ runId: "r2", status: "SEARCHING", tabId: 2 });
+        await clearRunSnapshot("r1");
+        expect((await loadRunSnapshots()).map((s) => s.runId)).toEqual(["r2"]);
+    });
+});
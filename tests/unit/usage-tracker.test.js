@@ -0,0 +1,80 @@
+import {
+    UsageTracker,
+    USAGE_STORAGE_KEY,
+    estimateCost,
+    estimateTokens,
+} from "../../src/lib/usage-tracker.js";
+
+describe("LLM usage tracker", () => {
+    let tracker;
+
+    beforeEach(() => {
+        global.__storage = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    set: jest.fn(async (obj) => Object.assign(global.__storage, obj)),
+                    get: jest.fn(async (keys) => {
+                        const res = {};
+                        keys.forEach((k) => (res[k] = global.__storage[k]));
+                        return res;
+                    }),
+                },
+            },
+        };
+        tracker = new UsageTracker();
+    });
+
+    test("prices known models by prefix, local models as free and unknown ones as null", () => {
+        expect(estimateCost("openai", "gpt-4o-mini-2024-07-18", 1_000_000, 0)).toBeCloseTo(0.15);
+        expect(estimateCost("gemini", "models/gemini-1.5-flash-002", 0, 1_000_000)).toBeCloseTo(0.3);
+        expect(estimateCost("local", "llama3.1", 5000, 5000)).toBe(0);
+        expect(estimateCost("openai", "mystery-model", 10, 10)).toBeNull();
+        expect(estimateTokens("12345678")).toBe(2);
+    });
+
+    test("attributes calls to run, mode and model and persists daily totals", async () => {
+        const listener = jest.fn();
+        tracker.setListener(listener);
+        await tracker.record({ runId: "r1", mode: "INTENT_PARSE", provider: "openai", model: "gpt-4o-mini", promptTokens: 400, completionTokens: 100 });
+        await tracker.record({ runId: "r1", mode: "ANALYZE_SEARCH_RESULTS", provider: "openai", model: "gpt-4o-mini", promptTokens: 3000, completionTokens: 500, estimated: true });
+        await tracker.record({ runId: "r2", mode: "INTENT_PARSE", provider: "local", model: "llama3.1", promptTokens: 50, completionTokens: 50 });
+
+        const run = tracker.getRunUsage("r1");
+        expect(run).toMatchObject({ calls: 2, promptTokens: 3400, completionTokens: 600, totalTokens: 4000, estimatedCalls: 1 });
+        expect(run.byMode.ANALYZE_SEARCH_RESULTS).toMatchObject({ calls: 1, totalTokens: 3500 });
+        expect(run.byModel["openai:gpt-4o-mini"].calls).toBe(2);
+
+        const stored = global.__storage[USAGE_STORAGE_KEY];
+        expect(stored).toMatchObject({ calls: 3, totalTokens: 4100 });
+        expect(stored.byModel["local:llama3.1"].costUsd).toBe(0);
+        expect(listener).toHaveBeenCalledTimes(3);
+
+        const summary = tracker.summary(["r1", "r2", "gone"]);
+        expect(Object.keys(summary.runs)).toEqual(["r1", "r2"]);
+        expect(summary.today.calls).toBe(3);
+    });
+
+    test("checkBudget stops a run or the day once its limit is reached", async () => {
+        await tracker.record({ runId: "r1", mode: "GENERAL", provider: "openai", model: "gpt-4o", promptTokens: 1000, completionTokens: 0 });
+
+        await expect(tracker.checkBudget("r2", { maxTokensPerRun: 1000 })).resolves.toBeUndefined();
+        await expect(tracker.checkBudget("r1", { maxTokensPerRun: 1000 })).rejects.toMatchObject({
+            name: "BudgetExceededError",
+            code: "LLM_BUDGET_EXCEEDED",
+            scope: "run",
+            metric: "tokens",
+        });
+        await expect(tracker.checkBudget("r2", { maxCostPerDayUsd: 0.002 })).rejects.toMatchObject({ scope: "day", metric: "cost" });
+        await expect(tracker.checkBudget("r1", { maxTokensPerRun: null, maxTokensPerDay: 0 })).resolves.toBeUndefined();
+    });
+
+    test("ignores yesterday's persisted totals and re-seeds runs after a restart", async () => {
+        global.__storage[USAGE_STORAGE_KEY] = { date: "2000-01-01", calls: 9, totalTokens: 9999 };
+        await tracker.load();
+        expect(tracker.getDailyUsage().calls).toBe(0);
+
+        tracker.restoreRun("r1", { calls: 1, totalTokens: 800, costUsd: 0 });
+        await expect(tracker.checkBudget("r1", { maxTokensPerRun: 500 })).rejects.toMatchObject({ scope: "run" });
+    });
+});
@@ -11,8 +11,7 @@ export default {
     'popup/popup': './src/popup/popup.js',
     'content/amazon': './src/content/amazon.js',
     'content/flipkart': './src/content/flipkart.js',
-    'content/ebay': './src/content/ebay.js',
-    'content/walmart': './src/content/walmart.js',
+    'content/declarative': './src/content/declarative.js',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -47,6 +46,7 @@ export default {
         { from: 'src/content/platforms', to: 'src/content/platforms' },
         { from: 'src/content/shared', to: 'src/content/shared' },
         { from: 'src/lib', to: 'src/lib' },
+        { from: 'src/platforms', to: 'src/platforms' },
       ],
     }),
   ],